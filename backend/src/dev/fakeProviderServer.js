@@ -0,0 +1,349 @@
+/**
+ * Fake provider server - offline stand-in for the Meshy and Tripo APIs.
+ *
+ * Mimics just enough of both vendor contracts for the create -> poll ->
+ * download -> view flow to run without API keys or network access:
+ *
+ *   Meshy  (MESHY_BASE_URL=http://localhost:4010/meshy)
+ *     POST   /meshy/v1/image-to-3d        -> { result: taskId }
+ *     GET    /meshy/v1/image-to-3d/:id    -> { id, status, progress, model_urls }
+ *     DELETE /meshy/v1/image-to-3d/:id
+ *     (same three for /meshy/v1/multi-image-to-3d and /meshy/v2/text-to-3d)
+ *     GET    /meshy/v1/balance            -> { balance }
+ *
+ *   Tripo  (TRIPO_BASE_URL=http://localhost:4010/tripo)
+ *     POST   /tripo/upload                -> { code: 0, data: { image_token } }
+ *     POST   /tripo/task                  -> { code: 0, data: { task_id } }
+ *            (image_to_model, multiview_to_model, text_to_model)
+ *     GET    /tripo/task/:id              -> { code: 0, data: { status, progress, output } }
+ *     GET    /tripo/user/balance          -> { code: 0, data: { balance, frozen } }
+ *
+ * Finished tasks point at a generated sample GLB served from /files.
+ *
+ * Usage: npm run fake-providers
+ *
+ * Environment:
+ *   FAKE_PROVIDER_PORT       port to listen on (default 4010)
+ *   FAKE_TASK_DURATION_MS    time a task takes to finish (default 20000)
+ *   FAKE_FAIL_PROVIDERS      comma-separated providers whose tasks always fail
+ *   FAKE_FAILURE_RATE        probability (0-1) that any task fails
+ *   FAKE_DOWN_PROVIDERS      comma-separated providers that answer every
+ *                            request with 503, to simulate an outage
+ *   FAKE_WEBHOOK_URL         when set, POST each finished task to
+ *                            <url>/meshy or <url>/tripo, like the vendors'
+ *                            webhooks (e.g. http://localhost:3000/api/webhooks)
+ *   FAKE_WEBHOOK_SECRET      key for the webhook signature; use the same
+ *                            value as MESHY_/TRIPO_WEBHOOK_SECRET
+ */
+const axios = require('axios');
+const express = require('express');
+const multer = require('multer');
+const crypto = require('crypto');
+const { GlbBuilder } = require('../utils/glb');
+
+const PORT = process.env.FAKE_PROVIDER_PORT || 4010;
+const TASK_DURATION_MS = parseInt(process.env.FAKE_TASK_DURATION_MS, 10) || 20000;
+const FAILURE_RATE = parseFloat(process.env.FAKE_FAILURE_RATE) || 0;
+const FAIL_PROVIDERS = (process.env.FAKE_FAIL_PROVIDERS || '')
+  .split(',').map(name => name.trim()).filter(Boolean);
+const DOWN_PROVIDERS = (process.env.FAKE_DOWN_PROVIDERS || '')
+  .split(',').map(name => name.trim()).filter(Boolean);
+const WEBHOOK_URL = process.env.FAKE_WEBHOOK_URL || '';
+const WEBHOOK_SECRET = process.env.FAKE_WEBHOOK_SECRET || '';
+const SELF_URL = `http://localhost:${PORT}`;
+
+const app = express();
+const uploadParser = multer({ storage: multer.memoryStorage() });
+const tasks = new Map();
+const sampleGlb = buildSampleGlb();
+
+app.use(express.json({ limit: '50mb' }));
+
+app.use((req, res, next) => {
+  console.log(`[FakeProvider] ${req.method} ${req.path}`);
+  next();
+});
+
+app.use((req, res, next) => {
+  const provider = req.path.split('/')[1];
+  if (DOWN_PROVIDERS.includes(provider)) {
+    return res.status(503).json({ message: `${provider} is down (FAKE_DOWN_PROVIDERS)` });
+  }
+  next();
+});
+
+// Both vendors reject requests without a bearer token; any token is accepted here
+function requireBearer(req, res, next) {
+  if (!/^Bearer .+/.test(req.get('Authorization') || '')) {
+    return res.status(401).json({ message: 'Missing API key' });
+  }
+  next();
+}
+
+/**
+ * Register a fake task. Whether it fails is decided up front so repeated
+ * polls stay consistent.
+ */
+function createTask(provider, type) {
+  const id = crypto.randomUUID();
+  const willFail = FAIL_PROVIDERS.includes(provider) || Math.random() < FAILURE_RATE;
+
+  tasks.set(id, {
+    id,
+    provider,
+    type,
+    createdAt: Date.now(),
+    willFail,
+    cancelled: false
+  });
+
+  console.log(`[FakeProvider] ${provider} task ${id} created (${type}${willFail ? ', will fail' : ''})`);
+
+  if (WEBHOOK_URL) {
+    setTimeout(() => sendWebhook(tasks.get(id)), TASK_DURATION_MS + 100);
+  }
+  return id;
+}
+
+/**
+ * POST a finished task to the webhook URL, signed with a hex
+ * HMAC-SHA256 of the body.
+ */
+async function sendWebhook(task) {
+  const payload = task.provider === 'meshy'
+    ? meshyTaskBody(SELF_URL, task)
+    : { event_type: 'task.finished', data: tripoTaskData(SELF_URL, task) };
+  const body = JSON.stringify(payload);
+  const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex');
+
+  try {
+    await axios.post(`${WEBHOOK_URL}/${task.provider}`, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        [`x-${task.provider}-signature`]: signature
+      },
+      timeout: 10000
+    });
+    console.log(`[FakeProvider] Webhook sent for ${task.provider} task ${task.id}`);
+  } catch (error) {
+    console.error(`[FakeProvider] Webhook for ${task.id} failed:`, error.response?.status || error.message);
+  }
+}
+
+/**
+ * Derive the current state of a task from how long ago it was created.
+ * @returns {{ state: 'pending'|'running'|'success'|'failed'|'cancelled', progress: number }}
+ */
+function getTaskState(task) {
+  if (task.cancelled) {
+    return { state: 'cancelled', progress: 0 };
+  }
+
+  const progress = Math.min(100, Math.floor(((Date.now() - task.createdAt) / TASK_DURATION_MS) * 100));
+
+  if (progress >= 100) {
+    return task.willFail
+      ? { state: 'failed', progress: 99 }
+      : { state: 'success', progress: 100 };
+  }
+
+  return { state: progress < 10 ? 'pending' : 'running', progress };
+}
+
+function publicUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+// --- Meshy ---
+
+const MESHY_STATUS = {
+  pending: 'PENDING',
+  running: 'IN_PROGRESS',
+  success: 'SUCCEEDED',
+  failed: 'FAILED',
+  cancelled: 'CANCELED'
+};
+
+/**
+ * Register create/get/delete routes for one Meshy task type.
+ * `validate` returns an error message for a bad request body.
+ */
+function meshyTaskRoutes(version, type, validate) {
+  app.post(`/meshy/${version}/${type}`, requireBearer, (req, res) => {
+    const error = validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    res.json({ result: createTask('meshy', type) });
+  });
+
+  app.get(`/meshy/${version}/${type}/:id`, requireBearer, (req, res) => {
+    const task = tasks.get(req.params.id);
+    if (!task || task.provider !== 'meshy' || task.type !== type) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+    res.json(meshyTaskBody(publicUrl(req), task));
+  });
+
+  app.delete(`/meshy/${version}/${type}/:id`, requireBearer, (req, res) => {
+    const task = tasks.get(req.params.id);
+    if (!task || task.provider !== 'meshy' || task.type !== type) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    task.cancelled = true;
+    res.json({});
+  });
+}
+
+function meshyTaskBody(baseUrl, task) {
+  const { state, progress } = getTaskState(task);
+
+  return {
+    id: task.id,
+    status: MESHY_STATUS[state],
+    progress,
+    model_urls: state === 'success' ? { glb: `${baseUrl}/files/sample.glb` } : {},
+    task_error: state === 'failed' ? { message: 'Simulated Meshy failure' } : null,
+    created_at: task.createdAt
+  };
+}
+
+meshyTaskRoutes('v1', 'image-to-3d', body =>
+  (body.image_url ? null : 'image_url is required'));
+
+meshyTaskRoutes('v1', 'multi-image-to-3d', body => {
+  const urls = body.image_urls;
+  return Array.isArray(urls) && urls.length >= 1 && urls.length <= 4
+    ? null
+    : 'image_urls must contain 1-4 images';
+});
+
+meshyTaskRoutes('v2', 'text-to-3d', body =>
+  (body.prompt ? null : 'prompt is required'));
+
+app.get('/meshy/v1/balance', requireBearer, (req, res) => {
+  res.json({ balance: 1000 });
+});
+
+// --- Tripo ---
+
+app.post('/tripo/upload', requireBearer, uploadParser.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.json({ code: 2003, message: 'File is required' });
+  }
+  res.json({ code: 0, data: { image_token: crypto.randomUUID() } });
+});
+
+app.post('/tripo/task', requireBearer, (req, res) => {
+  const { type, file, files } = req.body;
+
+  if (type === 'image_to_model' && !file?.file_token) {
+    return res.json({ code: 2002, message: 'file.file_token is required' });
+  }
+
+  if (type === 'multiview_to_model' &&
+      (!Array.isArray(files) || files.length !== 4 || !files[0]?.file_token)) {
+    return res.json({ code: 2002, message: 'files must hold 4 views with the front view set' });
+  }
+
+  if (type === 'text_to_model' && !req.body.prompt) {
+    return res.json({ code: 2002, message: 'prompt is required' });
+  }
+
+  if (!['image_to_model', 'multiview_to_model', 'text_to_model'].includes(type)) {
+    return res.json({ code: 2002, message: `Unsupported task type: ${type}` });
+  }
+
+  res.json({ code: 0, data: { task_id: createTask('tripo', req.body.type) } });
+});
+
+app.get('/tripo/task/:id', requireBearer, (req, res) => {
+  const task = tasks.get(req.params.id);
+  if (!task || task.provider !== 'tripo') {
+    return res.json({ code: 2001, message: 'Task not found' });
+  }
+
+  res.json({ code: 0, data: tripoTaskData(publicUrl(req), task) });
+});
+
+app.get('/tripo/user/balance', requireBearer, (req, res) => {
+  res.json({ code: 0, data: { balance: 1000, frozen: 0 } });
+});
+
+function tripoTaskData(baseUrl, task) {
+  const { state, progress } = getTaskState(task);
+
+  return {
+    task_id: task.id,
+    type: task.type,
+    status: state === 'pending' ? 'queued' : state,
+    progress,
+    output: state === 'success' ? { pbr_model: `${baseUrl}/files/sample.glb` } : {},
+    create_time: Math.floor(task.createdAt / 1000)
+  };
+}
+
+// --- Sample model ---
+
+app.get('/files/sample.glb', (req, res) => {
+  res.type('model/gltf-binary').send(sampleGlb);
+});
+
+/**
+ * A 20cm textured-looking cube standing on the origin.
+ */
+function buildSampleGlb() {
+  const h = 0.1;
+  const faces = [
+    { n: [0, 0, 1], u: [1, 0, 0], v: [0, 1, 0] },
+    { n: [0, 0, -1], u: [-1, 0, 0], v: [0, 1, 0] },
+    { n: [1, 0, 0], u: [0, 0, -1], v: [0, 1, 0] },
+    { n: [-1, 0, 0], u: [0, 0, 1], v: [0, 1, 0] },
+    { n: [0, 1, 0], u: [1, 0, 0], v: [0, 0, -1] },
+    { n: [0, -1, 0], u: [1, 0, 0], v: [0, 0, 1] }
+  ];
+
+  const positions = [];
+  const normals = [];
+  const indices = [];
+
+  faces.forEach(({ n, u, v }, f) => {
+    [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([su, sv]) => {
+      for (let i = 0; i < 3; i++) {
+        // Lift by h so the cube sits on y=0
+        positions.push((n[i] + u[i] * su + v[i] * sv) * h + (i === 1 ? h : 0));
+      }
+      normals.push(...n);
+    });
+    const base = f * 4;
+    indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+  });
+
+  const builder = new GlbBuilder();
+  const material = builder.addMaterial({
+    name: 'sample',
+    pbrMetallicRoughness: {
+      baseColorFactor: [0.95, 0.55, 0.2, 1],
+      metallicFactor: 0,
+      roughnessFactor: 0.8
+    }
+  });
+
+  builder.addMesh([{
+    attributes: {
+      POSITION: builder.addAccessor(new Float32Array(positions), 'VEC3'),
+      NORMAL: builder.addAccessor(new Float32Array(normals), 'VEC3')
+    },
+    indices: builder.addAccessor(new Uint16Array(indices), 'SCALAR', { indices: true }),
+    material
+  }], 'sample-cube');
+
+  return builder.build();
+}
+
+app.listen(PORT, () => {
+  console.log(`[FakeProvider] Listening on port ${PORT}`);
+  console.log(`[FakeProvider] MESHY_BASE_URL=http://localhost:${PORT}/meshy`);
+  console.log(`[FakeProvider] TRIPO_BASE_URL=http://localhost:${PORT}/tripo`);
+});
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+/**
+ * A background 3D generation job. One job drives one Object from
+ * 'processing' to 'completed'/'failed'; the worker in
+ * services/generationQueue claims jobs with a lease so that work left
+ * behind by a crashed or restarted process is picked up again.
+ */
+const generationJobSchema = new mongoose.Schema({
+  object: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Object',
+    required: true,
+    index: true
+  },
+  // Entry in the object's modelVersions this job produces
+  version: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // 'image' generates from the object's photos, 'text' from its prompt
+  kind: {
+    type: String,
+    enum: ['image', 'text'],
+    default: 'image'
+  },
+  // Generation mode asked for by the client ('' = choose from photo count)
+  requestedMode: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+  // Provider task, set once submitted; a resumed job polls it instead of re-submitting
+  taskId: {
+    type: String,
+    default: ''
+  },
+  method: {
+    type: String,
+    default: ''
+  },
+  mode: {
+    type: String,
+    default: ''
+  },
+  // Provider tasks submitted so far, and the providers they went to
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  triedMethods: [{
+    type: String
+  }],
+  // --- lease ---
+  leaseOwner: {
+    type: String,
+    default: ''
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  },
+  heartbeatAt: {
+    type: Date,
+    default: null
+  },
+  // Set by a webhook that arrived while a worker held the lease; the
+  // worker checks the task on its next heartbeat
+  checkRequestedAt: {
+    type: Date,
+    default: null
+  },
+  // Number of times a worker has claimed the job
+  claims: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+generationJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+
+module.exports = mongoose.model('GenerationJob', generationJobSchema);
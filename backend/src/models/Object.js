@@ -1,34 +1,197 @@
 const mongoose = require('mongoose');
 
+// Generation options, see services/generationOptions
+const generationOptionsFields = {
+  polycount: Number,
+  topology: String,
+  texture: Boolean,
+  pbr: Boolean,
+  modelVersion: String
+};
+
+// What a generated GLB contains, see services/modelInspector. Bounding
+// box corners and size are [x, y, z] in meters.
+const modelStatsSchema = new mongoose.Schema({
+  triangles: Number,
+  vertices: Number,
+  meshes: Number,
+  materials: Number,
+  textures: Number,
+  boundingBox: {
+    min: [Number],
+    max: [Number],
+    size: [Number]
+  }
+}, { _id: false });
+
+// A mobile level of detail of a model, see services/modelOptimizer
+const modelVariantSchema = new mongoose.Schema({
+  // 0 is the most detailed
+  lod: Number,
+  // '' or the geometry compression ('meshopt' | 'draco')
+  compression: {
+    type: String,
+    default: ''
+  },
+  modelUrl: String,
+  triangles: Number,
+  vertices: Number,
+  // Longest texture side (px)
+  textureSize: Number,
+  // GLB size in bytes
+  size: Number
+}, { _id: false });
+
+// One known measurement of the real object, used to show its models at
+// true size (services/modelScale)
+const realDimensionSchema = new mongoose.Schema({
+  dimension: {
+    type: String,
+    enum: ['width', 'height', 'depth']
+  },
+  meters: Number
+}, { _id: false });
+
+/**
+ * One generated model of an object. Regenerating adds a version rather
+ * than replacing the model (see services/modelVersions).
+ */
+const modelVersionSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    default: ''
+  },
+  mode: {
+    type: String,
+    default: ''
+  },
+  options: generationOptionsFields,
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed', 'cancelled'],
+    default: 'processing'
+  },
+  modelUrl: {
+    type: String,
+    default: ''
+  },
+  // GLB size in bytes
+  size: {
+    type: Number,
+    default: 0
+  },
+  modelStats: {
+    type: modelStatsSchema,
+    default: null
+  },
+  variants: [modelVariantSchema],
+  generationTime: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+});
+
 const objectSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
     trim: true
   },
+  // User who created the object; only they can see or change it. null on
+  // objects from before accounts until scripts/assignUnownedObjects gives
+  // them to an account.
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
   imageUrls: [{
     type: String
   }],
+  // Preprocessed variant of each photo in imageUrls, same order ('' where
+  // preprocessing failed); providers are sent these (services/imagePreprocessor)
+  processedImageUrls: [{
+    type: String
+  }],
+  // Cover image chosen by the user (POST /api/objects/import); '' shows
+  // the first photo
+  thumbnailUrl: {
+    type: String,
+    default: ''
+  },
+  // GLB of the active model version
   modelUrl: {
     type: String,
     required: false,
     default: ''
   },
+  // Stats of the active model version's GLB; null for models from
+  // before the downloads were inspected
+  modelStats: {
+    type: modelStatsSchema,
+    default: null
+  },
+  // LOD variants of the active model version
+  modelVariants: [modelVariantSchema],
+  // Set by the user; null leaves models at their generated units
+  realDimension: {
+    type: realDimensionSchema,
+    default: null
+  },
+  modelVersions: [modelVersionSchema],
+  activeVersion: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   // --- 3D generation tracking ---
   generationStatus: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
     default: 'pending'
   },
   generationTaskId: {
     type: String,
     default: ''
   },
+  // Name of the provider that produced the model (see services/providers),
+  // or 'imported' for a model file uploaded as is
   generationMethod: {
     type: String,
-    enum: ['meshy', 'tripo', 'local', ''],
     default: ''
   },
+  // Text-to-3D input, set for objects created via POST /api/objects/from-prompt
+  prompt: {
+    type: String,
+    default: ''
+  },
+  negativePrompt: {
+    type: String,
+    default: ''
+  },
+  // 'multiview' when every photo was submitted, 'single' for the first
+  // only, 'text' when generated from the prompt
+  generationMode: {
+    type: String,
+    enum: ['single', 'multiview', 'text', ''],
+    default: ''
+  },
+  // Options the model was (or is being) generated with; see
+  // services/generationOptions. Unset on objects created before options
+  // existed, which means the defaults.
+  generationOptions: generationOptionsFields,
   generationProgress: {
     type: Number,
     default: 0,
@@ -43,6 +206,34 @@ const objectSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // One entry per provider task submitted for the current generation;
+  // a failed or timed-out task is re-submitted to the next provider
+  generationAttempts: [{
+    _id: false,
+    method: String,
+    mode: String,
+    taskId: String,
+    // Estimated credits and USD cost of the task (services/usageTracker)
+    credits: {
+      type: Number,
+      default: 0
+    },
+    cost: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['running', 'succeeded', 'failed', 'timed_out', 'cancelled'],
+      default: 'running'
+    },
+    error: {
+      type: String,
+      default: ''
+    },
+    startedAt: Date,
+    finishedAt: Date
+  }],
   createdAt: {
     type: Date,
     default: Date.now
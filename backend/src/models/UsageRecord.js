@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * One provider task submitted for generation, with the credits it spent.
+ * Records are kept when their object is deleted, so GET /api/usage and
+ * the budget caps (services/usageTracker) still see the spend.
+ */
+const usageRecordSchema = new mongoose.Schema({
+  object: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Object',
+    default: null,
+    index: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  mode: {
+    type: String,
+    default: ''
+  },
+  taskId: {
+    type: String,
+    default: ''
+  },
+  // Estimated from the provider's price list (BaseProvider.estimateCredits)
+  credits: {
+    type: Number,
+    default: 0
+  },
+  // USD: credits * the provider's creditPrice
+  cost: {
+    type: Number,
+    default: 0
+  },
+  outcome: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed', 'timed_out', 'cancelled'],
+    default: 'pending'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+usageRecordSchema.index({ provider: 1, taskId: 1 });
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
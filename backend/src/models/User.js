@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+/**
+ * An account. Objects belong to the user who created them (Object.owner);
+ * see services/auth for passwords and tokens.
+ */
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // scrypt hash with its salt (services/auth hashPassword)
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  // One entry per signed-in device: the id of its current refresh token.
+  // Refreshing replaces the entry, logging out removes it.
+  sessions: [{
+    _id: false,
+    tokenId: String,
+    expiresAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const {
+  hashPassword,
+  verifyPassword,
+  issueTokens,
+  refreshTokens,
+  revokeRefreshToken
+} = require('../services/auth');
+const { requireAuth } = require('../utils/auth');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * POST /api/auth/register
+ * Create an account and sign it in.
+ *
+ * Body (JSON): { email, password, name? } - password of 8-128 characters.
+ * Returns the user with an access and a refresh token (see services/auth).
+ * Objects created before accounts existed are not given to anyone here;
+ * see scripts/assignUnownedObjects.
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const password = typeof req.body.password === 'string' ? req.body.password : '';
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    if (name.length > MAX_NAME_LENGTH) {
+      return res.status(400).json({ error: `Name must be at most ${MAX_NAME_LENGTH} characters` });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const user = new User({ email, name, passwordHash: await hashPassword(password) });
+    const tokens = await issueTokens(user);
+
+    console.log(`[Auth] Registered ${email} (${user._id})`);
+
+    res.status(201).json({
+      success: true,
+      user: formatUser(user),
+      ...tokens
+    });
+
+  } catch (error) {
+    // Two registrations for the same email at once
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    console.error('[Auth] Error registering user:', error);
+    res.status(500).json({
+      error: 'Failed to register',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Body (JSON): { email, password }. Returns the user with a new access
+ * and refresh token.
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const password = typeof req.body.password === 'string' ? req.body.password : '';
+
+    const user = email && password ? await User.findOne({ email }) : null;
+
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const tokens = await issueTokens(user);
+
+    res.json({
+      success: true,
+      user: formatUser(user),
+      ...tokens
+    });
+
+  } catch (error) {
+    console.error('[Auth] Error logging in:', error);
+    res.status(500).json({
+      error: 'Failed to log in',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Body (JSON): { refreshToken }. Returns a new access and refresh token;
+ * the refresh token sent can't be used again.
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { user, tokens } = await refreshTokens(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      user: formatUser(user),
+      ...tokens
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_TOKEN' || error.code === 'TOKEN_EXPIRED') {
+      return res.status(401).json({ error: error.message, code: error.code });
+    }
+
+    console.error('[Auth] Error refreshing tokens:', error);
+    res.status(500).json({
+      error: 'Failed to refresh tokens',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Body (JSON): { refreshToken }. Ends that session; its access token
+ * stays valid until it expires.
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+
+  } catch (error) {
+    console.error('[Auth] Error logging out:', error);
+    res.status(500).json({
+      error: 'Failed to log out',
+      message: error.message
+    });
+  }
+});
+
+/** GET /api/auth/me - The signed-in user */
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      user: formatUser(user)
+    });
+
+  } catch (error) {
+    console.error('[Auth] Error fetching user:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Format a user document for API response (never the password hash).
+ */
+function formatUser(user) {
+  return {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    createdAt: user.createdAt
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const { verifyFileSignature, userOwnsFile } = require('../services/fileAccess');
+const { requireAuth } = require('../utils/auth');
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+/**
+ * GET /uploads/<file>
+ * Photos, cover images and models, for a signed URL from an API response
+ * (`?expires=&signature=`) or for the owner's access token (see
+ * services/fileAccess). Other users' files are reported as not found.
+ *
+ * Supports Range requests (resumable model downloads), ETag and
+ * Last-Modified; HEAD is answered too.
+ */
+router.get('/*', authorizeFile, (req, res) => {
+  res.sendFile(req.path, {
+    root: UPLOADS_DIR,
+    dotfiles: 'deny',
+    // Cache-Control is set by authorizeFile
+    cacheControl: false
+  }, (error) => {
+    if (!error || res.headersSent) return;
+
+    if (error.status === 404 || error.status === 403) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    // e.g. 416 for a range past the end of the file
+    if (error.status < 500) {
+      res.set(error.headers || {});
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error(`[Files] Error sending ${req.path}:`, error);
+    res.status(error.status || 500).json({
+      error: 'Failed to send file',
+      message: error.message
+    });
+  });
+});
+
+/**
+ * Let the request through for a valid signed URL, or for the file owner's
+ * access token.
+ */
+function authorizeFile(req, res, next) {
+  const url = `/uploads${req.path}`;
+  const { expires, signature } = req.query;
+
+  if (signature !== undefined) {
+    const secondsLeft = verifyFileSignature(url, expires, signature);
+
+    if (secondsLeft === null) {
+      return res.status(403).json({ error: 'File link is invalid or has expired' });
+    }
+
+    // Clients may keep the file for as long as its link lasts
+    res.set('Cache-Control', `private, max-age=${secondsLeft}`);
+    return next();
+  }
+
+  requireAuth(req, res, async () => {
+    try {
+      if (!(await userOwnsFile(req.user.id, url))) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+
+      // Revalidated with the ETag on every use
+      res.set('Cache-Control', 'private, no-cache');
+      next();
+
+    } catch (error) {
+      console.error('[Files] Error checking file access:', error);
+      res.status(500).json({
+        error: 'Failed to check file access',
+        message: error.message
+      });
+    }
+  });
+}
+
+module.exports = router;
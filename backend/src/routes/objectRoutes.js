@@ -2,10 +2,45 @@ const express = require('express');
 const router = express.Router();
 const ObjectModel = require('../models/Object');
 const upload = require('../utils/upload');
+const { importUpload, normalizeUploads, removeUploads } = upload;
 const modelGenerator = require('../services/modelGenerator');
+const generationQueue = require('../services/generationQueue');
+const objectEvents = require('../services/objectEvents');
+const { preprocessImages } = require('../services/imagePreprocessor');
+const { analyzePhotos } = require('../services/photoQuality');
+const { EXPORT_FORMATS, exportModel } = require('../services/modelExporter');
+const { parseGenerationOptions, resolveOptions } = require('../services/generationOptions');
+const { parseRealDimension, getModelScale } = require('../services/modelScale');
+const { importModel } = require('../services/modelImporter');
+const { signFileUrl, issueFileUrl, objectHasFile } = require('../services/fileAccess');
+const { requireAuth } = require('../utils/auth');
+const {
+  getVersionUrl,
+  toVariantEntries,
+  resolveUploadPath,
+  ensureVersionHistory,
+  addVersion,
+  finishVersion,
+  activateVersion,
+  removeVersionFile
+} = require('../services/modelVersions');
 const path = require('path');
 const fs = require('fs');
 
+const GENERATION_MODES = ['single', 'multiview'];
+const MODEL_COMPRESSIONS = ['meshopt', 'draco'];
+// Reject uploads with a failed photo unless the request says otherwise
+const PHOTO_QUALITY_STRICT = process.env.PHOTO_QUALITY_STRICT === 'true';
+const MAX_PROMPT_LENGTH = 600;
+// Comment line sent on idle event streams so proxies don't drop them
+const EVENT_KEEPALIVE_MS = 25000;
+// Streams are closed after this long; clients reconnect and re-sync
+const EVENT_STREAM_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Every route acts for the signed-in user (req.user) and only sees the
+// objects they own; see findOwnedObject
+router.use(requireAuth);
+
 /**
  * POST /api/objects
  * Create a new object, upload images, and start 3D model generation.
@@ -13,10 +48,39 @@ const fs = require('fs');
  * Supports two modes via the `async` body param:
  *   async=true  - Background generation; poll GET /:id/status for updates
  *   async=false - (default) Blocks until generation completes (30-120s)
+ *
+ * `images` takes up to 4 photos (JPEG, PNG, GIF, HEIC or WebP) or one short
+ * MP4/MOV walk-around video, 10MB per file. HEIC and WebP are stored as
+ * JPEG; a video is replaced by 4 keyframes (services/uploadConverter).
+ *
+ * Photos are treated as front/left/back/right views in upload order. The
+ * optional `mode` body param picks 'multiview' (all photos, the default
+ * when more than one is uploaded) or 'single' (first photo only).
+ *
+ * The optional `options` field (a JSON string) sets polycount, topology,
+ * texture, pbr and modelVersion; see services/generationOptions.
+ *
+ * The optional `realDimension` field (a JSON string, { dimension, meters })
+ * is one known measurement of the real object, e.g. its height; the model
+ * is then reported with a `modelScale` that shows it at true size (see
+ * services/modelScale).
+ *
+ * Every photo is scored for sharpness, exposure, resolution and subject
+ * coverage (services/photoQuality); the scores and any issues come back as
+ * `photoQuality`, one entry per photo. With `strictQuality=true` (default
+ * from PHOTO_QUALITY_STRICT) a failed photo rejects the request with 422
+ * before anything is generated.
+ *
+ * Every photo is preprocessed (oriented, cropped to the subject, background
+ * whitened, padded square) before generation; the results are returned as
+ * `processedImageUrls` alongside the originals.
+ *
+ * Generation requests (this, /from-prompt and /:id/regenerate) are refused
+ * with 402 while a budget cap is reached (see services/usageTracker).
  */
-router.post('/', upload.array('images', 4), async (req, res) => {
+router.post('/', upload.array('images', 4), normalizeUploads, async (req, res) => {
   try {
-    const { name } = req.body;
+    const { name, mode } = req.body;
     const isAsync = req.body.async === 'true' || req.body.async === true;
 
     if (!name) {
@@ -25,70 +89,124 @@ router.post('/', upload.array('images', 4), async (req, res) => {
       });
     }
 
+    if (mode && !GENERATION_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: `Invalid mode. Expected one of: ${GENERATION_MODES.join(', ')}`
+      });
+    }
+
+    const { options, error: optionsError } = parseGenerationOptions(req.body.options, {
+      modelVersions: modelGenerator.getModelVersions()
+    });
+    if (optionsError) {
+      removeUploads(req.files);
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const { realDimension, error: dimensionError } = parseRealDimension(req.body.realDimension);
+    if (dimensionError) {
+      removeUploads(req.files);
+      return res.status(400).json({ error: dimensionError });
+    }
+
+    const budgetError = await modelGenerator.getBudgetError();
+    if (budgetError) {
+      removeUploads(req.files);
+      return sendBudgetExceeded(res, budgetError);
+    }
+
     const imageUrls = req.files ? req.files.map(file => `/uploads/images/${file.filename}`) : [];
-    const imagePaths = req.files ? req.files.map(file => file.path) : [];
+    const uploadPaths = req.files ? req.files.map(file => file.path) : [];
+
+    const photoQuality = (await analyzePhotos(uploadPaths))
+      .map((result, index) => ({ imageUrl: signFileUrl(imageUrls[index]), ...result }));
+    const strict = req.body.strictQuality !== undefined
+      ? req.body.strictQuality === 'true' || req.body.strictQuality === true
+      : PHOTO_QUALITY_STRICT;
+
+    if (strict && photoQuality.some(result => !result.passed)) {
+      removeUploads(req.files);
+      return res.status(422).json({
+        error: 'Photos failed the quality check',
+        message: 'Retake the flagged photos and try again',
+        photoQuality
+      });
+    }
+
+    const processedPaths = await preprocessImages(uploadPaths);
+    const imagePaths = uploadPaths.map((uploadPath, index) => processedPaths[index] || uploadPath);
 
     const object = new ObjectModel({
       name,
+      owner: req.user.id,
       imageUrls,
+      processedImageUrls: processedPaths.map(toImageUrl),
       modelUrl: '',
+      realDimension: realDimension || null,
+      generationOptions: options,
       generationStatus: 'pending'
     });
 
     await object.save();
 
     if (isAsync) {
-      object.generationStatus = 'processing';
-      await object.save();
-
-      (async () => {
-        try {
-          const genResult = await modelGenerator.startGeneration(
-            object._id.toString(), imagePaths
-          );
-
-          object.generationTaskId = genResult.taskId;
-          object.generationMethod = genResult.method;
-          await object.save();
-
-          pollUntilComplete(object._id.toString(), genResult.taskId, genResult.method);
-        } catch (error) {
-          console.error(`[Route] Background generation failed for ${object._id}:`, error.message);
-          object.generationStatus = 'failed';
-          object.generationError = error.message;
-          await object.save();
-        }
-      })();
+      await generationQueue.enqueue(object, { kind: 'image', mode });
 
       console.log(`[Route] Object created (async): ${object.name} (${object._id})`);
 
       return res.status(201).json({
         success: true,
         object: formatObject(object),
-        message: '3D model generation started. Poll /api/objects/:id/status for updates.'
+        photoQuality,
+        message: '3D model generation started. Follow /api/objects/:id/events (or poll /status) for updates.'
       });
 
     } else {
+      const version = addVersion(object);
       object.generationStatus = 'processing';
       await object.save();
+      objectEvents.publish(object);
 
-      const startTime = Date.now();
-      const modelResult = await modelGenerator.generateModel(
-        object._id.toString(), imagePaths
-      );
+      let modelResult;
+      try {
+        modelResult = await modelGenerator.generateModel(
+          object._id.toString(), imagePaths, { mode, options, versionId: version._id.toString() }
+        );
+      } catch (error) {
+        // Don't leave the object 'processing' with no job to finish it
+        finishVersion(object, version._id, 'failed', { error: error.message });
+        object.generationStatus = 'failed';
+        object.generationError = error.message;
+        await object.save();
+        objectEvents.publish(object);
+        throw error;
+      }
 
-      object.modelUrl = `/uploads/models/${object._id}.glb`;
+      const modelUrl = getVersionUrl(object._id, version._id);
+      finishVersion(object, version._id, 'completed', {
+        method: modelResult.method,
+        mode: modelResult.mode,
+        modelUrl,
+        size: modelResult.size,
+        modelStats: modelResult.modelStats,
+        variants: toVariantEntries(modelUrl, modelResult.variants),
+        generationTime: modelResult.generationTime
+      });
+      activateVersion(object, version);
       object.generationStatus = 'completed';
       object.generationProgress = 100;
       object.generationMethod = modelResult.method;
+      object.generationMode = modelResult.mode;
       object.generationTime = modelResult.generationTime;
       await object.save();
+      objectEvents.publish(object);
 
       console.log(`[Route] Object created (sync): ${object.name} (${object._id})`);
 
       res.status(201).json({
         success: true,
         object: formatObject(object),
+        photoQuality,
         modelInfo: {
           size: modelResult.size,
           generationTime: modelResult.generationTime,
@@ -106,40 +224,237 @@ router.post('/', upload.array('images', 4), async (req, res) => {
   }
 });
 
+/**
+ * POST /api/objects/from-prompt
+ * Create a new object from a text description and start Text-to-3D
+ * generation in the background. Follow GET /:id/events for updates.
+ *
+ * Body (JSON): { prompt, negativePrompt?, name?, options?, realDimension? } -
+ * name defaults to the prompt; options and realDimension as for
+ * POST /api/objects.
+ */
+router.post('/from-prompt', async (req, res) => {
+  try {
+    const prompt = typeof req.body.prompt === 'string' ? req.body.prompt.trim() : '';
+    const negativePrompt = typeof req.body.negativePrompt === 'string' ? req.body.negativePrompt.trim() : '';
+    const name = (req.body.name || '').trim() || prompt.slice(0, 60);
+
+    if (!prompt) {
+      return res.status(400).json({
+        error: 'Missing required field: prompt'
+      });
+    }
+
+    if (prompt.length > MAX_PROMPT_LENGTH || negativePrompt.length > MAX_PROMPT_LENGTH) {
+      return res.status(400).json({
+        error: `Prompts must be at most ${MAX_PROMPT_LENGTH} characters`
+      });
+    }
+
+    const { options, error: optionsError } = parseGenerationOptions(req.body.options, {
+      modelVersions: modelGenerator.getModelVersions()
+    });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const { realDimension, error: dimensionError } = parseRealDimension(req.body.realDimension);
+    if (dimensionError) {
+      return res.status(400).json({ error: dimensionError });
+    }
+
+    const budgetError = await modelGenerator.getBudgetError();
+    if (budgetError) {
+      return sendBudgetExceeded(res, budgetError);
+    }
+
+    const object = new ObjectModel({
+      name,
+      owner: req.user.id,
+      imageUrls: [],
+      modelUrl: '',
+      realDimension: realDimension || null,
+      prompt,
+      negativePrompt,
+      generationOptions: options,
+      generationMode: 'text',
+      generationStatus: 'pending'
+    });
+
+    await object.save();
+    await generationQueue.enqueue(object, { kind: 'text' });
+
+    console.log(`[Route] Object created (prompt): ${object.name} (${object._id})`);
+
+    res.status(201).json({
+      success: true,
+      object: formatObject(object),
+      message: '3D model generation started. Follow /api/objects/:id/events (or poll /status) for updates.'
+    });
+
+  } catch (error) {
+    console.error('[Route] Error creating object from prompt:', error);
+    res.status(500).json({
+      error: 'Failed to create object',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/objects/import
+ * Create an object from an existing 3D file, without AI generation. The
+ * model is converted to GLB if needed, checked and stored like a
+ * generated one (see services/modelImporter); the object is 'completed'
+ * with generationMethod 'imported' when the request returns.
+ *
+ * Multipart fields:
+ *   model      a .glb; a .gltf with its .bin and textures; an .obj with
+ *              its .mtl and textures; or one .zip of any of these.
+ *              Up to 20 files, 100MB each.
+ *   images     optional photos of the real object (as for POST
+ *              /api/objects), kept for a later /:id/regenerate
+ *   thumbnail  optional cover photo for the library
+ *   name       defaults to the model's file name
+ *   realDimension  as for POST /api/objects
+ */
+router.post('/import', importUpload, normalizeUploads, async (req, res) => {
+  const modelFiles = req.files?.model || [];
+  const photoFiles = [...(req.files?.images || []), ...(req.files?.thumbnail || [])];
+  let outputDir = null;
+
+  try {
+    if (modelFiles.length === 0) {
+      removeUploads(req.files);
+      return res.status(400).json({
+        error: 'Missing required file: model'
+      });
+    }
+
+    const { realDimension, error: dimensionError } = parseRealDimension(req.body.realDimension);
+    if (dimensionError) {
+      removeUploads(req.files);
+      return res.status(400).json({ error: dimensionError });
+    }
+
+    const mainFile = modelFiles.find(file => /\.(glb|gltf|obj|zip)$/i.test(file.originalname)) || modelFiles[0];
+    const name = (req.body.name || '').trim() ||
+      path.basename(mainFile.originalname, path.extname(mainFile.originalname));
+
+    const object = new ObjectModel({
+      name,
+      owner: req.user.id,
+      imageUrls: (req.files.images || []).map(file => toImageUrl(file.path)),
+      thumbnailUrl: toImageUrl(req.files.thumbnail?.[0]?.path),
+      modelUrl: '',
+      realDimension: realDimension || null,
+      generationStatus: 'processing'
+    });
+
+    const version = addVersion(object);
+    const outputPath = modelGenerator.getOutputPath(object._id.toString(), version._id.toString());
+    outputDir = path.dirname(outputPath);
+
+    const result = await importModel(modelFiles, outputPath);
+
+    const modelUrl = getVersionUrl(object._id, version._id);
+    finishVersion(object, version._id, 'completed', {
+      method: 'imported',
+      modelUrl,
+      size: result.size,
+      modelStats: result.modelStats,
+      variants: toVariantEntries(modelUrl, result.variants),
+      generationTime: result.generationTime
+    });
+    activateVersion(object, version);
+    object.generationStatus = 'completed';
+    object.generationProgress = 100;
+    object.generationMethod = 'imported';
+    object.generationTime = result.generationTime;
+    await object.save();
+    objectEvents.publish(object);
+
+    console.log(`[Route] Object imported (${result.format}): ${object.name} (${object._id})`);
+
+    res.status(201).json({
+      success: true,
+      object: formatObject(object),
+      modelInfo: {
+        format: result.format,
+        size: result.size,
+        generationTime: result.generationTime,
+        method: 'imported'
+      }
+    });
+
+  } catch (error) {
+    removeUploads(req.files);
+    if (outputDir) {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+
+    if (error.code === 'INVALID_IMPORT') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('[Route] Error importing object:', error);
+    res.status(500).json({
+      error: 'Failed to import object',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/objects/events
+ * Server-Sent Events stream of generation updates for every object
+ * ('status' events, plus 'deleted' when an object is removed).
+ */
+router.get('/events', (req, res) => {
+  openEventStream(req, res, { owner: req.user.id }, []);
+});
+
+/**
+ * GET /api/objects/:id/events
+ * Server-Sent Events stream of one object's generation updates. The
+ * current state is sent first, so a (re)connecting client is in sync.
+ */
+router.get('/:id/events', async (req, res) => {
+  try {
+    const object = await findOwnedObject(req);
+
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+
+    openEventStream(req, res, { objectId: object._id }, [
+      { type: 'status', data: objectEvents.toStatus(object) }
+    ]);
+
+  } catch (error) {
+    console.error('[Route] Error opening event stream:', error);
+    res.status(500).json({
+      error: 'Failed to open event stream',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/objects/:id/status
  * Poll the generation status of an object's 3D model.
  */
 router.get('/:id/status', async (req, res) => {
   try {
-    const object = await ObjectModel.findById(req.params.id);
+    const object = await findOwnedObject(req);
 
     if (!object) {
       return res.status(404).json({ error: 'Object not found' });
     }
 
-    if (object.generationStatus === 'processing' && object.generationTaskId && object.generationMethod !== 'local') {
+    if (object.generationStatus === 'processing' && object.generationTaskId) {
       try {
-        const status = await modelGenerator.checkGenerationStatus(
-          object.generationTaskId,
-          object.generationMethod,
-          object._id.toString()
-        );
-
-        object.generationProgress = status.progress || object.generationProgress;
-
-        if (status.status === 'SUCCEEDED') {
-          object.generationStatus = 'completed';
-          object.generationProgress = 100;
-          object.modelUrl = `/uploads/models/${object._id}.glb`;
-          await object.save();
-        } else if (status.status === 'FAILED') {
-          object.generationStatus = 'failed';
-          object.generationError = status.error || 'Generation failed';
-          await object.save();
-        } else {
-          await object.save();
-        }
+        await generationQueue.refreshStatus(object);
       } catch (error) {
         console.error(`[Route] Status check failed for ${object._id}:`, error.message);
         // Don't fail the status endpoint; return current state
@@ -152,8 +467,13 @@ router.get('/:id/status', async (req, res) => {
       generationStatus: object.generationStatus,
       generationProgress: object.generationProgress,
       generationMethod: object.generationMethod,
+      generationMode: object.generationMode,
       generationError: object.generationError,
-      modelUrl: object.modelUrl,
+      generationAttempts: object.generationAttempts,
+      modelUrl: signFileUrl(object.modelUrl),
+      modelStats: object.modelStats || null,
+      modelVariants: signVariants(object.modelVariants),
+      modelScale: getModelScale(object.realDimension, object.modelStats),
       generationTime: object.generationTime
     });
 
@@ -169,9 +489,9 @@ router.get('/:id/status', async (req, res) => {
 /** GET /api/objects - Fetch all objects */
 router.get('/', async (req, res) => {
   try {
-    const objects = await ObjectModel.find()
+    const objects = await ObjectModel.find({ owner: req.user.id })
       .sort({ createdAt: -1 })
-      .select('_id name imageUrls modelUrl generationStatus generationProgress generationMethod generationTime createdAt');
+      .select('_id name imageUrls processedImageUrls thumbnailUrl modelUrl modelStats modelVariants realDimension prompt generationStatus generationProgress generationMethod generationMode generationOptions generationAttempts modelVersions activeVersion generationTime createdAt');
 
     res.json({
       success: true,
@@ -191,7 +511,7 @@ router.get('/', async (req, res) => {
 /** GET /api/objects/:id - Fetch a single object */
 router.get('/:id', async (req, res) => {
   try {
-    const object = await ObjectModel.findById(req.params.id);
+    const object = await findOwnedObject(req);
 
     if (!object) {
       return res.status(404).json({ error: 'Object not found' });
@@ -211,31 +531,220 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-/** DELETE /api/objects/:id - Delete an object and its associated files */
+/**
+ * PATCH /api/objects/:id
+ * Edit an object's details. Body (JSON): { name?, realDimension? } -
+ * realDimension as for POST /api/objects, or null to go back to the
+ * generated units.
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : undefined;
+
+    if (req.body.name !== undefined && !name) {
+      return res.status(400).json({ error: 'name must be a non-empty string' });
+    }
+
+    const { realDimension, error: dimensionError } = parseRealDimension(req.body.realDimension);
+    if (dimensionError) {
+      return res.status(400).json({ error: dimensionError });
+    }
+
+    const object = await findOwnedObject(req);
+
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+
+    if (name !== undefined) {
+      object.name = name;
+    }
+    if (realDimension !== undefined) {
+      object.realDimension = realDimension;
+    }
+
+    await object.save();
+    objectEvents.publish(object);
+
+    console.log(`[Route] Object updated: ${object.name} (${object._id})`);
+
+    res.json({
+      success: true,
+      object: formatObject(object)
+    });
+
+  } catch (error) {
+    console.error('[Route] Error updating object:', error);
+    res.status(500).json({
+      error: 'Failed to update object',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/objects/:id/model
+ * Redirect to the GLB variant for a level of detail (services/modelOptimizer).
+ * `lod` (default 0) is the level wanted; small models may lack the coarser
+ * levels, in which case the closest more detailed one is served.
+ * `compression` ('meshopt' or 'draco') asks for a compressed variant.
+ * Without matching variants the original model is served.
+ */
+router.get('/:id/model', async (req, res) => {
+  try {
+    const lod = req.query.lod === undefined ? 0 : Number(req.query.lod);
+    const compression = req.query.compression || '';
+
+    if (!Number.isInteger(lod) || lod < 0) {
+      return res.status(400).json({ error: 'lod must be a non-negative integer' });
+    }
+
+    if (!['', ...MODEL_COMPRESSIONS].includes(compression)) {
+      return res.status(400).json({
+        error: `Invalid compression. Expected one of: ${MODEL_COMPRESSIONS.join(', ')}`
+      });
+    }
+
+    const object = await findOwnedObject(req).select('modelUrl modelVariants');
+
+    if (!object || !object.modelUrl) {
+      return res.status(404).json({ error: 'Model not found' });
+    }
+
+    const variants = (object.modelVariants || [])
+      .filter(variant => variant.compression === compression)
+      .sort((a, b) => a.lod - b.lod);
+    const variant = variants.filter(candidate => candidate.lod <= lod).pop() || variants[0];
+
+    res.redirect(302, signFileUrl(variant ? variant.modelUrl : object.modelUrl));
+
+  } catch (error) {
+    console.error('[Route] Error resolving model variant:', error);
+    res.status(500).json({
+      error: 'Failed to resolve model',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/objects/:id/file-url?path=/uploads/...
+ * A fresh signed URL for one of the object's files (photos, cover image,
+ * model versions and their variants), for clients about to download it.
+ * URLs in other responses may have expired by the time they are used.
+ * A signed URL's query string in `path` is ignored.
+ */
+router.get('/:id/file-url', async (req, res) => {
+  try {
+    const filePath = typeof req.query.path === 'string' ? req.query.path.split('?')[0] : '';
+
+    if (!filePath.startsWith('/uploads/')) {
+      return res.status(400).json({ error: 'path must be an /uploads URL' });
+    }
+
+    const object = await findOwnedObject(req).select('imageUrls processedImageUrls thumbnailUrl');
+
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+
+    if (!objectHasFile(object, filePath) || !fs.existsSync(resolveUploadPath(filePath))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.json({
+      success: true,
+      ...issueFileUrl(filePath)
+    });
+
+  } catch (error) {
+    console.error('[Route] Error issuing file URL:', error);
+    res.status(500).json({
+      error: 'Failed to issue file URL',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/objects/:id/export?format=usdz|obj|stl|gltf
+ * Download the active model converted to another format (see
+ * services/modelExporter): USDZ for iOS Quick Look, OBJ/MTL with textures
+ * as a zip, binary STL in millimeters for 3D printing, or single-file
+ * glTF. Objects with a realDimension are exported at their real size.
+ * Conversions are cached next to the GLB.
+ */
+router.get('/:id/export', async (req, res) => {
+  try {
+    const { format } = req.query;
+    const formats = Object.keys(EXPORT_FORMATS);
+
+    if (!formats.includes(format)) {
+      return res.status(400).json({
+        error: `Invalid format. Expected one of: ${formats.join(', ')}`
+      });
+    }
+
+    const object = await findOwnedObject(req).select('name modelUrl realDimension modelStats');
+
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+
+    const modelPath = object.modelUrl && resolveUploadPath(object.modelUrl);
+    if (!modelPath || !fs.existsSync(modelPath)) {
+      return res.status(404).json({ error: 'Object has no model to export' });
+    }
+
+    const result = await exportModel(modelPath, format, {
+      scale: getModelScale(object.realDimension, object.modelStats)
+    });
+    const baseName = object.name.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'model';
+
+    res.type(result.contentType);
+    res.download(result.path, `${baseName}${result.extension}`);
+
+  } catch (error) {
+    console.error('[Route] Error exporting model:', error);
+    res.status(500).json({
+      error: 'Failed to export model',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/objects/:id - Delete an object and its associated files.
+ * A generation still running for it is cancelled first.
+ */
 router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const object = await ObjectModel.findById(id);
+    const object = await findOwnedObject(req);
 
     if (!object) {
       return res.status(404).json({ error: 'Object not found' });
     }
 
-    object.imageUrls.forEach(url => {
+    // Stop the worker and the provider task before their files go away
+    if (object.generationStatus === 'processing' || object.generationStatus === 'pending') {
+      await generationQueue.cancel(object);
+    }
+
+    [...object.imageUrls, ...object.processedImageUrls, object.thumbnailUrl].filter(Boolean).forEach(url => {
       const filepath = path.join(__dirname, '../..', url);
       if (fs.existsSync(filepath)) {
         fs.unlinkSync(filepath);
       }
     });
 
-    if (object.modelUrl) {
-      const modelPath = path.join(__dirname, '../..', object.modelUrl);
-      if (fs.existsSync(modelPath)) {
-        fs.unlinkSync(modelPath);
-      }
-    }
+    object.modelVersions.forEach(removeVersionFile);
+    // Pre-versions model, if any, then the (now empty) versions directory
+    removeVersionFile({ modelUrl: object.modelUrl });
+    fs.rmSync(path.join(__dirname, '../../uploads/models', String(object._id)), { recursive: true, force: true });
 
     await ObjectModel.findByIdAndDelete(id);
+    objectEvents.publishDeleted(object);
 
     console.log(`[Route] Object deleted: ${object.name} (${id})`);
 
@@ -253,58 +762,68 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-/** POST /api/objects/:id/regenerate - Re-generate the 3D model (e.g., after failure) */
+/**
+ * POST /api/objects/:id/regenerate - Generate a new model version (e.g., after failure or cancel).
+ * The current model stays active until the new version succeeds.
+ * Accepts the same optional `mode` and `options` body params as POST
+ * /api/objects; options not given keep the object's previous values.
+ * Refused with 409 while a generation is running; cancel it first.
+ */
 router.post('/:id/regenerate', async (req, res) => {
   try {
-    const object = await ObjectModel.findById(req.params.id);
+    const { mode } = req.body;
+    const object = await findOwnedObject(req);
 
     if (!object) {
       return res.status(404).json({ error: 'Object not found' });
     }
 
+    if (object.generationStatus === 'processing') {
+      return res.status(409).json({
+        error: 'A generation is already running for this object; cancel it first'
+      });
+    }
+
+    if (mode && !GENERATION_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: `Invalid mode. Expected one of: ${GENERATION_MODES.join(', ')}`
+      });
+    }
+
+    const { options, error: optionsError } = parseGenerationOptions(req.body.options, {
+      base: resolveOptions(object.generationOptions),
+      modelVersions: modelGenerator.getModelVersions()
+    });
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
+    const isTextObject = object.generationMode === 'text' && !!object.prompt;
     const imagePaths = object.imageUrls.map(url =>
       path.join(__dirname, '../..', url)
     ).filter(p => fs.existsSync(p));
 
-    if (imagePaths.length === 0) {
+    if (!isTextObject && imagePaths.length === 0) {
       return res.status(400).json({ error: 'No images available for regeneration' });
     }
 
-    if (object.modelUrl) {
-      const oldModelPath = path.join(__dirname, '../..', object.modelUrl);
-      if (fs.existsSync(oldModelPath)) {
-        fs.unlinkSync(oldModelPath);
-      }
+    const budgetError = await modelGenerator.getBudgetError();
+    if (budgetError) {
+      return sendBudgetExceeded(res, budgetError);
     }
 
-    object.generationStatus = 'processing';
-    object.generationProgress = 0;
-    object.generationError = '';
-    object.modelUrl = '';
-    await object.save();
-
-    (async () => {
-      try {
-        const genResult = await modelGenerator.startGeneration(
-          object._id.toString(), imagePaths
-        );
-
-        object.generationTaskId = genResult.taskId;
-        object.generationMethod = genResult.method;
-        await object.save();
+    // Objects from before preprocessing existed get their photos processed now
+    if (!isTextObject && object.processedImageUrls.length === 0) {
+      const uploadPaths = object.imageUrls.map(url => path.join(__dirname, '../..', url));
+      object.processedImageUrls = (await preprocessImages(uploadPaths)).map(toImageUrl);
+    }
 
-        pollUntilComplete(object._id.toString(), genResult.taskId, genResult.method);
-      } catch (error) {
-        console.error(`[Route] Regeneration failed for ${object._id}:`, error.message);
-        object.generationStatus = 'failed';
-        object.generationError = error.message;
-        await object.save();
-      }
-    })();
+    object.generationOptions = options;
+    await generationQueue.enqueue(object, { kind: isTextObject ? 'text' : 'image', mode });
 
     res.json({
       success: true,
-      message: 'Regeneration started. Poll /api/objects/:id/status for updates.',
+      message: 'Regeneration started. Follow /api/objects/:id/events (or poll /status) for updates.',
       object: formatObject(object)
     });
 
@@ -318,80 +837,265 @@ router.post('/:id/regenerate', async (req, res) => {
 });
 
 /**
- * Background poller for async generation tasks.
- * Periodically checks the task status and updates the database.
+ * GET /api/objects/:id/versions - List an object's model versions, oldest first
  */
-async function pollUntilComplete(objectId, taskId, method) {
-  const POLL_INTERVAL = 5000;    // 5 seconds
-  const MAX_DURATION = 300000;   // 5 minutes
-  const startTime = Date.now();
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const object = await findOwnedObject(req);
 
-  console.log(`[Poller] Starting for object ${objectId} (${method} task: ${taskId})`);
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' });
+    }
 
-  while (Date.now() - startTime < MAX_DURATION) {
-    await new Promise(r => setTimeout(r, POLL_INTERVAL));
+    if (object.modelVersions.length === 0 && object.modelUrl) {
+      ensureVersionHistory(object);
+      await object.save();
+    }
 
-    try {
-      const object = await ObjectModel.findById(objectId);
-      if (!object || object.generationStatus !== 'processing') {
-        console.log(`[Poller] Object ${objectId} no longer processing, stopping.`);
-        return;
-      }
+    res.json({
+      success: true,
+      activeVersion: object.activeVersion,
+      versions: object.modelVersions.map(version => formatVersion(version, object))
+    });
 
-      const status = await modelGenerator.checkGenerationStatus(taskId, method, objectId);
+  } catch (error) {
+    console.error('[Route] Error listing versions:', error);
+    res.status(500).json({
+      error: 'Failed to list model versions',
+      message: error.message
+    });
+  }
+});
 
-      if (status.status === 'SUCCEEDED') {
-        object.generationStatus = 'completed';
-        object.generationProgress = 100;
-        object.modelUrl = `/uploads/models/${objectId}.glb`;
-        object.generationTime = Date.now() - startTime;
-        await object.save();
-        console.log(`[Poller] Object ${objectId} generation completed!`);
-        return;
-      }
+/**
+ * POST /api/objects/:id/versions/:versionId/activate - Serve this version as the object's model
+ */
+router.post('/:id/versions/:versionId/activate', async (req, res) => {
+  try {
+    const object = await findOwnedObject(req);
+    const version = object && object.modelVersions.id(req.params.versionId);
 
-      if (status.status === 'FAILED') {
-        object.generationStatus = 'failed';
-        object.generationError = status.error || 'Generation failed';
-        await object.save();
-        console.log(`[Poller] Object ${objectId} generation failed: ${status.error}`);
-        return;
-      }
+    if (!version) {
+      return res.status(404).json({ error: 'Model version not found' });
+    }
 
-      if (status.progress > object.generationProgress) {
-        object.generationProgress = status.progress;
-        await object.save();
-      }
-    } catch (error) {
-      console.error(`[Poller] Error polling object ${objectId}:`, error.message);
+    if (version.status !== 'completed') {
+      return res.status(409).json({
+        error: `Only completed versions can be activated (status: ${version.status})`
+      });
     }
+
+    activateVersion(object, version);
+    await object.save();
+    objectEvents.publish(object);
+
+    console.log(`[Route] Object ${object._id}: version ${version._id} activated`);
+
+    res.json({
+      success: true,
+      object: formatObject(object)
+    });
+
+  } catch (error) {
+    console.error('[Route] Error activating version:', error);
+    res.status(500).json({
+      error: 'Failed to activate model version',
+      message: error.message
+    });
   }
+});
 
+/**
+ * DELETE /api/objects/:id/versions/:versionId - Delete a model version and its GLB.
+ * The active version and a version still generating can't be deleted.
+ */
+router.delete('/:id/versions/:versionId', async (req, res) => {
   try {
-    const object = await ObjectModel.findById(objectId);
-    if (object && object.generationStatus === 'processing') {
-      object.generationStatus = 'failed';
-      object.generationError = 'Generation timed out after 5 minutes';
-      await object.save();
-      console.log(`[Poller] Object ${objectId} generation timed out.`);
+    const object = await findOwnedObject(req);
+    const version = object && object.modelVersions.id(req.params.versionId);
+
+    if (!version) {
+      return res.status(404).json({ error: 'Model version not found' });
+    }
+
+    if (object.activeVersion && object.activeVersion.equals(version._id)) {
+      return res.status(409).json({ error: 'Activate another version before deleting this one' });
+    }
+
+    if (version.status === 'processing') {
+      return res.status(409).json({ error: 'Cancel the generation before deleting this version' });
+    }
+
+    removeVersionFile(version);
+    object.modelVersions.pull(version._id);
+    await object.save();
+
+    console.log(`[Route] Object ${object._id}: version ${version._id} deleted`);
+
+    res.json({
+      success: true,
+      message: 'Model version deleted',
+      object: formatObject(object)
+    });
+
+  } catch (error) {
+    console.error('[Route] Error deleting version:', error);
+    res.status(500).json({
+      error: 'Failed to delete model version',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/objects/:id/cancel - Stop an in-flight generation
+ * Cancels the provider task where the provider supports it and moves the
+ * object to 'cancelled'. It can be restarted with /:id/regenerate.
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const object = await findOwnedObject(req);
+
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+
+    if (object.generationStatus !== 'processing' && object.generationStatus !== 'pending') {
+      return res.status(409).json({
+        error: `Object is not generating (status: ${object.generationStatus})`
+      });
     }
+
+    const providerCancelled = await generationQueue.cancel(object);
+
+    res.json({
+      success: true,
+      message: 'Generation cancelled',
+      providerCancelled,
+      object: formatObject(object)
+    });
+
   } catch (error) {
-    console.error(`[Poller] Error setting timeout for ${objectId}:`, error.message);
+    console.error('[Route] Error cancelling generation:', error);
+    res.status(500).json({
+      error: 'Failed to cancel generation',
+      message: error.message
+    });
   }
+});
+
+/**
+ * Turn the response into a Server-Sent Events stream: send `initial`
+ * events, then every update matching `filter` (see
+ * ObjectEvents.subscribe) until the client disconnects.
+ */
+function openEventStream(req, res, filter, initial) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = ({ type, data }) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  initial.forEach(send);
+  const unsubscribe = objectEvents.subscribe(filter, send);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), EVENT_KEEPALIVE_MS);
+  const maxAge = setTimeout(() => res.end(), EVENT_STREAM_MAX_AGE_MS);
+
+  req.on('close', () => {
+    unsubscribe();
+    clearInterval(keepAlive);
+    clearTimeout(maxAge);
+  });
+}
+
+/**
+ * Refuse a generation request while a budget cap is reached
+ * (ModelGenerator.getBudgetError).
+ */
+function sendBudgetExceeded(res, error) {
+  return res.status(402).json({ error: error.message, code: error.code });
+}
+
+/**
+ * Query for the object in req.params.id, if the signed-in user owns it.
+ * Other users' objects come back as null, so they are reported as not
+ * found rather than forbidden.
+ */
+function findOwnedObject(req) {
+  return ObjectModel.findOne({ _id: req.params.id, owner: req.user.id });
+}
+
+/**
+ * Format a model version for API response.
+ */
+function formatVersion(version, object) {
+  return {
+    id: version._id,
+    method: version.method,
+    mode: version.mode,
+    options: resolveOptions(version.options),
+    status: version.status,
+    modelUrl: signFileUrl(version.modelUrl),
+    size: version.size,
+    modelStats: version.modelStats || null,
+    modelScale: getModelScale(object.realDimension, version.modelStats),
+    variants: signVariants(version.variants),
+    generationTime: version.generationTime,
+    error: version.error,
+    createdAt: version.createdAt,
+    completedAt: version.completedAt,
+    active: !!object.activeVersion && object.activeVersion.equals(version._id)
+  };
+}
+
+/**
+ * Public URL of an image in uploads/images, or '' for none.
+ */
+function toImageUrl(imagePath) {
+  return imagePath ? `/uploads/images/${path.basename(imagePath)}` : '';
+}
+
+/**
+ * Model variants with signed URLs, for API response.
+ */
+function signVariants(variants = []) {
+  return variants.map(variant => ({
+    ...(variant.toObject ? variant.toObject() : variant),
+    modelUrl: signFileUrl(variant.modelUrl)
+  }));
 }
 
 /**
- * Format an object document for API response.
+ * Format an object document for API response. File URLs are signed (see
+ * services/fileAccess).
  */
 function formatObject(obj) {
   return {
     id: obj._id,
     name: obj.name,
-    imageUrls: obj.imageUrls,
-    modelUrl: obj.modelUrl,
+    imageUrls: obj.imageUrls.map(signFileUrl),
+    processedImageUrls: (obj.processedImageUrls || []).map(signFileUrl),
+    thumbnailUrl: signFileUrl(obj.thumbnailUrl || ''),
+    modelUrl: signFileUrl(obj.modelUrl),
+    modelStats: obj.modelStats || null,
+    modelVariants: signVariants(obj.modelVariants),
+    realDimension: obj.realDimension || null,
+    modelScale: getModelScale(obj.realDimension, obj.modelStats),
     generationStatus: obj.generationStatus || 'completed',
     generationProgress: obj.generationProgress || (obj.modelUrl ? 100 : 0),
     generationMethod: obj.generationMethod || '',
+    generationMode: obj.generationMode || '',
+    prompt: obj.prompt || '',
+    generationAttempts: obj.generationAttempts || [],
+    generationOptions: resolveOptions(obj.generationOptions),
+    activeVersion: obj.activeVersion || null,
+    versionCount: obj.modelVersions ? obj.modelVersions.length : 0,
     generationTime: obj.generationTime || 0,
     createdAt: obj.createdAt
   };
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const usageTracker = require('../services/usageTracker');
+const { requireAuth } = require('../utils/auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 366;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * GET /api/usage
+ * Provider tasks, credits and estimated USD cost per UTC day and per
+ * provider, plus spend against the daily and monthly budget caps.
+ *
+ * Optional `from` and `to` query params (YYYY-MM-DD, both inclusive)
+ * select the days; the default is the last 30 days. Needs a signed-in
+ * user; the report covers every user's tasks.
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+
+    const today = new Date(new Date().toISOString().slice(0, 10));
+    const end = new Date((to ? new Date(to) : today).getTime() + DAY_MS);
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_REPORT_DAYS * DAY_MS);
+
+    if (isNaN(start) || isNaN(end)) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    if (start >= end) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+
+    if (end - start > MAX_REPORT_DAYS * DAY_MS) {
+      return res.status(400).json({ error: `A report can cover at most ${MAX_REPORT_DAYS} days` });
+    }
+
+    res.json(await usageTracker.getReport({ from: start, to: end }));
+
+  } catch (error) {
+    console.error('[Route] Error building usage report:', error);
+    res.status(500).json({
+      error: 'Failed to build usage report',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
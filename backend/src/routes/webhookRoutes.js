@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const providers = require('../services/providers');
+const generationQueue = require('../services/generationQueue');
+
+/**
+ * POST /api/webhooks/:provider
+ * Task update pushed by a generation provider (configure
+ * <server>/api/webhooks/meshy or /tripo as the callback URL in the vendor
+ * dashboard, and set the matching *_WEBHOOK_SECRET).
+ *
+ * The body is read raw because the signature covers the exact bytes sent.
+ * Updates for unknown or already-finished tasks are acknowledged with
+ * `handled: false` so the provider doesn't keep re-delivering them.
+ */
+router.post('/:provider', express.raw({ type: '*/*', limit: '1mb' }), async (req, res) => {
+  try {
+    const provider = providers.get(req.params.provider);
+
+    if (!provider || !provider.receivesWebhooks) {
+      return res.status(404).json({ error: 'Webhooks are not enabled for this provider' });
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    if (!provider.verifyWebhook(rawBody, req.headers)) {
+      console.warn(`[Webhook] Rejected ${provider.name} webhook with an invalid signature`);
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    let update;
+    try {
+      update = provider.parseWebhook(JSON.parse(rawBody.toString('utf8')));
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid webhook payload',
+        message: error.message
+      });
+    }
+
+    const handled = await generationQueue.handleWebhook(provider.name, update.taskId, update.status);
+    console.log(`[Webhook] ${provider.name} task ${update.taskId}: ${update.status.status}${handled ? '' : ' (no active generation)'}`);
+
+    res.json({ success: true, handled });
+
+  } catch (error) {
+    // A 5xx makes the provider retry the delivery later
+    console.error('[Webhook] Error handling webhook:', error);
+    res.status(500).json({
+      error: 'Failed to handle webhook',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+/**
+ * Assign objects created before accounts existed (no `owner`) to one
+ * account. Until then those objects are visible to nobody.
+ *
+ * Usage: npm run assign-objects -- <email>
+ *
+ * The account must already be registered. Run it once, after upgrading,
+ * against the same MONGODB_URI as the server.
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ObjectModel = require('../models/Object');
+
+async function main() {
+  const email = (process.argv[2] || '').trim().toLowerCase();
+  if (!email) {
+    throw new Error('Usage: npm run assign-objects -- <email>');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/roomsnap');
+
+  try {
+    const user = await User.findOne({ email });
+    if (!user) {
+      throw new Error(`No account is registered for ${email}`);
+    }
+
+    const { modifiedCount } = await ObjectModel.updateMany({ owner: null }, { owner: user._id });
+    console.log(`[Migrate] Assigned ${modifiedCount} unowned object(s) to ${email} (${user._id})`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('[Migrate]', error.message);
+  process.exit(1);
+});
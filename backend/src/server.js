@@ -2,14 +2,22 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const path = require('path');
+const authRoutes = require('./routes/authRoutes');
 const objectRoutes = require('./routes/objectRoutes');
+const fileRoutes = require('./routes/fileRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const usageRoutes = require('./routes/usageRoutes');
+const providers = require('./services/providers');
+const modelGenerator = require('./services/modelGenerator');
+const generationQueue = require('./services/generationQueue');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
+// Before the JSON parser: webhook signatures are checked against the raw body
+app.use('/api/webhooks', webhookRoutes);
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -19,25 +27,37 @@ app.use((req, res, next) => {
   next();
 });
 
-// Serve static files for uploaded images and models
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-
 // Routes
+// Uploaded images and models, for signed URLs or the owner's token
+app.use('/uploads', fileRoutes);
+app.use('/api/auth', authRoutes);
 app.use('/api/objects', objectRoutes);
+app.use('/api/usage', usageRoutes);
 
-// Health check
+// Health check. `providers` has each provider's live circuit state, error
+// rate and latency; status is 'degraded' when no provider can take tasks.
 app.get('/health', (req, res) => {
-  const meshyConfigured = !!process.env.MESHY_API_KEY;
-  const tripoConfigured = !!process.env.TRIPO_API_KEY;
+  const services = {};
+  providers.names().forEach(name => {
+    const provider = providers.get(name);
+    services[name] = provider.isConfigured()
+      ? (provider.receivesWebhooks ? 'configured (webhooks)' : 'configured')
+      : 'not configured';
+  });
+
+  const active = providers.getActive();
+  const health = modelGenerator.getHealth();
 
   res.json({
-    status: 'ok',
+    status: health.primary ? 'ok' : 'degraded',
     message: 'RoomSnap AR Backend - 3D Reconstruction',
     services: {
-      meshy: meshyConfigured ? 'configured' : 'not configured',
-      tripo: tripoConfigured ? 'configured' : 'not configured',
-      reconstruction: meshyConfigured || tripoConfigured ? 'AI-powered' : 'local fallback only'
-    }
+      ...services,
+      order: active.map(provider => provider.name),
+      primary: health.primary,
+      reconstruction: active.some(provider => provider.name !== 'local') ? 'AI-powered' : 'local fallback only'
+    },
+    providers: health.providers
   });
 });
 
@@ -45,6 +65,10 @@ app.get('/health', (req, res) => {
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/roomsnap')
   .then(() => {
     console.log('[Server] Connected to MongoDB');
+    generationQueue.start().catch((error) => {
+      console.error('[Server] Failed to start generation worker:', error);
+    });
+    modelGenerator.startHealthProbes();
     app.listen(PORT, () => {
       console.log(`[Server] Running on port ${PORT}`);
       console.log(`[Server] Health check: http://localhost:${PORT}/health`);
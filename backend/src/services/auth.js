@@ -0,0 +1,166 @@
+/**
+ * Accounts and tokens.
+ *
+ *   access token   short-lived JWT sent as `Authorization: Bearer <token>`
+ *                  on every API request (utils/auth requireAuth)
+ *   refresh token  long-lived JWT that buys a new pair from
+ *                  POST /api/auth/refresh. Each one works once: refreshing
+ *                  replaces it, and logging out revokes it (User.sessions)
+ *
+ * Passwords are stored as scrypt hashes with a random salt.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const User = require('../models/User');
+const { signJwt, verifyJwt } = require('../utils/jwt');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Secret the tokens are signed with. Without one, a random secret is used
+// and every sign-in ends when the server restarts.
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  console.warn('[Auth] JWT_SECRET is not set; using a random secret, so sessions end when the server restarts');
+}
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// Signed-in devices per user; signing in on another one ends the oldest
+const MAX_SESSIONS = 10;
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+/**
+ * @param {string} password
+ * @returns {Promise<string>} 'scrypt$<salt>$<key>', base64
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_BYTES);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+/**
+ * @param {string} password
+ * @param {string} passwordHash - from hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, passwordHash) {
+  const [scheme, salt, key] = String(passwordHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Start a session: a new access and refresh token for the user. Saves the
+ * user.
+ *
+ * @param {Document} user - User document
+ * @returns {Promise<{ accessToken: string, refreshToken: string, expiresIn: number }>}
+ *   expiresIn: seconds the access token is valid for
+ */
+async function issueTokens(user) {
+  const tokenId = crypto.randomUUID();
+  const now = Date.now();
+
+  user.sessions = user.sessions
+    .filter(session => session.expiresAt > now)
+    .slice(-(MAX_SESSIONS - 1));
+  user.sessions.push({
+    tokenId,
+    expiresAt: new Date(now + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  await user.save();
+
+  return {
+    accessToken: signJwt({ sub: user._id.toString(), type: 'access' }, JWT_SECRET, ACCESS_TOKEN_TTL_SECONDS),
+    refreshToken: signJwt(
+      { sub: user._id.toString(), type: 'refresh', jti: tokenId },
+      JWT_SECRET,
+      REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60
+    ),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+/**
+ * Exchange a refresh token for a new pair. The old refresh token stops
+ * working.
+ *
+ * @param {string} refreshToken
+ * @returns {Promise<{ user: Document, tokens: object }>}
+ * @throws {Error} with code 'INVALID_TOKEN' or 'TOKEN_EXPIRED'
+ */
+async function refreshTokens(refreshToken) {
+  const payload = verifyToken(refreshToken, 'refresh');
+  // Consumed atomically, so two requests can't both spend the same token
+  const user = await User.findOneAndUpdate(
+    { _id: payload.sub, 'sessions.tokenId': payload.jti },
+    { $pull: { sessions: { tokenId: payload.jti } } },
+    { new: true }
+  );
+
+  if (!user) {
+    throw authError('INVALID_TOKEN', 'Refresh token has been revoked');
+  }
+
+  return { user, tokens: await issueTokens(user) };
+}
+
+/**
+ * End the session a refresh token belongs to. Invalid or already revoked
+ * tokens are ignored.
+ *
+ * @param {string} refreshToken
+ */
+async function revokeRefreshToken(refreshToken) {
+  let payload;
+  try {
+    payload = verifyToken(refreshToken, 'refresh');
+  } catch (error) {
+    return;
+  }
+
+  await User.updateOne({ _id: payload.sub }, { $pull: { sessions: { tokenId: payload.jti } } });
+}
+
+/**
+ * Check an access token.
+ *
+ * @param {string} accessToken
+ * @returns {string} id of the user it was issued to
+ * @throws {Error} with code 'INVALID_TOKEN' or 'TOKEN_EXPIRED'
+ */
+function verifyAccessToken(accessToken) {
+  return verifyToken(accessToken, 'access').sub;
+}
+
+/**
+ * Verify a token and that it is the kind expected, so a refresh token
+ * can't be used as an access token or the other way round.
+ */
+function verifyToken(token, type) {
+  const payload = verifyJwt(token, JWT_SECRET);
+  if (payload.type !== type || typeof payload.sub !== 'string') {
+    throw authError('INVALID_TOKEN', `Not a ${type} token`);
+  }
+  return payload;
+}
+
+function authError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  issueTokens,
+  refreshTokens,
+  revokeRefreshToken,
+  verifyAccessToken
+};
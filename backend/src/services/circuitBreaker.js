@@ -0,0 +1,165 @@
+// Consecutive provider faults that open the circuit
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5;
+// How long an open circuit waits before the provider is probed again
+const COOLDOWN_MS = parseInt(process.env.CIRCUIT_COOLDOWN_MS, 10) || 30000;
+// Error rate and latency are computed over the most recent calls in this window
+const WINDOW_SIZE = 50;
+const WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * CircuitBreaker - Tracks one provider's recent calls and decides whether
+ * new tasks may be sent to it.
+ *
+ *   closed     calls flow normally
+ *   open       FAILURE_THRESHOLD faults in a row; no new tasks until a
+ *              health probe succeeds (or, for providers without a probe,
+ *              until COOLDOWN_MS has passed)
+ *   half_open  probe succeeded; the next call closes the circuit again,
+ *              or re-opens it if it fails
+ *
+ * Only provider faults count (network errors, timeouts, 429 and 5xx); a
+ * request the provider rejects as invalid says nothing about its health.
+ */
+class CircuitBreaker {
+
+  constructor(name) {
+    this.name = name;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.calls = [];
+    this.openedAt = null;
+    this.lastError = '';
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+    this.lastProbeAt = null;
+  }
+
+  /**
+   * Whether new tasks may be sent to the provider.
+   */
+  isAvailable() {
+    return this.state !== 'open';
+  }
+
+  /**
+   * Whether an open circuit has cooled down and should be probed.
+   */
+  isProbeDue(now = Date.now()) {
+    return this.state === 'open' && now - this.openedAt.getTime() >= COOLDOWN_MS;
+  }
+
+  recordSuccess(latencyMs) {
+    this.addCall(true, latencyMs);
+    this.consecutiveFailures = 0;
+    this.lastSuccessAt = new Date();
+
+    if (this.state !== 'closed') {
+      console.log(`[Circuit] ${this.name} circuit closed`);
+      this.state = 'closed';
+      this.openedAt = null;
+    }
+  }
+
+  recordFailure(latencyMs, error) {
+    this.addCall(false, latencyMs);
+    this.consecutiveFailures += 1;
+    this.lastError = error.message;
+    this.lastFailureAt = new Date();
+
+    if (this.state === 'half_open' ||
+        (this.state === 'closed' && this.consecutiveFailures >= FAILURE_THRESHOLD)) {
+      this.open();
+    } else if (this.state === 'open') {
+      // Still failing: wait a full cooldown before the next probe
+      this.openedAt = new Date();
+    }
+  }
+
+  /**
+   * Apply the result of a background health probe. `healthy` is null for
+   * providers that have no probe.
+   */
+  recordProbe(healthy, latencyMs, error) {
+    this.lastProbeAt = new Date();
+
+    if (healthy === null) {
+      if (this.isProbeDue()) {
+        this.halfOpen();
+      }
+      return;
+    }
+
+    if (!healthy) {
+      this.recordFailure(latencyMs, error);
+      return;
+    }
+
+    this.addCall(true, latencyMs);
+    this.lastSuccessAt = new Date();
+    if (this.state === 'open') {
+      this.halfOpen();
+    }
+  }
+
+  open() {
+    console.warn(`[Circuit] ${this.name} circuit opened after ${this.consecutiveFailures} consecutive failure(s): ${this.lastError}`);
+    this.state = 'open';
+    this.openedAt = new Date();
+  }
+
+  halfOpen() {
+    console.log(`[Circuit] ${this.name} circuit half-open, next task is a trial`);
+    this.state = 'half_open';
+    this.consecutiveFailures = 0;
+  }
+
+  addCall(ok, latencyMs) {
+    this.calls.push({ ok, latencyMs, at: Date.now() });
+    if (this.calls.length > WINDOW_SIZE) {
+      this.calls.shift();
+    }
+  }
+
+  /**
+   * State, error rate and latency over the recent window, for /health.
+   */
+  getStats(now = Date.now()) {
+    const recent = this.calls.filter(call => now - call.at <= WINDOW_MS);
+    const failures = recent.filter(call => !call.ok).length;
+    const latencies = recent.map(call => call.latencyMs).sort((a, b) => a - b);
+
+    return {
+      state: this.state,
+      calls: recent.length,
+      failures,
+      errorRate: recent.length ? Math.round((failures / recent.length) * 1000) / 1000 : 0,
+      avgLatencyMs: latencies.length
+        ? Math.round(latencies.reduce((sum, value) => sum + value, 0) / latencies.length)
+        : null,
+      p95LatencyMs: latencies.length
+        ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))]
+        : null,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt,
+      lastProbeAt: this.lastProbeAt
+    };
+  }
+}
+
+/**
+ * Whether an error means the provider itself is unhealthy: no response
+ * (network error or timeout), rate limiting, or a server error.
+ */
+function isProviderFault(error) {
+  const status = error.response?.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return !!error.code && !!error.isAxiosError;
+}
+
+module.exports = CircuitBreaker;
+module.exports.isProviderFault = isProviderFault;
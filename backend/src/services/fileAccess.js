@@ -0,0 +1,138 @@
+/**
+ * Who may read a file in uploads/ (served by routes/fileRoutes).
+ *
+ *   signed URL   /uploads/<file>?expires=<unix seconds>&signature=<hmac>,
+ *                handed out in API responses. Anyone holding it can read
+ *                that one file until it expires, so it works where no
+ *                Authorization header can be sent (images, downloads)
+ *   bearer       `Authorization: Bearer <access token>` of the user who
+ *                owns the object the file belongs to
+ *
+ * API responses carry signed URLs; the object documents keep the plain
+ * /uploads paths.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const ObjectModel = require('../models/Object');
+
+// Seconds a signed URL stays valid. Expiry is rounded up to the next
+// multiple, so a file keeps the same URL for a while and clients can
+// cache it; a link lives between one and two TTLs.
+const FILE_URL_TTL_SECONDS = parseInt(process.env.FILE_URL_TTL_SECONDS, 10) || 15 * 60;
+// Derived from the token secret, so a file signature is never a valid
+// token signature. Random when JWT_SECRET is unset (see services/auth).
+const SIGNING_KEY = crypto
+  .createHmac('sha256', process.env.JWT_SECRET || crypto.randomBytes(32))
+  .update('roomsnap-file-urls')
+  .digest();
+
+/**
+ * Signed URL for an /uploads path.
+ *
+ * @param {string} url - '/uploads/...' as stored on an object; '' passes through
+ * @returns {string}
+ */
+function signFileUrl(url) {
+  return url ? issueFileUrl(url).url : url;
+}
+
+/**
+ * Signed URL with its expiry, for GET /api/objects/:id/file-url.
+ *
+ * @param {string} url - '/uploads/...' path
+ * @returns {{ url: string, expiresAt: Date }}
+ */
+function issueFileUrl(url) {
+  const expires = getExpiry();
+  return {
+    url: `${url}?expires=${expires}&signature=${sign(url, expires)}`,
+    expiresAt: new Date(expires * 1000)
+  };
+}
+
+/**
+ * Check the expires/signature query of a signed URL.
+ *
+ * @param {string} url - '/uploads/...' path the request is for
+ * @returns {number|null} seconds left, or null if invalid or expired
+ */
+function verifyFileSignature(url, expires, signature) {
+  const expiresAt = Number(expires);
+  const secondsLeft = expiresAt - Math.floor(Date.now() / 1000);
+
+  if (!Number.isInteger(expiresAt) || secondsLeft <= 0 || typeof signature !== 'string') {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(url, expiresAt));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  return secondsLeft;
+}
+
+/**
+ * Whether a file belongs to an object: one of its photos or its cover
+ * image, or a model file in its directory. Models are stored as
+ * uploads/models/<objectId>/*, or as uploads/models/<objectId>.glb with
+ * its variants and exports beside it for objects from before versions.
+ *
+ * @param {Document} object - with imageUrls, processedImageUrls, thumbnailUrl
+ * @param {string} url - '/uploads/...' path
+ */
+function objectHasFile(object, url) {
+  const id = String(object._id);
+
+  if (path.posix.dirname(url) === '/uploads/models') {
+    const fileName = path.posix.basename(url);
+    return fileName.startsWith(`${id}.`) || fileName.startsWith(`${id}-`);
+  }
+
+  if (url.startsWith(`/uploads/models/${id}/`)) {
+    return path.posix.dirname(url) === `/uploads/models/${id}`;
+  }
+
+  return [...object.imageUrls, ...object.processedImageUrls, object.thumbnailUrl].includes(url);
+}
+
+/**
+ * Whether a user owns the object a file belongs to.
+ *
+ * @param {string} userId
+ * @param {string} url - '/uploads/...' path
+ * @returns {Promise<boolean>}
+ */
+async function userOwnsFile(userId, url) {
+  const match = url.match(/^\/uploads\/models\/([0-9a-f]{24})(?:[/.-]|$)/);
+  const query = match
+    ? { _id: match[1] }
+    : { $or: [{ imageUrls: url }, { processedImageUrls: url }, { thumbnailUrl: url }] };
+
+  const object = await ObjectModel.findOne({ ...query, owner: userId })
+    .select('imageUrls processedImageUrls thumbnailUrl');
+  return !!object && objectHasFile(object, url);
+}
+
+function getExpiry() {
+  const now = Math.floor(Date.now() / 1000);
+  return (Math.floor(now / FILE_URL_TTL_SECONDS) + 2) * FILE_URL_TTL_SECONDS;
+}
+
+function sign(url, expires) {
+  return crypto
+    .createHmac('sha256', SIGNING_KEY)
+    .update(`${url}\n${expires}`)
+    .digest('base64url');
+}
+
+module.exports = {
+  FILE_URL_TTL_SECONDS,
+  signFileUrl,
+  issueFileUrl,
+  verifyFileSignature,
+  objectHasFile,
+  userOwnsFile
+};
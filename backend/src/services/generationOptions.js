@@ -0,0 +1,116 @@
+/**
+ * Per-request generation options (POST /api/objects, /from-prompt and
+ * /:id/regenerate). Options are provider-neutral; each provider maps them
+ * onto its own request fields in createTask.
+ *
+ *   polycount     target triangle/face count (Meshy target_polycount,
+ *                 Tripo face_limit)
+ *   topology      'triangle' or 'quad'
+ *   texture       generate textures
+ *   pbr           generate PBR maps (only with texture)
+ *   modelVersion  'latest', or a version name from a provider's
+ *                 `modelVersions`; providers that don't know the name use
+ *                 their default
+ */
+
+const TOPOLOGIES = ['triangle', 'quad'];
+const MIN_POLYCOUNT = 1000;
+const MAX_POLYCOUNT = 300000;
+
+// Used for anything a request leaves out
+const DEFAULT_OPTIONS = Object.freeze({
+  polycount: 30000,
+  topology: 'triangle',
+  texture: true,
+  pbr: true,
+  modelVersion: 'latest'
+});
+
+/**
+ * Validate client-supplied options and merge them over `base`.
+ *
+ * @param {object|string|undefined} input - options object, or a JSON
+ *   string when sent as a multipart form field
+ * @param {{ base?: object, modelVersions?: string[] }} opts - base defaults
+ *   to DEFAULT_OPTIONS; modelVersions lists the accepted version names
+ * @returns {{ options?: object, error?: string }}
+ */
+function parseGenerationOptions(input, { base = DEFAULT_OPTIONS, modelVersions = ['latest'] } = {}) {
+  const options = resolveOptions(base);
+
+  if (input === undefined || input === null || input === '') {
+    return { options };
+  }
+
+  let raw = input;
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch (error) {
+      return { error: 'options must be a JSON object' };
+    }
+  }
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'options must be a JSON object' };
+  }
+
+  const unknown = Object.keys(raw).filter(key => !(key in DEFAULT_OPTIONS));
+  if (unknown.length > 0) {
+    return { error: `Unknown option(s): ${unknown.join(', ')}` };
+  }
+
+  if (raw.polycount !== undefined) {
+    if (!Number.isInteger(raw.polycount) || raw.polycount < MIN_POLYCOUNT || raw.polycount > MAX_POLYCOUNT) {
+      return { error: `options.polycount must be an integer between ${MIN_POLYCOUNT} and ${MAX_POLYCOUNT}` };
+    }
+    options.polycount = raw.polycount;
+  }
+
+  if (raw.topology !== undefined) {
+    if (!TOPOLOGIES.includes(raw.topology)) {
+      return { error: `options.topology must be one of: ${TOPOLOGIES.join(', ')}` };
+    }
+    options.topology = raw.topology;
+  }
+
+  for (const key of ['texture', 'pbr']) {
+    if (raw[key] !== undefined) {
+      if (typeof raw[key] !== 'boolean') {
+        return { error: `options.${key} must be true or false` };
+      }
+      options[key] = raw[key];
+    }
+  }
+
+  if (raw.modelVersion !== undefined) {
+    if (!modelVersions.includes(raw.modelVersion)) {
+      return { error: `options.modelVersion must be one of: ${modelVersions.join(', ')}` };
+    }
+    options.modelVersion = raw.modelVersion;
+  }
+
+  return { options };
+}
+
+/**
+ * Complete a (possibly partial or stored) set of options with defaults.
+ * Accepts plain objects and Mongoose subdocuments.
+ */
+function resolveOptions(options) {
+  const resolved = { ...DEFAULT_OPTIONS };
+
+  Object.keys(DEFAULT_OPTIONS).forEach((key) => {
+    if (options && options[key] !== undefined && options[key] !== null) {
+      resolved[key] = options[key];
+    }
+  });
+
+  return resolved;
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  parseGenerationOptions,
+  resolveOptions
+};
@@ -0,0 +1,708 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ObjectModel = require('../models/Object');
+const GenerationJob = require('../models/GenerationJob');
+const modelGenerator = require('./modelGenerator');
+const objectEvents = require('./objectEvents');
+const usageTracker = require('./usageTracker');
+const {
+  getVersionUrl,
+  addVersion,
+  toVariantEntries,
+  finishVersion,
+  activateVersion
+} = require('./modelVersions');
+
+const CLAIM_INTERVAL_MS = 2000;
+const POLL_INTERVAL_MS = 5000;
+// Tasks whose provider sends webhooks are still checked this often, in
+// case a webhook never arrives
+const WEBHOOK_FALLBACK_POLL_MS = parseInt(process.env.WEBHOOK_FALLBACK_POLL_MS, 10) || 60000;
+const LEASE_DURATION_MS = 30000;
+// A download, orient and optimize can outlast a lease, so the lease is
+// renewed this often while one runs
+const LEASE_RENEW_MS = LEASE_DURATION_MS / 3;
+const MAX_GENERATION_MS = 300000;
+const MAX_CONCURRENT_JOBS = parseInt(process.env.GENERATION_CONCURRENCY, 10) || 4;
+// Provider tasks per generation: a failed or timed-out task is re-submitted
+// to the next provider until this many have been tried
+const MAX_ATTEMPTS = parseInt(process.env.GENERATION_MAX_ATTEMPTS, 10) || 3;
+// A job that keeps getting orphaned (e.g. crashes the worker) is given up
+const MAX_CLAIMS = 5;
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+/**
+ * GenerationQueue - Durable background worker for async 3D generation.
+ *
+ * Jobs live in MongoDB (models/GenerationJob). A worker claims a job by
+ * taking a lease on it and renews the lease (heartbeat) on every poll.
+ * If the process dies, the lease expires and the job is claimed again,
+ * by this process after a restart or by another instance. A job that
+ * already has a provider task ID resumes polling that task rather than
+ * submitting a new one. When a task fails or times out, the job is
+ * re-submitted to the next provider (up to GENERATION_MAX_ATTEMPTS tasks).
+ *
+ * Provider webhooks (handleWebhook) get a task checked as soon as the
+ * provider reports it: by the worker holding the job's lease, or by the
+ * webhook itself under a lease of its own when no worker holds one, so a
+ * task is only ever settled by one caller. For those providers the worker
+ * otherwise only polls as a fallback.
+ */
+class GenerationQueue {
+
+  constructor() {
+    this.workerId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+    this.activeJobs = new Set();
+    this.timer = null;
+    this.claiming = false;
+  }
+
+  /**
+   * Start claiming jobs. Call once MongoDB is connected.
+   */
+  async start() {
+    if (this.timer) return;
+
+    await this.recoverOrphanedObjects();
+    this.timer = setInterval(() => this.claimJobs(), CLAIM_INTERVAL_MS);
+    console.log(`[Queue] Worker ${this.workerId} started (concurrency ${MAX_CONCURRENT_JOBS})`);
+    this.claimJobs();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue generation for an object and mark it as processing. The result
+   * becomes a new model version; the current model stays in place until
+   * it succeeds. Any job still active for the object is superseded, and
+   * its provider task cancelled so it stops spending credits.
+   *
+   * @param {Document} object - Object document
+   * @param {{ kind?: 'image'|'text', mode?: string }} opts
+   */
+  async enqueue(object, { kind = 'image', mode = '' } = {}) {
+    let superseded;
+    while ((superseded = await GenerationJob.findOneAndUpdate(
+      { object: object._id, status: { $in: ACTIVE_JOB_STATUSES } },
+      {
+        $set: {
+          status: 'failed',
+          lastError: 'Superseded by a new generation request',
+          finishedAt: new Date(),
+          leaseOwner: '',
+          leaseExpiresAt: null
+        }
+      }
+    ))) {
+      if (superseded.taskId) {
+        await modelGenerator.cancelGeneration(superseded.taskId, superseded.method, superseded.mode);
+        this.closeAttempt(object, superseded.taskId, 'cancelled');
+      }
+    }
+
+    object.generationStatus = 'processing';
+    object.generationProgress = 0;
+    object.generationError = '';
+    object.generationTaskId = '';
+    object.generationAttempts = [];
+    const version = addVersion(object);
+    await this.saveObject(object);
+
+    const job = await GenerationJob.create({
+      object: object._id,
+      version: version._id,
+      kind,
+      requestedMode: mode || ''
+    });
+
+    console.log(`[Queue] Job ${job._id} queued for object ${object._id} (${kind})`);
+    this.claimJobs();
+    return job;
+  }
+
+  /**
+   * Stop an object's generation: close its active job (which makes the
+   * worker drop it on its next heartbeat), ask the provider to cancel the
+   * task, and mark the object cancelled.
+   *
+   * @returns {boolean} whether the provider confirmed the cancellation
+   */
+  async cancel(object) {
+    const job = await GenerationJob.findOneAndUpdate(
+      { object: object._id, status: { $in: ACTIVE_JOB_STATUSES } },
+      { $set: { status: 'cancelled', finishedAt: new Date(), leaseOwner: '', leaseExpiresAt: null } }
+    );
+
+    const taskId = job?.taskId || object.generationTaskId;
+    const method = job?.method || object.generationMethod;
+    const providerCancelled = await modelGenerator.cancelGeneration(
+      taskId, method, job?.mode || object.generationMode || 'single'
+    );
+
+    this.closeAttempt(object, taskId, 'cancelled');
+    finishVersion(object, job?.version, 'cancelled');
+    object.generationStatus = 'cancelled';
+    object.generationError = '';
+    await this.saveObject(object);
+
+    console.log(`[Queue] Object ${object._id} generation cancelled`);
+    return providerCancelled;
+  }
+
+  /**
+   * Check a processing object's task right away (used by GET /:id/status)
+   * and apply the result. Returns without checking when the object has no
+   * submitted task yet, when its provider reports by webhook, or when a
+   * worker holds the job's lease (it polls the task itself). Failures are
+   * left to the worker, which decides whether to re-submit to another
+   * provider.
+   */
+  async refreshStatus(object) {
+    const activeJob = await GenerationJob.findOne({
+      object: object._id,
+      status: { $in: ACTIVE_JOB_STATUSES }
+    });
+
+    const taskId = activeJob?.taskId || object.generationTaskId;
+    const method = activeJob?.method || object.generationMethod;
+    if (!taskId || !method || modelGenerator.receivesWebhooks(method)) return;
+
+    const job = activeJob && await this.claimForCheck({ _id: activeJob._id, taskId });
+    if (activeJob && !job) return;
+
+    const check = async () => {
+      const status = await modelGenerator.checkGenerationStatus(
+        taskId,
+        method,
+        object._id.toString(),
+        job?.mode || object.generationMode || 'single',
+        job?.version?.toString()
+      );
+
+      if (status.status === 'FAILED' && job) return;
+      await this.applyStatus(object, status, job);
+    };
+
+    if (!job) {
+      await check();
+      return;
+    }
+
+    try {
+      await this.whileLeased(job, check);
+    } finally {
+      await this.releaseCheck(job);
+    }
+  }
+
+  /**
+   * Apply a provider webhook for a task: download the model on success,
+   * re-submit or fail on failure, otherwise record progress.
+   *
+   * When a worker holds the job's lease, it is asked to check the task on
+   * its next heartbeat instead, so the two never download the same model.
+   *
+   * @param {string} method - provider name
+   * @param {string} taskId - provider task ID
+   * @param {object} status - normalized status from the provider's parseWebhook
+   * @returns {boolean} false when no active generation is waiting on the task
+   */
+  async handleWebhook(method, taskId, status) {
+    const job = await this.claimForCheck({ method, taskId });
+
+    if (!job) {
+      const result = await GenerationJob.updateOne(
+        { method, taskId, status: { $in: ACTIVE_JOB_STATUSES } },
+        { $set: { checkRequestedAt: new Date() } }
+      );
+      return result.matchedCount > 0;
+    }
+
+    try {
+      const object = await ObjectModel.findById(job.object);
+      if (!object || object.generationStatus !== 'processing') return false;
+
+      await this.whileLeased(job, async () => {
+        const resolved = await modelGenerator.resolveStatus(
+          method, status, object._id.toString(), job.version?.toString()
+        );
+        await this.applyStatus(object, resolved, job);
+      });
+      return true;
+    } finally {
+      await this.releaseCheck(job);
+    }
+  }
+
+  /**
+   * Atomically take the lease on a submitted, active job for a one-off
+   * check (webhook or status request) when no worker holds it.
+   *
+   * @param {object} filter - selects the job, including its taskId
+   * @returns {Document|null} null when the lease is taken
+   */
+  claimForCheck(filter) {
+    const now = new Date();
+
+    return GenerationJob.findOneAndUpdate(
+      {
+        ...filter,
+        status: { $in: ACTIVE_JOB_STATUSES },
+        $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: now } }]
+      },
+      {
+        $set: {
+          status: 'running',
+          leaseOwner: `${this.workerId}-check`,
+          leaseExpiresAt: new Date(now.getTime() + LEASE_DURATION_MS),
+          heartbeatAt: now
+        }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Hand a job checked under claimForCheck back to the workers, unless the
+   * check closed it.
+   */
+  releaseCheck(job) {
+    return GenerationJob.updateOne(
+      { _id: job._id, leaseOwner: job.leaseOwner, status: 'running' },
+      { $set: { leaseOwner: '', leaseExpiresAt: null } }
+    );
+  }
+
+  /**
+   * Claim jobs until the concurrency limit is reached or none are left.
+   */
+  async claimJobs() {
+    if (this.claiming) return;
+    this.claiming = true;
+
+    try {
+      while (this.activeJobs.size < MAX_CONCURRENT_JOBS) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        const jobId = job._id.toString();
+        this.activeJobs.add(jobId);
+        this.runJob(job).finally(() => this.activeJobs.delete(jobId));
+      }
+    } catch (error) {
+      console.error('[Queue] Failed to claim jobs:', error.message);
+    } finally {
+      this.claiming = false;
+    }
+  }
+
+  /**
+   * Atomically take the lease on the oldest job that is unleased or whose
+   * lease has expired. Jobs this process is already running are skipped,
+   * since their lease carries the same owner.
+   */
+  claimNext() {
+    const now = new Date();
+
+    return GenerationJob.findOneAndUpdate(
+      {
+        _id: { $nin: [...this.activeJobs] },
+        status: { $in: ACTIVE_JOB_STATUSES },
+        $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: now } }]
+      },
+      {
+        $set: {
+          status: 'running',
+          leaseOwner: this.workerId,
+          leaseExpiresAt: new Date(now.getTime() + LEASE_DURATION_MS),
+          heartbeatAt: now
+        },
+        $inc: { claims: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Extend our lease and return the job as currently stored (a webhook may
+   * have moved it on). Returns null when the job was taken over or
+   * finished elsewhere, in which case we must stop working on it.
+   */
+  heartbeat(job) {
+    const now = new Date();
+    return GenerationJob.findOneAndUpdate(
+      { _id: job._id, leaseOwner: this.workerId, status: 'running' },
+      { $set: { leaseExpiresAt: new Date(now.getTime() + LEASE_DURATION_MS), heartbeatAt: now } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Run `work` while renewing the lease on a job every LEASE_RENEW_MS, so
+   * a slow check or submission is not claimed by another worker meanwhile.
+   */
+  async whileLeased(job, work) {
+    const timer = setInterval(() => {
+      const now = new Date();
+      GenerationJob.updateOne(
+        { _id: job._id, leaseOwner: job.leaseOwner, status: 'running' },
+        { $set: { leaseExpiresAt: new Date(now.getTime() + LEASE_DURATION_MS), heartbeatAt: now } }
+      ).catch(error => console.error(`[Queue] Failed to renew lease on job ${job._id}:`, error.message));
+    }, LEASE_RENEW_MS);
+
+    try {
+      return await work();
+    } finally {
+      clearInterval(timer);
+    }
+  }
+
+  /**
+   * Drive one job to completion: submit it if needed, then poll.
+   */
+  async runJob(job) {
+    const objectId = job.object.toString();
+
+    try {
+      if (job.claims > MAX_CLAIMS) {
+        const object = await ObjectModel.findById(objectId);
+        await this.failJob(job, object, 'Generation abandoned after repeated worker restarts');
+        return;
+      }
+
+      if (job.taskId) {
+        console.log(`[Queue] Resuming job ${job._id}: polling ${job.method} task ${job.taskId}`);
+      }
+
+      let nextCheckAt = 0;
+      let checkedAt = new Date(0);
+
+      while (true) {
+        const current = await this.heartbeat(job);
+        if (!current) {
+          console.log(`[Queue] Lost lease on job ${job._id}, stopping.`);
+          return;
+        }
+        job = current;
+
+        const object = await ObjectModel.findById(objectId);
+        if (!object || object.generationStatus !== 'processing') {
+          console.log(`[Queue] Object ${objectId} no longer processing, stopping.`);
+          await this.finishJob(job, 'failed', 'Object no longer processing');
+          return;
+        }
+
+        if (!job.taskId) {
+          await this.whileLeased(job, () => this.submit(job, object));
+          nextCheckAt = 0;
+        } else if (Date.now() - job.startedAt.getTime() > MAX_GENERATION_MS) {
+          console.log(`[Queue] Object ${objectId}: ${job.method} task ${job.taskId} timed out.`);
+          await modelGenerator.cancelGeneration(job.taskId, job.method, job.mode);
+          if (await this.retryOrFail(job, object, 'Generation timed out after 5 minutes', 'timed_out')) {
+            return;
+          }
+          continue;
+        } else if (Date.now() >= nextCheckAt || job.checkRequestedAt > checkedAt) {
+          checkedAt = new Date();
+          const settled = await this.whileLeased(job, async () => {
+            const status = await modelGenerator.checkGenerationStatus(
+              job.taskId, job.method, objectId, job.mode, job.version?.toString()
+            );
+            return this.applyStatus(object, status, job);
+          });
+
+          if (settled) {
+            return;
+          }
+
+          nextCheckAt = Date.now() + (modelGenerator.receivesWebhooks(job.method)
+            ? WEBHOOK_FALLBACK_POLL_MS
+            : POLL_INTERVAL_MS);
+        }
+
+        await this.sleep(POLL_INTERVAL_MS);
+      }
+    } catch (error) {
+      // Let the lease lapse right away so the job is retried
+      console.error(`[Queue] Error running job ${job._id}:`, error.message);
+      await GenerationJob.updateOne(
+        { _id: job._id, leaseOwner: this.workerId },
+        { $set: { leaseExpiresAt: new Date(), lastError: error.message } }
+      ).catch(() => {});
+    }
+  }
+
+  /**
+   * Submit the job's provider task and record where it went.
+   */
+  async submit(job, object) {
+    const objectId = object._id.toString();
+    let genResult;
+
+    try {
+      genResult = job.kind === 'text'
+        ? await modelGenerator.startTextGeneration(objectId, {
+          prompt: object.prompt,
+          negativePrompt: object.negativePrompt,
+          options: object.generationOptions,
+          avoid: job.triedMethods
+        })
+        : await modelGenerator.startGeneration(objectId, resolveImagePaths(object), {
+          mode: job.requestedMode || undefined,
+          options: object.generationOptions,
+          avoid: job.triedMethods
+        });
+    } catch (error) {
+      console.error(`[Queue] Background generation failed for ${objectId}:`, error.message);
+      await this.failJob(job, object, error.message);
+      return;
+    }
+
+    job.taskId = genResult.taskId;
+    job.method = genResult.method;
+    job.mode = genResult.mode;
+    job.startedAt = new Date();
+    job.attempts += 1;
+    job.triedMethods.push(genResult.method);
+    await job.save();
+
+    object.generationTaskId = genResult.taskId;
+    object.generationMethod = genResult.method;
+    object.generationMode = genResult.mode;
+    const version = job.version && object.modelVersions.id(job.version);
+    if (version) {
+      version.method = genResult.method;
+      version.mode = genResult.mode;
+    }
+    object.generationAttempts.push({
+      method: genResult.method,
+      mode: genResult.mode,
+      taskId: genResult.taskId,
+      credits: genResult.credits,
+      cost: genResult.cost,
+      startedAt: job.startedAt
+    });
+    await this.saveObject(object);
+
+    console.log(`[Queue] Object ${objectId}: ${genResult.method} ${genResult.mode} task ${genResult.taskId} submitted (attempt ${job.attempts}/${MAX_ATTEMPTS})`);
+  }
+
+  /**
+   * Apply a normalized provider status to the object (and its job).
+   * @returns {boolean} true when the generation reached a final state
+   */
+  async applyStatus(object, status, job) {
+    const objectId = object._id.toString();
+
+    if (status.status === 'SUCCEEDED') {
+      // Close the job before touching the object: one cancelled or
+      // superseded while the model was downloading keeps its status
+      if (job && !(await this.completeJob(job))) {
+        console.log(`[Queue] Job ${job._id} was closed elsewhere, dropping its result.`);
+        return true;
+      }
+
+      const startedAt = job?.startedAt || object.createdAt;
+      object.generationStatus = 'completed';
+      object.generationProgress = 100;
+      object.generationTime = Date.now() - startedAt.getTime();
+
+      const modelUrl = job?.version ? getVersionUrl(objectId, job.version) : `/uploads/models/${objectId}.glb`;
+      const version = finishVersion(object, job?.version, 'completed', {
+        modelUrl,
+        size: status.modelPath && fs.existsSync(status.modelPath) ? fs.statSync(status.modelPath).size : 0,
+        modelStats: status.modelStats,
+        variants: toVariantEntries(modelUrl, status.variants),
+        generationTime: object.generationTime
+      });
+      if (version) {
+        activateVersion(object, version);
+      } else {
+        object.modelUrl = modelUrl;
+        object.modelStats = status.modelStats;
+        object.modelVariants = toVariantEntries(modelUrl, status.variants);
+      }
+      this.closeAttempt(object, object.generationTaskId, 'succeeded');
+      await this.saveObject(object);
+
+      console.log(`[Queue] Object ${objectId} generation completed!`);
+      return true;
+    }
+
+    if (status.status === 'FAILED') {
+      console.log(`[Queue] Object ${objectId}: ${object.generationMethod} task failed: ${status.error}`);
+      return this.retryOrFail(job, object, status.error || 'Generation failed', 'failed');
+    }
+
+    if (status.progress > object.generationProgress) {
+      object.generationProgress = status.progress;
+      await this.saveObject(object);
+    }
+    return false;
+  }
+
+  /**
+   * Record a failed or timed-out provider task on the object, then either
+   * clear the job's task so the worker re-submits it to the next provider,
+   * or fail the job once MAX_ATTEMPTS tasks have been tried.
+   *
+   * @returns {boolean} true when the generation was failed for good
+   */
+  async retryOrFail(job, object, message, attemptStatus) {
+    this.closeAttempt(object, object.generationTaskId, attemptStatus, message);
+
+    if (!job || job.attempts >= MAX_ATTEMPTS) {
+      await this.failJob(job, object, message);
+      console.log(`[Queue] Object ${object._id} generation failed after ${job?.attempts || 1} attempt(s): ${message}`);
+      return true;
+    }
+
+    // Only the first to see the failure (worker or webhook) re-submits
+    const result = await GenerationJob.updateOne(
+      { _id: job._id, taskId: job.taskId, status: { $in: ACTIVE_JOB_STATUSES } },
+      { $set: { taskId: '', method: '', mode: '', startedAt: null, lastError: message } }
+    );
+    if (result.matchedCount === 0) return false;
+    job.taskId = '';
+
+    object.generationTaskId = '';
+    object.generationProgress = 0;
+    await this.saveObject(object);
+
+    console.log(`[Queue] Object ${object._id}: re-submitting to the next provider (attempt ${job.attempts + 1}/${MAX_ATTEMPTS})`);
+    return false;
+  }
+
+  /**
+   * Mark the object's attempt for a task as finished (caller saves) and
+   * record the outcome in the usage log.
+   */
+  closeAttempt(object, taskId, status, error = '') {
+    const attempt = object.generationAttempts.find(
+      entry => entry.taskId === taskId && entry.status === 'running'
+    );
+    if (!attempt) return;
+
+    attempt.status = status;
+    attempt.error = error;
+    attempt.finishedAt = new Date();
+    usageTracker.recordOutcome(attempt.method, taskId, status);
+  }
+
+  async failJob(job, object, message) {
+    if (job && !(await this.finishJob(job, 'failed', message))) {
+      return;
+    }
+    if (object) {
+      finishVersion(object, job?.version, 'failed', { error: message });
+      object.generationStatus = 'failed';
+      object.generationError = message;
+      await this.saveObject(object);
+    }
+  }
+
+  /**
+   * Close a job we hold the lease on as completed.
+   *
+   * @returns {boolean} false when the job was cancelled, superseded or
+   *   taken over meanwhile, in which case its result must be dropped
+   */
+  async completeJob(job) {
+    const completed = await GenerationJob.findOneAndUpdate(
+      { _id: job._id, status: 'running', leaseOwner: job.leaseOwner },
+      {
+        $set: { status: 'completed', lastError: '', finishedAt: new Date(), leaseOwner: '', leaseExpiresAt: null }
+      }
+    );
+    return !!completed;
+  }
+
+  /**
+   * Close a job. Jobs already closed elsewhere (cancelled, superseded)
+   * keep their status.
+   *
+   * @returns {boolean} whether this call closed the job
+   */
+  async finishJob(job, status, message = '') {
+    const result = await GenerationJob.updateOne(
+      { _id: job._id, status: { $in: ACTIVE_JOB_STATUSES } },
+      {
+        $set: { status, lastError: message, finishedAt: new Date(), leaseOwner: '', leaseExpiresAt: null }
+      }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Queue jobs for objects left 'processing' without an active job
+   * (e.g. created before the queue existed). Objects that already have a
+   * provider task resume polling it.
+   */
+  async recoverOrphanedObjects() {
+    const processing = await ObjectModel.find({ generationStatus: 'processing' });
+
+    for (const object of processing) {
+      const hasJob = await GenerationJob.exists({
+        object: object._id,
+        status: { $in: ACTIVE_JOB_STATUSES }
+      });
+      if (hasJob) continue;
+
+      const resume = !!(object.generationTaskId && object.generationMethod);
+      const version = object.modelVersions.find(entry => entry.status === 'processing') ||
+        addVersion(object);
+      await object.save();
+
+      await GenerationJob.create({
+        object: object._id,
+        version: version._id,
+        kind: object.generationMode === 'text' ? 'text' : 'image',
+        taskId: resume ? object.generationTaskId : '',
+        method: resume ? object.generationMethod : '',
+        mode: resume ? (object.generationMode || 'single') : '',
+        startedAt: resume ? new Date() : null,
+        attempts: resume ? 1 : 0,
+        triedMethods: resume ? [object.generationMethod] : []
+      });
+
+      console.log(`[Queue] Recovered orphaned object ${object._id} (${resume ? 'resume polling' : 'resubmit'})`);
+    }
+  }
+
+  /**
+   * Save an object's generation state and push it to event stream
+   * subscribers.
+   */
+  async saveObject(object) {
+    await object.save();
+    objectEvents.publish(object);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+/**
+ * Absolute paths of the images to send for an object: the preprocessed
+ * variant of each photo, or the original where there is none. Images
+ * missing from disk are skipped.
+ */
+function resolveImagePaths(object) {
+  return object.imageUrls
+    .map((url, index) => {
+      const processedUrl = object.processedImageUrls?.[index];
+      const processedPath = processedUrl && path.join(__dirname, '../..', processedUrl);
+      return processedPath && fs.existsSync(processedPath)
+        ? processedPath
+        : path.join(__dirname, '../..', url);
+    })
+    .filter(p => fs.existsSync(p));
+}
+
+module.exports = new GenerationQueue();
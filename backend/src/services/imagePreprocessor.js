@@ -0,0 +1,153 @@
+const path = require('path');
+const sharp = require('sharp');
+const { segmentSubject } = require('../utils/segmentation');
+
+// Set IMAGE_PREPROCESSING=false to send the original uploads to providers
+const ENABLED = process.env.IMAGE_PREPROCESSING !== 'false';
+// Longest side of a processed photo (px)
+const MAX_SIZE = 2048;
+// Space kept around the subject when cropping, as a fraction of its size
+const CROP_MARGIN = 0.08;
+// Softens the cut-out edge (sigma at full resolution)
+const MASK_FEATHER = 1.5;
+const BACKGROUND = { r: 255, g: 255, b: 255 };
+const OUTPUT_SUFFIX = '-processed.jpg';
+
+/**
+ * Prepare an uploaded photo for the generation providers:
+ *
+ *   1. apply the EXIF orientation and drop all metadata (GPS, camera, ...)
+ *   2. normalize exposure (stretch luminance to the full range)
+ *   3. find the subject (utils/segmentation), crop to it with a margin
+ *      and replace the background with white
+ *   4. pad to a square on white
+ *
+ * When the subject can't be separated, step 3 is skipped. The result is
+ * written next to the original as <name>-processed.jpg; the original is
+ * left untouched.
+ *
+ * @param {string} inputPath - absolute path of the uploaded photo
+ * @returns {Promise<{ path: string, segmented: boolean, coverage: number }>}
+ */
+async function preprocessImage(inputPath) {
+  const { data: normalized, info } = await sharp(inputPath)
+    .rotate()
+    .resize(MAX_SIZE, MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .removeAlpha()
+    .normalise()
+    .png({ compressionLevel: 1 })
+    .toBuffer({ resolveWithObject: true });
+
+  const segmentation = await segmentSubject(normalized);
+  let subject = normalized;
+
+  if (segmentation.segmented) {
+    const region = cropRegion(segmentation, info.width, info.height);
+    const mask = await buildMask(segmentation, info.width, info.height, region);
+
+    const cutout = await sharp(normalized)
+      .extract(region)
+      .joinChannel(mask, { raw: { width: region.width, height: region.height, channels: 1 } })
+      .png({ compressionLevel: 1 })
+      .toBuffer();
+
+    subject = await sharp(cutout)
+      .flatten({ background: BACKGROUND })
+      .png({ compressionLevel: 1 })
+      .toBuffer();
+  }
+
+  const { width, height } = await sharp(subject).metadata();
+  const size = Math.max(width, height);
+  const outputPath = getProcessedPath(inputPath);
+
+  await sharp(subject)
+    .resize(size, size, { fit: 'contain', background: BACKGROUND })
+    .jpeg({ quality: 92 })
+    .toFile(outputPath);
+
+  return {
+    path: outputPath,
+    segmented: segmentation.segmented,
+    coverage: segmentation.coverage
+  };
+}
+
+/**
+ * Preprocess several uploads, one at a time. A photo that fails to
+ * process gets null, so callers fall back to its original.
+ *
+ * @param {string[]} imagePaths
+ * @returns {Promise<Array<string|null>>} processed paths, in input order
+ */
+async function preprocessImages(imagePaths) {
+  if (!ENABLED) {
+    return imagePaths.map(() => null);
+  }
+
+  const results = [];
+  for (const imagePath of imagePaths) {
+    try {
+      const result = await preprocessImage(imagePath);
+      console.log(`[Preprocess] ${path.basename(imagePath)} -> ${path.basename(result.path)}` +
+        (result.segmented ? ` (subject ${(result.coverage * 100).toFixed(0)}% of frame)` : ' (no subject found, kept full frame)'));
+      results.push(result.path);
+    } catch (error) {
+      console.error(`[Preprocess] Failed to process ${path.basename(imagePath)}:`, error.message);
+      results.push(null);
+    }
+  }
+  return results;
+}
+
+/**
+ * Path the processed variant of an upload is stored at.
+ */
+function getProcessedPath(inputPath) {
+  const { dir, name } = path.parse(inputPath);
+  return path.join(dir, `${name}${OUTPUT_SUFFIX}`);
+}
+
+/**
+ * The subject's bounding box scaled to full resolution, grown by
+ * CROP_MARGIN and clamped to the image.
+ */
+function cropRegion(segmentation, width, height) {
+  const scale = width / segmentation.width;
+  const { bbox } = segmentation;
+  const margin = Math.round(Math.max(bbox.width, bbox.height) * scale * CROP_MARGIN);
+
+  const left = Math.max(0, Math.floor(bbox.left * scale) - margin);
+  const top = Math.max(0, Math.floor(bbox.top * scale) - margin);
+  const right = Math.min(width, Math.ceil((bbox.left + bbox.width) * scale) + margin);
+  const bottom = Math.min(height, Math.ceil((bbox.top + bbox.height) * scale) + margin);
+
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * The subject mask upscaled to full resolution, feathered, and cut to
+ * the crop region. Single-channel raw pixels.
+ */
+async function buildMask(segmentation, width, height, region) {
+  const upscaled = await sharp(Buffer.from(segmentation.mask), {
+    raw: { width: segmentation.width, height: segmentation.height, channels: 1 }
+  })
+    .resize(width, height, { fit: 'fill' })
+    .blur(MASK_FEATHER)
+    .extractChannel(0)
+    .raw()
+    .toBuffer();
+
+  return sharp(upscaled, { raw: { width, height, channels: 1 } })
+    .extract(region)
+    .extractChannel(0)
+    .raw()
+    .toBuffer();
+}
+
+module.exports = {
+  preprocessImage,
+  preprocessImages,
+  getProcessedPath
+};
@@ -0,0 +1,579 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { getGltfIO } = require('../utils/gltfIO');
+const { ZipBuilder } = require('../utils/zip');
+
+const EXPORT_FORMATS = {
+  usdz: { extension: '.usdz', contentType: 'model/vnd.usdz+zip' },
+  obj: { extension: '.obj.zip', contentType: 'application/zip' },
+  stl: { extension: '.stl', contentType: 'model/stl' },
+  gltf: { extension: '.gltf', contentType: 'model/gltf+json' }
+};
+// Slicers read STL as millimeters
+const STL_UNITS_PER_METER = 1000;
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+
+// Exports being written, by output path, so concurrent requests share one
+const pending = new Map();
+
+/**
+ * Convert a model GLB to another format, caching the result next to it as
+ * <name><extension> (e.g. <versionId>.usdz), or <name>-<scale key><extension>
+ * when scaled. A cached export is reused until the GLB or the scale
+ * changes.
+ *
+ *   usdz  USDA mesh with UsdPreviewSurface materials, for iOS Quick Look
+ *   obj   OBJ + MTL + textures, zipped, for CAD and DCC tools
+ *   stl   binary STL in millimeters, Z up, for 3D printing
+ *   gltf  single-file glTF JSON with embedded buffers and images
+ *
+ * Provider models come in arbitrary units. With `scale` (the object's
+ * real-size factor, services/modelScale) the export is in true meters
+ * (millimeters for STL); without it, model units are written as meters and
+ * the file says it is uncalibrated.
+ *
+ * USDZ, OBJ and STL keep geometry, UVs, normals and base color (factor and
+ * texture); other PBR maps only survive in glTF.
+ *
+ * @param {string} glbPath
+ * @param {string} format - a key of EXPORT_FORMATS
+ * @param {{ scale?: number|null }} opts
+ * @returns {Promise<{ path: string, contentType: string, extension: string }>}
+ */
+async function exportModel(glbPath, format, { scale = null } = {}) {
+  const { extension, contentType } = EXPORT_FORMATS[format];
+  const { dir, name } = path.parse(glbPath);
+  const outputPath = path.join(dir, `${name}${scale ? `-${getScaleKey(scale)}` : ''}${extension}`);
+
+  if (!isFresh(outputPath, glbPath)) {
+    if (!pending.has(outputPath)) {
+      pending.set(outputPath, writeExport(glbPath, format, outputPath, scale)
+        .finally(() => pending.delete(outputPath)));
+    }
+    await pending.get(outputPath);
+  }
+
+  return { path: outputPath, contentType, extension };
+}
+
+async function writeExport(glbPath, format, outputPath, scale) {
+  const startTime = Date.now();
+  const io = await getGltfIO();
+  const document = await io.read(glbPath);
+
+  let output;
+  if (format === 'gltf') {
+    if (scale) applyScale(document, scale);
+    output = await toEmbeddedGltf(io, document);
+  } else {
+    const scene = await collectScene(document, scale);
+    output = format === 'usdz' ? toUsdz(scene)
+      : format === 'obj' ? toObjZip(scene)
+        : toStl(scene);
+  }
+
+  // Written under a temporary name so a half-written file is never served
+  const tempPath = `${outputPath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, output);
+  await fs.promises.rename(tempPath, outputPath);
+  removeStaleExports(glbPath, format, outputPath);
+
+  console.log(`[Export] ${path.basename(glbPath)} -> ${path.basename(outputPath)} (${(output.length / (1024 * 1024)).toFixed(2)} MB) in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+}
+
+function isFresh(outputPath, sourcePath) {
+  return fs.existsSync(outputPath) &&
+    fs.statSync(outputPath).mtimeMs >= fs.statSync(sourcePath).mtimeMs;
+}
+
+/**
+ * Short file-name key for a scale factor, so a new realDimension gets a
+ * new cached export.
+ */
+function getScaleKey(scale) {
+  return `s${crypto.createHash('sha1').update(scale.toPrecision(8)).digest('hex').slice(0, 10)}`;
+}
+
+/**
+ * Delete exports of the same model and format made at other scales.
+ */
+function removeStaleExports(glbPath, format, keepPath) {
+  const { extension } = EXPORT_FORMATS[format];
+  const { dir, name } = path.parse(glbPath);
+  const scaled = new RegExp(`^${name}-s[0-9a-f]{10}${extension.replace(/\./g, '\\.')}$`);
+
+  fs.readdirSync(dir)
+    .filter(file => file === `${name}${extension}` || scaled.test(file))
+    .map(file => path.join(dir, file))
+    .filter(file => file !== keepPath)
+    .forEach(file => fs.rmSync(file, { force: true }));
+}
+
+/**
+ * Put the scene's root nodes under one node scaling them by `scale`.
+ */
+function applyScale(document, scale) {
+  const root = document.getRoot();
+  const scene = root.getDefaultScene() || root.listScenes()[0];
+  if (!scene) return;
+
+  const realSize = document.createNode('RealSize').setScale([scale, scale, scale]);
+  scene.listChildren().forEach((child) => {
+    scene.removeChild(child);
+    realSize.addChild(child);
+  });
+  scene.addChild(realSize);
+}
+
+/**
+ * Flatten the default scene into world-space triangle meshes:
+ *
+ *   meshes      [{ positions, normals, uvs, indices, material }] with
+ *               positions/normals transformed by their node (positions
+ *               then multiplied by `scale`), uvs in glTF orientation
+ *               (v down) and material an index into materials
+ *   materials   [{ color: [r, g, b, a], metallic, roughness, texture }]
+ *               where texture is { data, extension } (PNG or JPEG) or null
+ *   calibrated  whether positions are in true meters
+ */
+async function collectScene(document, scale = null) {
+  const root = document.getRoot();
+  const scene = root.getDefaultScene() || root.listScenes()[0];
+  const meshes = [];
+  const materials = [];
+  const materialIndices = new Map();
+
+  const materialIndex = async (material) => {
+    if (!materialIndices.has(material)) {
+      materialIndices.set(material, materials.length);
+      materials.push(await convertMaterial(material));
+    }
+    return materialIndices.get(material);
+  };
+
+  const nodes = [];
+  if (scene) {
+    scene.traverse(node => node.getMesh() && nodes.push(node));
+  }
+
+  for (const node of nodes) {
+    const matrix = node.getWorldMatrix();
+    const normalMatrix = getNormalMatrix(matrix);
+
+    for (const primitive of node.getMesh().listPrimitives()) {
+      const indices = triangleIndices(primitive);
+      const position = primitive.getAttribute('POSITION');
+      if (!indices || !position) continue;
+
+      const material = primitive.getMaterial();
+      const texCoord = material?.getBaseColorTextureInfo()?.getTexCoord() || 0;
+
+      meshes.push({
+        positions: readVectors(position, 3, value => transformPoint(matrix, value).map(v => v * (scale || 1))),
+        normals: primitive.getAttribute('NORMAL')
+          ? readVectors(primitive.getAttribute('NORMAL'), 3, value => transformNormal(normalMatrix, value))
+          : null,
+        uvs: primitive.getAttribute(`TEXCOORD_${texCoord}`)
+          ? readVectors(primitive.getAttribute(`TEXCOORD_${texCoord}`), 2)
+          : null,
+        indices,
+        material: await materialIndex(material)
+      });
+    }
+  }
+
+  if (meshes.length === 0) {
+    throw new Error('Model has no triangle meshes to export');
+  }
+
+  return { meshes, materials, calibrated: !!scale };
+}
+
+async function convertMaterial(material) {
+  if (!material) {
+    return { color: [0.8, 0.8, 0.8, 1], metallic: 0, roughness: 1, texture: null };
+  }
+
+  const texture = material.getBaseColorTexture();
+  let converted = null;
+
+  if (texture?.getImage()) {
+    const mimeType = texture.getMimeType();
+    const image = Buffer.from(texture.getImage());
+    try {
+      converted = mimeType === 'image/jpeg' ? { data: image, extension: 'jpg' }
+        : mimeType === 'image/png' ? { data: image, extension: 'png' }
+          : { data: await sharp(image).png().toBuffer(), extension: 'png' };
+    } catch (error) {
+      console.warn(`[Export] Dropping ${mimeType} texture that can't be converted: ${error.message}`);
+    }
+  }
+
+  return {
+    color: material.getBaseColorFactor(),
+    metallic: material.getMetallicFactor(),
+    roughness: material.getRoughnessFactor(),
+    texture: converted
+  };
+}
+
+/**
+ * Index list of a primitive as separate triangles, or null for point and
+ * line primitives.
+ */
+function triangleIndices(primitive) {
+  const mode = primitive.getMode();
+  const indexAccessor = primitive.getIndices();
+  const count = indexAccessor ? indexAccessor.getCount() : primitive.getAttribute('POSITION').getCount();
+  const index = i => (indexAccessor ? indexAccessor.getScalar(i) : i);
+
+  if (mode === MODE_TRIANGLES) {
+    const indices = new Uint32Array(count - (count % 3));
+    for (let i = 0; i < indices.length; i++) indices[i] = index(i);
+    return indices;
+  }
+
+  if (mode === MODE_TRIANGLE_STRIP || mode === MODE_TRIANGLE_FAN) {
+    const triangles = Math.max(0, count - 2);
+    const indices = new Uint32Array(triangles * 3);
+    for (let i = 0; i < triangles; i++) {
+      const corners = mode === MODE_TRIANGLE_FAN ? [0, i + 1, i + 2]
+        : i % 2 === 0 ? [i, i + 1, i + 2] : [i + 1, i, i + 2];
+      corners.forEach((corner, c) => { indices[i * 3 + c] = index(corner); });
+    }
+    return indices;
+  }
+
+  return null;
+}
+
+function readVectors(accessor, size, transform) {
+  const count = accessor.getCount();
+  const out = new Float32Array(count * size);
+  const element = [];
+
+  for (let i = 0; i < count; i++) {
+    accessor.getElement(i, element);
+    const value = transform ? transform(element) : element;
+    for (let c = 0; c < size; c++) out[i * size + c] = value[c];
+  }
+  return out;
+}
+
+// --- Formats ---
+
+async function toEmbeddedGltf(io, document) {
+  const { json, resources } = await io.writeJSON(document);
+  const dataUri = (uri, mimeType) =>
+    `data:${mimeType};base64,${Buffer.from(resources[uri]).toString('base64')}`;
+
+  (json.buffers || []).forEach((buffer) => {
+    if (buffer.uri && resources[buffer.uri]) {
+      buffer.uri = dataUri(buffer.uri, 'application/octet-stream');
+    }
+  });
+  (json.images || []).forEach((image) => {
+    if (image.uri && resources[image.uri]) {
+      image.uri = dataUri(image.uri, image.mimeType || guessImageType(image.uri));
+    }
+  });
+
+  return Buffer.from(JSON.stringify(json));
+}
+
+function toStl({ meshes, calibrated }) {
+  const triangleCount = meshes.reduce((sum, mesh) => sum + mesh.indices.length / 3, 0);
+  const buffer = Buffer.alloc(84 + triangleCount * 50);
+  buffer.write(`RoomSnap AR export, ${calibrated ? 'units: mm' : 'uncalibrated scale'}, Z up`, 0, 'ascii');
+  buffer.writeUInt32LE(triangleCount, 80);
+
+  // glTF is Y up; printers expect Z up
+  const vertex = (positions, i) => [
+    positions[i * 3] * STL_UNITS_PER_METER,
+    -positions[i * 3 + 2] * STL_UNITS_PER_METER,
+    positions[i * 3 + 1] * STL_UNITS_PER_METER
+  ];
+
+  let offset = 84;
+  meshes.forEach(({ positions, indices }) => {
+    for (let t = 0; t < indices.length; t += 3) {
+      const a = vertex(positions, indices[t]);
+      const b = vertex(positions, indices[t + 1]);
+      const c = vertex(positions, indices[t + 2]);
+
+      [faceNormal(a, b, c), a, b, c].forEach((vector) => {
+        vector.forEach((value) => {
+          buffer.writeFloatLE(value, offset);
+          offset += 4;
+        });
+      });
+      offset += 2; // attribute byte count
+    }
+  });
+
+  return buffer;
+}
+
+function toObjZip({ meshes, materials, calibrated }) {
+  const zip = new ZipBuilder();
+  const obj = [`# RoomSnap AR export, ${calibrated ? 'units: m' : 'uncalibrated scale'}, Y up`, 'mtllib model.mtl'];
+  const mtl = ['# RoomSnap AR export'];
+  let positionBase = 1;
+  let uvBase = 1;
+  let normalBase = 1;
+
+  materials.forEach((material, index) => {
+    const [r, g, b, a] = material.color;
+    mtl.push(
+      '',
+      `newmtl material_${index}`,
+      `Kd ${num(r)} ${num(g)} ${num(b)}`,
+      `d ${num(a)}`,
+      `Pm ${num(material.metallic)}`,
+      `Pr ${num(material.roughness)}`,
+      'illum 2'
+    );
+    if (material.texture) {
+      const file = `textures/material_${index}.${material.texture.extension}`;
+      mtl.push(`map_Kd ${file}`);
+      zip.addFile(file, material.texture.data);
+    }
+  });
+
+  meshes.forEach((mesh, index) => {
+    const vertexCount = mesh.positions.length / 3;
+    obj.push(`o mesh_${index}`);
+    for (let i = 0; i < vertexCount; i++) {
+      obj.push(`v ${num(mesh.positions[i * 3])} ${num(mesh.positions[i * 3 + 1])} ${num(mesh.positions[i * 3 + 2])}`);
+    }
+    if (mesh.uvs) {
+      for (let i = 0; i < vertexCount; i++) {
+        obj.push(`vt ${num(mesh.uvs[i * 2])} ${num(1 - mesh.uvs[i * 2 + 1])}`);
+      }
+    }
+    if (mesh.normals) {
+      for (let i = 0; i < vertexCount; i++) {
+        obj.push(`vn ${num(mesh.normals[i * 3])} ${num(mesh.normals[i * 3 + 1])} ${num(mesh.normals[i * 3 + 2])}`);
+      }
+    }
+
+    obj.push(`usemtl material_${mesh.material}`);
+    const corner = (i) => {
+      const v = positionBase + i;
+      if (mesh.uvs && mesh.normals) return `${v}/${uvBase + i}/${normalBase + i}`;
+      if (mesh.uvs) return `${v}/${uvBase + i}`;
+      if (mesh.normals) return `${v}//${normalBase + i}`;
+      return `${v}`;
+    };
+    for (let t = 0; t < mesh.indices.length; t += 3) {
+      obj.push(`f ${corner(mesh.indices[t])} ${corner(mesh.indices[t + 1])} ${corner(mesh.indices[t + 2])}`);
+    }
+
+    positionBase += vertexCount;
+    if (mesh.uvs) uvBase += vertexCount;
+    if (mesh.normals) normalBase += vertexCount;
+  });
+
+  zip.addFile('model.obj', `${obj.join('\n')}\n`, { compress: true });
+  zip.addFile('model.mtl', `${mtl.join('\n')}\n`, { compress: true });
+  return zip.build();
+}
+
+function toUsdz({ meshes, materials, calibrated }) {
+  // The USD layer must be the first file; data is stored 64-byte aligned
+  const zip = new ZipBuilder({ align: 64 });
+  const textures = [];
+  const lines = [
+    '#usda 1.0',
+    '(',
+    `    doc = "RoomSnap AR export${calibrated ? '' : ', uncalibrated scale'}"`,
+    '    defaultPrim = "Model"',
+    '    metersPerUnit = 1',
+    '    upAxis = "Y"',
+    ')',
+    '',
+    'def Xform "Model" (',
+    '    kind = "component"',
+    ')',
+    '{',
+    '    def Scope "Materials"',
+    '    {'
+  ];
+
+  materials.forEach((material, index) => {
+    const materialPath = `/Model/Materials/Material_${index}`;
+    const [r, g, b, a] = material.color;
+    lines.push(
+      `        def Material "Material_${index}"`,
+      '        {',
+      `            token outputs:surface.connect = <${materialPath}/PreviewSurface.outputs:surface>`,
+      '',
+      '            def Shader "PreviewSurface"',
+      '            {',
+      '                uniform token info:id = "UsdPreviewSurface"',
+      material.texture
+        ? `                color3f inputs:diffuseColor.connect = <${materialPath}/DiffuseTexture.outputs:rgb>`
+        : `                color3f inputs:diffuseColor = (${num(r)}, ${num(g)}, ${num(b)})`,
+      `                float inputs:metallic = ${num(material.metallic)}`,
+      `                float inputs:roughness = ${num(material.roughness)}`,
+      `                float inputs:opacity = ${num(a)}`,
+      '                token outputs:surface',
+      '            }'
+    );
+
+    if (material.texture) {
+      const file = `textures/material_${index}.${material.texture.extension}`;
+      textures.push({ file, data: material.texture.data });
+      lines.push(
+        '',
+        '            def Shader "TexCoordReader"',
+        '            {',
+        '                uniform token info:id = "UsdPrimvarReader_float2"',
+        '                string inputs:varname = "st"',
+        '                float2 outputs:result',
+        '            }',
+        '',
+        '            def Shader "DiffuseTexture"',
+        '            {',
+        '                uniform token info:id = "UsdUVTexture"',
+        `                asset inputs:file = @${file}@`,
+        `                float4 inputs:scale = (${num(r)}, ${num(g)}, ${num(b)}, ${num(a)})`,
+        `                float2 inputs:st.connect = <${materialPath}/TexCoordReader.outputs:result>`,
+        '                token inputs:wrapS = "repeat"',
+        '                token inputs:wrapT = "repeat"',
+        '                float3 outputs:rgb',
+        '            }'
+      );
+    }
+    lines.push('        }');
+  });
+  lines.push('    }');
+
+  meshes.forEach((mesh, index) => {
+    const vertexCount = mesh.positions.length / 3;
+    const points = [];
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < vertexCount; i++) {
+      const point = [mesh.positions[i * 3], mesh.positions[i * 3 + 1], mesh.positions[i * 3 + 2]];
+      point.forEach((value, axis) => {
+        min[axis] = Math.min(min[axis], value);
+        max[axis] = Math.max(max[axis], value);
+      });
+      points.push(tuple(point));
+    }
+
+    lines.push(
+      '',
+      `    def Mesh "Mesh_${index}" (`,
+      '        prepend apiSchemas = ["MaterialBindingAPI"]',
+      '    )',
+      '    {',
+      `        float3[] extent = [${tuple(min)}, ${tuple(max)}]`,
+      `        int[] faceVertexCounts = [${new Array(mesh.indices.length / 3).fill(3).join(', ')}]`,
+      `        int[] faceVertexIndices = [${Array.from(mesh.indices).join(', ')}]`,
+      `        point3f[] points = [${points.join(', ')}]`
+    );
+    if (mesh.normals) {
+      const normals = [];
+      for (let i = 0; i < vertexCount; i++) {
+        normals.push(tuple([mesh.normals[i * 3], mesh.normals[i * 3 + 1], mesh.normals[i * 3 + 2]]));
+      }
+      lines.push(
+        `        normal3f[] normals = [${normals.join(', ')}] (`,
+        '            interpolation = "vertex"',
+        '        )'
+      );
+    }
+    if (mesh.uvs) {
+      const uvs = [];
+      for (let i = 0; i < vertexCount; i++) {
+        uvs.push(tuple([mesh.uvs[i * 2], 1 - mesh.uvs[i * 2 + 1]]));
+      }
+      lines.push(
+        `        texCoord2f[] primvars:st = [${uvs.join(', ')}] (`,
+        '            interpolation = "vertex"',
+        '        )'
+      );
+    }
+    lines.push(
+      `        rel material:binding = </Model/Materials/Material_${mesh.material}>`,
+      '        uniform token subdivisionScheme = "none"',
+      '    }'
+    );
+  });
+  lines.push('}', '');
+
+  zip.addFile('model.usda', lines.join('\n'));
+  textures.forEach(({ file, data }) => zip.addFile(file, data));
+  return zip.build();
+}
+
+// --- Math ---
+
+function transformPoint(m, [x, y, z]) {
+  return [
+    m[0] * x + m[4] * y + m[8] * z + m[12],
+    m[1] * x + m[5] * y + m[9] * z + m[13],
+    m[2] * x + m[6] * y + m[10] * z + m[14]
+  ];
+}
+
+/**
+ * Inverse transpose of the upper 3x3 of a column-major 4x4 matrix, so
+ * normals stay perpendicular under non-uniform scale. Row-major result.
+ */
+function getNormalMatrix(m) {
+  const [a, b, c, d, e, f, g, h, i] = [m[0], m[4], m[8], m[1], m[5], m[9], m[2], m[6], m[10]];
+  const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+  if (!det) return [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+  return [
+    (e * i - f * h) / det, (f * g - d * i) / det, (d * h - e * g) / det,
+    (c * h - b * i) / det, (a * i - c * g) / det, (b * g - a * h) / det,
+    (b * f - c * e) / det, (c * d - a * f) / det, (a * e - b * d) / det
+  ];
+}
+
+function transformNormal(n, [x, y, z]) {
+  return normalize([
+    n[0] * x + n[1] * y + n[2] * z,
+    n[3] * x + n[4] * y + n[5] * z,
+    n[6] * x + n[7] * y + n[8] * z
+  ]);
+}
+
+function faceNormal(a, b, c) {
+  const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+  return normalize([u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]]);
+}
+
+function normalize(v) {
+  const length = Math.hypot(v[0], v[1], v[2]);
+  return length ? v.map(value => value / length) : [0, 0, 0];
+}
+
+function num(value) {
+  return String(Math.round(value * 1e6) / 1e6);
+}
+
+function tuple(values) {
+  return `(${values.map(num).join(', ')})`;
+}
+
+function guessImageType(uri) {
+  if (/\.jpe?g$/i.test(uri)) return 'image/jpeg';
+  if (/\.webp$/i.test(uri)) return 'image/webp';
+  if (/\.ktx2$/i.test(uri)) return 'image/ktx2';
+  return 'image/png';
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportModel
+};
@@ -1,43 +1,63 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
-const sharp = require('sharp');
-const FormData = require('form-data');
-
-const MESHY_API_KEY = process.env.MESHY_API_KEY || '';
-const TRIPO_API_KEY = process.env.TRIPO_API_KEY || '';
-
-const MESHY_BASE_URL = 'https://api.meshy.ai/openapi/v1';
-const TRIPO_BASE_URL = 'https://api.tripo3d.ai/v2/openapi';
+const providers = require('./providers');
+const usageTracker = require('./usageTracker');
+const CircuitBreaker = require('./circuitBreaker');
+const { isProviderFault } = require('./circuitBreaker');
+const { inspectModel } = require('./modelInspector');
+const { orientModelSafely } = require('./modelOrienter');
+const { optimizeModelSafely } = require('./modelOptimizer');
 
 const POLL_INTERVAL_MS = 5000;
 const MAX_POLL_DURATION_MS = 300000;
+// Healthy providers are probed this often; open circuits after their cooldown
+const HEALTH_PROBE_INTERVAL_MS = parseInt(process.env.HEALTH_PROBE_INTERVAL_MS, 10) || 60000;
+const PROBE_TICK_MS = 5000;
 const MODELS_DIR = path.join(__dirname, '../../uploads/models');
+// Once a budget cap is reached new generations are refused; set
+// BUDGET_FREE_FALLBACK=true to run them on free providers (local) instead
+const BUDGET_FREE_FALLBACK = process.env.BUDGET_FREE_FALLBACK === 'true';
 
 /**
  * ModelGenerator - Real 3D reconstruction from images.
  *
- * Uses AI-powered 3D reconstruction services:
- *   1. Meshy.ai Image-to-3D API  (primary - best quality, base64 upload)
- *   2. Tripo AI Image-to-3D API  (fallback - good quality, file upload)
+ * Delegates to the providers registered in ./providers (Meshy.ai, Tripo AI,
+ * and the offline local fallback). Providers are tried in the order given
+ * by GENERATION_PROVIDERS and the first one that accepts the task wins.
+ *
+ * At least one provider must be configured for the service to work.
+ * All providers output GLB files that are saved to uploads/models/ and
+ * checked by services/modelInspector; a file that fails the check counts
+ * as a failed task. Valid files are stood upright with their pivot at the
+ * bottom (services/modelOrienter) and get mobile LOD variants next to them
+ * (services/modelOptimizer).
  *
- * At least one API key must be configured for the service to work.
- * All services output GLB files that are saved to uploads/models/.
+ * Every submitted task is recorded by services/usageTracker. Once a budget
+ * cap is reached, new generations are refused with a 'BUDGET_EXCEEDED'
+ * error, or run on free providers only with BUDGET_FREE_FALLBACK.
+ *
+ * Each provider has a circuit breaker (services/circuitBreaker) fed by
+ * every call made to it and by background health probes. Providers whose
+ * circuit is open are skipped for new tasks; tasks already running on
+ * them are still polled.
  */
 class ModelGenerator {
 
-  constructor() {
+  constructor(registry = providers) {
+    this.providers = registry;
+    this.breakers = new Map();
+    this.probeTimer = null;
+    this.probing = false;
+
     if (!fs.existsSync(MODELS_DIR)) {
       fs.mkdirSync(MODELS_DIR, { recursive: true });
     }
 
-    if (MESHY_API_KEY) {
-      console.log('[ModelGenerator] Meshy.ai API key configured (primary)');
+    const active = this.providers.getActive();
+    if (active.length > 0) {
+      console.log(`[ModelGenerator] Providers configured: ${active.map(p => p.name).join(' -> ')}`);
     }
-    if (TRIPO_API_KEY) {
-      console.log('[ModelGenerator] Tripo AI API key configured (fallback)');
-    }
-    if (!MESHY_API_KEY && !TRIPO_API_KEY) {
+    if (!active.some(provider => provider.name !== 'local')) {
       console.error('[ModelGenerator] No 3D reconstruction API keys configured. Please set MESHY_API_KEY or TRIPO_API_KEY');
     }
   }
@@ -47,45 +67,43 @@ class ModelGenerator {
    *
    * @param {string} objectId - unique id used for the output filename
    * @param {string[]} imagePaths - absolute paths to uploaded images (1-4)
-   * @returns {{ path: string, size: number, generationTime: number, method: string }}
+   * @param {{ mode?: string, options?: object, versionId?: string }} opts - mode
+   *   is 'multiview' or 'single' (see resolveMode); options as in
+   *   services/generationOptions; versionId picks the output file
+   * @returns {{ path: string, size: number, generationTime: number, method: string, mode: string, modelStats: object, variants: object[] }}
    */
-  async generateModel(objectId, imagePaths = []) {
+  async generateModel(objectId, imagePaths = [], { mode, options, versionId } = {}) {
     const startTime = Date.now();
-    const outputPath = path.join(MODELS_DIR, `${objectId}.glb`);
-
-    const services = [];
-
-    if (MESHY_API_KEY) {
-      services.push({
-        name: 'meshy',
-        fn: () => this.generateWithMeshy(imagePaths, outputPath)
-      });
-    }
-
-    if (TRIPO_API_KEY) {
-      services.push({
-        name: 'tripo',
-        fn: () => this.generateWithTripo(imagePaths, outputPath)
-      });
-    }
-
-    if (services.length === 0) {
-      throw new Error('No 3D reconstruction API keys configured. Please set MESHY_API_KEY or TRIPO_API_KEY');
-    }
+    const outputPath = this.getOutputPath(objectId, versionId);
+    const active = await this.withinBudget(this.getActiveProviders());
 
     let lastError = null;
     let methodUsed = 'none';
+    let modeUsed = '';
+    let modelStats = null;
+    let variants = [];
 
-    for (const service of services) {
+    for (const provider of active) {
+      let taskId = null;
       try {
-        console.log(`[ModelGenerator] Trying ${service.name}...`);
-        await service.fn();
-        methodUsed = service.name;
-        console.log(`[ModelGenerator] Successfully generated with ${service.name}`);
+        const providerMode = this.resolveMode(provider, mode, imagePaths);
+        console.log(`[ModelGenerator] Trying ${provider.name} (${providerMode})...`);
+        ({ taskId } = await this.submitTask(provider, objectId, { imagePaths, mode: providerMode, options }));
+        console.log(`[ModelGenerator] ${provider.name} task created: ${taskId}`);
+
+        const status = await this.pollUntilDone(provider, taskId, providerMode);
+        await this.callProvider(provider, () => provider.download(status, outputPath));
+        modelStats = await orientModelSafely(outputPath, await this.validateModel(outputPath));
+        variants = await optimizeModelSafely(outputPath, modelStats);
+        await usageTracker.recordOutcome(provider.name, taskId, 'succeeded');
+        methodUsed = provider.name;
+        modeUsed = providerMode;
+        console.log(`[ModelGenerator] Successfully generated with ${provider.name}`);
         break;
       } catch (error) {
         lastError = error;
-        console.error(`[ModelGenerator] ${service.name} failed:`, error.message);
+        await usageTracker.recordOutcome(provider.name, taskId, 'failed');
+        console.error(`[ModelGenerator] ${provider.name} failed:`, error.message);
       }
     }
 
@@ -102,7 +120,10 @@ class ModelGenerator {
       path: outputPath,
       size: stats.size,
       generationTime: elapsedTime,
-      method: methodUsed
+      method: methodUsed,
+      mode: modeUsed,
+      modelStats,
+      variants
     };
   }
 
@@ -113,171 +134,178 @@ class ModelGenerator {
    *
    * @param {string} objectId - unique id for the object
    * @param {string[]} imagePaths - absolute paths to uploaded images
-   * @returns {{ taskId: string, method: string }}
+   * @param {{ mode?: string, options?: object, avoid?: string[] }} opts - mode
+   *   is 'multiview' or 'single' (see resolveMode); options as in
+   *   services/generationOptions; providers in `avoid` are tried last
+   * @returns {{ taskId: string, method: string, mode: string, credits: number, cost: number }}
    */
-  async startGeneration(objectId, imagePaths = []) {
-    if (MESHY_API_KEY && imagePaths.length > 0) {
-      try {
-        const imageBase64 = await this.imageToBase64DataURI(imagePaths[0]);
-        const taskId = await this.meshyCreateTask(imageBase64);
-        return { taskId, method: 'meshy', objectId };
-      } catch (error) {
-        console.error('[ModelGenerator] Failed to start Meshy task:', error.message);
-      }
-    }
+  async startGeneration(objectId, imagePaths = [], { mode, options, avoid = [] } = {}) {
+    const active = this.preferUntried(await this.withinBudget(this.getActiveProviders()), avoid);
+    let lastError = null;
 
-    if (TRIPO_API_KEY && imagePaths.length > 0) {
+    for (const provider of active) {
       try {
-        const fileToken = await this.tripoUploadImage(imagePaths[0]);
-        const taskId = await this.tripoCreateTask(fileToken);
-        return { taskId, method: 'tripo', objectId };
+        const providerMode = this.resolveMode(provider, mode, imagePaths);
+        const task = await this.submitTask(provider, objectId, { imagePaths, mode: providerMode, options });
+        return { ...task, method: provider.name, mode: providerMode, objectId };
       } catch (error) {
-        console.error('[ModelGenerator] Failed to start Tripo task:', error.message);
+        lastError = error;
+        console.error(`[ModelGenerator] Failed to start ${provider.name} task:`, error.message);
       }
     }
 
-    throw new Error('No 3D reconstruction API keys configured. Please set MESHY_API_KEY or TRIPO_API_KEY');
+    throw new Error(`All 3D generation methods failed. Last error: ${lastError?.message}`);
   }
 
   /**
-   * Check the status of a running generation task.
+   * Start asynchronous Text-to-3D generation from a prompt. Only providers
+   * with text support are tried; poll with checkGenerationStatus using the
+   * returned mode ('text').
    *
-   * @param {string} taskId - the task ID returned by startGeneration
-   * @param {string} method - 'meshy' or 'tripo'
-   * @param {string} objectId - the object ID for saving the file
-   * @returns {{ status: string, progress: number, modelPath?: string, error?: string }}
+   * @param {string} objectId - unique id for the object
+   * @param {{ prompt: string, negativePrompt?: string, options?: object, avoid?: string[] }} input
+   * @returns {{ taskId: string, method: string, mode: string, credits: number, cost: number }}
    */
-  async checkGenerationStatus(taskId, method, objectId) {
-    const outputPath = path.join(MODELS_DIR, `${objectId}.glb`);
+  async startTextGeneration(objectId, { prompt, negativePrompt, options, avoid = [] } = {}) {
+    const textProviders = this.getActiveProviders().filter(provider => provider.supportsText);
+    let lastError = null;
 
-    if (method === 'meshy') {
-      return await this.meshyCheckAndDownload(taskId, outputPath);
+    if (textProviders.length === 0) {
+      throw new Error('None of the configured 3D generation providers support text-to-3D');
     }
 
-    if (method === 'tripo') {
-      return await this.tripoCheckAndDownload(taskId, outputPath);
+    const active = this.preferUntried(await this.withinBudget(textProviders), avoid);
+
+    for (const provider of active) {
+      try {
+        const task = await this.submitTask(provider, objectId, { mode: 'text', prompt, negativePrompt, options });
+        return { ...task, method: provider.name, mode: 'text', objectId };
+      } catch (error) {
+        lastError = error;
+        console.error(`[ModelGenerator] Failed to start ${provider.name} text task:`, error.message);
+      }
     }
 
-    return { status: 'FAILED', progress: 0, error: `Unknown method: ${method}` };
+    throw new Error(`All 3D generation methods failed. Last error: ${lastError?.message}`);
   }
 
   /**
-   * Generate a 3D model using Meshy.ai Image-to-3D API.
-   * This is the synchronous version that polls until completion.
+   * Create a provider task and record what it costs.
+   *
+   * @returns {{ taskId: string, credits: number, cost: number }}
    */
-  async generateWithMeshy(imagePaths, outputPath) {
-    if (!imagePaths.length) {
-      throw new Error('At least one image is required');
-    }
-
-    const imageBase64 = await this.imageToBase64DataURI(imagePaths[0]);
-    const taskId = await this.meshyCreateTask(imageBase64);
-    console.log(`[Meshy] Task created: ${taskId}`);
+  async submitTask(provider, objectId, input) {
+    const taskId = await this.callProvider(provider, () => provider.createTask(input));
+    const { credits, cost } = usageTracker.estimate(provider, input);
+    await usageTracker.recordTask(provider, objectId, { mode: input.mode, taskId, credits, cost });
+    return { taskId, credits, cost };
+  }
 
-    const result = await this.meshyPollUntilDone(taskId);
-    await this.downloadFile(result.model_urls.glb, outputPath);
-    console.log(`[Meshy] GLB downloaded to ${outputPath}`);
+  /**
+   * The error new generations are refused with while a budget cap is
+   * reached, or null when they may start. Lets routes refuse a request
+   * before anything is stored.
+   *
+   * @returns {Promise<Error|null>} with code 'BUDGET_EXCEEDED'
+   */
+  async getBudgetError() {
+    try {
+      await this.withinBudget(this.providers.getActive());
+      return null;
+    } catch (error) {
+      if (error.code === 'BUDGET_EXCEEDED') return error;
+      throw error;
+    }
   }
 
   /**
-   * Create an Image-to-3D task on Meshy.
-   * @param {string} imageDataURI - base64 data URI (data:image/png;base64,...)
-   * @returns {string} taskId
+   * Throw the budget error once a budget cap is reached, unless
+   * BUDGET_FREE_FALLBACK is set and a free provider is left to try; paid
+   * providers are then dropped.
    */
-  async meshyCreateTask(imageDataURI) {
-    const response = await axios.post(
-      `${MESHY_BASE_URL}/image-to-3d`,
-      {
-        image_url: imageDataURI,
-        ai_model: 'latest',
-        topology: 'triangle',
-        target_polycount: 30000,
-        should_remesh: true,
-        should_texture: true,
-        enable_pbr: true
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${MESHY_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
+  async withinBudget(candidates) {
+    try {
+      await usageTracker.assertWithinBudget();
+      return candidates;
+    } catch (error) {
+      const free = candidates.filter(provider => !provider.creditPrice);
+      if (error.code !== 'BUDGET_EXCEEDED' || !BUDGET_FREE_FALLBACK || free.length === 0) {
+        throw error;
       }
-    );
 
-    return response.data.result;
+      console.log(`[ModelGenerator] ${error.message}. Trying free providers only.`);
+      return free;
+    }
   }
 
   /**
-   * Poll Meshy task until it reaches SUCCEEDED or FAILED.
+   * Check the status of a running generation task, downloading the model
+   * once the provider reports success.
+   *
+   * @param {string} taskId - the task ID returned by startGeneration
+   * @param {string} method - provider name, e.g. 'meshy' or 'tripo'
+   * @param {string} objectId - the object ID for saving the file
+   * @param {string} mode - the mode returned by startGeneration
+   * @param {string} [versionId] - model version the file is saved for
+   * @returns {{ status: string, progress: number, modelPath?: string, modelStats?: object, variants?: object[], error?: string }}
    */
-  async meshyPollUntilDone(taskId) {
-    const deadline = Date.now() + MAX_POLL_DURATION_MS;
-
-    while (Date.now() < deadline) {
-      const task = await this.meshyGetTask(taskId);
+  async checkGenerationStatus(taskId, method, objectId, mode = 'single', versionId) {
+    const provider = this.providers.get(method);
 
-      if (task.status === 'SUCCEEDED') {
-        return task;
-      }
-
-      if (task.status === 'FAILED' || task.status === 'CANCELED') {
-        const errMsg = task.task_error?.message || 'Task failed without error message';
-        throw new Error(`Meshy task failed: ${errMsg}`);
-      }
+    if (!provider) {
+      return { status: 'FAILED', progress: 0, error: `Unknown method: ${method}` };
+    }
 
-      console.log(`[Meshy] Task ${taskId}: ${task.status} (${task.progress || 0}%)`);
-      await this.sleep(POLL_INTERVAL_MS);
+    let status;
+    try {
+      status = await this.callProvider(provider, () => provider.getStatus(taskId, mode));
+    } catch (error) {
+      return {
+        status: 'FAILED',
+        progress: 0,
+        error: error.message
+      };
     }
 
-    throw new Error('Meshy task timed out after 5 minutes');
+    return this.resolveStatus(method, status, objectId, versionId);
   }
 
   /**
-   * Get the current status of a Meshy task.
+   * Turn a normalized provider status (from polling or a webhook) into the
+   * result checkGenerationStatus returns, downloading the model the first
+   * time success is seen.
+   *
+   * @param {string} method - provider name
+   * @param {{ status: string, progress: number, modelUrl?: string, error?: string }} status
+   * @param {string} objectId - the object ID for saving the file
+   * @param {string} [versionId] - model version the file is saved for
    */
-  async meshyGetTask(taskId) {
-    const response = await axios.get(
-      `${MESHY_BASE_URL}/image-to-3d/${taskId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${MESHY_API_KEY}`
-        },
-        timeout: 15000
-      }
-    );
-    return response.data;
-  }
+  async resolveStatus(method, status, objectId, versionId) {
+    const provider = this.providers.get(method);
 
-  /**
-   * Check Meshy task status and download if complete.
-   */
-  async meshyCheckAndDownload(taskId, outputPath) {
-    try {
-      const task = await this.meshyGetTask(taskId);
+    if (!provider) {
+      return { status: 'FAILED', progress: 0, error: `Unknown method: ${method}` };
+    }
 
-      if (task.status === 'SUCCEEDED') {
-        if (!fs.existsSync(outputPath)) {
-          await this.downloadFile(task.model_urls.glb, outputPath);
-        }
-        return {
-          status: 'SUCCEEDED',
-          progress: 100,
-          modelPath: outputPath
-        };
-      }
+    if (status.status !== 'SUCCEEDED') {
+      return status;
+    }
 
-      if (task.status === 'FAILED' || task.status === 'CANCELED') {
-        return {
-          status: 'FAILED',
-          progress: task.progress || 0,
-          error: task.task_error?.message || 'Task failed'
-        };
+    const outputPath = this.getOutputPath(objectId, versionId);
+
+    try {
+      if (!fs.existsSync(outputPath)) {
+        console.log(`[ModelGenerator] Downloading ${method} model for ${objectId}`);
+        await this.callProvider(provider, () => provider.download(status, outputPath));
       }
 
+      const modelStats = await orientModelSafely(outputPath, await this.validateModel(outputPath));
       return {
-        status: task.status,
-        progress: task.progress || 0
+        status: 'SUCCEEDED',
+        progress: 100,
+        modelPath: outputPath,
+        modelStats,
+        variants: await optimizeModelSafely(outputPath, modelStats)
       };
     } catch (error) {
       return {
@@ -289,225 +317,271 @@ class ModelGenerator {
   }
 
   /**
-   * Generate a 3D model using Tripo AI Image-to-3D API.
-   * This is the synchronous version that polls until completion.
+   * Check a downloaded GLB (services/modelInspector) and return its stats.
+   * An invalid file is deleted, so a later status check downloads it
+   * again rather than reusing it.
    */
-  async generateWithTripo(imagePaths, outputPath) {
-    if (!imagePaths.length) {
-      throw new Error('At least one image is required');
+  async validateModel(outputPath) {
+    try {
+      const modelStats = await inspectModel(outputPath);
+      console.log(`[ModelGenerator] ${path.basename(outputPath)}: ${modelStats.triangles} triangles, ${modelStats.vertices} vertices, ${modelStats.materials} material(s), ${modelStats.textures} texture(s)`);
+      return modelStats;
+    } catch (error) {
+      fs.rmSync(outputPath, { force: true });
+      throw new Error(`Downloaded model is invalid: ${error.message}`);
     }
+  }
 
-    const fileToken = await this.tripoUploadImage(imagePaths[0]);
-    console.log(`[Tripo] Image uploaded, token: ${fileToken}`);
+  /**
+   * Whether a provider pushes task updates by webhook (see
+   * routes/webhookRoutes), so its tasks only need fallback polling.
+   */
+  receivesWebhooks(method) {
+    return !!this.providers.get(method)?.receivesWebhooks;
+  }
+
+  /**
+   * Ask the provider to stop a running task. Providers without a cancel
+   * API (or a failing one) just leave the task to finish on their side.
+   *
+   * @param {string} taskId
+   * @param {string} method - provider name
+   * @param {string} mode - the mode returned by startGeneration
+   * @returns {boolean} true if the provider confirmed the cancellation
+   */
+  async cancelGeneration(taskId, method, mode = 'single') {
+    const provider = this.providers.get(method);
+    if (!provider || !taskId) {
+      return false;
+    }
+
+    try {
+      const cancelled = await this.callProvider(provider, () => provider.cancel(taskId, mode));
+      console.log(`[ModelGenerator] ${method} task ${taskId} ${cancelled ? 'cancelled' : 'cannot be cancelled by the provider'}`);
+      return cancelled;
+    } catch (error) {
+      console.error(`[ModelGenerator] Failed to cancel ${method} task ${taskId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Poll a provider task until it reaches SUCCEEDED or FAILED.
+   * Used by the synchronous generateModel path.
+   */
+  async pollUntilDone(provider, taskId, mode) {
+    const deadline = Date.now() + MAX_POLL_DURATION_MS;
 
-    const taskId = await this.tripoCreateTask(fileToken);
-    console.log(`[Tripo] Task created: ${taskId}`);
+    while (Date.now() < deadline) {
+      const status = await this.callProvider(provider, () => provider.getStatus(taskId, mode));
 
-    const task = await this.tripoPollUntilDone(taskId);
+      if (status.status === 'SUCCEEDED') {
+        return status;
+      }
 
-    const glbUrl = task.output?.model ||
-                   task.output?.pbr_model ||
-                   task.output?.base_model ||
-                   task.result?.model ||
-                   task.model;
+      if (status.status === 'FAILED') {
+        throw new Error(`${provider.name} task failed: ${status.error || 'Task failed without error message'}`);
+      }
 
-    if (!glbUrl) {
-      console.error('[Tripo] Available fields in task:', Object.keys(task));
-      console.error('[Tripo] Available fields in task.output:', task.output ? Object.keys(task.output) : 'N/A');
-      throw new Error(`Tripo task completed but no model URL found in response. Available fields: ${Object.keys(task).join(', ')}`);
+      console.log(`[${provider.name}] Task ${taskId}: ${status.status} (${status.progress || 0}%)`);
+      await this.sleep(POLL_INTERVAL_MS);
     }
 
-    console.log(`[Tripo] Found model URL: ${glbUrl}`);
-    await this.downloadFile(glbUrl, outputPath);
-    console.log(`[Tripo] GLB downloaded to ${outputPath}`);
+    throw new Error(`${provider.name} task timed out after 5 minutes`);
   }
 
   /**
-   * Upload an image to Tripo and get a file token.
+   * Pick the mode a provider should run in. Multi-view is the default
+   * whenever there is more than one photo; it falls back to single-image
+   * (first photo only) for providers without multi-image support.
    */
-  async tripoUploadImage(imagePath) {
-    const formData = new FormData();
-    formData.append('file', fs.createReadStream(imagePath));
-
-    const response = await axios.post(
-      `${TRIPO_BASE_URL}/upload`,
-      formData,
-      {
-        headers: {
-          'Authorization': `Bearer ${TRIPO_API_KEY}`,
-          ...formData.getHeaders()
-        },
-        timeout: 30000
-      }
-    );
+  resolveMode(provider, requestedMode, imagePaths) {
+    const mode = requestedMode || (imagePaths.length > 1 ? 'multiview' : 'single');
+
+    if (mode === 'multiview' && imagePaths.length > 1 && provider.supportsMultiView) {
+      return 'multiview';
+    }
 
-    if (response.data.code !== 0) {
-      throw new Error(`Tripo upload failed: ${response.data.message || 'Unknown error'}`);
+    if (mode === 'multiview' && imagePaths.length > 1) {
+      console.log(`[ModelGenerator] ${provider.name} has no multi-view support, using the first photo only`);
     }
 
-    return response.data.data.image_token;
+    return 'single';
   }
 
   /**
-   * Create an Image-to-3D task on Tripo.
+   * Configured providers in fallback order, without those whose circuit
+   * is open (unless every circuit is open, in which case all are tried).
+   * Throws when none are configured.
    */
-  async tripoCreateTask(fileToken) {
-    const response = await axios.post(
-      `${TRIPO_BASE_URL}/task`,
-      {
-        type: 'image_to_model',
-        file: {
-          type: 'image',
-          file_token: fileToken
-        },
-        model_version: 'v2.0-20240919',
-        face_limit: 30000,
-        texture: true,
-        pbr: true
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${TRIPO_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      }
-    );
+  getActiveProviders() {
+    const active = this.providers.getActive();
+
+    if (active.length === 0) {
+      throw new Error('No 3D reconstruction API keys configured. Please set MESHY_API_KEY or TRIPO_API_KEY');
+    }
 
-    if (response.data.code !== 0) {
-      throw new Error(`Tripo task creation failed: ${response.data.message || 'Unknown error'}`);
+    const available = active.filter(provider => this.getBreaker(provider.name).isAvailable());
+    if (available.length === 0) {
+      console.warn('[ModelGenerator] Every provider circuit is open, trying them anyway');
+      return active;
     }
 
-    return response.data.data.task_id;
+    return available;
   }
 
   /**
-   * Poll Tripo task until it reaches success or failure.
+   * The provider new tasks go to first, or null when none is usable.
    */
-  async tripoPollUntilDone(taskId) {
-    const deadline = Date.now() + MAX_POLL_DURATION_MS;
+  getPrimaryProvider() {
+    return this.providers.getActive()
+      .find(provider => this.getBreaker(provider.name).isAvailable()) || null;
+  }
 
-    while (Date.now() < deadline) {
-      const task = await this.tripoGetTask(taskId);
-      const status = task.status;
+  /**
+   * Circuit breaker of a provider, created on first use.
+   */
+  getBreaker(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker(name));
+    }
+    return this.breakers.get(name);
+  }
 
-      if (status === 'success') {
-        console.log('[Tripo] Task completed successfully. Full response:', JSON.stringify(task, null, 2));
-        return task;
-      }
+  /**
+   * Run a call against a provider, recording its latency and whether it
+   * failed because of the provider on the provider's circuit breaker.
+   */
+  async callProvider(provider, fn) {
+    const breaker = this.getBreaker(provider.name);
+    const startTime = Date.now();
 
-      if (status === 'failed' || status === 'cancelled' || status === 'unknown') {
-        throw new Error(`Tripo task failed with status: ${status}`);
+    try {
+      const result = await fn();
+      breaker.recordSuccess(Date.now() - startTime);
+      return result;
+    } catch (error) {
+      if (isProviderFault(error)) {
+        breaker.recordFailure(Date.now() - startTime, error);
       }
-
-      console.log(`[Tripo] Task ${taskId}: ${status} (${task.progress || 0}%)`);
-      await this.sleep(POLL_INTERVAL_MS);
+      throw error;
     }
-
-    throw new Error('Tripo task timed out after 5 minutes');
   }
 
   /**
-   * Get the current status of a Tripo task.
+   * Start probing configured providers in the background. Call once at
+   * server start.
    */
-  async tripoGetTask(taskId) {
-    const response = await axios.get(
-      `${TRIPO_BASE_URL}/task/${taskId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${TRIPO_API_KEY}`
-        },
-        timeout: 15000
-      }
-    );
+  startHealthProbes() {
+    if (this.probeTimer) return;
 
-    if (response.data.code !== 0) {
-      throw new Error(`Tripo status check failed: ${response.data.message || 'Unknown error'}`);
-    }
+    this.probeTimer = setInterval(() => this.probeProviders(), PROBE_TICK_MS);
+    this.probeTimer.unref();
+    this.probeProviders();
+  }
 
-    return response.data.data;
+  stopHealthProbes() {
+    clearInterval(this.probeTimer);
+    this.probeTimer = null;
   }
 
   /**
-   * Check Tripo task status and download if complete.
+   * Probe every configured provider whose circuit has cooled down, or
+   * whose last probe is older than HEALTH_PROBE_INTERVAL_MS.
    */
-  async tripoCheckAndDownload(taskId, outputPath) {
+  async probeProviders() {
+    if (this.probing) return;
+    this.probing = true;
+
     try {
-      const task = await this.tripoGetTask(taskId);
-
-      if (task.status === 'success') {
-        // Try multiple possible field locations for the model URL
-        const glbUrl = task.output?.model ||
-                       task.output?.pbr_model ||
-                       task.output?.base_model ||
-                       task.result?.model ||
-                       task.model;
-
-        if (!glbUrl) {
-          console.error('[Tripo] No model URL found. Task structure:', JSON.stringify(task, null, 2));
-          return {
-            status: 'FAILED',
-            progress: 100,
-            error: `No model URL in response. Available fields: ${Object.keys(task).join(', ')}`
-          };
+      const now = Date.now();
+      const due = this.providers.getActive().filter((provider) => {
+        const breaker = this.getBreaker(provider.name);
+        if (breaker.state === 'open') {
+          return breaker.isProbeDue(now);
         }
+        return !breaker.lastProbeAt || now - breaker.lastProbeAt.getTime() >= HEALTH_PROBE_INTERVAL_MS;
+      });
 
-        if (!fs.existsSync(outputPath)) {
-          console.log(`[Tripo] Downloading model from: ${glbUrl}`);
-          await this.downloadFile(glbUrl, outputPath);
-        }
-        return {
-          status: 'SUCCEEDED',
-          progress: 100,
-          modelPath: outputPath
-        };
-      }
+      await Promise.all(due.map(provider => this.probeProvider(provider)));
+    } finally {
+      this.probing = false;
+    }
+  }
 
-      if (task.status === 'failed' || task.status === 'cancelled') {
-        return {
-          status: 'FAILED',
-          progress: task.progress || 0,
-          error: `Tripo task ${task.status}`
-        };
-      }
+  async probeProvider(provider) {
+    const breaker = this.getBreaker(provider.name);
+    const startTime = Date.now();
 
-      return {
-        status: task.status === 'running' ? 'IN_PROGRESS' : 'PENDING',
-        progress: task.progress || 0
-      };
+    try {
+      const healthy = await provider.probe();
+      breaker.recordProbe(healthy, Date.now() - startTime);
     } catch (error) {
-      return {
-        status: 'FAILED',
-        progress: 0,
-        error: error.message
-      };
+      console.warn(`[ModelGenerator] ${provider.name} health probe failed:`, error.message);
+      breaker.recordProbe(false, Date.now() - startTime, error);
     }
   }
 
   /**
-   * Convert a local image file to a base64 data URI suitable for Meshy API.
-   * Images are resized to max 1024px to keep the payload reasonable.
+   * Live provider state for /health: circuit, error rate and latency of
+   * every registered provider, and the provider chosen as primary.
    */
-  async imageToBase64DataURI(imagePath) {
-    const imageBuffer = await sharp(imagePath)
-      .resize(1024, 1024, { fit: 'inside', withoutEnlargement: true })
-      .png()
-      .toBuffer();
-
-    const base64 = imageBuffer.toString('base64');
-    return `data:image/png;base64,${base64}`;
+  getHealth() {
+    const active = this.providers.getActive().map(provider => provider.name);
+
+    const providerHealth = {};
+    this.providers.names().forEach((name) => {
+      const provider = this.providers.get(name);
+      providerHealth[name] = {
+        configured: provider.isConfigured(),
+        enabled: active.includes(name),
+        webhooks: provider.receivesWebhooks,
+        ...this.getBreaker(name).getStats()
+      };
+    });
+
+    return {
+      primary: this.getPrimaryProvider()?.name || null,
+      providers: providerHealth
+    };
   }
 
   /**
-   * Download a file from a URL and save it to disk.
+   * Every options.modelVersion value some registered provider accepts.
    */
-  async downloadFile(url, outputPath) {
-    const response = await axios.get(url, {
-      responseType: 'arraybuffer',
-      timeout: 120000 // 2 minutes for large files
-    });
+  getModelVersions() {
+    const versions = this.providers.names()
+      .flatMap(name => this.providers.get(name).modelVersions);
+    return ['latest', ...new Set(versions)];
+  }
 
-    fs.writeFileSync(outputPath, Buffer.from(response.data));
+  /**
+   * Move providers that already failed this generation to the end of the
+   * fallback order, so a re-submission goes to the next provider but can
+   * still come back round when every other one has been tried.
+   */
+  preferUntried(active, avoid) {
+    return [
+      ...active.filter(provider => !avoid.includes(provider.name)),
+      ...active.filter(provider => avoid.includes(provider.name))
+    ];
+  }
+
+  /**
+   * Absolute path of the GLB for an object's model version
+   * (uploads/models/<objectId>/<versionId>.glb), or of the single
+   * pre-versions GLB when no version is given. Creates the directory.
+   */
+  getOutputPath(objectId, versionId) {
+    if (!versionId) {
+      return path.join(MODELS_DIR, `${objectId}.glb`);
+    }
+
+    const dir = path.join(MODELS_DIR, String(objectId));
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    return path.join(dir, `${versionId}.glb`);
   }
 
   /**
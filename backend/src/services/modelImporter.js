@@ -0,0 +1,523 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { Document, GLB_BUFFER } = require('@gltf-transform/core');
+const { unpartition, dequantize } = require('@gltf-transform/functions');
+const { inspectModel } = require('./modelInspector');
+const { orientModelSafely } = require('./modelOrienter');
+const { optimizeModelSafely } = require('./modelOptimizer');
+const { getGltfIO } = require('../utils/gltfIO');
+const { readZip } = require('../utils/zip');
+const { decodeGlb, GLB_MAGIC } = require('../utils/glb');
+
+// Model formats, in the order the main file is picked from an upload
+const MODEL_FORMATS = ['.glb', '.gltf', '.obj'];
+// Most an uploaded archive may unpack to
+const MAX_UNZIPPED_BYTES = 500 * 1024 * 1024;
+// Geometry compression is decoded on read; the stored GLB is plain and the
+// optimizer writes compressed copies (services/modelOptimizer)
+const COMPRESSION_EXTENSIONS = ['KHR_draco_mesh_compression', 'EXT_meshopt_compression'];
+const TEXTURE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' };
+
+/**
+ * Turn an uploaded 3D file into an object's model GLB, without AI
+ * generation (POST /api/objects/import):
+ *
+ *   .glb            read and rewritten as a self-contained GLB
+ *   .gltf           with its .bin and texture files, packed into one GLB
+ *   .obj            with its .mtl and textures; each material becomes a
+ *                   primitive with a base color factor and texture
+ *   .zip            any of the above, zipped with its resources
+ *
+ * Uploaded files are matched by file name, so a .gltf or .mtl finds its
+ * resources whether they are sent as separate files or zipped. Draco and
+ * meshopt geometry is decoded. The GLB then goes through the same steps
+ * as a provider download: inspection (services/modelInspector), upright
+ * orientation and LOD variants.
+ *
+ * The uploaded files are always deleted. Problems with the upload itself
+ * throw with code 'INVALID_IMPORT'.
+ *
+ * @param {object[]} files - multer file entries of the `model` field
+ * @param {string} outputPath - where the GLB goes (a version's GLB path)
+ * @returns {Promise<{ format: string, size: number, modelStats: object, variants: object[], generationTime: number }>}
+ */
+async function importModel(files, outputPath) {
+  const startTime = Date.now();
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'roomsnap-import-'));
+
+  try {
+    await unpackUploads(files, workDir);
+    const sourcePath = findModelFile(workDir);
+    const format = path.extname(sourcePath).toLowerCase();
+
+    const io = await getGltfIO();
+    const document = format === '.obj'
+      ? await readObj(sourcePath, workDir)
+      : await readGltf(io, sourcePath, workDir);
+
+    await io.write(outputPath, document);
+
+    let modelStats;
+    try {
+      modelStats = await inspectModel(outputPath);
+    } catch (error) {
+      fs.rmSync(outputPath, { force: true });
+      throw invalidImport(`Imported model is invalid: ${error.message}`);
+    }
+
+    modelStats = await orientModelSafely(outputPath, modelStats);
+    const variants = await optimizeModelSafely(outputPath, modelStats);
+    const generationTime = Date.now() - startTime;
+
+    console.log(`[Import] ${path.basename(sourcePath)} -> ${path.basename(outputPath)}: ${modelStats.triangles} triangles, ${modelStats.materials} material(s), ${modelStats.textures} texture(s) in ${(generationTime / 1000).toFixed(1)}s`);
+
+    return {
+      format: format.slice(1),
+      size: fs.statSync(outputPath).size,
+      modelStats,
+      variants,
+      generationTime
+    };
+  } finally {
+    files.forEach(file => fs.rmSync(file.path, { force: true }));
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Put the uploads in workDir under their original names, unpacking zips.
+ */
+async function unpackUploads(files, workDir) {
+  for (const file of files) {
+    if (path.extname(file.originalname).toLowerCase() !== '.zip') {
+      await writeWorkFile(workDir, path.basename(file.originalname), await fs.promises.readFile(file.path));
+      continue;
+    }
+
+    let entries;
+    try {
+      entries = readZip(await fs.promises.readFile(file.path), { maxSize: MAX_UNZIPPED_BYTES });
+    } catch (error) {
+      throw invalidImport(`${file.originalname}: ${error.message}`);
+    }
+
+    for (const entry of entries) {
+      const name = path.posix.normalize(entry.name.replace(/\\/g, '/'));
+      // macOS resource forks, and paths that would leave workDir
+      if (name.startsWith('__MACOSX/') || name.startsWith('../') || path.posix.isAbsolute(name)) continue;
+      await writeWorkFile(workDir, name, entry.data);
+    }
+  }
+}
+
+async function writeWorkFile(workDir, name, data) {
+  const filePath = path.join(workDir, name);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, data);
+}
+
+/**
+ * The one model file in an upload: a GLB wins over a glTF, which wins
+ * over an OBJ (a zip may hold an OBJ next to its GLB conversion).
+ */
+function findModelFile(workDir) {
+  const files = listFiles(workDir);
+
+  for (const format of MODEL_FORMATS) {
+    const matches = files.filter(file => path.extname(file).toLowerCase() === format);
+    if (matches.length > 1) {
+      throw invalidImport(`Upload one model at a time (found ${matches.map(file => path.relative(workDir, file)).join(', ')})`);
+    }
+    if (matches.length === 1) {
+      return matches[0];
+    }
+  }
+
+  throw invalidImport(`No model file in the upload; expected one of: ${MODEL_FORMATS.join(', ')}`);
+}
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.'))
+    .flatMap(entry => {
+      const entryPath = path.join(dir, entry.name);
+      return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+    });
+}
+
+/**
+ * Read a GLB or glTF (with its external resources) ready to be written as
+ * a single plain GLB.
+ */
+async function readGltf(io, sourcePath, workDir) {
+  let document;
+  try {
+    document = await io.readJSON(await readGltfJSON(sourcePath, workDir));
+  } catch (error) {
+    if (error.code === 'INVALID_IMPORT') throw error;
+    throw invalidImport(`Could not read ${path.basename(sourcePath)}: ${error.message}`);
+  }
+
+  const root = document.getRoot();
+  root.listExtensionsUsed()
+    .filter(extension => COMPRESSION_EXTENSIONS.includes(extension.extensionName))
+    .forEach(extension => extension.dispose());
+  if (root.listExtensionsUsed().some(extension => extension.extensionName === 'KHR_mesh_quantization')) {
+    await document.transform(dequantize());
+  }
+  // A GLB holds one buffer; glTF files often split theirs
+  await document.transform(unpartition());
+
+  return document;
+}
+
+/**
+ * The glTF JSON and resource map of a GLB or glTF. External buffers and
+ * images are loaded here rather than by the glTF reader, which would
+ * follow any path: only files in the upload can be read into the model.
+ */
+async function readGltfJSON(sourcePath, workDir) {
+  const data = await fs.promises.readFile(sourcePath);
+  const { json, bin } = data.length >= 4 && data.readUInt32LE(0) === GLB_MAGIC
+    ? decodeGlb(data)
+    : { json: JSON.parse(data.toString('utf8')), bin: null };
+  const resources = bin ? { [GLB_BUFFER]: bin } : {};
+
+  for (const resource of [...(json.buffers || []), ...(json.images || [])]) {
+    const uri = resource.uri;
+    if (typeof uri !== 'string' || uri.startsWith('data:') || uri in resources) continue;
+    resources[uri] = await fs.promises.readFile(resolveGltfUri(sourcePath, uri, workDir));
+  }
+
+  return { json, resources };
+}
+
+/**
+ * Path of an uploaded file a glTF buffer or image URI refers to. URIs
+ * with a scheme (http:, file:, ...), absolute paths and '..' segments
+ * are rejected.
+ */
+function resolveGltfUri(sourcePath, uri, workDir) {
+  const fileName = path.basename(sourcePath);
+  let reference;
+  try {
+    reference = decodeURIComponent(uri).replace(/\\/g, '/');
+  } catch (error) {
+    throw invalidImport(`${fileName} has an invalid resource URI: ${uri}`);
+  }
+
+  if (/^[a-z][a-z0-9+.-]*:/i.test(reference) || reference.startsWith('/') || reference.split('/').includes('..')) {
+    throw invalidImport(`${fileName} refers to ${uri}; resources must be files in the upload, given by relative path`);
+  }
+
+  const resourcePath = resolveResource(path.dirname(sourcePath), reference, workDir);
+  if (!resourcePath) {
+    throw invalidImport(`${fileName} refers to ${path.posix.basename(reference)}, which was not uploaded`);
+  }
+  return resourcePath;
+}
+
+/**
+ * Build a glTF document from an OBJ and its MTL files. Polygons are
+ * fan-triangulated; faces are grouped into one primitive per material.
+ * Normals and UVs are kept for a material when all of its faces have them.
+ */
+async function readObj(objPath, workDir) {
+  const text = await fs.promises.readFile(objPath, 'utf8');
+  const positions = [];
+  const uvs = [];
+  const normals = [];
+  const mtllibs = [];
+  // Triangle corners per material, as flat [position, uv, normal] index
+  // triples (-1 where a corner has no uv or normal)
+  const groups = new Map();
+  let corners = materialGroup(groups, '');
+
+  const lines = text.split(/\r?\n/);
+  for (let lineNumber = 1; lineNumber <= lines.length; lineNumber++) {
+    const line = lines[lineNumber - 1].trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const parts = line.split(/\s+/);
+    switch (parts[0]) {
+      case 'v':
+        positions.push(Number(parts[1]), Number(parts[2]), Number(parts[3]));
+        break;
+      case 'vt':
+        // OBJ puts v = 0 at the bottom of the image, glTF at the top
+        uvs.push(Number(parts[1]), 1 - Number(parts[2] || 0));
+        break;
+      case 'vn':
+        normals.push(Number(parts[1]), Number(parts[2]), Number(parts[3]));
+        break;
+      case 'f': {
+        const face = parts.slice(1).map(token => parseCorner(token, positions, uvs, normals, lineNumber));
+        for (let i = 1; i < face.length - 1; i++) {
+          corners.push(...face[0], ...face[i], ...face[i + 1]);
+        }
+        break;
+      }
+      case 'usemtl':
+        corners = materialGroup(groups, line.slice(6).trim());
+        break;
+      case 'mtllib':
+        mtllibs.push(line.slice(6).trim());
+        break;
+      default:
+        // o, g, s, l, p: objects, smoothing groups and non-triangle
+        // elements don't change the mesh
+        break;
+    }
+  }
+
+  if (positions.some(value => !Number.isFinite(value))) {
+    throw invalidImport(`${path.basename(objPath)} has malformed vertex positions`);
+  }
+
+  const definitions = new Map();
+  for (const mtllib of mtllibs) {
+    const mtlPath = resolveResource(path.dirname(objPath), mtllib, workDir);
+    if (mtlPath) {
+      parseMtl(await fs.promises.readFile(mtlPath, 'utf8'), path.dirname(mtlPath), workDir, definitions);
+    } else {
+      console.warn(`[Import] ${path.basename(objPath)}: material library ${mtllib} was not uploaded`);
+    }
+  }
+
+  const document = new Document();
+  const buffer = document.createBuffer();
+  const mesh = document.createMesh(path.basename(objPath, path.extname(objPath)));
+
+  for (const [materialName, groupCorners] of groups) {
+    if (groupCorners.length === 0) continue;
+
+    const primitive = buildPrimitive(document, buffer, groupCorners, positions, uvs, normals);
+    primitive.setMaterial(await createMaterial(document, materialName, definitions.get(materialName), workDir));
+    mesh.addPrimitive(primitive);
+  }
+
+  if (mesh.listPrimitives().length === 0) {
+    throw invalidImport(`${path.basename(objPath)} has no faces`);
+  }
+
+  const node = document.createNode(mesh.getName()).setMesh(mesh);
+  document.getRoot().setDefaultScene(document.createScene().addChild(node));
+  return document;
+}
+
+function materialGroup(groups, name) {
+  if (!groups.has(name)) {
+    groups.set(name, []);
+  }
+  return groups.get(name);
+}
+
+/**
+ * A face corner 'v', 'v/vt', 'v//vn' or 'v/vt/vn' as zero-based indices;
+ * negative OBJ indices count back from the latest element.
+ */
+function parseCorner(token, positions, uvs, normals, lineNumber) {
+  const [v, vt, vn] = token.split('/');
+  const resolve = (value, count, required) => {
+    if (!value) {
+      if (required) throw invalidImport(`Face without a vertex on line ${lineNumber}`);
+      return -1;
+    }
+    const index = Number(value);
+    const resolved = index < 0 ? count + index : index - 1;
+    if (!Number.isInteger(index) || resolved < 0 || resolved >= count) {
+      throw invalidImport(`Face refers to a missing element (${token}) on line ${lineNumber}`);
+    }
+    return resolved;
+  };
+
+  return [
+    resolve(v, positions.length / 3, true),
+    resolve(vt, uvs.length / 2, false),
+    resolve(vn, normals.length / 3, false)
+  ];
+}
+
+/**
+ * Indexed triangle primitive for one material's corners. Corners that
+ * share position, uv and normal share a vertex.
+ */
+function buildPrimitive(document, buffer, corners, positions, uvs, normals) {
+  let hasUvs = true;
+  let hasNormals = true;
+  for (let i = 0; i < corners.length; i += 3) {
+    if (corners[i + 1] < 0) hasUvs = false;
+    if (corners[i + 2] < 0) hasNormals = false;
+  }
+
+  const vertexIds = new Map();
+  const outPositions = [];
+  const outUvs = [];
+  const outNormals = [];
+  const indices = [];
+
+  for (let i = 0; i < corners.length; i += 3) {
+    const v = corners[i];
+    const t = hasUvs ? corners[i + 1] : -1;
+    const n = hasNormals ? corners[i + 2] : -1;
+    const key = `${v}/${t}/${n}`;
+
+    let id = vertexIds.get(key);
+    if (id === undefined) {
+      id = outPositions.length / 3;
+      vertexIds.set(key, id);
+      outPositions.push(positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]);
+      if (hasUvs) outUvs.push(uvs[t * 2], uvs[t * 2 + 1]);
+      if (hasNormals) outNormals.push(normals[n * 3], normals[n * 3 + 1], normals[n * 3 + 2]);
+    }
+    indices.push(id);
+  }
+
+  const accessor = (type, array) => document.createAccessor()
+    .setType(type)
+    .setArray(array)
+    .setBuffer(buffer);
+
+  const IndexArray = outPositions.length / 3 > 65535 ? Uint32Array : Uint16Array;
+  const primitive = document.createPrimitive()
+    .setAttribute('POSITION', accessor('VEC3', new Float32Array(outPositions)))
+    .setIndices(accessor('SCALAR', new IndexArray(indices)));
+
+  if (hasUvs) {
+    primitive.setAttribute('TEXCOORD_0', accessor('VEC2', new Float32Array(outUvs)));
+  }
+  if (hasNormals) {
+    primitive.setAttribute('NORMAL', accessor('VEC3', new Float32Array(outNormals)));
+  }
+  return primitive;
+}
+
+/**
+ * Read MTL material definitions into `definitions`, by name: diffuse
+ * color (Kd), opacity (d, or Tr as its inverse), the PBR extension's
+ * metallic (Pm) and roughness (Pr), and the diffuse texture (map_Kd).
+ */
+function parseMtl(text, mtlDir, workDir, definitions) {
+  let current = null;
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const [keyword, ...args] = line.split(/\s+/);
+    if (keyword === 'newmtl') {
+      current = { color: [1, 1, 1], opacity: 1, metallic: 0, roughness: 1, texture: null };
+      definitions.set(line.slice(6).trim(), current);
+      return;
+    }
+    if (!current) return;
+
+    switch (keyword) {
+      case 'Kd':
+        current.color = args.slice(0, 3).map(Number).map(value => (Number.isFinite(value) ? value : 1));
+        break;
+      case 'd':
+        current.opacity = clamp01(Number(args[0]), current.opacity);
+        break;
+      case 'Tr':
+        current.opacity = 1 - clamp01(Number(args[0]), 1 - current.opacity);
+        break;
+      case 'Pm':
+        current.metallic = clamp01(Number(args[0]), current.metallic);
+        break;
+      case 'Pr':
+        current.roughness = clamp01(Number(args[0]), current.roughness);
+        break;
+      case 'map_Kd': {
+        // Options such as -s 1 1 1 come before the file name
+        const reference = args[args.length - 1];
+        current.texture = resolveResource(mtlDir, reference, workDir);
+        if (!current.texture) {
+          console.warn(`[Import] Texture ${reference} was not uploaded`);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+}
+
+async function createMaterial(document, name, definition, workDir) {
+  const material = document.createMaterial(name || 'default')
+    .setMetallicFactor(definition ? definition.metallic : 0)
+    .setRoughnessFactor(definition ? definition.roughness : 1);
+
+  if (!definition) {
+    return material;
+  }
+
+  material.setBaseColorFactor([...definition.color, definition.opacity]);
+  if (definition.opacity < 1) {
+    material.setAlphaMode('BLEND');
+  }
+
+  if (definition.texture) {
+    const texture = await readTexture(definition.texture);
+    if (texture) {
+      material.setBaseColorTexture(document.createTexture(path.relative(workDir, definition.texture))
+        .setImage(texture.data)
+        .setMimeType(texture.mimeType));
+    }
+  }
+
+  return material;
+}
+
+/**
+ * Texture bytes glTF can embed: PNG and JPEG as they are, anything else
+ * sharp can decode converted to PNG. Undecodable textures are dropped.
+ */
+async function readTexture(texturePath) {
+  const mimeType = TEXTURE_TYPES[path.extname(texturePath).toLowerCase()];
+  if (mimeType) {
+    return { data: await fs.promises.readFile(texturePath), mimeType };
+  }
+
+  try {
+    return { data: await sharp(texturePath).png().toBuffer(), mimeType: 'image/png' };
+  } catch (error) {
+    console.warn(`[Import] Texture ${path.basename(texturePath)} could not be read: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Path of a file an OBJ or MTL refers to: relative to the referencing
+ * file, or else any uploaded file with that name (uploads often flatten
+ * folders, and exporters write Windows paths).
+ */
+function resolveResource(baseDir, reference, workDir) {
+  const relative = reference.replace(/^["']|["']$/g, '').replace(/\\/g, '/');
+  const direct = path.resolve(baseDir, relative);
+  if (direct.startsWith(workDir + path.sep) && fs.existsSync(direct)) {
+    return direct;
+  }
+
+  const name = path.posix.basename(relative).toLowerCase();
+  return listFiles(workDir).find(file => path.basename(file).toLowerCase() === name) || null;
+}
+
+/**
+ * Clamp an MTL value to 0..1, keeping `fallback` when it isn't a number.
+ */
+function clamp01(value, fallback) {
+  return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : fallback;
+}
+
+function invalidImport(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_IMPORT';
+  return error;
+}
+
+module.exports = {
+  importModel
+};
@@ -0,0 +1,269 @@
+const fs = require('fs');
+const { decodeGlb } = require('../utils/glb');
+
+// glTF primitive modes
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+const FLOAT = 5126;
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+/**
+ * Check a downloaded GLB and describe what's in it. Runs after every
+ * provider download, before the object is marked completed:
+ *
+ *   - the GLB header and chunk layout (utils/glb decodeGlb)
+ *   - the JSON chunk parses and is glTF 2.x
+ *   - buffers are embedded, and every bufferView and accessor used by a
+ *     mesh fits in them
+ *   - there is at least one triangle
+ *
+ * Counts are per instance in the default scene (a mesh used by two nodes
+ * counts twice); the bounding box is in scene units (meters) after node
+ * transforms.
+ *
+ * @param {string} glbPath
+ * @returns {Promise<{ triangles: number, vertices: number, meshes: number, materials: number, textures: number, boundingBox: object|null }>}
+ * @throws {Error} with a message fit for generationError
+ */
+async function inspectModel(glbPath) {
+  const glb = await fs.promises.readFile(glbPath);
+  if (glb.length === 0) {
+    throw new Error('Model file is empty');
+  }
+
+  const { json, bin } = decodeGlb(glb);
+
+  if (!json.asset || !String(json.asset.version).startsWith('2.')) {
+    throw new Error(`Unsupported glTF version ${json.asset?.version} (expected 2.x)`);
+  }
+
+  (json.buffers || []).forEach((buffer, index) => {
+    if (buffer.uri && !buffer.uri.startsWith('data:')) {
+      throw new Error(`Buffer ${index} references an external file (${buffer.uri}); models must be self-contained`);
+    }
+  });
+
+  const meshes = json.meshes || [];
+  const stats = {
+    triangles: 0,
+    vertices: 0,
+    meshes: meshes.length,
+    materials: (json.materials || []).length,
+    textures: (json.textures || []).length,
+    boundingBox: null
+  };
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+
+  forEachMeshInstance(json, (mesh, matrix) => {
+    mesh.primitives.forEach((primitive) => {
+      if (primitive.attributes?.POSITION === undefined) return;
+
+      const positions = getAccessor(json, primitive.attributes.POSITION, bin);
+      const indices = primitive.indices !== undefined ? getAccessor(json, primitive.indices, bin) : null;
+      const elementCount = indices ? indices.count : positions.count;
+
+      stats.vertices += positions.count;
+      stats.triangles += countTriangles(primitive.mode ?? MODE_TRIANGLES, elementCount);
+
+      const bounds = positionBounds(json, positions, bin);
+      if (bounds) {
+        boxCorners(bounds).forEach((corner) => {
+          const point = transformPoint(matrix, corner);
+          for (let axis = 0; axis < 3; axis++) {
+            min[axis] = Math.min(min[axis], point[axis]);
+            max[axis] = Math.max(max[axis], point[axis]);
+          }
+        });
+      }
+    });
+  });
+
+  if (stats.triangles === 0) {
+    throw new Error('Model contains no triangles');
+  }
+
+  if (min.every(Number.isFinite) && max.every(Number.isFinite)) {
+    stats.boundingBox = {
+      min: min.map(round),
+      max: max.map(round),
+      size: max.map((value, axis) => round(value - min[axis]))
+    };
+  }
+
+  return stats;
+}
+
+/**
+ * Call fn(mesh, worldMatrix) for every node with a mesh in the default
+ * scene. Files without scenes get each mesh once, untransformed.
+ */
+function forEachMeshInstance(json, fn) {
+  const meshes = json.meshes || [];
+  const nodes = json.nodes || [];
+  const scene = json.scenes?.[json.scene ?? 0];
+
+  if (!scene) {
+    meshes.forEach(mesh => fn(checkMesh(mesh), IDENTITY));
+    return;
+  }
+
+  const visit = (nodeIndex, parentMatrix, depth) => {
+    const node = nodes[nodeIndex];
+    if (!node) {
+      throw new Error(`Scene references missing node ${nodeIndex}`);
+    }
+    if (depth > nodes.length) {
+      throw new Error('Node hierarchy contains a cycle');
+    }
+
+    const matrix = multiply(parentMatrix, localMatrix(node));
+    if (node.mesh !== undefined) {
+      const mesh = meshes[node.mesh];
+      if (!mesh) {
+        throw new Error(`Node ${nodeIndex} references missing mesh ${node.mesh}`);
+      }
+      fn(checkMesh(mesh), matrix);
+    }
+    (node.children || []).forEach(child => visit(child, matrix, depth + 1));
+  };
+
+  (scene.nodes || []).forEach(nodeIndex => visit(nodeIndex, IDENTITY, 0));
+}
+
+function checkMesh(mesh) {
+  if (!Array.isArray(mesh.primitives)) {
+    throw new Error(`Mesh "${mesh.name || 'unnamed'}" has no primitives`);
+  }
+  return mesh;
+}
+
+/**
+ * An accessor, after checking that its data fits the buffer it points at.
+ * Accessors of Draco-compressed primitives have no bufferView and are
+ * only checked for a count.
+ */
+function getAccessor(json, index, bin) {
+  const accessor = json.accessors?.[index];
+  if (!accessor || !Number.isInteger(accessor.count)) {
+    throw new Error(`Accessor ${index} is missing or has no count`);
+  }
+
+  if (accessor.bufferView !== undefined) {
+    const view = json.bufferViews?.[accessor.bufferView];
+    if (!view) {
+      throw new Error(`Accessor ${index} references missing bufferView ${accessor.bufferView}`);
+    }
+
+    const buffer = json.buffers?.[view.buffer];
+    const bufferLength = view.buffer === 0 && !buffer?.uri ? (bin ? bin.length : 0) : buffer?.byteLength;
+    if (!buffer || (view.byteOffset || 0) + view.byteLength > bufferLength) {
+      throw new Error(`bufferView ${accessor.bufferView} runs past the end of its buffer`);
+    }
+  }
+
+  return accessor;
+}
+
+function countTriangles(mode, elementCount) {
+  if (mode === MODE_TRIANGLES) return Math.floor(elementCount / 3);
+  if (mode === MODE_TRIANGLE_STRIP || mode === MODE_TRIANGLE_FAN) return Math.max(0, elementCount - 2);
+  return 0;
+}
+
+/**
+ * Local min/max of a POSITION accessor: its declared min/max (required by
+ * the spec), else read from plain float data in the binary chunk.
+ */
+function positionBounds(json, accessor, bin) {
+  if (accessor.min?.length === 3 && accessor.max?.length === 3) {
+    return { min: accessor.min, max: accessor.max };
+  }
+
+  const view = json.bufferViews?.[accessor.bufferView];
+  if (!view || view.buffer !== 0 || !bin || accessor.componentType !== FLOAT || accessor.sparse) {
+    return null;
+  }
+
+  const stride = view.byteStride || 12;
+  const start = (view.byteOffset || 0) + (accessor.byteOffset || 0);
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+
+  for (let i = 0; i < accessor.count; i++) {
+    const offset = start + i * stride;
+    if (offset + 12 > bin.length) return null;
+    for (let axis = 0; axis < 3; axis++) {
+      const value = bin.readFloatLE(offset + axis * 4);
+      if (value < min[axis]) min[axis] = value;
+      if (value > max[axis]) max[axis] = value;
+    }
+  }
+
+  return accessor.count > 0 ? { min, max } : null;
+}
+
+function boxCorners({ min, max }) {
+  const corners = [];
+  for (const x of [min[0], max[0]]) {
+    for (const y of [min[1], max[1]]) {
+      for (const z of [min[2], max[2]]) {
+        corners.push([x, y, z]);
+      }
+    }
+  }
+  return corners;
+}
+
+/**
+ * A node's local transform as a column-major 4x4 matrix, from `matrix`
+ * or translation/rotation/scale.
+ */
+function localMatrix(node) {
+  if (Array.isArray(node.matrix) && node.matrix.length === 16) {
+    return node.matrix;
+  }
+
+  const [tx, ty, tz] = node.translation || [0, 0, 0];
+  const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+  const [sx, sy, sz] = node.scale || [1, 1, 1];
+
+  return [
+    (1 - 2 * (y * y + z * z)) * sx, (2 * (x * y + z * w)) * sx, (2 * (x * z - y * w)) * sx, 0,
+    (2 * (x * y - z * w)) * sy, (1 - 2 * (x * x + z * z)) * sy, (2 * (y * z + x * w)) * sy, 0,
+    (2 * (x * z + y * w)) * sz, (2 * (y * z - x * w)) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+    tx, ty, tz, 1
+  ];
+}
+
+function multiply(a, b) {
+  const out = new Array(16);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      let sum = 0;
+      for (let k = 0; k < 4; k++) {
+        sum += a[k * 4 + row] * b[col * 4 + k];
+      }
+      out[col * 4 + row] = sum;
+    }
+  }
+  return out;
+}
+
+function transformPoint(m, [x, y, z]) {
+  return [
+    m[0] * x + m[4] * y + m[8] * z + m[12],
+    m[1] * x + m[5] * y + m[9] * z + m[13],
+    m[2] * x + m[6] * y + m[10] * z + m[14]
+  ];
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+  inspectModel
+};
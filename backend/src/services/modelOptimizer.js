@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { MeshoptEncoder, MeshoptSimplifier } = require('meshoptimizer');
+const {
+  weld,
+  simplify,
+  prune,
+  dedup,
+  textureCompress,
+  draco,
+  meshopt
+} = require('@gltf-transform/functions');
+const { inspectModel } = require('./modelInspector');
+const { getGltfIO } = require('../utils/gltfIO');
+
+// Set MODEL_OPTIMIZATION=false to serve only the provider's GLB
+const ENABLED = process.env.MODEL_OPTIMIZATION !== 'false';
+// Triangle budget of each level of detail, highest first
+const LOD_TRIANGLES = parseList(process.env.MODEL_LOD_TRIANGLES) || [30000, 10000, 3000];
+// Longest texture side (px) of each level
+const LOD_TEXTURE_SIZES = [2048, 1024, 512];
+// Extra copy of every level with 'meshopt' or 'draco' geometry compression
+const COMPRESSION = ['meshopt', 'draco'].includes(process.env.MODEL_COMPRESSION)
+  ? process.env.MODEL_COMPRESSION
+  : '';
+// Simplification stops early rather than exceed this error (fraction of
+// the mesh radius)
+const SIMPLIFY_MAX_ERROR = 0.05;
+// A level is skipped unless it removes at least this share of triangles
+const MIN_REDUCTION = 0.2;
+const JPEG_QUALITY = 85;
+
+/**
+ * Build the mobile variants of a generated GLB, next to it:
+ *
+ *   <name>-lod0.glb  up to LOD_TRIANGLES[0] triangles, textures <= 2048px
+ *   <name>-lod1.glb  up to LOD_TRIANGLES[1], textures <= 1024px
+ *   <name>-lod2.glb  up to LOD_TRIANGLES[2], textures <= 512px
+ *
+ * Meshes are welded and simplified with meshoptimizer; textures are
+ * downscaled and re-encoded as JPEG (kept in their own format when a
+ * material uses transparency). Levels that would not cut the triangle
+ * count by MIN_REDUCTION over the previous one are skipped, so a small
+ * model may get a single level. With MODEL_COMPRESSION set, each level is
+ * also written with that geometry compression as <name>-lod<n>-<method>.glb;
+ * those need a loader with a Draco or meshopt decoder.
+ *
+ * Variants from an earlier run are replaced; the original GLB is left
+ * untouched.
+ *
+ * @param {string} glbPath
+ * @param {{ triangles: number }} modelStats - of the original (services/modelInspector)
+ * @returns {Promise<Array<{ lod: number, compression: string, fileName: string, triangles: number, vertices: number, textureSize: number, size: number }>>}
+ */
+async function optimizeModel(glbPath, modelStats) {
+  const io = await getGltfIO();
+  removeVariantFiles(glbPath);
+
+  const variants = [];
+  let previousTriangles = modelStats.triangles;
+
+  for (let lod = 0; lod < LOD_TRIANGLES.length; lod++) {
+    const target = LOD_TRIANGLES[lod];
+    if (lod > 0 && target > previousTriangles * (1 - MIN_REDUCTION)) continue;
+
+    const document = await io.read(glbPath);
+    const textureSize = LOD_TEXTURE_SIZES[Math.min(lod, LOD_TEXTURE_SIZES.length - 1)];
+    const keepFormats = document.getRoot().listMaterials()
+      .some(material => material.getAlphaMode() !== 'OPAQUE');
+
+    const transforms = [dedup()];
+    if (target < modelStats.triangles) {
+      transforms.push(
+        weld(),
+        simplify({ simplifier: MeshoptSimplifier, ratio: target / modelStats.triangles, error: SIMPLIFY_MAX_ERROR })
+      );
+    }
+    transforms.push(
+      prune(),
+      textureCompress({
+        encoder: sharp,
+        targetFormat: keepFormats ? undefined : 'jpeg',
+        resize: [textureSize, textureSize],
+        quality: JPEG_QUALITY
+      })
+    );
+    await document.transform(...transforms);
+
+    const variant = await writeVariant(io, document, glbPath, { lod, compression: '', textureSize });
+    variants.push(variant);
+    previousTriangles = variant.triangles;
+
+    if (COMPRESSION) {
+      await document.transform(COMPRESSION === 'draco'
+        ? draco({ method: 'edgebreaker' })
+        : meshopt({ encoder: MeshoptEncoder, level: 'medium' }));
+      variants.push(await writeVariant(io, document, glbPath, { lod, compression: COMPRESSION, textureSize }));
+    }
+  }
+
+  return variants;
+}
+
+/**
+ * Optimize a GLB, logging instead of throwing: the original model is
+ * still usable when optimization fails.
+ *
+ * @returns {Promise<object[]>} variants, or [] when disabled or failed
+ */
+async function optimizeModelSafely(glbPath, modelStats) {
+  if (!ENABLED) return [];
+
+  const startTime = Date.now();
+  try {
+    const variants = await optimizeModel(glbPath, modelStats);
+    console.log(`[Optimize] ${path.basename(glbPath)}: ${variants.map(describe).join(', ')} in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+    return variants;
+  } catch (error) {
+    console.error(`[Optimize] Failed to optimize ${path.basename(glbPath)}:`, error.message);
+    removeVariantFiles(glbPath);
+    return [];
+  }
+}
+
+/**
+ * Delete every variant file of a GLB.
+ */
+function removeVariantFiles(glbPath) {
+  const { dir, name } = path.parse(glbPath);
+  if (!fs.existsSync(dir)) return;
+
+  fs.readdirSync(dir)
+    .filter(file => file.startsWith(`${name}-lod`) && file.endsWith('.glb'))
+    .forEach(file => fs.rmSync(path.join(dir, file), { force: true }));
+}
+
+async function writeVariant(io, document, glbPath, { lod, compression, textureSize }) {
+  const { dir, name } = path.parse(glbPath);
+  const fileName = `${name}-lod${lod}${compression ? `-${compression}` : ''}.glb`;
+  const outputPath = path.join(dir, fileName);
+
+  await fs.promises.writeFile(outputPath, await io.writeBinary(document));
+  const stats = await inspectModel(outputPath);
+
+  return {
+    lod,
+    compression,
+    fileName,
+    triangles: stats.triangles,
+    vertices: stats.vertices,
+    textureSize,
+    size: fs.statSync(outputPath).size
+  };
+}
+
+function describe(variant) {
+  return `lod${variant.lod}${variant.compression ? `/${variant.compression}` : ''} ` +
+    `${variant.triangles} tris ${(variant.size / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+function parseList(value) {
+  if (!value) return null;
+  const numbers = value.split(',').map(item => parseInt(item, 10)).filter(number => number > 0);
+  return numbers.length ? numbers : null;
+}
+
+module.exports = {
+  optimizeModel,
+  optimizeModelSafely,
+  removeVariantFiles
+};
@@ -0,0 +1,521 @@
+const fs = require('fs');
+const path = require('path');
+const { Primitive } = require('@gltf-transform/core');
+const { flatten, clearNodeTransform } = require('@gltf-transform/functions');
+const { inspectModel } = require('./modelInspector');
+const { getGltfIO } = require('../utils/gltfIO');
+
+// Set MODEL_ORIENTATION=false to keep provider GLBs as downloaded
+const ENABLED = process.env.MODEL_ORIENTATION !== 'false';
+// Vertices this close to the lowest point (fraction of the model's extent
+// along the down direction) count as touching the ground
+const CONTACT_TOLERANCE = 0.015;
+// The model is only turned when another resting pose is clearly steadier:
+// its contact area (relative to its footprint) must beat the current
+// one's by this factor
+const MIN_IMPROVEMENT = 1.5;
+// Poses that leave the model less than this share of its current height
+// are never chosen: they lay thin upright models (cut-outs, panels) flat
+const MIN_HEIGHT_RATIO = 0.2;
+// Tilts below this are left alone (degrees)
+const MIN_ROTATION_DEGREES = 1;
+// Face normals are grouped in bins about 10 degrees wide; this many of the
+// largest groups are tried as the base
+const NORMAL_BIN_STEPS = 6;
+const CANDIDATE_FACE_GROUPS = 8;
+// asset.extras key recording the applied correction; files that have it
+// are not oriented again
+const EXTRAS_KEY = 'orientation';
+
+const DOWN = [0, -1, 0];
+
+/**
+ * Stand a model upright and move its pivot to the bottom, rewriting the
+ * GLB in place:
+ *
+ *   1. Candidate "down" directions: the current -Y, the mean normals of the
+ *      largest groups of similarly facing triangles (flat bases, the soles
+ *      of legs), and both ends of the principal axes.
+ *   2. Each candidate is scored by resting the model on it: the vertices
+ *      within CONTACT_TOLERANCE of the lowest point form the contact
+ *      patch; the pose is stable when the surface centroid falls inside
+ *      that patch's convex hull, and steadier the more of the model's
+ *      footprint the patch covers.
+ *   3. Scores are weighted by how far each pose turns the model (generated
+ *      models are mostly close to upright, and never meant upside down).
+ *      The model keeps its current up axis unless that pose is unstable or
+ *      another is MIN_IMPROVEMENT times steadier, and never takes a pose
+ *      that flattens it (MIN_HEIGHT_RATIO). It is then rotated so the
+ *      chosen direction points down (-Y), centered on X/Z and lifted so
+ *      its lowest point sits at y = 0.
+ *
+ * The correction is baked into the vertex data (node transforms end up as
+ * identity) unless the model is skinned or animated, in which case it
+ * becomes a new root node. It is recorded in asset.extras.orientation, and
+ * files that already have it (see markUpright) are left as they are.
+ *
+ * @param {string} glbPath
+ * @returns {Promise<{ rotationDegrees: number, translation: number[] }|null>}
+ *   the applied correction, or null when the file was already oriented
+ */
+async function orientModel(glbPath) {
+  const io = await getGltfIO();
+  const document = await io.read(glbPath);
+  const root = document.getRoot();
+  const asset = root.getAsset();
+
+  if (asset.extras?.[EXTRAS_KEY]) {
+    return null;
+  }
+
+  const scene = root.getDefaultScene() || root.listScenes()[0];
+  const geometry = scene && collectGeometry(scene);
+  if (!geometry || geometry.triangleCount === 0) {
+    throw new Error('Model has no triangles to orient');
+  }
+
+  const down = chooseDown(geometry);
+  const rotation = rotationBetween(down, DOWN);
+  const translation = groundOffset(geometry.points, rotation);
+  const rotationDegrees = 2 * Math.acos(Math.min(1, Math.abs(rotation[3]))) * 180 / Math.PI;
+
+  const wrapper = document.createNode('Oriented')
+    .setRotation(rotation)
+    .setTranslation(translation);
+  scene.listChildren().forEach((child) => {
+    scene.removeChild(child);
+    wrapper.addChild(child);
+  });
+  scene.addChild(wrapper);
+
+  if (root.listSkins().length === 0 && root.listAnimations().length === 0) {
+    await bakeTransforms(document);
+  }
+
+  asset.extras = {
+    ...asset.extras,
+    [EXTRAS_KEY]: { rotation: rotation.map(round), translation: translation.map(round) }
+  };
+
+  const tempPath = `${glbPath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, await io.writeBinary(document));
+  await fs.promises.rename(tempPath, glbPath);
+
+  return { rotationDegrees, translation };
+}
+
+/**
+ * Record in a glTF asset (JSON) that its model is already upright with
+ * its pivot at the bottom center, so orientModel leaves it alone. For
+ * models built that way on this server (services/silhouetteModel).
+ *
+ * @param {object} asset - the glTF `asset` object; modified
+ */
+function markUpright(asset) {
+  asset.extras = {
+    ...asset.extras,
+    [EXTRAS_KEY]: { rotation: [0, 0, 0, 1], translation: [0, 0, 0] }
+  };
+}
+
+/**
+ * Orient a GLB and return its updated stats, logging instead of throwing:
+ * the model as downloaded is still usable when this fails.
+ *
+ * @param {string} glbPath
+ * @param {object} modelStats - of the file as downloaded (services/modelInspector)
+ * @returns {Promise<object>} stats of the oriented file, or modelStats
+ *   when disabled, already oriented or failed
+ */
+async function orientModelSafely(glbPath, modelStats) {
+  if (!ENABLED) return modelStats;
+
+  try {
+    const correction = await orientModel(glbPath);
+    if (!correction) return modelStats;
+
+    console.log(`[Orient] ${path.basename(glbPath)}: rotated ${correction.rotationDegrees.toFixed(1)}°, pivot moved by [${correction.translation.map(value => value.toFixed(3)).join(', ')}]`);
+    return await inspectModel(glbPath);
+  } catch (error) {
+    console.error(`[Orient] Failed to orient ${path.basename(glbPath)}:`, error.message);
+    return modelStats;
+  }
+}
+
+/**
+ * World-space vertex positions and triangles of every mesh in a scene,
+ * with the area-weighted surface centroid.
+ */
+function collectGeometry(scene) {
+  const positions = [];
+  const triangles = [];
+  const point = [0, 0, 0];
+
+  scene.traverse((node) => {
+    const mesh = node.getMesh();
+    if (!mesh) return;
+
+    const matrix = node.getWorldMatrix();
+    mesh.listPrimitives().forEach((prim) => {
+      const position = prim.getAttribute('POSITION');
+      if (!position || prim.getMode() !== Primitive.Mode.TRIANGLES) return;
+
+      const base = positions.length / 3;
+      for (let i = 0; i < position.getCount(); i++) {
+        position.getElement(i, point);
+        positions.push(...transformPoint(matrix, point));
+      }
+
+      const indices = prim.getIndices();
+      const count = indices ? indices.getCount() : position.getCount();
+      for (let i = 0; i + 2 < count; i += 3) {
+        triangles.push(
+          base + (indices ? indices.getScalar(i) : i),
+          base + (indices ? indices.getScalar(i + 1) : i + 1),
+          base + (indices ? indices.getScalar(i + 2) : i + 2)
+        );
+      }
+    });
+  });
+
+  const points = Float64Array.from(positions);
+  const triangleCount = triangles.length / 3;
+  const normals = new Float64Array(triangles.length);
+  const areas = new Float64Array(triangleCount);
+  const centroid = [0, 0, 0];
+  let totalArea = 0;
+
+  for (let t = 0; t < triangleCount; t++) {
+    const [a, b, c] = [triangles[t * 3] * 3, triangles[t * 3 + 1] * 3, triangles[t * 3 + 2] * 3];
+    const e1 = [points[b] - points[a], points[b + 1] - points[a + 1], points[b + 2] - points[a + 2]];
+    const e2 = [points[c] - points[a], points[c + 1] - points[a + 1], points[c + 2] - points[a + 2]];
+    const cross = [
+      e1[1] * e2[2] - e1[2] * e2[1],
+      e1[2] * e2[0] - e1[0] * e2[2],
+      e1[0] * e2[1] - e1[1] * e2[0]
+    ];
+    const length = Math.hypot(...cross);
+    if (length === 0) continue;
+
+    areas[t] = length / 2;
+    totalArea += areas[t];
+    for (let axis = 0; axis < 3; axis++) {
+      normals[t * 3 + axis] = cross[axis] / length;
+      centroid[axis] += areas[t] * (points[a + axis] + points[b + axis] + points[c + axis]) / 3;
+    }
+  }
+
+  return {
+    points,
+    triangles,
+    triangleCount,
+    normals,
+    areas,
+    centroid: totalArea > 0 ? centroid.map(value => value / totalArea) : centroid
+  };
+}
+
+/**
+ * The direction the model should rest on (unit vector, pointing down).
+ */
+function chooseDown(geometry) {
+  const candidates = [DOWN, ...faceGroupNormals(geometry), ...principalDirections(geometry)]
+    .filter((direction, index, all) =>
+      all.findIndex(other => dot(other, direction) > Math.cos(3 * Math.PI / 180)) === index);
+
+  // Generated models are usually roughly upright, so poses are weighted by
+  // how far they turn it: half for lying on a side, nothing upside down
+  const poses = candidates.map((direction) => {
+    const pose = restingPose(geometry, direction);
+    return { direction, ...pose, score: pose.score * (1 + dot(direction, DOWN)) / 2 };
+  });
+  const current = poses[0];
+  const best = poses
+    .filter(pose => pose.stable && pose.height >= current.height * MIN_HEIGHT_RATIO)
+    .reduce((top, pose) => (!top || pose.score > top.score ? pose : top), null);
+
+  if (!best || best === current) return DOWN;
+  if (current.stable && best.score < current.score * MIN_IMPROVEMENT) return DOWN;
+
+  const degrees = Math.acos(Math.max(-1, Math.min(1, dot(best.direction, DOWN)))) * 180 / Math.PI;
+  return degrees < MIN_ROTATION_DEGREES ? DOWN : best.direction;
+}
+
+/**
+ * Mean normals of the largest groups of similarly facing triangles.
+ */
+function faceGroupNormals({ normals, areas, triangleCount }) {
+  const bins = new Map();
+
+  for (let t = 0; t < triangleCount; t++) {
+    if (areas[t] === 0) continue;
+    const key = [0, 1, 2].map(axis => Math.round(normals[t * 3 + axis] * NORMAL_BIN_STEPS)).join(',');
+    const bin = bins.get(key) || { area: 0, sum: [0, 0, 0] };
+    bin.area += areas[t];
+    for (let axis = 0; axis < 3; axis++) {
+      bin.sum[axis] += normals[t * 3 + axis] * areas[t];
+    }
+    bins.set(key, bin);
+  }
+
+  return [...bins.values()]
+    .sort((a, b) => b.area - a.area)
+    .slice(0, CANDIDATE_FACE_GROUPS)
+    .map(bin => normalize(bin.sum))
+    .filter(Boolean);
+}
+
+/**
+ * Both ends of the three principal axes of the surface (area-weighted
+ * covariance of the triangle centroids).
+ */
+function principalDirections({ points, triangles, areas, triangleCount, centroid }) {
+  const covariance = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+
+  for (let t = 0; t < triangleCount; t++) {
+    if (areas[t] === 0) continue;
+    const d = [0, 1, 2].map(axis => (
+      points[triangles[t * 3] * 3 + axis] +
+      points[triangles[t * 3 + 1] * 3 + axis] +
+      points[triangles[t * 3 + 2] * 3 + axis]
+    ) / 3 - centroid[axis]);
+
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        covariance[i][j] += areas[t] * d[i] * d[j];
+      }
+    }
+  }
+
+  return eigenvectors(covariance).flatMap(vector => [vector, vector.map(value => -value)]);
+}
+
+/**
+ * Rest the model on `down`: whether the surface centroid falls inside the
+ * contact patch, how much of the footprint the patch covers, and how tall
+ * the model stands.
+ */
+function restingPose({ points, centroid }, down) {
+  const [u, v] = planeBasis(down);
+  const count = points.length / 3;
+  let lowest = -Infinity;
+  let highest = Infinity;
+
+  for (let i = 0; i < count; i++) {
+    const depth = points[i * 3] * down[0] + points[i * 3 + 1] * down[1] + points[i * 3 + 2] * down[2];
+    lowest = Math.max(lowest, depth);
+    highest = Math.min(highest, depth);
+  }
+
+  const threshold = lowest - (lowest - highest) * CONTACT_TOLERANCE;
+  const contact = [];
+  const min = [Infinity, Infinity];
+  const max = [-Infinity, -Infinity];
+
+  for (let i = 0; i < count; i++) {
+    const p = [points[i * 3], points[i * 3 + 1], points[i * 3 + 2]];
+    const projected = [dot(p, u), dot(p, v)];
+    for (let axis = 0; axis < 2; axis++) {
+      min[axis] = Math.min(min[axis], projected[axis]);
+      max[axis] = Math.max(max[axis], projected[axis]);
+    }
+    if (dot(p, down) >= threshold) {
+      contact.push(projected);
+    }
+  }
+
+  const hull = convexHull(contact);
+  const footprint = (max[0] - min[0]) * (max[1] - min[1]);
+  const score = footprint > 0 ? polygonArea(hull) / footprint : 0;
+
+  return {
+    stable: hull.length >= 3 && insidePolygon(hull, [dot(centroid, u), dot(centroid, v)]),
+    score,
+    height: lowest - highest
+  };
+}
+
+/**
+ * Translation that centers the rotated points on X/Z and puts their
+ * lowest point at y = 0.
+ */
+function groundOffset(points, rotation) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+
+  for (let i = 0; i < points.length; i += 3) {
+    const p = rotateVector(rotation, [points[i], points[i + 1], points[i + 2]]);
+    for (let axis = 0; axis < 3; axis++) {
+      min[axis] = Math.min(min[axis], p[axis]);
+      max[axis] = Math.max(max[axis], p[axis]);
+    }
+  }
+
+  return [-(min[0] + max[0]) / 2, -min[1], -(min[2] + max[2]) / 2];
+}
+
+/**
+ * Move the wrapper's correction (and every other node transform) into the
+ * meshes: the hierarchy is flattened and each mesh node's transform is
+ * applied to its vertices. Meshes used by several nodes are copied first,
+ * as each copy gets its own transform.
+ */
+async function bakeTransforms(document) {
+  await document.transform(flatten());
+
+  const meshNodes = document.getRoot().listNodes().filter(node => node.getMesh());
+  meshNodes.forEach((node) => {
+    const mesh = node.getMesh();
+    if (mesh.listParents().filter(parent => meshNodes.includes(parent)).length > 1) {
+      node.setMesh(mesh.clone());
+    }
+  });
+  meshNodes.forEach(node => clearNodeTransform(node));
+}
+
+// --- Geometry helpers ---
+
+/** Column-major 4x4 matrix times point */
+function transformPoint(m, [x, y, z]) {
+  return [
+    m[0] * x + m[4] * y + m[8] * z + m[12],
+    m[1] * x + m[5] * y + m[9] * z + m[13],
+    m[2] * x + m[6] * y + m[10] * z + m[14]
+  ];
+}
+
+/** Unit quaternion [x, y, z, w] turning unit vector `from` onto `to` */
+function rotationBetween(from, to) {
+  const cosine = dot(from, to);
+
+  if (cosine < -0.999999) {
+    // Opposite: half a turn about any perpendicular axis
+    const axis = normalize(Math.abs(from[0]) < 0.9 ? cross([1, 0, 0], from) : cross([0, 0, 1], from));
+    return [axis[0], axis[1], axis[2], 0];
+  }
+
+  const axis = cross(from, to);
+  const quaternion = [axis[0], axis[1], axis[2], 1 + cosine];
+  const length = Math.hypot(...quaternion);
+  return quaternion.map(value => value / length);
+}
+
+function rotateVector([qx, qy, qz, qw], v) {
+  // v + 2w(q x v) + 2(q x (q x v))
+  const q = [qx, qy, qz];
+  const t = cross(q, v).map(value => 2 * value);
+  const u = cross(q, t);
+  return [v[0] + qw * t[0] + u[0], v[1] + qw * t[1] + u[1], v[2] + qw * t[2] + u[2]];
+}
+
+/** Two unit vectors spanning the plane perpendicular to `normal` */
+function planeBasis(normal) {
+  const u = normalize(Math.abs(normal[1]) < 0.9 ? cross([0, 1, 0], normal) : cross([1, 0, 0], normal));
+  return [u, cross(normal, u)];
+}
+
+/** Eigenvectors of a symmetric 3x3 matrix (Jacobi rotations) */
+function eigenvectors(matrix) {
+  const a = matrix.map(row => [...row]);
+  const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    const offDiagonal = Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2]);
+    if (offDiagonal < 1e-12) break;
+
+    for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+      if (Math.abs(a[p][q]) < 1e-15) continue;
+
+      const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+      const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+      const c = 1 / Math.sqrt(t * t + 1);
+      const s = t * c;
+
+      for (let k = 0; k < 3; k++) {
+        const akp = a[k][p];
+        const akq = a[k][q];
+        a[k][p] = c * akp - s * akq;
+        a[k][q] = s * akp + c * akq;
+      }
+      for (let k = 0; k < 3; k++) {
+        const apk = a[p][k];
+        const aqk = a[q][k];
+        a[p][k] = c * apk - s * aqk;
+        a[q][k] = s * apk + c * aqk;
+      }
+      for (let k = 0; k < 3; k++) {
+        const vkp = v[k][p];
+        const vkq = v[k][q];
+        v[k][p] = c * vkp - s * vkq;
+        v[k][q] = s * vkp + c * vkq;
+      }
+    }
+  }
+
+  return [0, 1, 2].map(column => [v[0][column], v[1][column], v[2][column]]);
+}
+
+/** 2D convex hull (monotone chain), counter-clockwise */
+function convexHull(points) {
+  if (points.length < 3) return points;
+
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const turn = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const lower = [];
+  const upper = [];
+
+  for (const point of sorted) {
+    while (lower.length >= 2 && turn(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+    lower.push(point);
+  }
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const point = sorted[i];
+    while (upper.length >= 2 && turn(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+    upper.push(point);
+  }
+
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+function polygonArea(polygon) {
+  let area = 0;
+  for (let i = 0; i < polygon.length; i++) {
+    const [x1, y1] = polygon[i];
+    const [x2, y2] = polygon[(i + 1) % polygon.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(area) / 2;
+}
+
+/** Whether a point lies inside a counter-clockwise convex polygon */
+function insidePolygon(polygon, [x, y]) {
+  for (let i = 0; i < polygon.length; i++) {
+    const [x1, y1] = polygon[i];
+    const [x2, y2] = polygon[(i + 1) % polygon.length];
+    if ((x2 - x1) * (y - y1) - (y2 - y1) * (x - x1) < 0) return false;
+  }
+  return true;
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function normalize(vector) {
+  const length = Math.hypot(...vector);
+  return length > 0 ? vector.map(value => value / length) : null;
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+module.exports = {
+  orientModel,
+  orientModelSafely,
+  markUpright
+};
@@ -0,0 +1,88 @@
+/**
+ * Real-world scale of generated models.
+ *
+ * Provider GLBs come in arbitrary units, so the user gives one known
+ * dimension of the real object (e.g. "it is 45 cm tall"). It is stored on
+ * the object as `realDimension` and turned into a uniform scale factor
+ * against the model's bounding box (services/modelInspector), so each
+ * model version gets its own factor without touching the GLB.
+ *
+ *   width   X extent of the model
+ *   height  Y extent (glTF is Y up)
+ *   depth   Z extent
+ */
+
+const DIMENSION_AXES = Object.freeze({ width: 0, height: 1, depth: 2 });
+// Accepted range (meters): a ring up to a large wardrobe
+const MIN_METERS = 0.01;
+const MAX_METERS = 20;
+
+/**
+ * Validate a client-supplied real dimension.
+ *
+ * @param {object|string|null|undefined} input - { dimension, meters }, or
+ *   a JSON string when sent as a multipart form field. null (or '') clears
+ *   the dimension.
+ * @returns {{ realDimension?: object|null, error?: string }} realDimension
+ *   is undefined when the input was left out
+ */
+function parseRealDimension(input) {
+  if (input === undefined) {
+    return {};
+  }
+  if (input === null || input === '' || input === 'null') {
+    return { realDimension: null };
+  }
+
+  let raw = input;
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch (error) {
+      return { error: 'realDimension must be a JSON object' };
+    }
+  }
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'realDimension must be a JSON object' };
+  }
+
+  const dimensions = Object.keys(DIMENSION_AXES);
+  if (!dimensions.includes(raw.dimension)) {
+    return { error: `realDimension.dimension must be one of: ${dimensions.join(', ')}` };
+  }
+
+  if (typeof raw.meters !== 'number' || !(raw.meters >= MIN_METERS && raw.meters <= MAX_METERS)) {
+    return { error: `realDimension.meters must be a number between ${MIN_METERS} and ${MAX_METERS}` };
+  }
+
+  return { realDimension: { dimension: raw.dimension, meters: raw.meters } };
+}
+
+/**
+ * Factor that brings a model to real size: multiply its coordinates by it
+ * and the chosen dimension measures `meters`.
+ *
+ * @param {{ dimension: string, meters: number }|null} realDimension
+ * @param {{ boundingBox?: { size: number[] } }|null} modelStats
+ * @returns {number|null} null without a dimension, or for models whose
+ *   bounding box is unknown or flat along that axis
+ */
+function getModelScale(realDimension, modelStats) {
+  if (!realDimension || !modelStats?.boundingBox) {
+    return null;
+  }
+
+  const extent = modelStats.boundingBox.size?.[DIMENSION_AXES[realDimension.dimension]];
+  if (!(extent > 0)) {
+    return null;
+  }
+
+  return realDimension.meters / extent;
+}
+
+module.exports = {
+  DIMENSION_AXES,
+  parseRealDimension,
+  getModelScale
+};
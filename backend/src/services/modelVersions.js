@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveOptions } = require('./generationOptions');
+
+const UPLOADS_ROOT = path.join(__dirname, '../..');
+
+/**
+ * Helpers for Object.modelVersions.
+ *
+ * Every generation (create or regenerate) adds a version; the object's
+ * `modelUrl` always points at the active version's GLB, stored as
+ * uploads/models/<objectId>/<versionId>.glb, with its LOD variants
+ * (services/modelOptimizer) and cached exports (services/modelExporter)
+ * beside it as <versionId>-*.glb and <versionId>.<format>. Objects from
+ * before versions existed have a single uploads/models/<objectId>.glb,
+ * which becomes their first version the next time they are regenerated
+ * or listed.
+ */
+
+/**
+ * Public URL of a version's GLB (see ModelGenerator.getOutputPath).
+ */
+function getVersionUrl(objectId, versionId) {
+  return `/uploads/models/${objectId}/${versionId}.glb`;
+}
+
+/**
+ * Variants from the optimizer as stored on a version: file names become
+ * URLs next to the model's.
+ */
+function toVariantEntries(modelUrl, variants = []) {
+  const dir = path.posix.dirname(modelUrl);
+  return variants.map(({ fileName, ...variant }) => ({
+    ...variant,
+    modelUrl: path.posix.join(dir, fileName)
+  }));
+}
+
+/**
+ * Absolute path for an /uploads URL.
+ */
+function resolveUploadPath(url) {
+  return path.join(UPLOADS_ROOT, url);
+}
+
+/**
+ * Record a pre-versions object's model as its first version (caller saves).
+ */
+function ensureVersionHistory(object) {
+  if (object.modelVersions.length > 0 || !object.modelUrl) return;
+
+  const modelPath = resolveUploadPath(object.modelUrl);
+  const version = object.modelVersions.create({
+    method: object.generationMethod,
+    mode: object.generationMode,
+    options: resolveOptions(object.generationOptions),
+    status: 'completed',
+    modelUrl: object.modelUrl,
+    size: fs.existsSync(modelPath) ? fs.statSync(modelPath).size : 0,
+    generationTime: object.generationTime,
+    createdAt: object.createdAt,
+    completedAt: object.createdAt
+  });
+
+  object.modelVersions.push(version);
+  object.activeVersion = version._id;
+}
+
+/**
+ * Add a 'processing' version for a new generation (caller saves). Versions
+ * still processing from an earlier request are marked failed.
+ */
+function addVersion(object) {
+  ensureVersionHistory(object);
+
+  object.modelVersions.forEach((version) => {
+    if (version.status === 'processing') {
+      finishVersion(object, version._id, 'failed', { error: 'Superseded by a new generation request' });
+    }
+  });
+
+  const version = object.modelVersions.create({
+    options: resolveOptions(object.generationOptions),
+    status: 'processing'
+  });
+  object.modelVersions.push(version);
+  return version;
+}
+
+/**
+ * Close a processing version (caller saves). `fields` are extra values to
+ * set, e.g. { error } or { modelUrl, size, modelStats, variants, generationTime }.
+ */
+function finishVersion(object, versionId, status, fields = {}) {
+  const version = versionId && object.modelVersions.id(versionId);
+  if (!version || version.status !== 'processing') return null;
+
+  Object.assign(version, fields, { status, completedAt: new Date() });
+  return version;
+}
+
+/**
+ * Make a completed version the one the object serves (caller saves).
+ */
+function activateVersion(object, version) {
+  object.activeVersion = version._id;
+  object.modelUrl = version.modelUrl;
+  object.modelStats = version.modelStats;
+  object.modelVariants = version.variants;
+}
+
+/**
+ * Delete a version's GLB, its variants and its exports from disk, if it
+ * has one.
+ */
+function removeVersionFile(version) {
+  if (!version.modelUrl) return;
+
+  const { dir, name, base } = path.parse(resolveUploadPath(version.modelUrl));
+  if (!fs.existsSync(dir)) return;
+
+  fs.readdirSync(dir)
+    .filter(file => file === base || file.startsWith(`${name}-`) || file.startsWith(`${name}.`))
+    .forEach(file => fs.rmSync(path.join(dir, file), { force: true }));
+}
+
+module.exports = {
+  getVersionUrl,
+  toVariantEntries,
+  resolveUploadPath,
+  ensureVersionHistory,
+  addVersion,
+  finishVersion,
+  activateVersion,
+  removeVersionFile
+};
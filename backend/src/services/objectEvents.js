@@ -0,0 +1,96 @@
+const { EventEmitter } = require('events');
+const { getModelScale } = require('./modelScale');
+const { signFileUrl } = require('./fileAccess');
+
+/**
+ * ObjectEvents - In-process pub/sub for object generation updates.
+ *
+ * The generation queue and routes publish here whenever an object's
+ * generation state changes; the Server-Sent Events routes
+ * (GET /api/objects/events and /:id/events) forward them to clients.
+ *
+ * Events only reach clients connected to the process that made the
+ * change, so the streams send the current state on connect and clients
+ * re-sync whenever they reconnect.
+ */
+class ObjectEvents {
+
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open stream
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Announce an object's current generation state.
+   *
+   * @param {Document} object - Object document
+   */
+  publish(object) {
+    this.emitter.emit('event', {
+      type: 'status',
+      data: this.toStatus(object),
+      owner: ownerOf(object)
+    });
+  }
+
+  /**
+   * Announce that an object was deleted.
+   *
+   * @param {Document} object - the deleted Object document
+   */
+  publishDeleted(object) {
+    this.emitter.emit('event', {
+      type: 'deleted',
+      data: { id: object._id.toString() },
+      owner: ownerOf(object)
+    });
+  }
+
+  /**
+   * Listen for events about one object, or about every object of one
+   * owner. Listeners get { type, data }.
+   *
+   * @param {{ objectId?: string, owner?: string }} filter - an empty
+   *   filter receives every event
+   * @param {function({ type: string, data: object })} listener
+   * @returns {function} call to unsubscribe
+   */
+  subscribe({ objectId = null, owner = null } = {}, listener) {
+    const id = objectId ? objectId.toString() : null;
+    const ownerId = owner ? owner.toString() : null;
+    const handler = (event) => {
+      if ((!id || event.data.id === id) && (!ownerId || event.owner === ownerId)) {
+        listener({ type: event.type, data: event.data });
+      }
+    };
+
+    this.emitter.on('event', handler);
+    return () => this.emitter.off('event', handler);
+  }
+
+  /**
+   * The generation fields clients track (same shape as GET /:id/status).
+   */
+  toStatus(object) {
+    return {
+      id: object._id.toString(),
+      name: object.name,
+      generationStatus: object.generationStatus,
+      generationProgress: object.generationProgress,
+      generationMethod: object.generationMethod,
+      generationMode: object.generationMode,
+      generationError: object.generationError,
+      generationAttempts: object.generationAttempts,
+      modelUrl: signFileUrl(object.modelUrl),
+      modelScale: getModelScale(object.realDimension, object.modelStats),
+      generationTime: object.generationTime
+    };
+  }
+}
+
+function ownerOf(object) {
+  return object.owner ? object.owner.toString() : null;
+}
+
+module.exports = new ObjectEvents();
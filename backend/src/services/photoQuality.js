@@ -0,0 +1,255 @@
+const path = require('path');
+const sharp = require('sharp');
+const { segmentSubject } = require('../utils/segmentation');
+
+// Longest side the photo is analyzed at, so sharpness is comparable
+// between photos of different resolutions
+const ANALYSIS_SIZE = 1024;
+
+// Variance of the Laplacian over the subject: higher is sharper
+const SHARPNESS = { good: 150, warn: 50, fail: 15 };
+// Mean luminance (0-255) of the subject
+const BRIGHTNESS = { min: 60, max: 200, failMin: 30, failMax: 230 };
+// Share of subject pixels crushed to black or blown to white
+const MAX_CLIPPED = 0.2;
+const CLIP_DARK = 16;
+const CLIP_BRIGHT = 239;
+// Shorter side of the photo (px)
+const RESOLUTION = { good: 1024, fail: 512 };
+// Share of the frame the subject fills
+const COVERAGE = { min: 0.1, max: 0.85 };
+
+/**
+ * Score how well a photo will reconstruct, before any paid task is
+ * submitted. Each score is 0-1 (1 = no concern):
+ *
+ *   sharpness   variance of the Laplacian over the subject
+ *   exposure    subject brightness, and how much of it is clipped
+ *   resolution  shorter side against RESOLUTION.good
+ *   coverage    how much of the frame the subject fills
+ *
+ * Issues carry a message the user can act on. 'error' issues (very
+ * blurry, very dark or bright, tiny) fail the photo; strict mode on
+ * POST /api/objects rejects uploads with a failed photo.
+ *
+ * @param {string} imagePath
+ * @returns {Promise<{ score: number, scores: object, metrics: object, issues: object[], passed: boolean }>}
+ */
+async function analyzePhoto(imagePath) {
+  const { width: fullWidth, height: fullHeight } = await sharp(imagePath).metadata();
+
+  const { data: gray, info } = await sharp(imagePath)
+    .rotate()
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const segmentation = await segmentSubject(imagePath);
+  const region = subjectRegion(segmentation, info.width, info.height);
+
+  const sharpnessValue = laplacianVariance(gray, info.width, region);
+  const { mean, clipped } = exposureStats(gray, info.width, region);
+  const shortSide = Math.min(fullWidth, fullHeight);
+
+  const scores = {
+    sharpness: round(Math.min(1, sharpnessValue / SHARPNESS.good)),
+    exposure: round(Math.min(brightnessScore(mean), 1 - clipped)),
+    resolution: round(Math.min(1, shortSide / RESOLUTION.good)),
+    coverage: round(coverageScore(segmentation))
+  };
+
+  const issues = findIssues({
+    sharpnessValue,
+    mean,
+    clipped,
+    shortSide,
+    segmentation
+  });
+
+  return {
+    score: Math.min(...Object.values(scores)),
+    scores,
+    metrics: {
+      laplacianVariance: Math.round(sharpnessValue),
+      meanLuminance: Math.round(mean),
+      clippedFraction: round(clipped),
+      width: fullWidth,
+      height: fullHeight,
+      subjectCoverage: segmentation.segmented ? round(segmentation.coverage) : null
+    },
+    issues,
+    passed: !issues.some(issue => issue.severity === 'error')
+  };
+}
+
+/**
+ * Analyze several photos, one at a time. A photo that can't be read at
+ * all fails with an 'unreadable' issue.
+ *
+ * @param {string[]} imagePaths
+ */
+async function analyzePhotos(imagePaths) {
+  const results = [];
+  for (const imagePath of imagePaths) {
+    try {
+      results.push(await analyzePhoto(imagePath));
+    } catch (error) {
+      console.error(`[PhotoQuality] Failed to analyze ${path.basename(imagePath)}:`, error.message);
+      results.push({
+        score: 0,
+        scores: {},
+        metrics: {},
+        issues: [issue('unreadable', 'error', 'This file could not be read as a photo. Try exporting it again as JPEG.')],
+        passed: false
+      });
+    }
+  }
+  return results;
+}
+
+/**
+ * Variance of the Laplacian over the whole frame at ANALYSIS_SIZE, without
+ * segmentation. Cheap enough to rank many candidate frames by sharpness.
+ *
+ * @param {string} imagePath
+ * @returns {Promise<number>}
+ */
+async function measureSharpness(imagePath) {
+  const { data: gray, info } = await sharp(imagePath)
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return laplacianVariance(gray, info.width, { left: 0, top: 0, right: info.width, bottom: info.height });
+}
+
+function findIssues({ sharpnessValue, mean, clipped, shortSide, segmentation }) {
+  const issues = [];
+
+  if (sharpnessValue < SHARPNESS.fail) {
+    issues.push(issue('blurry', 'error', 'The photo is very blurry. Hold the phone steady and tap the object to focus before shooting.'));
+  } else if (sharpnessValue < SHARPNESS.warn) {
+    issues.push(issue('blurry', 'warning', 'The photo looks soft. Hold the phone steady and tap the object to focus.'));
+  }
+
+  if (mean < BRIGHTNESS.min) {
+    issues.push(issue('too_dark', mean < BRIGHTNESS.failMin ? 'error' : 'warning',
+      'The object is too dark. Add light or move it near a window, avoiding harsh shadows.'));
+  } else if (mean > BRIGHTNESS.max) {
+    issues.push(issue('too_bright', mean > BRIGHTNESS.failMax ? 'error' : 'warning',
+      'The object is overexposed. Move out of direct light or tap a bright area to lower the exposure.'));
+  } else if (clipped > MAX_CLIPPED) {
+    issues.push(issue('clipped', 'warning',
+      'Parts of the object are pure black or white, so their detail is lost. Use softer, even lighting.'));
+  }
+
+  if (shortSide < RESOLUTION.fail) {
+    issues.push(issue('low_resolution', 'error', `The photo is only ${shortSide}px on its short side. Use the full camera resolution (at least ${RESOLUTION.good}px).`));
+  } else if (shortSide < RESOLUTION.good) {
+    issues.push(issue('low_resolution', 'warning', `The photo is ${shortSide}px on its short side; ${RESOLUTION.good}px or more gives better detail.`));
+  }
+
+  if (!segmentation.segmented) {
+    issues.push(issue('no_subject', 'warning',
+      'The object could not be told apart from the background. Use a plain background that contrasts with it, away from other items.'));
+  } else if (segmentation.coverage < COVERAGE.min) {
+    issues.push(issue('subject_small', 'warning', 'The object is small in the frame. Move closer so it fills more of the photo.'));
+  } else if (segmentation.coverage > COVERAGE.max) {
+    issues.push(issue('subject_cropped', 'warning', 'The object fills the whole frame and may be cut off. Step back so all of it is visible.'));
+  }
+
+  return issues;
+}
+
+function issue(code, severity, message) {
+  return { code, severity, message };
+}
+
+/**
+ * The subject's bounding box at analysis resolution, or the whole frame
+ * when there is no usable subject.
+ */
+function subjectRegion(segmentation, width, height) {
+  const scale = width / segmentation.width;
+  const { bbox } = segmentation;
+
+  const region = {
+    left: Math.floor(bbox.left * scale),
+    top: Math.floor(bbox.top * scale),
+    right: Math.min(width, Math.ceil((bbox.left + bbox.width) * scale)),
+    bottom: Math.min(height, Math.ceil((bbox.top + bbox.height) * scale))
+  };
+
+  if (!segmentation.segmented || region.right - region.left < 32 || region.bottom - region.top < 32) {
+    return { left: 0, top: 0, right: width, bottom: height };
+  }
+  return region;
+}
+
+/**
+ * Variance of the 4-neighbour Laplacian inside a region of a greyscale
+ * image.
+ */
+function laplacianVariance(gray, width, region) {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+
+  for (let y = region.top + 1; y < region.bottom - 1; y++) {
+    for (let x = region.left + 1; x < region.right - 1; x++) {
+      const i = y * width + x;
+      const value = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+function exposureStats(gray, width, region) {
+  let sum = 0;
+  let clipped = 0;
+  let count = 0;
+
+  for (let y = region.top; y < region.bottom; y++) {
+    for (let x = region.left; x < region.right; x++) {
+      const value = gray[y * width + x];
+      sum += value;
+      if (value <= CLIP_DARK || value >= CLIP_BRIGHT) clipped++;
+      count++;
+    }
+  }
+
+  return { mean: sum / count, clipped: clipped / count };
+}
+
+function brightnessScore(mean) {
+  if (mean < BRIGHTNESS.min) return mean / BRIGHTNESS.min;
+  if (mean > BRIGHTNESS.max) return (255 - mean) / (255 - BRIGHTNESS.max);
+  return 1;
+}
+
+function coverageScore(segmentation) {
+  if (!segmentation.segmented) return 0.5;
+
+  const { coverage } = segmentation;
+  if (coverage < COVERAGE.min) return coverage / COVERAGE.min;
+  if (coverage > COVERAGE.max) return (1 - coverage) / (1 - COVERAGE.max);
+  return 1;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  analyzePhoto,
+  analyzePhotos,
+  measureSharpness
+};
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { requestWithRetry } = require('../../utils/httpRetry');
+
+/**
+ * BaseProvider - Contract every 3D generation provider implements.
+ *
+ * A provider wraps one reconstruction backend (a vendor API or a local
+ * generator) behind four operations:
+ *   createTask(input)           -> taskId
+ *   getStatus(taskId, mode)     -> { status, progress, modelUrl?, error? }
+ *   download(status, outputPath)
+ *   cancel(taskId, mode)        -> true if the provider stopped the task
+ *
+ * `status` is always normalized to PENDING | IN_PROGRESS | SUCCEEDED | FAILED
+ * so callers never see vendor-specific values.
+ *
+ * `mode` is the generation mode the task was created with ('single',
+ * 'multiview' or 'text'); providers whose endpoints differ per mode need
+ * it to find the task again.
+ *
+ * Providers that can push task updates to POST /api/webhooks/<name> also
+ * implement verifyWebhook and parseWebhook, and set `webhookSecret`.
+ *
+ * Paid providers implement estimateCredits and set `creditPrice`, so every
+ * task can be costed (services/usageTracker) and held to the budget caps.
+ *
+ * Remote providers implement probe, a cheap authenticated request that
+ * ModelGenerator sends in the background to track their health.
+ */
+class BaseProvider {
+
+  /**
+   * @param {string} name - registry key, also stored as Object.generationMethod
+   */
+  constructor(name) {
+    this.name = name;
+    // Shared secret for webhook signatures; '' disables webhooks
+    this.webhookSecret = '';
+    this.webhookSignatureHeader = '';
+    // USD per provider credit; 0 means tasks are free
+    this.creditPrice = 0;
+  }
+
+  /**
+   * Whether the provider has everything it needs (API key, etc.) to run.
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Whether createTask accepts mode 'multiview' (several photos of the
+   * same object, ordered front/left/back/right).
+   */
+  get supportsMultiView() {
+    return false;
+  }
+
+  /**
+   * Whether createTask accepts mode 'text' (a prompt instead of photos).
+   */
+  get supportsText() {
+    return false;
+  }
+
+  /**
+   * Whether task updates arrive by webhook. Tasks of such providers are
+   * only polled as a slow fallback.
+   */
+  get receivesWebhooks() {
+    return !!this.webhookSecret;
+  }
+
+  /**
+   * Model version names createTask understands in options.modelVersion
+   * (besides 'latest').
+   */
+  get modelVersions() {
+    return [];
+  }
+
+  /**
+   * Credits a task with this input will spend. Vendors don't report the
+   * charge per task, so this follows their published price list.
+   *
+   * @param {{ mode?: string, options?: object }} input - as for createTask
+   * @returns {number}
+   */
+  estimateCredits(input) {
+    return 0;
+  }
+
+  /**
+   * Submit a generation task.
+   *
+   * `options` are the per-request generation options (see
+   * services/generationOptions); providers map what they support and
+   * ignore the rest.
+   *
+   * @param {{ imagePaths?: string[], mode?: string, prompt?: string, negativePrompt?: string, options?: object }} input
+   * @returns {string} taskId
+   */
+  async createTask(input) {
+    throw new Error(`${this.name} does not implement createTask`);
+  }
+
+  /**
+   * Fetch the normalized status of a task.
+   *
+   * @param {string} taskId
+   * @param {string} mode
+   * @returns {{ status: string, progress: number, modelUrl?: string, error?: string }}
+   */
+  async getStatus(taskId, mode) {
+    throw new Error(`${this.name} does not implement getStatus`);
+  }
+
+  /**
+   * Save the finished model to disk. The default implementation downloads
+   * the `modelUrl` reported by getStatus.
+   *
+   * @param {{ modelUrl: string }} status - a SUCCEEDED status from getStatus
+   * @param {string} outputPath - absolute path of the GLB to write
+   */
+  async download(status, outputPath) {
+    if (!status.modelUrl) {
+      throw new Error(`${this.name} task completed but no model URL found`);
+    }
+
+    const response = await this.request({
+      method: 'get',
+      url: status.modelUrl,
+      responseType: 'arraybuffer',
+      timeout: 120000 // 2 minutes for large files
+    });
+
+    fs.writeFileSync(outputPath, Buffer.from(response.data));
+  }
+
+  /**
+   * Send an HTTP request with retry and exponential backoff on transient
+   * failures (see utils/httpRetry).
+   */
+  request(config, opts = {}) {
+    return requestWithRetry(config, { label: this.name, ...opts });
+  }
+
+  /**
+   * Check that the provider is reachable and accepts our credentials.
+   * Throws when it is not.
+   *
+   * @returns {boolean|null} true when healthy, null when the provider has
+   *   nothing to probe (e.g. it runs on this server)
+   */
+  async probe() {
+    return null;
+  }
+
+  /**
+   * Ask the provider to stop a running task.
+   *
+   * @returns {boolean} false when the provider has no cancel API
+   */
+  async cancel(taskId, mode) {
+    return false;
+  }
+
+  /**
+   * Check a webhook's signature: a hex HMAC-SHA256 of the raw request body
+   * keyed with `webhookSecret`, sent in the `webhookSignatureHeader` header
+   * (optionally prefixed with 'sha256=').
+   *
+   * @param {Buffer} rawBody
+   * @param {object} headers - lower-cased request headers
+   */
+  verifyWebhook(rawBody, headers) {
+    const signature = String(headers[this.webhookSignatureHeader] || '').replace(/^sha256=/, '');
+    if (!this.webhookSecret || !signature) {
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+    const given = Buffer.from(signature, 'utf8');
+    return given.length === expected.length &&
+      crypto.timingSafeEqual(given, Buffer.from(expected, 'utf8'));
+  }
+
+  /**
+   * Map a (verified) webhook payload onto the task it is about and its
+   * normalized status.
+   *
+   * @param {object} payload - parsed JSON body
+   * @returns {{ taskId: string, status: { status: string, progress: number, modelUrl?: string, error?: string } }}
+   */
+  parseWebhook(payload) {
+    throw new Error(`${this.name} does not support webhooks`);
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const BaseProvider = require('./BaseProvider');
+const { buildSilhouetteModel } = require('../silhouetteModel');
+
+const LOCAL_OUTPUT_DIR = path.join(__dirname, '../../../uploads/models/local');
+const TASK_FILE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * LocalProvider - On-server fallback that needs no API key or network.
+ *
+ * Builds an extruded photo cut-out (see services/silhouetteModel) from
+ * the first photo. The model is built while the task is created, so the
+ * task is already SUCCEEDED on the first status check. Output is kept in
+ * uploads/models/local/<taskId>.glb, which lets pending tasks survive a
+ * server restart; task files older than a day are swept on the next
+ * createTask.
+ */
+class LocalProvider extends BaseProvider {
+
+  constructor(outputDir = LOCAL_OUTPUT_DIR) {
+    super('local');
+    this.outputDir = outputDir;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async createTask({ imagePaths }) {
+    if (!imagePaths || !imagePaths.length) {
+      throw new Error('At least one image is required');
+    }
+
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+    this.sweepOldTasks();
+
+    const taskId = `local-${crypto.randomUUID()}`;
+    const startTime = Date.now();
+    const { glb, segmented } = await buildSilhouetteModel(imagePaths[0]);
+
+    fs.writeFileSync(this.getTaskPath(taskId), glb);
+    console.log(`[Local] Task ${taskId}: built ${segmented ? 'cut-out' : 'full-frame'} model in ${Date.now() - startTime}ms`);
+
+    return taskId;
+  }
+
+  async getStatus(taskId) {
+    const localPath = this.getTaskPath(taskId);
+
+    if (!fs.existsSync(localPath)) {
+      return {
+        status: 'FAILED',
+        progress: 0,
+        error: 'Local model output not found'
+      };
+    }
+
+    return { status: 'SUCCEEDED', progress: 100, localPath };
+  }
+
+  async download(status, outputPath) {
+    fs.copyFileSync(status.localPath, outputPath);
+  }
+
+  getTaskPath(taskId) {
+    return path.join(this.outputDir, `${path.basename(taskId)}.glb`);
+  }
+
+  /**
+   * Delete task files that have long since been copied into place.
+   */
+  sweepOldTasks() {
+    const cutoff = Date.now() - TASK_FILE_TTL_MS;
+
+    fs.readdirSync(this.outputDir).forEach(file => {
+      const filePath = path.join(this.outputDir, file);
+      try {
+        if (fs.statSync(filePath).mtimeMs < cutoff) {
+          fs.unlinkSync(filePath);
+        }
+      } catch (error) {
+        console.error(`[Local] Failed to remove old task file ${file}:`, error.message);
+      }
+    });
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,262 @@
+const sharp = require('sharp');
+const BaseProvider = require('./BaseProvider');
+const { resolveOptions } = require('../generationOptions');
+
+// Override with the fake provider server (npm run fake-providers) to work offline
+const MESHY_BASE_URL = process.env.MESHY_BASE_URL || 'https://api.meshy.ai/openapi';
+
+// Task endpoint for each generation mode
+const ENDPOINTS = {
+  single: '/v1/image-to-3d',
+  multiview: '/v1/multi-image-to-3d',
+  text: '/v2/text-to-3d'
+};
+
+// Meshy's multi-image endpoint accepts 1-4 images of the same object
+const MAX_MULTIVIEW_IMAGES = 4;
+
+// Values for `ai_model`; 'latest' (the default) follows Meshy's newest
+const MODEL_VERSIONS = ['meshy-4', 'meshy-5'];
+
+// Meshy price list, in credits per task
+const CREDITS = {
+  mesh: 5,      // image/multi-image mesh, or a text-to-3d preview
+  texture: 10   // added when the image task is textured
+};
+
+/**
+ * MeshyProvider - Meshy.ai Image-to-3D, Multi-Image-to-3D (base64 upload)
+ * and Text-to-3D APIs.
+ */
+class MeshyProvider extends BaseProvider {
+
+  constructor(
+    apiKey = process.env.MESHY_API_KEY || '',
+    baseUrl = MESHY_BASE_URL,
+    webhookSecret = process.env.MESHY_WEBHOOK_SECRET || '',
+    creditPrice = parseFloat(process.env.MESHY_CREDIT_PRICE_USD) || 0.02
+  ) {
+    super('meshy');
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.webhookSecret = webhookSecret;
+    this.webhookSignatureHeader = 'x-meshy-signature';
+    this.creditPrice = creditPrice;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  get supportsMultiView() {
+    return true;
+  }
+
+  get supportsText() {
+    return true;
+  }
+
+  get modelVersions() {
+    return MODEL_VERSIONS;
+  }
+
+  /**
+   * Text tasks only run the untextured preview stage (see buildTextBody).
+   */
+  estimateCredits({ mode = 'single', options } = {}) {
+    const { texture } = resolveOptions(options);
+    return CREDITS.mesh + (mode !== 'text' && texture ? CREDITS.texture : 0);
+  }
+
+  /**
+   * Create an Image-to-3D task on Meshy, a Multi-Image-to-3D task when
+   * mode is 'multiview', or a Text-to-3D task when mode is 'text'.
+   */
+  async createTask({ imagePaths, mode = 'single', prompt, negativePrompt, options }) {
+    const body = mode === 'text'
+      ? this.buildTextBody(prompt, negativePrompt, options)
+      : await this.buildImageBody(imagePaths, mode, options);
+
+    const response = await this.request({
+      method: 'post',
+      url: `${this.baseUrl}${this.getEndpoint(mode)}`,
+      data: body,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 30000
+    });
+
+    return response.data.result;
+  }
+
+  /**
+   * Request body for the image-to-3d and multi-image-to-3d endpoints.
+   */
+  async buildImageBody(imagePaths, mode, options) {
+    const { texture, pbr } = resolveOptions(options);
+
+    if (!imagePaths || !imagePaths.length) {
+      throw new Error('At least one image is required');
+    }
+
+    const imageFields = {};
+    if (mode === 'multiview') {
+      imageFields.image_urls = await Promise.all(
+        imagePaths.slice(0, MAX_MULTIVIEW_IMAGES).map(p => this.imageToBase64DataURI(p))
+      );
+    } else {
+      imageFields.image_url = await this.imageToBase64DataURI(imagePaths[0]);
+    }
+
+    return {
+      ...imageFields,
+      ...this.buildMeshFields(options),
+      should_texture: texture,
+      enable_pbr: texture && pbr
+    };
+  }
+
+  /**
+   * Request body for the text-to-3d endpoint. Only the preview stage is
+   * run, which yields an untextured mesh; use Tripo for textured
+   * text-to-3D.
+   */
+  buildTextBody(prompt, negativePrompt, options) {
+    if (!prompt) {
+      throw new Error('A prompt is required');
+    }
+
+    return {
+      mode: 'preview',
+      prompt,
+      negative_prompt: negativePrompt || undefined,
+      art_style: 'realistic',
+      ...this.buildMeshFields(options)
+    };
+  }
+
+  /**
+   * Model and mesh fields shared by every task type.
+   */
+  buildMeshFields(options) {
+    const { modelVersion, topology, polycount } = resolveOptions(options);
+
+    return {
+      ai_model: MODEL_VERSIONS.includes(modelVersion) ? modelVersion : 'latest',
+      topology,
+      target_polycount: polycount,
+      should_remesh: true
+    };
+  }
+
+  /**
+   * Get the current status of a Meshy task.
+   */
+  async getStatus(taskId, mode = 'single') {
+    const response = await this.request({
+      method: 'get',
+      url: `${this.baseUrl}${this.getEndpoint(mode)}/${taskId}`,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      timeout: 15000
+    });
+
+    return this.normalizeTask(response.data);
+  }
+
+  /**
+   * Map a raw Meshy task onto the normalized status shape.
+   */
+  normalizeTask(task) {
+    if (task.status === 'SUCCEEDED') {
+      return {
+        status: 'SUCCEEDED',
+        progress: 100,
+        modelUrl: task.model_urls?.glb
+      };
+    }
+
+    if (task.status === 'FAILED' || task.status === 'CANCELED') {
+      return {
+        status: 'FAILED',
+        progress: task.progress || 0,
+        error: task.task_error?.message || 'Task failed'
+      };
+    }
+
+    return {
+      status: task.status === 'IN_PROGRESS' ? 'IN_PROGRESS' : 'PENDING',
+      progress: task.progress || 0
+    };
+  }
+
+  /**
+   * Meshy webhooks carry the same task object as GET /<endpoint>/:id.
+   */
+  parseWebhook(payload) {
+    if (!payload?.id || !payload.status) {
+      throw new Error('Webhook payload is not a Meshy task');
+    }
+    return { taskId: payload.id, status: this.normalizeTask(payload) };
+  }
+
+  /**
+   * Delete a Meshy task, which also stops it if still running.
+   */
+  async cancel(taskId, mode = 'single') {
+    await this.request({
+      method: 'delete',
+      url: `${this.baseUrl}${this.getEndpoint(mode)}/${taskId}`,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      timeout: 15000
+    });
+    return true;
+  }
+
+  /**
+   * Fetch the credit balance; cheap, and fails on a bad key or an outage.
+   */
+  async probe() {
+    await this.request({
+      method: 'get',
+      url: `${this.baseUrl}/v1/balance`,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      timeout: 10000
+    }, { retries: 0 });
+    return true;
+  }
+
+  /**
+   * Path of the task endpoint for a generation mode.
+   */
+  getEndpoint(mode) {
+    const endpoint = ENDPOINTS[mode];
+    if (!endpoint) {
+      throw new Error(`Meshy does not support mode: ${mode}`);
+    }
+    return endpoint;
+  }
+
+  /**
+   * Convert a local image file to a base64 data URI suitable for Meshy API.
+   * Images are resized to max 1024px to keep the payload reasonable.
+   */
+  async imageToBase64DataURI(imagePath) {
+    const imageBuffer = await sharp(imagePath)
+      .resize(1024, 1024, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer();
+
+    const base64 = imageBuffer.toString('base64');
+    return `data:image/png;base64,${base64}`;
+  }
+}
+
+module.exports = MeshyProvider;
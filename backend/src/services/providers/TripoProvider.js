@@ -0,0 +1,277 @@
+const fs = require('fs');
+const FormData = require('form-data');
+const BaseProvider = require('./BaseProvider');
+const { resolveOptions } = require('../generationOptions');
+
+// Override with the fake provider server (npm run fake-providers) to work offline
+const TRIPO_BASE_URL = process.env.TRIPO_BASE_URL || 'https://api.tripo3d.ai/v2/openapi';
+
+// multiview_to_model takes exactly these slots, in this order
+const VIEW_ROLES = ['front', 'left', 'back', 'right'];
+
+// Values for `model_version`; 'latest' maps to DEFAULT_MODEL_VERSION
+const MODEL_VERSIONS = ['v2.0-20240919', 'v2.5-20250123'];
+const DEFAULT_MODEL_VERSION = 'v2.0-20240919';
+
+// Tripo price list, in credits per task
+const CREDITS = {
+  text: 10,     // text_to_model
+  image: 20,    // image_to_model and multiview_to_model
+  texture: 10,
+  quad: 5
+};
+
+/**
+ * TripoProvider - Tripo AI Image-to-3D, Multiview-to-3D (file upload)
+ * and Text-to-3D APIs.
+ */
+class TripoProvider extends BaseProvider {
+
+  constructor(
+    apiKey = process.env.TRIPO_API_KEY || '',
+    baseUrl = TRIPO_BASE_URL,
+    webhookSecret = process.env.TRIPO_WEBHOOK_SECRET || '',
+    creditPrice = parseFloat(process.env.TRIPO_CREDIT_PRICE_USD) || 0.01
+  ) {
+    super('tripo');
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.webhookSecret = webhookSecret;
+    this.webhookSignatureHeader = 'x-tripo-signature';
+    this.creditPrice = creditPrice;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  get supportsMultiView() {
+    return true;
+  }
+
+  get supportsText() {
+    return true;
+  }
+
+  get modelVersions() {
+    return MODEL_VERSIONS;
+  }
+
+  estimateCredits({ mode = 'single', options } = {}) {
+    const { texture, topology } = resolveOptions(options);
+    return (mode === 'text' ? CREDITS.text : CREDITS.image) +
+      (texture ? CREDITS.texture : 0) +
+      (topology === 'quad' ? CREDITS.quad : 0);
+  }
+
+  /**
+   * Create a Tripo task: Image-to-3D (default), Multiview-to-3D when mode
+   * is 'multiview', or Text-to-3D when mode is 'text'.
+   */
+  async createTask({ imagePaths, mode = 'single', prompt, negativePrompt, options }) {
+    if (mode === 'text' && !prompt) {
+      throw new Error('A prompt is required');
+    }
+
+    if (mode !== 'text' && (!imagePaths || !imagePaths.length)) {
+      throw new Error('At least one image is required');
+    }
+
+    let taskFields;
+    if (mode === 'text') {
+      taskFields = { type: 'text_to_model', prompt, negative_prompt: negativePrompt || undefined };
+    } else if (mode === 'multiview') {
+      taskFields = await this.buildMultiviewFields(imagePaths);
+    } else {
+      taskFields = await this.buildSingleFields(imagePaths[0]);
+    }
+
+    const { modelVersion, polycount, topology, texture, pbr } = resolveOptions(options);
+
+    const response = await this.request({
+      method: 'post',
+      url: `${this.baseUrl}/task`,
+      data: {
+        ...taskFields,
+        model_version: MODEL_VERSIONS.includes(modelVersion) ? modelVersion : DEFAULT_MODEL_VERSION,
+        face_limit: polycount,
+        quad: topology === 'quad' || undefined,
+        texture,
+        pbr: texture && pbr
+      },
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 30000
+    });
+
+    if (response.data.code !== 0) {
+      throw new Error(`Tripo task creation failed: ${response.data.message || 'Unknown error'}`);
+    }
+
+    return response.data.data.task_id;
+  }
+
+  /**
+   * Task body fields for image_to_model.
+   */
+  async buildSingleFields(imagePath) {
+    const fileToken = await this.uploadImage(imagePath);
+    console.log(`[Tripo] Image uploaded, token: ${fileToken}`);
+
+    return {
+      type: 'image_to_model',
+      file: {
+        type: 'image',
+        file_token: fileToken
+      }
+    };
+  }
+
+  /**
+   * Task body fields for multiview_to_model. Photos fill the
+   * front/left/back/right slots in upload order; unused slots are sent
+   * empty, as the API expects.
+   */
+  async buildMultiviewFields(imagePaths) {
+    const files = await Promise.all(VIEW_ROLES.map(async (role, index) => {
+      if (!imagePaths[index]) {
+        return {};
+      }
+
+      const fileToken = await this.uploadImage(imagePaths[index]);
+      console.log(`[Tripo] ${role} view uploaded, token: ${fileToken}`);
+      return { type: 'image', file_token: fileToken };
+    }));
+
+    return {
+      type: 'multiview_to_model',
+      files
+    };
+  }
+
+  /**
+   * Upload an image to Tripo and get a file token.
+   */
+  async uploadImage(imagePath) {
+    // Uploading twice is harmless, so retry like a GET; the form is
+    // rebuilt per attempt because a consumed stream can't be re-sent
+    const response = await this.request(() => {
+      const formData = new FormData();
+      formData.append('file', fs.createReadStream(imagePath));
+
+      return {
+        method: 'post',
+        url: `${this.baseUrl}/upload`,
+        data: formData,
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          ...formData.getHeaders()
+        },
+        timeout: 30000
+      };
+    }, { idempotent: true });
+
+    if (response.data.code !== 0) {
+      throw new Error(`Tripo upload failed: ${response.data.message || 'Unknown error'}`);
+    }
+
+    return response.data.data.image_token;
+  }
+
+  /**
+   * Get the current status of a Tripo task.
+   */
+  async getStatus(taskId) {
+    const response = await this.request({
+      method: 'get',
+      url: `${this.baseUrl}/task/${taskId}`,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      timeout: 15000
+    });
+
+    if (response.data.code !== 0) {
+      throw new Error(`Tripo status check failed: ${response.data.message || 'Unknown error'}`);
+    }
+
+    return this.normalizeTask(response.data.data);
+  }
+
+  /**
+   * Fetch the account balance; cheap, and fails on a bad key or an outage.
+   */
+  async probe() {
+    const response = await this.request({
+      method: 'get',
+      url: `${this.baseUrl}/user/balance`,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`
+      },
+      timeout: 10000
+    }, { retries: 0 });
+
+    if (response.data.code !== 0) {
+      throw new Error(`Tripo balance check failed: ${response.data.message || 'Unknown error'}`);
+    }
+    return true;
+  }
+
+  /**
+   * Tripo webhooks wrap the task (as returned by GET /task/:id) in `data`.
+   */
+  parseWebhook(payload) {
+    const task = payload?.data;
+    if (!task?.task_id || !task.status) {
+      throw new Error('Webhook payload is not a Tripo task');
+    }
+    return { taskId: task.task_id, status: this.normalizeTask(task) };
+  }
+
+  /**
+   * Map a raw Tripo task onto the normalized status shape.
+   */
+  normalizeTask(task) {
+    if (task.status === 'success') {
+      // Try multiple possible field locations for the model URL
+      const glbUrl = task.output?.model ||
+                     task.output?.pbr_model ||
+                     task.output?.base_model ||
+                     task.result?.model ||
+                     task.model;
+
+      if (!glbUrl) {
+        console.error('[Tripo] No model URL found. Task structure:', JSON.stringify(task, null, 2));
+        return {
+          status: 'FAILED',
+          progress: 100,
+          error: `No model URL in response. Available fields: ${Object.keys(task).join(', ')}`
+        };
+      }
+
+      return {
+        status: 'SUCCEEDED',
+        progress: 100,
+        modelUrl: glbUrl
+      };
+    }
+
+    if (task.status === 'failed' || task.status === 'cancelled' ||
+        task.status === 'banned' || task.status === 'expired' || task.status === 'unknown') {
+      return {
+        status: 'FAILED',
+        progress: task.progress || 0,
+        error: `Tripo task ${task.status}`
+      };
+    }
+
+    return {
+      status: task.status === 'running' ? 'IN_PROGRESS' : 'PENDING',
+      progress: task.progress || 0
+    };
+  }
+}
+
+module.exports = TripoProvider;
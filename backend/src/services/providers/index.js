@@ -0,0 +1,62 @@
+const MeshyProvider = require('./MeshyProvider');
+const TripoProvider = require('./TripoProvider');
+const LocalProvider = require('./LocalProvider');
+
+// The local provider goes last: it always works, but is the lowest quality
+const DEFAULT_PROVIDER_ORDER = 'meshy,tripo,local';
+
+/**
+ * ProviderRegistry - Holds every known generation provider and decides
+ * the order they are tried in.
+ *
+ * The order comes from GENERATION_PROVIDERS (comma-separated names,
+ * e.g. "tripo,meshy"). Registered providers missing from that list are
+ * never used for new tasks, but can still be looked up by name so tasks
+ * started before a config change keep working.
+ */
+class ProviderRegistry {
+
+  constructor(order = process.env.GENERATION_PROVIDERS || DEFAULT_PROVIDER_ORDER) {
+    this.providers = new Map();
+    this.order = order.split(',').map(name => name.trim()).filter(Boolean);
+  }
+
+  /**
+   * Add a provider. A later registration with the same name replaces it.
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  /**
+   * Look up a provider by name (Object.generationMethod).
+   */
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Configured providers, in the order they should be tried.
+   */
+  getActive() {
+    return this.order
+      .map(name => this.providers.get(name))
+      .filter(provider => provider && provider.isConfigured());
+  }
+
+  /**
+   * Names of every registered provider.
+   */
+  names() {
+    return [...this.providers.keys()];
+  }
+}
+
+const registry = new ProviderRegistry();
+registry.register(new MeshyProvider());
+registry.register(new TripoProvider());
+registry.register(new LocalProvider());
+
+module.exports = registry;
+module.exports.ProviderRegistry = ProviderRegistry;
@@ -0,0 +1,248 @@
+const sharp = require('sharp');
+const { GlbBuilder } = require('../utils/glb');
+const { segmentSubject } = require('../utils/segmentation');
+const { markUpright } = require('./modelOrienter');
+
+// Cells along the longer side of the subject when extruding the silhouette
+const GRID_SIZE = 96;
+// Height of the generated model in metres (viewers rescale anyway)
+const MODEL_HEIGHT_M = 1.0;
+// Extrusion depth relative to the model's larger side
+const THICKNESS_RATIO = 0.04;
+const TEXTURE_MAX_SIZE = 1024;
+
+/**
+ * Build a GLB from a single photo, entirely on this machine.
+ *
+ * The subject is cut out of the photo (see utils/segmentation) and its
+ * silhouette extruded into a thin slab: the photo is mapped onto the
+ * front and back faces, with the cut-out's alpha trimming the edges, and
+ * the side walls take the colour of the nearest edge pixel. The slab
+ * stands upright with its base on y=0, centred on x/z, so it can be
+ * placed in AR like any provider model; it is marked as upright, so the
+ * orientation step keeps it standing.
+ *
+ * @param {string} imagePath
+ * @returns {Promise<{ glb: Buffer, segmented: boolean }>}
+ */
+async function buildSilhouetteModel(imagePath) {
+  const segmentation = await segmentSubject(imagePath);
+  const { bbox } = segmentation;
+
+  const texture = await buildCutoutTexture(segmentation);
+  const grid = buildOccupancyGrid(segmentation);
+
+  const aspect = bbox.width / bbox.height;
+  const height = MODEL_HEIGHT_M;
+  const width = height * aspect;
+  const depth = Math.max(width, height) * THICKNESS_RATIO;
+
+  const geometry = extrudeGrid(grid, { width, height, depth });
+
+  const builder = new GlbBuilder();
+  const textureIndex = builder.addTexture(texture, 'image/png');
+
+  // Front/back honour the cut-out's alpha; walls are always opaque
+  const faceMaterial = builder.addMaterial({
+    name: 'photo-cutout',
+    pbrMetallicRoughness: {
+      baseColorTexture: { index: textureIndex },
+      metallicFactor: 0,
+      roughnessFactor: 0.9
+    },
+    alphaMode: 'MASK',
+    alphaCutoff: 0.5
+  });
+  const wallMaterial = builder.addMaterial({
+    name: 'photo-edge',
+    pbrMetallicRoughness: {
+      baseColorTexture: { index: textureIndex },
+      metallicFactor: 0,
+      roughnessFactor: 0.9
+    }
+  });
+
+  builder.addMesh([
+    addPrimitive(builder, geometry.faces, faceMaterial),
+    addPrimitive(builder, geometry.walls, wallMaterial)
+  ], 'silhouette');
+  markUpright(builder.json.asset);
+
+  return { glb: builder.build(), segmented: segmentation.segmented };
+}
+
+/**
+ * Write one geometry buffer set as a glTF primitive.
+ */
+function addPrimitive(builder, { positions, normals, uvs, indices }, material) {
+  const IndexArray = positions.length / 3 > 65535 ? Uint32Array : Uint16Array;
+
+  return {
+    attributes: {
+      POSITION: builder.addAccessor(new Float32Array(positions), 'VEC3'),
+      NORMAL: builder.addAccessor(new Float32Array(normals), 'VEC3'),
+      TEXCOORD_0: builder.addAccessor(new Float32Array(uvs), 'VEC2')
+    },
+    indices: builder.addAccessor(new IndexArray(indices), 'SCALAR', { indices: true }),
+    material
+  };
+}
+
+/**
+ * Crop the photo to the subject and use the mask as its alpha channel.
+ */
+async function buildCutoutTexture({ width, height, data, mask, bbox }) {
+  const rgba = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    rgba[i * 4] = data[i * 3];
+    rgba[i * 4 + 1] = data[i * 3 + 1];
+    rgba[i * 4 + 2] = data[i * 3 + 2];
+    rgba[i * 4 + 3] = mask[i];
+  }
+
+  return sharp(rgba, { raw: { width, height, channels: 4 } })
+    .extract(bbox)
+    .resize(TEXTURE_MAX_SIZE, TEXTURE_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Downsample the subject mask (inside its bounding box) to a coarse grid.
+ * A cell is solid when at least half its pixels belong to the subject.
+ *
+ * @returns {{ cols: number, rows: number, cells: Uint8Array }}
+ */
+function buildOccupancyGrid({ width, mask, bbox }) {
+  const cellSize = Math.max(bbox.width, bbox.height) / GRID_SIZE;
+  const cols = Math.max(1, Math.round(bbox.width / cellSize));
+  const rows = Math.max(1, Math.round(bbox.height / cellSize));
+  const cells = new Uint8Array(cols * rows);
+
+  for (let row = 0; row < rows; row++) {
+    const y0 = bbox.top + Math.floor((row / rows) * bbox.height);
+    const y1 = bbox.top + Math.max(y0 - bbox.top + 1, Math.floor(((row + 1) / rows) * bbox.height));
+
+    for (let col = 0; col < cols; col++) {
+      const x0 = bbox.left + Math.floor((col / cols) * bbox.width);
+      const x1 = bbox.left + Math.max(x0 - bbox.left + 1, Math.floor(((col + 1) / cols) * bbox.width));
+
+      let solid = 0;
+      let count = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          if (mask[y * width + x]) solid++;
+          count++;
+        }
+      }
+
+      cells[row * cols + col] = solid * 2 >= count ? 1 : 0;
+    }
+  }
+
+  return { cols, rows, cells };
+}
+
+/**
+ * Turn the occupancy grid into an extruded slab. Front and back faces are
+ * merged into one quad per horizontal run of solid cells; side walls are
+ * emitted wherever a solid cell borders an empty one.
+ */
+function extrudeGrid({ cols, rows, cells }, { width, height, depth }) {
+  const faces = { positions: [], normals: [], uvs: [], indices: [] };
+  const walls = { positions: [], normals: [], uvs: [], indices: [] };
+
+  const solid = (col, row) =>
+    col >= 0 && row >= 0 && col < cols && row < rows && cells[row * cols + col] === 1;
+  const toX = col => (col / cols - 0.5) * width;
+  const toY = row => (1 - row / rows) * height;
+  const front = depth / 2;
+  const back = -depth / 2;
+
+  /**
+   * Append a quad, flipping its winding so it faces along `normal`.
+   * corners: 4 positions in order around the quad; quadUvs: matching UVs.
+   */
+  const pushQuad = (target, corners, normal, quadUvs) => {
+    const { positions, normals, uvs, indices } = target;
+    const base = positions.length / 3;
+    corners.forEach((corner, i) => {
+      positions.push(...corner);
+      normals.push(...normal);
+      uvs.push(...quadUvs[i]);
+    });
+
+    const [a, b, c] = corners;
+    const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    const cross = [
+      e1[1] * e2[2] - e1[2] * e2[1],
+      e1[2] * e2[0] - e1[0] * e2[2],
+      e1[0] * e2[1] - e1[1] * e2[0]
+    ];
+    const facing = cross[0] * normal[0] + cross[1] * normal[1] + cross[2] * normal[2];
+
+    if (facing >= 0) {
+      indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    } else {
+      indices.push(base, base + 2, base + 1, base, base + 3, base + 2);
+    }
+  };
+
+  for (let row = 0; row < rows; row++) {
+    const yTop = toY(row);
+    const yBottom = toY(row + 1);
+    const vTop = row / rows;
+    const vBottom = (row + 1) / rows;
+
+    // Front/back: one quad per run of solid cells in this row
+    let col = 0;
+    while (col < cols) {
+      if (!solid(col, row)) {
+        col++;
+        continue;
+      }
+
+      const start = col;
+      while (solid(col, row)) col++;
+
+      const x0 = toX(start);
+      const x1 = toX(col);
+      const u0 = start / cols;
+      const u1 = col / cols;
+      const quadUvs = [[u0, vBottom], [u1, vBottom], [u1, vTop], [u0, vTop]];
+
+      pushQuad(faces, [[x0, yBottom, front], [x1, yBottom, front], [x1, yTop, front], [x0, yTop, front]], [0, 0, 1], quadUvs);
+      pushQuad(faces, [[x0, yBottom, back], [x1, yBottom, back], [x1, yTop, back], [x0, yTop, back]], [0, 0, -1], quadUvs);
+    }
+
+    // Side walls, textured with the colour at the cell's centre
+    for (let c = 0; c < cols; c++) {
+      if (!solid(c, row)) continue;
+
+      const x0 = toX(c);
+      const x1 = toX(c + 1);
+      const centreUv = [(c + 0.5) / cols, (row + 0.5) / rows];
+      const wallUvs = [centreUv, centreUv, centreUv, centreUv];
+
+      if (!solid(c - 1, row)) {
+        pushQuad(walls, [[x0, yBottom, back], [x0, yBottom, front], [x0, yTop, front], [x0, yTop, back]], [-1, 0, 0], wallUvs);
+      }
+      if (!solid(c + 1, row)) {
+        pushQuad(walls, [[x1, yBottom, back], [x1, yBottom, front], [x1, yTop, front], [x1, yTop, back]], [1, 0, 0], wallUvs);
+      }
+      if (!solid(c, row - 1)) {
+        pushQuad(walls, [[x0, yTop, back], [x1, yTop, back], [x1, yTop, front], [x0, yTop, front]], [0, 1, 0], wallUvs);
+      }
+      if (!solid(c, row + 1)) {
+        pushQuad(walls, [[x0, yBottom, back], [x1, yBottom, back], [x1, yBottom, front], [x0, yBottom, front]], [0, -1, 0], wallUvs);
+      }
+    }
+  }
+
+  return { faces, walls };
+}
+
+module.exports = {
+  buildSilhouetteModel
+};
@@ -0,0 +1,228 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const { measureSharpness } = require('./photoQuality');
+
+// ffmpeg binary used to sample video frames
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+// Longest clip accepted (seconds)
+const MAX_VIDEO_SECONDS = parseInt(process.env.MAX_VIDEO_SECONDS, 10) || 60;
+// Frames kept from a clip: one per front/left/back/right view
+const VIDEO_KEYFRAMES = 4;
+// Frames sampled evenly across a clip and ranked by sharpness
+const VIDEO_CANDIDATE_FRAMES = 24;
+// Longest side of a sampled frame (px)
+const MAX_FRAME_SIZE = 2048;
+const FFMPEG_TIMEOUT_MS = 120000;
+
+const CONVERTED_EXTENSIONS = ['.heic', '.heif', '.webp'];
+const HEIF_EXTENSIONS = ['.heic', '.heif'];
+const VIDEO_EXTENSIONS = ['.mp4', '.mov'];
+
+/**
+ * Turn the files multer stored into photos the rest of the pipeline can
+ * read:
+ *
+ *   HEIC/HEIF, WebP  converted to JPEG (sharp; HEIC that sharp's libvips
+ *                    can't decode goes through heic-convert)
+ *   MP4/MOV          sampled with ffmpeg; the sharpest frame from each
+ *                    quarter of the clip becomes a photo, so a walk-around
+ *                    yields front/left/back/right views
+ *   JPEG, PNG, GIF   kept as they are
+ *
+ * A video must be the only file in the request. Replaced files are deleted
+ * and their entries swapped for ones describing the JPEGs.
+ *
+ * Problems with the upload itself throw with code 'INVALID_UPLOAD'.
+ *
+ * @param {object[]} files - multer file entries
+ * @returns {Promise<object[]>} file entries, in upload order
+ */
+async function convertUploads(files) {
+  const videos = files.filter(isVideo);
+
+  if (videos.length > 0 && files.length > 1) {
+    throw invalidUpload('Upload either photos or a single video, not both');
+  }
+
+  if (videos.length > 0) {
+    return extractKeyframes(videos[0]);
+  }
+
+  const converted = [];
+  for (const file of files) {
+    converted.push(needsConversion(file) ? await convertToJpeg(file) : file);
+  }
+  return converted;
+}
+
+/**
+ * Convert a HEIC/HEIF or WebP upload to JPEG next to the original, which
+ * is then removed.
+ */
+async function convertToJpeg(file) {
+  const outputPath = jpegPath(file.path);
+
+  try {
+    await sharp(file.path).rotate().jpeg({ quality: 92 }).toFile(outputPath);
+  } catch (error) {
+    if (!HEIF_EXTENSIONS.includes(extension(file))) {
+      throw invalidUpload(`${file.originalname} could not be read as an image`);
+    }
+
+    // Prebuilt libvips only decodes AV1 HEIF; iPhone photos are HEVC
+    try {
+      const jpeg = await heicConvert({
+        buffer: await fs.promises.readFile(file.path),
+        format: 'JPEG',
+        quality: 0.92
+      });
+      await fs.promises.writeFile(outputPath, Buffer.from(jpeg));
+    } catch (fallbackError) {
+      console.error(`[Upload] Failed to convert ${file.originalname}:`, fallbackError.message);
+      throw invalidUpload(`${file.originalname} could not be read as a HEIC image`);
+    }
+  }
+
+  fs.rmSync(file.path, { force: true });
+  console.log(`[Upload] Converted ${file.originalname} to JPEG`);
+
+  return toFileEntry(file, outputPath);
+}
+
+/**
+ * Sample a clip evenly, then keep the sharpest frame from each of
+ * VIDEO_KEYFRAMES equal stretches of it. The video itself is removed.
+ */
+async function extractKeyframes(file) {
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'keyframes-'));
+
+  try {
+    const duration = await getDuration(file.path);
+
+    if (duration > MAX_VIDEO_SECONDS) {
+      throw invalidUpload(`Videos can be at most ${MAX_VIDEO_SECONDS} seconds long (got ${Math.round(duration)}s)`);
+    }
+
+    await runFfmpeg([
+      '-i', file.path,
+      '-vf', `fps=${VIDEO_CANDIDATE_FRAMES / duration},` +
+        `scale=w='min(${MAX_FRAME_SIZE},iw)':h='min(${MAX_FRAME_SIZE},ih)':force_original_aspect_ratio=decrease`,
+      '-q:v', '2',
+      path.join(workDir, 'frame-%03d.jpg')
+    ]);
+
+    const framePaths = (await fs.promises.readdir(workDir))
+      .sort()
+      .map(name => path.join(workDir, name));
+
+    if (framePaths.length === 0) {
+      throw invalidUpload(`No frames could be read from ${file.originalname}`);
+    }
+
+    const candidates = [];
+    for (const framePath of framePaths) {
+      candidates.push({ path: framePath, sharpness: await measureSharpness(framePath) });
+    }
+
+    // A very short clip may yield fewer frames than keyframes wanted; then
+    // every frame is kept
+    const keyframes = [];
+    const segmentCount = Math.min(VIDEO_KEYFRAMES, candidates.length);
+    const segmentSize = candidates.length / segmentCount;
+    for (let segment = 0; segment < segmentCount; segment++) {
+      const stretch = candidates.slice(Math.floor(segment * segmentSize), Math.floor((segment + 1) * segmentSize));
+      const sharpest = stretch.reduce((best, frame) => (frame.sharpness > best.sharpness ? frame : best));
+
+      const { name } = path.parse(file.path);
+      const outputPath = path.join(path.dirname(file.path), `${name}-frame${segment + 1}.jpg`);
+      await fs.promises.copyFile(sharpest.path, outputPath);
+      keyframes.push(toFileEntry(file, outputPath));
+    }
+
+    console.log(`[Upload] Extracted ${keyframes.length} keyframe(s) from ${file.originalname} (${duration.toFixed(1)}s, ${candidates.length} sampled)`);
+    return keyframes;
+
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    fs.rmSync(file.path, { force: true });
+  }
+}
+
+/**
+ * Clip length in seconds, from the Duration line ffmpeg prints for its
+ * input.
+ */
+async function getDuration(videoPath) {
+  const { stderr } = await runFfmpeg(['-i', videoPath, '-t', '0', '-f', 'null', '-']);
+  const match = /Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/.exec(stderr);
+
+  if (!match) {
+    throw invalidUpload(`${path.basename(videoPath)} could not be read as a video`);
+  }
+
+  const [, hours, minutes, seconds] = match;
+  const duration = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  if (!duration) {
+    throw invalidUpload('The video is empty');
+  }
+  return duration;
+}
+
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    execFile(FFMPEG_PATH, ['-hide_banner', '-nostdin', '-y', ...args], {
+      timeout: FFMPEG_TIMEOUT_MS,
+      maxBuffer: 4 * 1024 * 1024
+    }, (error, stdout, stderr) => {
+      if (error?.code === 'ENOENT') {
+        return reject(new Error(`Video uploads need ffmpeg; install it or set FFMPEG_PATH (tried ${FFMPEG_PATH})`));
+      }
+      if (error) {
+        console.error('[Upload] ffmpeg failed:', stderr.split('\n').filter(Boolean).slice(-3).join(' | '));
+        return reject(invalidUpload('The video could not be decoded'));
+      }
+      resolve({ stdout, stderr });
+    });
+  });
+}
+
+function toFileEntry(file, outputPath) {
+  return {
+    ...file,
+    path: outputPath,
+    filename: path.basename(outputPath),
+    mimetype: 'image/jpeg',
+    size: fs.statSync(outputPath).size
+  };
+}
+
+function jpegPath(filePath) {
+  const { dir, name } = path.parse(filePath);
+  return path.join(dir, `${name}.jpg`);
+}
+
+function extension(file) {
+  return path.extname(file.originalname).toLowerCase();
+}
+
+function isVideo(file) {
+  return VIDEO_EXTENSIONS.includes(extension(file));
+}
+
+function needsConversion(file) {
+  return CONVERTED_EXTENSIONS.includes(extension(file));
+}
+
+function invalidUpload(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_UPLOAD';
+  return error;
+}
+
+module.exports = {
+  convertUploads
+};
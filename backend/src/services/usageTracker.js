@@ -0,0 +1,204 @@
+const UsageRecord = require('../models/UsageRecord');
+
+// Spend caps in USD across all paid providers; 0 (or unset) means no cap
+const DAILY_BUDGET_USD = parseFloat(process.env.GENERATION_DAILY_BUDGET_USD) || 0;
+const MONTHLY_BUDGET_USD = parseFloat(process.env.GENERATION_MONTHLY_BUDGET_USD) || 0;
+
+/**
+ * UsageTracker - Credit and cost accounting for provider tasks.
+ *
+ * ModelGenerator records every task it submits (provider, estimated
+ * credits, USD cost) in models/UsageRecord, and the generation queue
+ * records how each one ended. Budget days and months are UTC calendar
+ * days and months. Every submitted task counts towards the caps, including
+ * ones that later fail, since providers charge when the task is created.
+ */
+class UsageTracker {
+
+  /**
+   * Credits and USD cost a task will spend with a provider.
+   *
+   * @param {BaseProvider} provider
+   * @param {{ mode?: string, options?: object }} input - as for createTask
+   * @returns {{ credits: number, cost: number }}
+   */
+  estimate(provider, input) {
+    const credits = provider.estimateCredits(input);
+    return { credits, cost: roundUsd(credits * provider.creditPrice) };
+  }
+
+  /**
+   * Record a submitted task. Accounting failures are logged, never thrown:
+   * the task is already running and must not be lost.
+   */
+  async recordTask(provider, objectId, { mode, taskId, credits, cost }) {
+    try {
+      await UsageRecord.create({
+        object: objectId || null,
+        provider: provider.name,
+        mode,
+        taskId,
+        credits,
+        cost
+      });
+    } catch (error) {
+      console.error(`[Usage] Failed to record ${provider.name} task ${taskId}:`, error.message);
+    }
+  }
+
+  /**
+   * Record how a task ended ('succeeded', 'failed', 'timed_out' or
+   * 'cancelled'). Only the first outcome reported for a task is kept.
+   */
+  async recordOutcome(method, taskId, outcome) {
+    if (!method || !taskId) return;
+
+    try {
+      await UsageRecord.updateOne(
+        { provider: method, taskId, outcome: 'pending' },
+        { $set: { outcome, finishedAt: new Date() } }
+      );
+    } catch (error) {
+      console.error(`[Usage] Failed to record outcome of ${method} task ${taskId}:`, error.message);
+    }
+  }
+
+  /**
+   * Spend so far today and this month against the configured caps.
+   *
+   * @returns {{ daily: object, monthly: object, exceeded: string|null }}
+   *   exceeded is 'daily' or 'monthly' once that cap has been reached
+   */
+  async getBudgetStatus(now = new Date()) {
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+    const daily = describeBudget(DAILY_BUDGET_USD, await this.spentSince(dayStart));
+    const monthly = describeBudget(MONTHLY_BUDGET_USD, await this.spentSince(monthStart));
+
+    let exceeded = null;
+    if (daily.exceeded) exceeded = 'daily';
+    else if (monthly.exceeded) exceeded = 'monthly';
+
+    return { daily, monthly, exceeded };
+  }
+
+  /**
+   * Throw when a budget cap has been reached. The error has
+   * code 'BUDGET_EXCEEDED'.
+   */
+  async assertWithinBudget() {
+    if (!DAILY_BUDGET_USD && !MONTHLY_BUDGET_USD) return;
+
+    const budget = await this.getBudgetStatus();
+    if (!budget.exceeded) return;
+
+    const { limitUsd, spentUsd } = budget[budget.exceeded];
+    const resumes = budget.exceeded === 'daily' ? 'tomorrow' : 'next month';
+    const error = new Error(
+      `The ${budget.exceeded} generation budget of $${limitUsd.toFixed(2)} has been reached ` +
+      `($${spentUsd.toFixed(2)} spent); new paid tasks resume ${resumes} (UTC)`
+    );
+    error.code = 'BUDGET_EXCEEDED';
+    throw error;
+  }
+
+  /**
+   * Usage between two dates, totalled per UTC day and per provider.
+   *
+   * @param {{ from: Date, to: Date }} range - `to` is exclusive
+   */
+  async getReport({ from, to }) {
+    const groups = await UsageRecord.aggregate([
+      { $match: { createdAt: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: {
+            date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+            provider: '$provider',
+            outcome: '$outcome'
+          },
+          tasks: { $sum: 1 },
+          credits: { $sum: '$credits' },
+          cost: { $sum: '$cost' }
+        }
+      },
+      { $sort: { '_id.date': 1, '_id.provider': 1 } }
+    ]);
+
+    const totals = { tasks: 0, cost: 0 };
+    const days = new Map();
+    const providers = new Map();
+
+    groups.forEach(({ _id, tasks, credits, cost }) => {
+      totals.tasks += tasks;
+      totals.cost += cost;
+
+      if (!days.has(_id.date)) {
+        days.set(_id.date, { date: _id.date, tasks: 0, cost: 0, providers: {} });
+      }
+      const day = days.get(_id.date);
+      day.tasks += tasks;
+      day.cost += cost;
+      day.providers[_id.provider] = day.providers[_id.provider] || { tasks: 0, credits: 0, cost: 0 };
+      addUsage(day.providers[_id.provider], tasks, credits, cost);
+
+      if (!providers.has(_id.provider)) {
+        providers.set(_id.provider, { provider: _id.provider, tasks: 0, credits: 0, cost: 0, outcomes: {} });
+      }
+      const provider = providers.get(_id.provider);
+      addUsage(provider, tasks, credits, cost);
+      provider.outcomes[_id.outcome] = (provider.outcomes[_id.outcome] || 0) + tasks;
+    });
+
+    const byDay = [...days.values()].map(day => ({
+      ...day,
+      cost: roundUsd(day.cost),
+      providers: Object.fromEntries(
+        Object.entries(day.providers).map(([name, usage]) => [name, { ...usage, cost: roundUsd(usage.cost) }])
+      )
+    }));
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      totals: { tasks: totals.tasks, cost: roundUsd(totals.cost) },
+      byDay,
+      byProvider: [...providers.values()].map(provider => ({ ...provider, cost: roundUsd(provider.cost) })),
+      budget: await this.getBudgetStatus()
+    };
+  }
+
+  /**
+   * Total USD cost of tasks submitted since a date.
+   */
+  async spentSince(date) {
+    const [result] = await UsageRecord.aggregate([
+      { $match: { createdAt: { $gte: date } } },
+      { $group: { _id: null, cost: { $sum: '$cost' } } }
+    ]);
+    return result ? result.cost : 0;
+  }
+}
+
+function addUsage(target, tasks, credits, cost) {
+  target.tasks += tasks;
+  target.credits += credits;
+  target.cost += cost;
+}
+
+function describeBudget(limitUsd, spentUsd) {
+  return {
+    limitUsd: limitUsd || null,
+    spentUsd: roundUsd(spentUsd),
+    remainingUsd: limitUsd ? roundUsd(Math.max(0, limitUsd - spentUsd)) : null,
+    exceeded: !!limitUsd && spentUsd >= limitUsd
+  };
+}
+
+// Cost sums are kept to a hundredth of a cent
+function roundUsd(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = new UsageTracker();
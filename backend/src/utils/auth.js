@@ -0,0 +1,29 @@
+const { verifyAccessToken } = require('../services/auth');
+
+/**
+ * Middleware for routes that need a signed-in user: checks the
+ * `Authorization: Bearer <access token>` header and sets req.user
+ * ({ id }). Rejects the request with 401 otherwise; `code` is
+ * 'TOKEN_EXPIRED' when the client should refresh its tokens and retry.
+ */
+const requireAuth = (req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    req.user = { id: verifyAccessToken(token) };
+    next();
+  } catch (error) {
+    res.status(401).json({
+      error: error.code === 'TOKEN_EXPIRED' ? 'Access token has expired' : 'Invalid access token',
+      code: error.code
+    });
+  }
+};
+
+module.exports = {
+  requireAuth
+};
@@ -0,0 +1,277 @@
+/**
+ * Minimal GLB (binary glTF 2.0) writer and reader.
+ *
+ * The writer is used wherever the backend has to produce a model itself
+ * rather than download one from a provider. Geometry and images are
+ * appended to a single binary buffer; build() returns the finished .glb
+ * bytes. decodeGlb() splits a .glb back into its JSON and binary chunks.
+ */
+
+const GLB_MAGIC = 0x46546C67; // 'glTF' in little-endian
+const GLB_VERSION = 2;
+const CHUNK_TYPE_JSON = 0x4E4F534A;
+const CHUNK_TYPE_BIN = 0x004E4942;
+
+const COMPONENT_TYPES = {
+  Int8Array: 5120,
+  Uint8Array: 5121,
+  Int16Array: 5122,
+  Uint16Array: 5123,
+  Uint32Array: 5125,
+  Float32Array: 5126
+};
+
+const TYPE_SIZES = {
+  SCALAR: 1,
+  VEC2: 2,
+  VEC3: 3,
+  VEC4: 4
+};
+
+const TARGET_ARRAY_BUFFER = 34962;
+const TARGET_ELEMENT_ARRAY_BUFFER = 34963;
+
+class GlbBuilder {
+
+  constructor() {
+    this.json = {
+      asset: { version: '2.0', generator: 'RoomSnap AR Backend' },
+      scene: 0,
+      scenes: [{ nodes: [] }],
+      nodes: [],
+      meshes: [],
+      materials: [],
+      accessors: [],
+      bufferViews: [],
+      buffers: [{ byteLength: 0 }]
+    };
+    this.chunks = [];
+    this.byteLength = 0;
+  }
+
+  /**
+   * Append raw bytes to the binary chunk (4-byte aligned).
+   * @returns {number} bufferView index
+   */
+  addBufferView(data, target) {
+    const bytes = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    const padding = (4 - (this.byteLength % 4)) % 4;
+
+    if (padding) {
+      this.chunks.push(Buffer.alloc(padding));
+      this.byteLength += padding;
+    }
+
+    const view = { buffer: 0, byteOffset: this.byteLength, byteLength: bytes.length };
+    if (target) {
+      view.target = target;
+    }
+
+    this.chunks.push(bytes);
+    this.byteLength += bytes.length;
+    this.json.bufferViews.push(view);
+    return this.json.bufferViews.length - 1;
+  }
+
+  /**
+   * Add a typed array as an accessor.
+   *
+   * @param {TypedArray} array
+   * @param {string} type - SCALAR | VEC2 | VEC3 | VEC4
+   * @param {{ indices?: boolean }} opts
+   * @returns {number} accessor index
+   */
+  addAccessor(array, type, { indices = false } = {}) {
+    const componentType = COMPONENT_TYPES[array.constructor.name];
+    if (!componentType) {
+      throw new Error(`Unsupported accessor array type: ${array.constructor.name}`);
+    }
+
+    const size = TYPE_SIZES[type];
+    const bufferView = this.addBufferView(
+      array,
+      indices ? TARGET_ELEMENT_ARRAY_BUFFER : TARGET_ARRAY_BUFFER
+    );
+
+    const accessor = {
+      bufferView,
+      componentType,
+      count: array.length / size,
+      type
+    };
+
+    // POSITION accessors must carry min/max; harmless on the others
+    if (!indices) {
+      const min = new Array(size).fill(Infinity);
+      const max = new Array(size).fill(-Infinity);
+      for (let i = 0; i < array.length; i++) {
+        const c = i % size;
+        if (array[i] < min[c]) min[c] = array[i];
+        if (array[i] > max[c]) max[c] = array[i];
+      }
+      accessor.min = min;
+      accessor.max = max;
+    }
+
+    this.json.accessors.push(accessor);
+    return this.json.accessors.length - 1;
+  }
+
+  /**
+   * Embed an encoded image (PNG/JPEG) and create a texture for it.
+   * @returns {number} texture index
+   */
+  addTexture(imageBuffer, mimeType = 'image/png') {
+    this.json.images = this.json.images || [];
+    this.json.textures = this.json.textures || [];
+    this.json.samplers = this.json.samplers || [{ magFilter: 9729, minFilter: 9987 }];
+
+    const bufferView = this.addBufferView(imageBuffer);
+    this.json.images.push({ bufferView, mimeType });
+    this.json.textures.push({ source: this.json.images.length - 1, sampler: 0 });
+    return this.json.textures.length - 1;
+  }
+
+  /**
+   * Add a glTF material definition.
+   * @returns {number} material index
+   */
+  addMaterial(material) {
+    this.json.materials.push(material);
+    return this.json.materials.length - 1;
+  }
+
+  /**
+   * Add a mesh made of one or more primitives and a node that
+   * instantiates it in the default scene.
+   *
+   * @param {{ attributes: object, indices?: number, material?: number }[]} primitives
+   * @returns {number} node index
+   */
+  addMesh(primitives, name = 'mesh') {
+    this.json.meshes.push({ name, primitives });
+    this.json.nodes.push({ name, mesh: this.json.meshes.length - 1 });
+
+    const nodeIndex = this.json.nodes.length - 1;
+    this.json.scenes[0].nodes.push(nodeIndex);
+    return nodeIndex;
+  }
+
+  /**
+   * Serialize to GLB bytes.
+   * @returns {Buffer}
+   */
+  build() {
+    const bin = Buffer.concat(this.chunks);
+    this.json.buffers[0].byteLength = bin.length;
+
+    if (this.json.materials.length === 0) {
+      delete this.json.materials;
+    }
+
+    return encodeGlb(this.json, bin);
+  }
+}
+
+/**
+ * Pack a glTF JSON document and its binary buffer into a GLB container.
+ *
+ * @param {object} json - glTF JSON (buffers[0] describes `bin`)
+ * @param {Buffer} bin
+ * @returns {Buffer}
+ */
+function encodeGlb(json, bin = Buffer.alloc(0)) {
+  const jsonBuffer = padChunk(Buffer.from(JSON.stringify(json)), 0x20);
+  const binBuffer = padChunk(bin, 0x00);
+
+  const header = Buffer.alloc(12);
+  const totalLength = 12 + 8 + jsonBuffer.length + (binBuffer.length ? 8 + binBuffer.length : 0);
+  header.writeUInt32LE(GLB_MAGIC, 0);
+  header.writeUInt32LE(GLB_VERSION, 4);
+  header.writeUInt32LE(totalLength, 8);
+
+  const parts = [header, chunkHeader(jsonBuffer.length, CHUNK_TYPE_JSON), jsonBuffer];
+  if (binBuffer.length) {
+    parts.push(chunkHeader(binBuffer.length, CHUNK_TYPE_BIN), binBuffer);
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Split GLB bytes into the glTF JSON document and the binary chunk,
+ * checking the header and chunk layout along the way.
+ *
+ * @param {Buffer} glb
+ * @returns {{ json: object, bin: Buffer|null }}
+ * @throws {Error} describing the first problem found
+ */
+function decodeGlb(glb) {
+  if (glb.length < 20) {
+    throw new Error(`File is too small to be a GLB (${glb.length} bytes)`);
+  }
+  if (glb.readUInt32LE(0) !== GLB_MAGIC) {
+    throw new Error('Missing glTF magic bytes; not a GLB file');
+  }
+
+  const version = glb.readUInt32LE(4);
+  if (version !== GLB_VERSION) {
+    throw new Error(`Unsupported GLB version ${version} (expected ${GLB_VERSION})`);
+  }
+
+  const totalLength = glb.readUInt32LE(8);
+  if (totalLength !== glb.length) {
+    throw new Error(`GLB header declares ${totalLength} bytes but the file has ${glb.length}; it may be truncated`);
+  }
+
+  const chunks = [];
+  let offset = 12;
+  while (offset < glb.length) {
+    if (offset + 8 > glb.length) {
+      throw new Error(`Chunk header at byte ${offset} runs past the end of the file`);
+    }
+    const length = glb.readUInt32LE(offset);
+    const type = glb.readUInt32LE(offset + 4);
+    const start = offset + 8;
+    if (start + length > glb.length) {
+      throw new Error(`Chunk at byte ${offset} declares ${length} bytes, past the end of the file`);
+    }
+    chunks.push({ type, data: glb.subarray(start, start + length) });
+    offset = start + length;
+  }
+
+  if (chunks[0]?.type !== CHUNK_TYPE_JSON) {
+    throw new Error('First chunk is not the JSON chunk');
+  }
+
+  let json;
+  try {
+    json = JSON.parse(chunks[0].data.toString('utf8'));
+  } catch (error) {
+    throw new Error(`JSON chunk is not valid JSON: ${error.message}`);
+  }
+
+  const binChunk = chunks.find(chunk => chunk.type === CHUNK_TYPE_BIN);
+  return { json, bin: binChunk ? binChunk.data : null };
+}
+
+function chunkHeader(length, type) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32LE(length, 0);
+  header.writeUInt32LE(type, 4);
+  return header;
+}
+
+function padChunk(buffer, padByte) {
+  const padding = (4 - (buffer.length % 4)) % 4;
+  return padding ? Buffer.concat([buffer, Buffer.alloc(padding, padByte)]) : buffer;
+}
+
+module.exports = {
+  GlbBuilder,
+  encodeGlb,
+  decodeGlb,
+  GLB_MAGIC,
+  CHUNK_TYPE_JSON,
+  CHUNK_TYPE_BIN
+};
@@ -0,0 +1,38 @@
+const draco3d = require('draco3dgltf');
+const { MeshoptEncoder, MeshoptDecoder, MeshoptSimplifier } = require('meshoptimizer');
+const { NodeIO, Logger } = require('@gltf-transform/core');
+const { ALL_EXTENSIONS } = require('@gltf-transform/extensions');
+
+let ioPromise = null;
+
+/**
+ * glTF-Transform reader/writer with every extension registered, including
+ * the Draco and meshopt codecs, so compressed provider models can be read.
+ * Created once, on first use.
+ *
+ * @returns {Promise<NodeIO>}
+ */
+function getGltfIO() {
+  if (!ioPromise) {
+    ioPromise = (async () => {
+      await MeshoptEncoder.ready;
+      await MeshoptDecoder.ready;
+      await MeshoptSimplifier.ready;
+
+      return new NodeIO()
+        .setLogger(new Logger(Logger.Verbosity.WARN))
+        .registerExtensions(ALL_EXTENSIONS)
+        .registerDependencies({
+          'draco3d.decoder': await draco3d.createDecoderModule(),
+          'draco3d.encoder': await draco3d.createEncoderModule(),
+          'meshopt.decoder': MeshoptDecoder,
+          'meshopt.encoder': MeshoptEncoder
+        });
+    })();
+  }
+  return ioPromise;
+}
+
+module.exports = {
+  getGltfIO
+};
@@ -0,0 +1,80 @@
+const axios = require('axios');
+
+// 0 turns retries off
+const parsedMaxRetries = parseInt(process.env.HTTP_MAX_RETRIES, 10);
+const MAX_RETRIES = Number.isNaN(parsedMaxRetries) ? 3 : parsedMaxRetries;
+const BASE_DELAY_MS = parseInt(process.env.HTTP_RETRY_BASE_MS, 10) || 1000;
+const MAX_DELAY_MS = 30000;
+
+// Connection failures where the request may never have reached the server
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+// Failures mid-request; the server may or may not have acted on it
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'ERR_NETWORK'];
+
+/**
+ * Send an axios request, retrying transient failures with exponential
+ * backoff (1s, 2s, 4s, ... plus jitter, honouring Retry-After).
+ *
+ * Idempotent requests (GET, DELETE, and anything marked `idempotent`)
+ * are retried on 429, 5xx and network errors. Other requests - task
+ * creation, which spends credits - are only retried when the provider
+ * certainly did not act on them: 429 or a failed connection.
+ *
+ * @param {object|function} config - axios request config, or a function
+ *   returning one (for bodies such as streams that can't be re-sent)
+ * @param {{ idempotent?: boolean, retries?: number, label?: string }} opts -
+ *   `label` (e.g. the provider name) prefixes the retry log line
+ */
+async function requestWithRetry(config, opts = {}) {
+  const buildConfig = typeof config === 'function' ? config : () => config;
+  const retries = opts.retries ?? MAX_RETRIES;
+
+  for (let attempt = 0; ; attempt++) {
+    const requestConfig = buildConfig();
+    const method = (requestConfig.method || 'get').toLowerCase();
+
+    try {
+      return await axios(requestConfig);
+    } catch (error) {
+      const idempotent = opts.idempotent ?? ['get', 'head', 'delete', 'put'].includes(method);
+
+      if (attempt >= retries || !isRetryable(error, idempotent)) {
+        throw error;
+      }
+
+      const target = `${method.toUpperCase()} ${requestConfig.url}`;
+      const label = opts.label ? `[${opts.label}] ${target}` : target;
+      const delay = getRetryDelay(error, attempt);
+      console.warn(`[HTTP] ${label} failed (${describeError(error)}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+function isRetryable(error, idempotent) {
+  const status = error.response?.status;
+
+  if (status === 429) return true;
+  if (status) return idempotent && status >= 500;
+
+  if (CONNECT_ERROR_CODES.includes(error.code)) return true;
+  return idempotent && TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+function getRetryDelay(error, attempt) {
+  const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+  }
+
+  const backoff = BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(backoff + Math.floor(Math.random() * BASE_DELAY_MS), MAX_DELAY_MS);
+}
+
+function describeError(error) {
+  return error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+}
+
+module.exports = {
+  requestWithRetry
+};
@@ -0,0 +1,82 @@
+/**
+ * Minimal JSON Web Tokens: HS256 only, which is all the API issues (see
+ * services/auth). Tokens with any other algorithm are rejected.
+ */
+
+const crypto = require('crypto');
+
+const HEADER = encode({ alg: 'HS256', typ: 'JWT' });
+
+/**
+ * Sign a payload. `iat` and `exp` (seconds since the epoch) are added.
+ *
+ * @param {object} payload
+ * @param {string} secret
+ * @param {number} expiresInSeconds
+ * @returns {string}
+ */
+function signJwt(payload, secret, expiresInSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = encode({ ...payload, iat: now, exp: now + expiresInSeconds });
+  return `${HEADER}.${body}.${sign(`${HEADER}.${body}`, secret)}`;
+}
+
+/**
+ * Check a token's signature and expiry.
+ *
+ * @param {string} token
+ * @param {string} secret
+ * @returns {object} the payload
+ * @throws {Error} with code 'TOKEN_EXPIRED' or 'INVALID_TOKEN'
+ */
+function verifyJwt(token, secret) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw tokenError('INVALID_TOKEN', 'Malformed token');
+  }
+
+  const [header, body, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${body}`, secret));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw tokenError('INVALID_TOKEN', 'Invalid token signature');
+  }
+
+  let payload;
+  try {
+    if (decode(header).alg !== 'HS256') {
+      throw new Error('unexpected algorithm');
+    }
+    payload = decode(body);
+  } catch (error) {
+    throw tokenError('INVALID_TOKEN', 'Malformed token');
+  }
+
+  if (typeof payload.exp !== 'number' || payload.exp <= Date.now() / 1000) {
+    throw tokenError('TOKEN_EXPIRED', 'Token has expired');
+  }
+  return payload;
+}
+
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decode(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+
+function tokenError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = {
+  signJwt,
+  verifyJwt
+};
@@ -0,0 +1,253 @@
+const sharp = require('sharp');
+
+// Working resolution for segmentation (longest side, px)
+const WORK_SIZE = 512;
+// Foreground coverage outside this range means segmentation failed
+const MIN_COVERAGE = 0.03;
+const MAX_COVERAGE = 0.97;
+
+/**
+ * Separate a photo's subject from its background, without any network
+ * or ML model.
+ *
+ * Assumes the usual product-photo setup: the subject sits roughly in the
+ * middle and the background touches the image border. The background
+ * colour is estimated from the border, then flood-filled inwards; only
+ * pixels connected to the border are treated as background, so subject
+ * areas that happen to match the background colour stay intact. The
+ * largest remaining blob is the subject.
+ *
+ * When the result is implausible (almost nothing or almost everything
+ * kept) the whole frame is returned as the subject with segmented=false.
+ *
+ * @param {string|Buffer} input - image path or encoded image
+ * @returns {Promise<{
+ *   width: number, height: number,
+ *   data: Buffer,          // RGB pixels, EXIF-oriented, at working resolution
+ *   mask: Uint8Array,      // 255 = subject, 0 = background
+ *   bbox: { left: number, top: number, width: number, height: number },
+ *   coverage: number,      // subject area / image area (0-1)
+ *   segmented: boolean
+ * }>}
+ */
+async function segmentSubject(input) {
+  const { data, info } = await sharp(input)
+    .rotate()
+    .resize(WORK_SIZE, WORK_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height } = info;
+  const background = estimateBackground(data, width, height);
+  const threshold = estimateThreshold(data, width, height, background);
+
+  const isBackground = floodFillBackground(data, width, height, background, threshold);
+  const mask = largestComponent(isBackground, width, height);
+
+  let coverage = 0;
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i]) coverage++;
+  }
+  coverage /= mask.length;
+
+  if (coverage < MIN_COVERAGE || coverage > MAX_COVERAGE) {
+    return {
+      width,
+      height,
+      data,
+      mask: new Uint8Array(width * height).fill(255),
+      bbox: { left: 0, top: 0, width, height },
+      coverage: 1,
+      segmented: false
+    };
+  }
+
+  return {
+    width,
+    height,
+    data,
+    mask,
+    bbox: maskBoundingBox(mask, width, height),
+    coverage,
+    segmented: true
+  };
+}
+
+/**
+ * Median colour of the outer 2px frame.
+ */
+function estimateBackground(data, width, height) {
+  const channels = [[], [], []];
+
+  forEachBorderPixel(width, height, 2, index => {
+    for (let c = 0; c < 3; c++) {
+      channels[c].push(data[index * 3 + c]);
+    }
+  });
+
+  return channels.map(values => {
+    values.sort((a, b) => a - b);
+    return values[Math.floor(values.length / 2)];
+  });
+}
+
+/**
+ * Colour distance that still counts as background, scaled by how noisy
+ * the border is (a gradient backdrop needs more tolerance than a sheet).
+ */
+function estimateThreshold(data, width, height, background) {
+  const distances = [];
+
+  forEachBorderPixel(width, height, 2, index => {
+    distances.push(colorDistance(data, index, background));
+  });
+
+  distances.sort((a, b) => a - b);
+  const p90 = distances[Math.floor(distances.length * 0.9)] || 0;
+  return Math.min(120, Math.max(24, p90 * 1.5 + 12));
+}
+
+/**
+ * Mark every pixel reachable from the border through background-coloured
+ * pixels.
+ * @returns {Uint8Array} 1 = background
+ */
+function floodFillBackground(data, width, height, background, threshold) {
+  const total = width * height;
+  const isBackground = new Uint8Array(total);
+  const queue = new Int32Array(total);
+  let head = 0;
+  let tail = 0;
+
+  forEachBorderPixel(width, height, 1, index => {
+    if (!isBackground[index] && colorDistance(data, index, background) < threshold) {
+      isBackground[index] = 1;
+      queue[tail++] = index;
+    }
+  });
+
+  while (head < tail) {
+    const index = queue[head++];
+    const x = index % width;
+    const y = (index - x) / width;
+
+    const neighbours = [
+      x > 0 ? index - 1 : -1,
+      x < width - 1 ? index + 1 : -1,
+      y > 0 ? index - width : -1,
+      y < height - 1 ? index + width : -1
+    ];
+
+    for (const n of neighbours) {
+      if (n >= 0 && !isBackground[n] && colorDistance(data, n, background) < threshold) {
+        isBackground[n] = 1;
+        queue[tail++] = n;
+      }
+    }
+  }
+
+  return isBackground;
+}
+
+/**
+ * Keep only the largest 4-connected non-background region.
+ * @returns {Uint8Array} 255 = subject
+ */
+function largestComponent(isBackground, width, height) {
+  const total = width * height;
+  const labels = new Int32Array(total);
+  const queue = new Int32Array(total);
+  let bestLabel = 0;
+  let bestSize = 0;
+  let nextLabel = 1;
+
+  for (let start = 0; start < total; start++) {
+    if (isBackground[start] || labels[start]) continue;
+
+    const label = nextLabel++;
+    let head = 0;
+    let tail = 0;
+    labels[start] = label;
+    queue[tail++] = start;
+
+    while (head < tail) {
+      const index = queue[head++];
+      const x = index % width;
+      const y = (index - x) / width;
+
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        y > 0 ? index - width : -1,
+        y < height - 1 ? index + width : -1
+      ];
+
+      for (const n of neighbours) {
+        if (n >= 0 && !isBackground[n] && !labels[n]) {
+          labels[n] = label;
+          queue[tail++] = n;
+        }
+      }
+    }
+
+    if (tail > bestSize) {
+      bestSize = tail;
+      bestLabel = label;
+    }
+  }
+
+  const mask = new Uint8Array(total);
+  for (let i = 0; i < total; i++) {
+    if (bestLabel && labels[i] === bestLabel) mask[i] = 255;
+  }
+  return mask;
+}
+
+/**
+ * Tight bounding box around the non-zero mask pixels.
+ */
+function maskBoundingBox(mask, width, height) {
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x]) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+
+  if (maxX < 0) {
+    return { left: 0, top: 0, width, height };
+  }
+
+  return { left: minX, top: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+function forEachBorderPixel(width, height, thickness, fn) {
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (x < thickness || y < thickness || x >= width - thickness || y >= height - thickness) {
+        fn(y * width + x);
+      }
+    }
+  }
+}
+
+function colorDistance(data, index, color) {
+  const r = data[index * 3] - color[0];
+  const g = data[index * 3 + 1] - color[1];
+  const b = data[index * 3 + 2] - color[2];
+  return Math.sqrt(r * r + g * g + b * b);
+}
+
+module.exports = {
+  segmentSubject
+};
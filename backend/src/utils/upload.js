@@ -1,34 +1,54 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { convertUploads } = require('../services/uploadConverter');
 
-// Ensure upload directory exists
+// Ensure upload directories exist
 const uploadDir = path.join(__dirname, '../../uploads/images');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
+// Model files for POST /api/objects/import, until services/modelImporter
+// has converted them
+const importDir = path.join(__dirname, '../../uploads/imports');
+[uploadDir, importDir].forEach((dir) => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+});
+
+const uniqueFilename = (req, file, cb) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  cb(null, uniqueSuffix + path.extname(file.originalname));
+};
 
 // Configure storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, uploadDir);
   },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  }
+  filename: uniqueFilename
 });
 
-// File filter - accept only images
+// Photos, plus short walk-around videos (see services/uploadConverter)
+const ALLOWED_EXTENSIONS = ['.jpeg', '.jpg', '.png', '.gif', '.heic', '.heif', '.webp', '.mp4', '.mov'];
+const ALLOWED_MIME_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/heic',
+  'image/heif',
+  'image/webp',
+  'video/mp4',
+  'video/quicktime'
+];
+
+// File filter - accept only photos and videos
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = /jpeg|jpg|png|gif/;
-  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = allowedTypes.test(file.mimetype);
+  const extname = ALLOWED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+  const mimetype = ALLOWED_MIME_TYPES.includes(file.mimetype);
 
   if (extname && mimetype) {
     cb(null, true);
   } else {
-    cb(new Error('Only image files are allowed'));
+    cb(new Error('Only JPEG, PNG, GIF, HEIC, WebP images and MP4/MOV videos are allowed'));
   }
 };
 
@@ -36,8 +56,100 @@ const upload = multer({
   storage,
   fileFilter,
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB max per image
+    fileSize: 10 * 1024 * 1024 // 10MB max per file, videos included
   }
 });
 
+// Imported models: GLB, glTF with its .bin and textures, OBJ with its MTL
+// and textures, or any of those zipped (see services/modelImporter)
+const MODEL_EXTENSIONS = ['.glb', '.gltf', '.bin', '.obj', '.mtl', '.zip', '.png', '.jpg', '.jpeg', '.webp', '.ktx2'];
+const MAX_MODEL_FILES = 20;
+
+const importStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, file.fieldname === 'model' ? importDir : uploadDir);
+  },
+  filename: uniqueFilename
+});
+
+// Model files are checked by extension only: clients send most of them as
+// application/octet-stream. The thumbnail must be a photo.
+const importFileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (file.fieldname === 'model') {
+    if (MODEL_EXTENSIONS.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Model files must be one of: ${MODEL_EXTENSIONS.join(', ')}`));
+    }
+  } else if (file.fieldname === 'thumbnail' && file.mimetype.startsWith('video/')) {
+    cb(new Error('The thumbnail must be a photo'));
+  } else {
+    fileFilter(req, file, cb);
+  }
+};
+
+const importUpload = multer({
+  storage: importStorage,
+  fileFilter: importFileFilter,
+  limits: {
+    fileSize: 100 * 1024 * 1024 // 100MB max per file
+  }
+}).fields([
+  { name: 'model', maxCount: MAX_MODEL_FILES },
+  { name: 'images', maxCount: 4 },
+  { name: 'thumbnail', maxCount: 1 }
+]);
+
+// Photo fields of a multi-field upload that normalizeUploads converts
+const PHOTO_FIELDS = ['images', 'thumbnail'];
+
+/**
+ * Middleware run after multer: converts HEIC/WebP uploads to JPEG and
+ * replaces an uploaded video with its keyframes, so req.files only holds
+ * photos. With upload fields (importUpload) only PHOTO_FIELDS are
+ * converted. Rejects unusable uploads with 400 and removes what was stored.
+ */
+const normalizeUploads = async (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next();
+  }
+
+  try {
+    if (Array.isArray(req.files)) {
+      req.files = await convertUploads(req.files);
+    } else {
+      for (const field of PHOTO_FIELDS.filter(name => req.files[name])) {
+        req.files[field] = await convertUploads(req.files[field]);
+      }
+    }
+    next();
+  } catch (error) {
+    removeUploads(req.files);
+
+    if (error.code === 'INVALID_UPLOAD') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('[Upload] Error converting uploads:', error);
+    res.status(500).json({
+      error: 'Failed to process uploads',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete every file multer stored for a request (req.files as an array or
+ * by field).
+ */
+function removeUploads(files) {
+  const list = Array.isArray(files) ? files : Object.values(files || {}).flat();
+  list.forEach(file => fs.rmSync(file.path, { force: true }));
+}
+
 module.exports = upload;
+module.exports.importUpload = importUpload;
+module.exports.normalizeUploads = normalizeUploads;
+module.exports.removeUploads = removeUploads;
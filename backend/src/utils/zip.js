@@ -0,0 +1,249 @@
+/**
+ * Minimal ZIP writer and reader.
+ *
+ * The writer is enough for the export bundles (OBJ + MTL + textures) and
+ * USDZ, which is a ZIP whose entries are stored uncompressed with their
+ * data aligned to 64 bytes. Everything is built in memory; build() returns
+ * the archive bytes.
+ *
+ * The reader unpacks the stored and deflated entries of an uploaded
+ * archive (services/modelImporter); ZIP64 and encrypted archives are
+ * rejected.
+ */
+
+const zlib = require('zlib');
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const ENCRYPTED_FLAG = 0x1;
+// End of central directory record plus the longest archive comment
+const MAX_END_RECORD_SEARCH = 22 + 0xFFFF;
+// Extra field id used to pad entries to the alignment (as usdzip does)
+const PADDING_FIELD_ID = 0x1986;
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+class ZipBuilder {
+
+  /**
+   * @param {{ align?: number }} opts - align: byte boundary every entry's
+   *   data starts on (64 for USDZ); entries are never compressed when set
+   */
+  constructor({ align = 0 } = {}) {
+    this.align = align;
+    this.entries = [];
+  }
+
+  /**
+   * Add a file.
+   *
+   * @param {string} name - path inside the archive, '/'-separated
+   * @param {Buffer|string} data
+   * @param {{ compress?: boolean }} opts
+   */
+  addFile(name, data, { compress = false } = {}) {
+    const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    const deflate = compress && !this.align;
+    this.entries.push({
+      name: Buffer.from(name),
+      crc: crc32(bytes),
+      size: bytes.length,
+      method: deflate ? METHOD_DEFLATE : METHOD_STORE,
+      data: deflate ? zlib.deflateRawSync(bytes) : bytes
+    });
+    return this;
+  }
+
+  /**
+   * Serialize to ZIP bytes.
+   * @returns {Buffer}
+   */
+  build() {
+    const parts = [];
+    const central = [];
+    const { time, date } = dosDateTime(new Date());
+    let offset = 0;
+
+    this.entries.forEach((entry) => {
+      const extra = this.paddingField(offset + 30 + entry.name.length);
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(0, 6);
+      header.writeUInt16LE(entry.method, 8);
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(date, 12);
+      header.writeInt32LE(entry.crc, 14);
+      header.writeUInt32LE(entry.data.length, 18);
+      header.writeUInt32LE(entry.size, 22);
+      header.writeUInt16LE(entry.name.length, 26);
+      header.writeUInt16LE(extra.length, 28);
+
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(0, 8);
+      record.writeUInt16LE(entry.method, 10);
+      record.writeUInt16LE(time, 12);
+      record.writeUInt16LE(date, 14);
+      record.writeInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.data.length, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.name.length, 28);
+      record.writeUInt32LE(offset, 42);
+      central.push(record, entry.name);
+
+      parts.push(header, entry.name, extra, entry.data);
+      offset += header.length + entry.name.length + extra.length + entry.data.length;
+    });
+
+    const centralDirectory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...parts, centralDirectory, end]);
+  }
+
+  /**
+   * Extra field that moves the entry's data, which would start at
+   * `dataOffset`, onto the alignment boundary.
+   */
+  paddingField(dataOffset) {
+    if (!this.align || dataOffset % this.align === 0) {
+      return Buffer.alloc(0);
+    }
+
+    let padding = this.align - (dataOffset % this.align);
+    // An extra field needs 4 bytes for its own header
+    if (padding < 4) {
+      padding += this.align;
+    }
+
+    const field = Buffer.alloc(padding);
+    field.writeUInt16LE(PADDING_FIELD_ID, 0);
+    field.writeUInt16LE(padding - 4, 2);
+    return field;
+  }
+}
+
+/**
+ * List the files in a ZIP archive. Directory entries are skipped.
+ *
+ * @param {Buffer} archive
+ * @param {{ maxSize?: number }} opts - maxSize: most bytes the files may
+ *   add up to once unpacked
+ * @returns {{ name: string, data: Buffer }[]} in central directory order
+ * @throws {Error} for archives that are damaged or use unsupported features
+ */
+function readZip(archive, { maxSize = Infinity } = {}) {
+  const endOffset = findEndRecord(archive);
+  const count = archive.readUInt16LE(endOffset + 10);
+  let offset = archive.readUInt32LE(endOffset + 16);
+  let totalSize = 0;
+
+  if (count === 0xFFFF || offset === 0xFFFFFFFF) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > archive.length || archive.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Damaged ZIP central directory');
+    }
+
+    const flags = archive.readUInt16LE(offset + 8);
+    const method = archive.readUInt16LE(offset + 10);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const size = archive.readUInt32LE(offset + 24);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const extraLength = archive.readUInt16LE(offset + 30);
+    const commentLength = archive.readUInt16LE(offset + 32);
+    const headerOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    if (flags & ENCRYPTED_FLAG) {
+      throw new Error(`${name} is encrypted`);
+    }
+    totalSize += size;
+    if (totalSize > maxSize) {
+      throw new Error(`Archive unpacks to more than ${Math.round(maxSize / (1024 * 1024))}MB`);
+    }
+    if (headerOffset + 30 > archive.length || archive.readUInt32LE(headerOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Damaged ZIP entry ${name}`);
+    }
+
+    // The local header's name and extra field can differ from the central one
+    const dataOffset = headerOffset + 30 +
+      archive.readUInt16LE(headerOffset + 26) + archive.readUInt16LE(headerOffset + 28);
+    const stored = archive.subarray(dataOffset, dataOffset + compressedSize);
+
+    let data;
+    if (method === METHOD_STORE) {
+      data = stored;
+    } else if (method === METHOD_DEFLATE) {
+      // Bounded by the recorded size, so a forged header can't inflate further
+      try {
+        data = zlib.inflateRawSync(stored, { maxOutputLength: Math.max(size, 1) });
+      } catch (error) {
+        throw new Error(`Damaged ZIP entry ${name}`);
+      }
+    } else {
+      throw new Error(`${name} uses unsupported compression method ${method}`);
+    }
+
+    if (data.length !== size) {
+      throw new Error(`Damaged ZIP entry ${name}`);
+    }
+    files.push({ name, data });
+  }
+
+  return files;
+}
+
+function findEndRecord(archive) {
+  const stop = Math.max(0, archive.length - MAX_END_RECORD_SEARCH);
+  for (let offset = archive.length - 22; offset >= stop; offset--) {
+    if (archive.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw new Error('Not a ZIP archive');
+}
+
+function crc32(bytes) {
+  let crc = -1;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return crc ^ -1;
+}
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+module.exports = {
+  ZipBuilder,
+  readZip
+};
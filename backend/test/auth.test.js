@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-secret';
+const User = require('../src/models/User');
+const {
+  issueTokens,
+  refreshTokens,
+  revokeRefreshToken,
+  verifyAccessToken
+} = require('../src/services/auth');
+
+/**
+ * Keep users in memory, applying the session updates services/auth makes.
+ */
+function useUserStore(users) {
+  const pullSession = (user, tokenId) => {
+    user.sessions = user.sessions.filter(session => session.tokenId !== tokenId);
+  };
+
+  User.findOneAndUpdate = async (filter, update) => {
+    const user = users.get(String(filter._id));
+    if (!user || !user.sessions.some(session => session.tokenId === filter['sessions.tokenId'])) {
+      return null;
+    }
+    pullSession(user, update.$pull.sessions.tokenId);
+    return user;
+  };
+  User.updateOne = async (filter, update) => {
+    const user = users.get(String(filter._id));
+    if (user) pullSession(user, update.$pull.sessions.tokenId);
+    return { matchedCount: user ? 1 : 0 };
+  };
+}
+
+function newUser(users) {
+  const user = new User({ email: 'ada@example.com', passwordHash: 'scrypt$x$y' });
+  user.save = async () => user;
+  users.set(String(user._id), user);
+  return user;
+}
+
+test.describe('refresh tokens', () => {
+  const { findOneAndUpdate, updateOne } = User;
+  let users;
+
+  test.beforeEach(() => {
+    users = new Map();
+    useUserStore(users);
+  });
+
+  test.afterEach(() => {
+    User.findOneAndUpdate = findOneAndUpdate;
+    User.updateOne = updateOne;
+  });
+
+  test('buys a new pair once', async () => {
+    const user = newUser(users);
+    const tokens = await issueTokens(user);
+
+    const refreshed = await refreshTokens(tokens.refreshToken);
+    assert.equal(verifyAccessToken(refreshed.tokens.accessToken), String(user._id));
+    assert.notEqual(refreshed.tokens.refreshToken, tokens.refreshToken);
+
+    await assert.rejects(refreshTokens(tokens.refreshToken), { code: 'INVALID_TOKEN' });
+    // The replacement still works
+    await refreshTokens(refreshed.tokens.refreshToken);
+  });
+
+  test('is rejected after logout', async () => {
+    const user = newUser(users);
+    const tokens = await issueTokens(user);
+    const otherDevice = await issueTokens(user);
+
+    await revokeRefreshToken(tokens.refreshToken);
+
+    await assert.rejects(refreshTokens(tokens.refreshToken), { code: 'INVALID_TOKEN' });
+    // Other sessions stay signed in
+    await refreshTokens(otherDevice.refreshToken);
+  });
+
+  test('is not accepted as an access token, nor the other way round', async () => {
+    const tokens = await issueTokens(newUser(users));
+
+    assert.throws(() => verifyAccessToken(tokens.refreshToken), { code: 'INVALID_TOKEN' });
+    await assert.rejects(refreshTokens(tokens.accessToken), { code: 'INVALID_TOKEN' });
+  });
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-secret';
+const ObjectModel = require('../src/models/Object');
+const {
+  FILE_URL_TTL_SECONDS,
+  signFileUrl,
+  issueFileUrl,
+  verifyFileSignature,
+  userOwnsFile
+} = require('../src/services/fileAccess');
+
+const ALICE = '64b7f0c2a1b2c3d4e5f60701';
+const BOB = '64b7f0c2a1b2c3d4e5f60702';
+
+function parseSigned(signedUrl) {
+  const url = new URL(signedUrl, 'http://localhost');
+  return {
+    path: url.pathname,
+    expires: url.searchParams.get('expires'),
+    signature: url.searchParams.get('signature')
+  };
+}
+
+test.describe('signed file URLs', () => {
+  const photo = '/uploads/images/1700000000000-123.jpg';
+
+  test('verify for the path they were issued for', () => {
+    const { path, expires, signature } = parseSigned(signFileUrl(photo));
+    const secondsLeft = verifyFileSignature(path, expires, signature);
+
+    assert.equal(path, photo);
+    assert.ok(secondsLeft > FILE_URL_TTL_SECONDS && secondsLeft <= 2 * FILE_URL_TTL_SECONDS);
+  });
+
+  test('reject a signature moved to another file', () => {
+    const { expires, signature } = parseSigned(signFileUrl(photo));
+
+    assert.equal(verifyFileSignature('/uploads/images/1700000000000-456.jpg', expires, signature), null);
+    assert.equal(verifyFileSignature('/uploads/models/64b7f0c2a1b2c3d4e5f60718.glb', expires, signature), null);
+  });
+
+  test('reject an extended expiry', () => {
+    const { path, expires, signature } = parseSigned(signFileUrl(photo));
+
+    assert.equal(verifyFileSignature(path, String(Number(expires) + FILE_URL_TTL_SECONDS), signature), null);
+  });
+
+  test('reject a tampered or missing signature', () => {
+    const { path, expires, signature } = parseSigned(signFileUrl(photo));
+    const tampered = `${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`;
+
+    assert.equal(verifyFileSignature(path, expires, tampered), null);
+    assert.equal(verifyFileSignature(path, expires, ''), null);
+    assert.equal(verifyFileSignature(path, expires, undefined), null);
+    assert.equal(verifyFileSignature(path, 'soon', signature), null);
+  });
+
+  test('reject an expired link', (t) => {
+    const { url, expiresAt } = issueFileUrl(photo);
+    const { path, expires, signature } = parseSigned(url);
+
+    t.mock.timers.enable({ apis: ['Date'], now: expiresAt.getTime() });
+    assert.equal(verifyFileSignature(path, expires, signature), null);
+
+    t.mock.timers.setTime(expiresAt.getTime() - 1000);
+    assert.equal(verifyFileSignature(path, expires, signature), 1);
+  });
+
+  test('pass empty URLs through unsigned', () => {
+    assert.equal(signFileUrl(''), '');
+  });
+});
+
+test.describe('userOwnsFile', () => {
+  const { findOne } = ObjectModel;
+  const lamp = new ObjectModel({
+    name: 'Lamp',
+    owner: ALICE,
+    imageUrls: ['/uploads/images/lamp.jpg'],
+    processedImageUrls: ['/uploads/images/lamp-processed.jpg'],
+    thumbnailUrl: '/uploads/images/lamp-thumb.png'
+  });
+  const id = String(lamp._id);
+
+  test.before(() => {
+    // Matches the query userOwnsFile builds against the one stored object
+    ObjectModel.findOne = (filter) => {
+      const { owner, _id, $or } = filter;
+      const matches = String(owner) === String(lamp.owner) &&
+        (_id ? String(_id) === id
+          : $or.some(condition => Object.entries(condition).some(([field, url]) =>
+            [].concat(lamp[field]).includes(url))));
+      const result = matches ? lamp : null;
+      return { select: () => Promise.resolve(result) };
+    };
+  });
+
+  test.after(() => {
+    ObjectModel.findOne = findOne;
+  });
+
+  test("gives the owner their object's photos and models", async () => {
+    for (const url of [
+      '/uploads/images/lamp.jpg',
+      '/uploads/images/lamp-processed.jpg',
+      '/uploads/images/lamp-thumb.png',
+      `/uploads/models/${id}/64b7f0c2a1b2c3d4e5f60799.glb`,
+      `/uploads/models/${id}.glb`,
+      `/uploads/models/${id}-lod1.glb`
+    ]) {
+      assert.equal(await userOwnsFile(ALICE, url), true, url);
+    }
+  });
+
+  test("refuses another user's files", async () => {
+    for (const url of [
+      '/uploads/images/lamp.jpg',
+      `/uploads/models/${id}/64b7f0c2a1b2c3d4e5f60799.glb`,
+      `/uploads/models/${id}.glb`
+    ]) {
+      assert.equal(await userOwnsFile(BOB, url), false, url);
+    }
+  });
+
+  test('refuses files outside the object', async () => {
+    for (const url of [
+      '/uploads/images/other.jpg',
+      `/uploads/models/${id}/nested/64b7f0c2a1b2c3d4e5f60799.glb`,
+      `/uploads/models/${id}x.glb`
+    ]) {
+      assert.equal(await userOwnsFile(ALICE, url), false, url);
+    }
+  });
+});
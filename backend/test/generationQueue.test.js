@@ -0,0 +1,228 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ObjectModel = require('../src/models/Object');
+const GenerationJob = require('../src/models/GenerationJob');
+const modelGenerator = require('../src/services/modelGenerator');
+const generationQueue = require('../src/services/generationQueue');
+const { addVersion } = require('../src/services/modelVersions');
+
+/**
+ * A processing object with its job, as the worker holds them in memory.
+ * Saves are recorded instead of written.
+ */
+function processingObject() {
+  const object = new ObjectModel({ name: 'Lamp', generationStatus: 'processing' });
+  const version = addVersion(object);
+  object.saved = [];
+  object.save = async function () {
+    this.saved.push(this.generationStatus);
+    return this;
+  };
+
+  const job = new GenerationJob({
+    object: object._id,
+    version: version._id,
+    status: 'running',
+    taskId: 'task-1',
+    method: 'meshy',
+    leaseOwner: generationQueue.workerId
+  });
+  return { object, job };
+}
+
+test.describe('GenerationQueue completion', () => {
+  const { findOneAndUpdate, updateOne } = GenerationJob;
+
+  test.afterEach(() => {
+    GenerationJob.findOneAndUpdate = findOneAndUpdate;
+    GenerationJob.updateOne = updateOne;
+  });
+
+  test('completes the object when the job is still ours', async () => {
+    const { object, job } = processingObject();
+    let filter;
+    GenerationJob.findOneAndUpdate = async (query) => {
+      filter = query;
+      return job;
+    };
+
+    assert.equal(await generationQueue.applyStatus(object, { status: 'SUCCEEDED', progress: 100 }, job), true);
+    assert.deepEqual(filter, { _id: job._id, status: 'running', leaseOwner: generationQueue.workerId });
+    assert.deepEqual(object.saved, ['completed']);
+  });
+
+  test('leaves a job cancelled while downloading alone', async () => {
+    const { object, job } = processingObject();
+    GenerationJob.findOneAndUpdate = async () => null;
+
+    assert.equal(await generationQueue.applyStatus(object, { status: 'SUCCEEDED', progress: 100 }, job), true);
+    assert.deepEqual(object.saved, []);
+    assert.equal(object.modelVersions[0].status, 'processing');
+  });
+
+  test('does not fail a job cancelled meanwhile', async () => {
+    const { object, job } = processingObject();
+    job.attempts = 3;
+    GenerationJob.updateOne = async () => ({ matchedCount: 0, modifiedCount: 0 });
+
+    await generationQueue.applyStatus(object, { status: 'FAILED', error: 'Task failed' }, job);
+    assert.deepEqual(object.saved, []);
+  });
+});
+
+test.describe('GenerationQueue webhooks', () => {
+  const { findOneAndUpdate, updateOne } = GenerationJob;
+  const { findById } = ObjectModel;
+  const { resolveStatus } = modelGenerator;
+
+  test.afterEach(() => {
+    GenerationJob.findOneAndUpdate = findOneAndUpdate;
+    GenerationJob.updateOne = updateOne;
+    ObjectModel.findById = findById;
+    modelGenerator.resolveStatus = resolveStatus;
+  });
+
+  test('hands the task to the worker holding the lease', async () => {
+    const updates = [];
+    GenerationJob.findOneAndUpdate = async () => null;
+    GenerationJob.updateOne = async (filter, update) => {
+      updates.push(update.$set);
+      return { matchedCount: 1, modifiedCount: 1 };
+    };
+    modelGenerator.resolveStatus = async () => assert.fail('resolved a task leased by a worker');
+
+    assert.equal(await generationQueue.handleWebhook('meshy', 'task-1', { status: 'SUCCEEDED' }), true);
+    assert.equal(updates.length, 1);
+    assert.ok(updates[0].checkRequestedAt instanceof Date);
+  });
+
+  test('settles an unleased task under its own lease, then releases it', async () => {
+    const { object, job } = processingObject();
+    job.leaseOwner = `${generationQueue.workerId}-check`;
+    const claims = [];
+    GenerationJob.findOneAndUpdate = async (filter, update) => {
+      claims.push({ filter, update });
+      return job;
+    };
+    const releases = [];
+    GenerationJob.updateOne = async (filter) => {
+      releases.push(filter);
+      return { matchedCount: 0, modifiedCount: 0 };
+    };
+    ObjectModel.findById = async () => object;
+    modelGenerator.resolveStatus = async () => ({ status: 'SUCCEEDED', progress: 100 });
+
+    assert.equal(await generationQueue.handleWebhook('meshy', 'task-1', { status: 'SUCCEEDED' }), true);
+
+    const [claim, completion] = claims;
+    assert.deepEqual(claim.filter.$or, [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lt: claim.update.$set.heartbeatAt } }]);
+    assert.equal(claim.update.$set.leaseOwner, job.leaseOwner);
+    assert.equal(completion.filter.leaseOwner, job.leaseOwner);
+    assert.deepEqual(object.saved, ['completed']);
+    assert.deepEqual(releases, [{ _id: job._id, leaseOwner: job.leaseOwner, status: 'running' }]);
+  });
+});
+
+test.describe('GenerationQueue leases', () => {
+  const { findOneAndUpdate, updateOne } = GenerationJob;
+  const { findById } = ObjectModel;
+  const { checkGenerationStatus } = modelGenerator;
+
+  test.afterEach(() => {
+    GenerationJob.findOneAndUpdate = findOneAndUpdate;
+    GenerationJob.updateOne = updateOne;
+    ObjectModel.findById = findById;
+    modelGenerator.checkGenerationStatus = checkGenerationStatus;
+    test.mock.timers.reset();
+  });
+
+  test('keeps the lease on a job through a slow status check', async () => {
+    const { object, job } = processingObject();
+    job.startedAt = new Date();
+    test.mock.timers.enable({ apis: ['setInterval'] });
+
+    GenerationJob.findOneAndUpdate = async () => job;
+    ObjectModel.findById = async () => object;
+    const renewals = [];
+    GenerationJob.updateOne = async (filter, update) => {
+      renewals.push({ filter, leaseExpiresAt: update.$set.leaseExpiresAt });
+      return { matchedCount: 1, modifiedCount: 1 };
+    };
+
+    let finishCheck;
+    let checkStarted;
+    const started = new Promise((resolve) => { checkStarted = resolve; });
+    modelGenerator.checkGenerationStatus = () => {
+      checkStarted();
+      return new Promise((resolve) => { finishCheck = resolve; });
+    };
+
+    const running = generationQueue.runJob(job);
+    await started;
+
+    // Three lease lengths pass while the model downloads
+    for (let elapsed = 0; elapsed < 90000; elapsed += 10000) {
+      test.mock.timers.tick(10000);
+    }
+    assert.equal(renewals.length, 9);
+    assert.deepEqual(renewals[0].filter, { _id: job._id, leaseOwner: generationQueue.workerId, status: 'running' });
+    assert.ok(renewals.every(renewal => renewal.leaseExpiresAt > new Date()));
+
+    finishCheck({ status: 'SUCCEEDED', progress: 100 });
+    await running;
+    assert.deepEqual(object.saved, ['completed']);
+
+    // No renewals once the check is over
+    test.mock.timers.tick(30000);
+    assert.equal(renewals.length, 9);
+  });
+
+  test('does not claim a job this process is already running', async () => {
+    let filter;
+    GenerationJob.findOneAndUpdate = async (query) => {
+      filter = query;
+      return null;
+    };
+    generationQueue.activeJobs.add('64b7f0c2a1b2c3d4e5f60718');
+
+    try {
+      await generationQueue.claimNext();
+    } finally {
+      generationQueue.activeJobs.delete('64b7f0c2a1b2c3d4e5f60718');
+    }
+    assert.deepEqual(filter._id, { $nin: ['64b7f0c2a1b2c3d4e5f60718'] });
+  });
+});
+
+test.describe('GenerationQueue enqueue', () => {
+  const { findOneAndUpdate, create } = GenerationJob;
+  const { cancelGeneration } = modelGenerator;
+  const { claimJobs } = generationQueue;
+
+  test.afterEach(() => {
+    GenerationJob.findOneAndUpdate = findOneAndUpdate;
+    GenerationJob.create = create;
+    modelGenerator.cancelGeneration = cancelGeneration;
+    generationQueue.claimJobs = claimJobs;
+  });
+
+  test('cancels the provider task of a superseded job', async () => {
+    const { object, job } = processingObject();
+    const queued = new GenerationJob({ object: object._id, status: 'queued' });
+    const superseded = [job, queued];
+    GenerationJob.findOneAndUpdate = async () => superseded.shift() || null;
+    GenerationJob.create = async fields => new GenerationJob(fields);
+    generationQueue.claimJobs = () => {};
+    const cancelled = [];
+    modelGenerator.cancelGeneration = async (taskId, method) => {
+      cancelled.push(`${method} ${taskId}`);
+      return true;
+    };
+
+    await generationQueue.enqueue(object);
+
+    assert.deepEqual(cancelled, ['meshy task-1']);
+    assert.equal(object.generationStatus, 'processing');
+    assert.equal(object.modelVersions.at(-1).status, 'processing');
+  });
+});
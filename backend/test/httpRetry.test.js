@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.HTTP_MAX_RETRIES = '0';
+const { requestWithRetry } = require('../src/utils/httpRetry');
+
+test.describe('requestWithRetry', () => {
+  let server;
+  let requests = 0;
+
+  test.before(async () => {
+    server = http.createServer((req, res) => {
+      requests += 1;
+      res.writeHead(503).end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  test.after(() => new Promise(resolve => server.close(resolve)));
+
+  test('makes a single attempt when HTTP_MAX_RETRIES is 0', async () => {
+    const url = `http://127.0.0.1:${server.address().port}/status`;
+
+    await assert.rejects(requestWithRetry({ method: 'get', url }), (error) => error.response?.status === 503);
+    assert.equal(requests, 1);
+  });
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signJwt, verifyJwt } = require('../src/utils/jwt');
+
+const SECRET = 'test-secret';
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function hmac(data, secret = SECRET) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+test.describe('jwt', () => {
+  test('round-trips a payload with iat and exp', () => {
+    const payload = verifyJwt(signJwt({ sub: 'user-1', type: 'access' }, SECRET, 60), SECRET);
+
+    assert.equal(payload.sub, 'user-1');
+    assert.equal(payload.exp - payload.iat, 60);
+  });
+
+  test('rejects a token signed with another secret', () => {
+    const token = signJwt({ sub: 'user-1' }, 'other-secret', 60);
+
+    assert.throws(() => verifyJwt(token, SECRET), { code: 'INVALID_TOKEN', message: 'Invalid token signature' });
+  });
+
+  test('rejects a token whose payload was changed', () => {
+    const [header, , signature] = signJwt({ sub: 'user-1' }, SECRET, 60).split('.');
+    const forged = `${header}.${encode({ sub: 'admin', exp: Date.now() / 1000 + 60 })}.${signature}`;
+
+    assert.throws(() => verifyJwt(forged, SECRET), { code: 'INVALID_TOKEN' });
+  });
+
+  test('rejects a validly signed token with another algorithm', () => {
+    for (const alg of ['none', 'HS512', 'RS256']) {
+      const header = encode({ alg, typ: 'JWT' });
+      const body = encode({ sub: 'user-1', exp: Math.floor(Date.now() / 1000) + 60 });
+
+      assert.throws(
+        () => verifyJwt(`${header}.${body}.${hmac(`${header}.${body}`)}`, SECRET),
+        { code: 'INVALID_TOKEN', message: 'Malformed token' }
+      );
+    }
+  });
+
+  test('rejects an unsigned token', () => {
+    const header = encode({ alg: 'none', typ: 'JWT' });
+    const body = encode({ sub: 'user-1', exp: Math.floor(Date.now() / 1000) + 60 });
+
+    assert.throws(() => verifyJwt(`${header}.${body}.`, SECRET), { code: 'INVALID_TOKEN' });
+  });
+
+  test('rejects an expired token, or one without exp', () => {
+    assert.throws(() => verifyJwt(signJwt({ sub: 'user-1' }, SECRET, -1), SECRET), { code: 'TOKEN_EXPIRED' });
+
+    const header = encode({ alg: 'HS256', typ: 'JWT' });
+    const body = encode({ sub: 'user-1' });
+    assert.throws(() => verifyJwt(`${header}.${body}.${hmac(`${header}.${body}`)}`, SECRET), { code: 'TOKEN_EXPIRED' });
+  });
+
+  test('rejects malformed tokens', () => {
+    for (const token of [undefined, '', 'a.b', 'a.b.c.d', 42]) {
+      assert.throws(() => verifyJwt(token, SECRET), { code: 'INVALID_TOKEN' });
+    }
+  });
+});
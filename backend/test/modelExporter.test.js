@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GlbBuilder } = require('../src/utils/glb');
+const { exportModel } = require('../src/services/modelExporter');
+const { getGltfIO } = require('../src/utils/gltfIO');
+
+/**
+ * One triangle, 2 units tall along y, as a GLB.
+ */
+function triangleGlb() {
+  const builder = new GlbBuilder();
+  builder.addMesh([{
+    attributes: { POSITION: builder.addAccessor(new Float32Array([0, 0, 0, 1, 0, 0, 0, 2, 0]), 'VEC3') },
+    indices: builder.addAccessor(new Uint16Array([0, 1, 2]), 'SCALAR', { indices: true })
+  }], 'triangle');
+  return builder.build();
+}
+
+/**
+ * Header and vertices of a binary STL with a single triangle.
+ */
+function readStl(stlPath) {
+  const buffer = fs.readFileSync(stlPath);
+  const vertices = [];
+  for (let v = 0; v < 3; v++) {
+    const offset = 84 + 12 + v * 12;
+    vertices.push([0, 4, 8].map(c => buffer.readFloatLE(offset + c)));
+  }
+  return { header: buffer.toString('ascii', 0, 80).replace(/\0+$/, ''), vertices };
+}
+
+test.describe('exportModel scale', () => {
+  let dir;
+  let glbPath;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roomsnap-export-test-'));
+    glbPath = path.join(dir, 'version.glb');
+    fs.writeFileSync(glbPath, triangleGlb());
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes a calibrated STL at real size in millimeters', async () => {
+    // Real object is 30 cm tall: 0.15 m per model unit
+    const { path: stlPath } = await exportModel(glbPath, 'stl', { scale: 0.15 });
+    const { header, vertices } = readStl(stlPath);
+
+    assert.match(header, /units: mm/);
+    // Z up: the model's 2-unit height becomes 300 mm along z
+    assert.ok(Math.abs(vertices[2][2] - 300) < 1e-3);
+    assert.ok(Math.abs(vertices[1][0] - 150) < 1e-3);
+  });
+
+  test('says an STL without a real dimension is uncalibrated', async () => {
+    const { path: stlPath } = await exportModel(glbPath, 'stl');
+    const { header } = readStl(stlPath);
+
+    assert.match(header, /uncalibrated/);
+    assert.doesNotMatch(header, /units: mm/);
+  });
+
+  test('scales USDZ points and glTF nodes', async () => {
+    const { path: usdzPath } = await exportModel(glbPath, 'usdz', { scale: 0.15 });
+    const usda = fs.readFileSync(usdzPath).toString('latin1');
+    assert.match(usda, /metersPerUnit = 1/);
+    assert.match(usda, /point3f\[\] points = \[\(0, 0, 0\), \(0\.15, 0, 0\), \(0, 0\.3, 0\)\]/);
+
+    const { path: gltfPath } = await exportModel(glbPath, 'gltf', { scale: 0.15 });
+    const io = await getGltfIO();
+    const document = await io.readJSON({ json: JSON.parse(fs.readFileSync(gltfPath, 'utf8')), resources: {} });
+    const [root] = document.getRoot().getDefaultScene().listChildren();
+    assert.deepEqual(root.getScale(), [0.15, 0.15, 0.15]);
+  });
+
+  test('re-exports when the scale changes and drops the old file', async () => {
+    const first = await exportModel(glbPath, 'stl', { scale: 0.15 });
+    const cached = await exportModel(glbPath, 'stl', { scale: 0.15 });
+    assert.equal(cached.path, first.path);
+
+    const rescaled = await exportModel(glbPath, 'stl', { scale: 0.3 });
+    assert.notEqual(rescaled.path, first.path);
+    assert.ok(Math.abs(readStl(rescaled.path).vertices[2][2] - 600) < 1e-3);
+    assert.equal(fs.existsSync(first.path), false);
+  });
+});
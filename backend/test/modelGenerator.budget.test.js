@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const usageTracker = require('../src/services/usageTracker');
+const modelGenerator = require('../src/services/modelGenerator');
+
+const local = { name: 'local', creditPrice: 0 };
+const meshy = { name: 'meshy', creditPrice: 0.02 };
+
+function budgetError() {
+  const error = new Error('The daily generation budget of $1.00 has been reached');
+  error.code = 'BUDGET_EXCEEDED';
+  return error;
+}
+
+test.describe('ModelGenerator budget caps', () => {
+  const assertWithinBudget = usageTracker.assertWithinBudget;
+
+  test.afterEach(() => {
+    usageTracker.assertWithinBudget = assertWithinBudget;
+  });
+
+  test('keeps every provider under budget', async () => {
+    usageTracker.assertWithinBudget = async () => {};
+
+    assert.deepEqual(await modelGenerator.withinBudget([meshy, local]), [meshy, local]);
+  });
+
+  test('refuses new tasks over budget, even with a free provider', async () => {
+    usageTracker.assertWithinBudget = async () => { throw budgetError(); };
+
+    await assert.rejects(modelGenerator.withinBudget([meshy, local]), { code: 'BUDGET_EXCEEDED' });
+  });
+});
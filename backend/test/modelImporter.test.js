@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { importModel } = require('../src/services/modelImporter');
+
+// One triangle: three float32 positions
+const TRIANGLE = Buffer.from(new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]).buffer);
+
+function triangleGltf(bufferUri, extra = {}) {
+  return {
+    asset: { version: '2.0' },
+    buffers: [{ uri: bufferUri, byteLength: TRIANGLE.length }],
+    bufferViews: [{ buffer: 0, byteOffset: 0, byteLength: TRIANGLE.length }],
+    accessors: [{
+      bufferView: 0,
+      componentType: 5126,
+      count: 3,
+      type: 'VEC3',
+      min: [0, 0, 0],
+      max: [1, 1, 0]
+    }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0 } }] }],
+    nodes: [{ mesh: 0 }],
+    scenes: [{ nodes: [0] }],
+    scene: 0,
+    ...extra
+  };
+}
+
+/**
+ * Write files into a temp dir as multer would store them and return the
+ * file entries for importModel.
+ */
+function upload(dir, files) {
+  return Object.entries(files).map(([name, data], index) => {
+    const filePath = path.join(dir, `upload-${index}`);
+    fs.writeFileSync(filePath, data);
+    return { path: filePath, originalname: name };
+  });
+}
+
+test.describe('importModel glTF resources', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roomsnap-import-test-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('packs a glTF with its uploaded .bin', async () => {
+    const files = upload(dir, {
+      'model.gltf': JSON.stringify(triangleGltf('model.bin')),
+      'model.bin': TRIANGLE
+    });
+    const result = await importModel(files, path.join(dir, 'out.glb'));
+
+    assert.equal(result.format, 'gltf');
+    assert.equal(result.modelStats.triangles, 1);
+  });
+
+  test('reads data: URIs', async () => {
+    const dataUri = `data:application/octet-stream;base64,${TRIANGLE.toString('base64')}`;
+    const files = upload(dir, { 'model.gltf': JSON.stringify(triangleGltf(dataUri)) });
+    const result = await importModel(files, path.join(dir, 'out.glb'));
+
+    assert.equal(result.modelStats.triangles, 1);
+  });
+
+  test('rejects resource URIs outside the upload', async () => {
+    const secret = path.join(dir, 'SECRET.txt');
+    fs.writeFileSync(secret, 'not for you');
+    const uris = [
+      '../../../../../../..' + secret,
+      '..%2F..%2F..%2F..%2F..%2F..%2F..' + encodeURIComponent(secret),
+      secret,
+      `file://${secret}`,
+      'http://example.com/model.bin'
+    ];
+
+    for (const uri of uris) {
+      const gltf = triangleGltf('model.bin', { images: [{ uri, mimeType: 'image/png' }] });
+      const files = upload(dir, {
+        'model.gltf': JSON.stringify(gltf),
+        'model.bin': TRIANGLE
+      });
+      const outputPath = path.join(dir, 'out.glb');
+
+      await assert.rejects(importModel(files, outputPath), { code: 'INVALID_IMPORT' }, uri);
+      assert.equal(fs.existsSync(outputPath), false);
+    }
+  });
+
+  test('rejects a missing buffer', async () => {
+    const files = upload(dir, { 'model.gltf': JSON.stringify(triangleGltf('model.bin')) });
+
+    await assert.rejects(importModel(files, path.join(dir, 'out.glb')), {
+      code: 'INVALID_IMPORT',
+      message: 'model.gltf refers to model.bin, which was not uploaded'
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { GlbBuilder } = require('../src/utils/glb');
+const { buildSilhouetteModel } = require('../src/services/silhouetteModel');
+const { orientModel } = require('../src/services/modelOrienter');
+const { inspectModel } = require('../src/services/modelInspector');
+
+/**
+ * A flat polygon (x/y outline, counter-clockwise) extruded `depth` along
+ * z, as a GLB.
+ */
+function slabGlb(outline, depth) {
+  const positions = [];
+  const indices = [];
+  const count = outline.length;
+
+  [depth / 2, -depth / 2].forEach(z => outline.forEach(([x, y]) => positions.push(x, y, z)));
+  for (let i = 1; i < count - 1; i++) {
+    indices.push(0, i, i + 1);
+    indices.push(count, count + i + 1, count + i);
+  }
+  for (let i = 0; i < count; i++) {
+    const next = (i + 1) % count;
+    indices.push(i, count + i, next, next, count + i, count + next);
+  }
+
+  const builder = new GlbBuilder();
+  builder.addMesh([{
+    attributes: { POSITION: builder.addAccessor(new Float32Array(positions), 'VEC3') },
+    indices: builder.addAccessor(new Uint16Array(indices), 'SCALAR', { indices: true })
+  }], 'slab');
+  return builder.build();
+}
+
+test.describe('orientModel', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roomsnap-orient-test-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('does not lay a thin upright slab flat', async () => {
+    // 1 m wide, 4 cm thick disc standing on a short flat edge, like a
+    // cut-out of a round subject from the local provider
+    const outline = Array.from({ length: 16 }, (_, i) => {
+      const angle = -Math.PI / 2 + (i + 0.5) * Math.PI / 8;
+      return [0.5 * Math.cos(angle), 0.5 + 0.5 * Math.sin(angle)];
+    });
+    const glbPath = path.join(dir, 'slab.glb');
+    fs.writeFileSync(glbPath, slabGlb(outline, 0.04));
+    const before = await inspectModel(glbPath);
+
+    await orientModel(glbPath);
+    const { boundingBox } = await inspectModel(glbPath);
+
+    assert.ok(
+      boundingBox.size[1] > before.boundingBox.size[1] * 0.9,
+      `height went from ${before.boundingBox.size[1]} to ${boundingBox.size[1]}`
+    );
+    assert.ok(Math.abs(boundingBox.min[1]) < 1e-3, 'model is grounded');
+  });
+
+  test('leaves the local provider\'s cut-out standing', async () => {
+    const photoPath = path.join(dir, 'photo.png');
+    const disc = '<svg width="600" height="800"><rect width="600" height="800" fill="white"/><circle cx="300" cy="400" r="220" fill="#b03020"/></svg>';
+    await sharp(Buffer.from(disc)).png().toFile(photoPath);
+
+    const glbPath = path.join(dir, 'local.glb');
+    fs.writeFileSync(glbPath, (await buildSilhouetteModel(photoPath)).glb);
+    const before = await inspectModel(glbPath);
+
+    assert.equal(await orientModel(glbPath), null);
+    assert.deepEqual((await inspectModel(glbPath)).boundingBox, before.boundingBox);
+    assert.ok(Math.abs(before.boundingBox.size[1] - 1) < 1e-3);
+  });
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.JWT_SECRET = 'test-secret';
+const ObjectModel = require('../src/models/Object');
+const { signJwt } = require('../src/utils/jwt');
+const objectRoutes = require('../src/routes/objectRoutes');
+
+const ALICE = '64b7f0c2a1b2c3d4e5f60701';
+const BOB = '64b7f0c2a1b2c3d4e5f60702';
+
+function accessToken(userId) {
+  return signJwt({ sub: userId, type: 'access' }, process.env.JWT_SECRET, 60);
+}
+
+/**
+ * A stand-in for a mongoose query over in-memory objects: matches the
+ * filter's _id and owner, and supports the chained calls the routes use.
+ */
+function query(objects, filter, many) {
+  const matches = objects.filter(object =>
+    (filter._id === undefined || String(object._id) === String(filter._id)) &&
+    (filter.owner === undefined || String(object.owner) === String(filter.owner))
+  );
+  const result = many ? matches : (matches[0] || null);
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+test.describe('object routes ownership', () => {
+  const { findOne, find } = ObjectModel;
+  let server;
+  let baseUrl;
+  let lamp;
+
+  test.before(async () => {
+    lamp = new ObjectModel({ name: 'Lamp', owner: ALICE, generationStatus: 'completed' });
+    const objects = [lamp, new ObjectModel({ name: 'Chair', owner: BOB, generationStatus: 'completed' })];
+    ObjectModel.findOne = filter => query(objects, filter, false);
+    ObjectModel.find = filter => query(objects, filter, true);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/objects', objectRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/objects`;
+  });
+
+  test.after(() => {
+    ObjectModel.findOne = findOne;
+    ObjectModel.find = find;
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  const get = (url, userId) => fetch(url, {
+    headers: userId ? { Authorization: `Bearer ${accessToken(userId)}` } : {}
+  });
+
+  test('requires a signed-in user', async () => {
+    assert.equal((await get(`${baseUrl}/${lamp._id}`)).status, 401);
+  });
+
+  test('returns an object to its owner', async () => {
+    const res = await get(`${baseUrl}/${lamp._id}`, ALICE);
+
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).object.name, 'Lamp');
+  });
+
+  test("reports another user's object as not found", async () => {
+    assert.equal((await get(`${baseUrl}/${lamp._id}`, BOB)).status, 404);
+    assert.equal((await get(`${baseUrl}/${lamp._id}/versions`, BOB)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/${lamp._id}`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${accessToken(BOB)}` }
+    })).status, 404);
+  });
+
+  test("lists only the user's own objects", async () => {
+    const { objects } = await (await get(baseUrl, BOB)).json();
+
+    assert.deepEqual(objects.map(object => object.name), ['Chair']);
+  });
+});
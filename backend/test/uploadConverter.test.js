@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roomsnap-upload-test-'));
+
+// Stand-in for ffmpeg: reports a one-second clip and "samples" it into
+// FAKE_FFMPEG_FRAMES copies of FAKE_FFMPEG_FRAME
+const fakeFfmpeg = path.join(dir, 'ffmpeg');
+fs.writeFileSync(fakeFfmpeg, `#!${process.execPath}
+const fs = require('fs');
+const args = process.argv.slice(2);
+if (args.includes('-t')) {
+  process.stderr.write('  Duration: 00:00:01.00, start: 0.000000, bitrate: 1000 kb/s\\n');
+  process.exit(0);
+}
+const pattern = args[args.length - 1];
+for (let i = 1; i <= Number(process.env.FAKE_FFMPEG_FRAMES); i++) {
+  fs.copyFileSync(process.env.FAKE_FFMPEG_FRAME, pattern.replace('%03d', String(i).padStart(3, '0')));
+}
+`, { mode: 0o755 });
+process.env.FFMPEG_PATH = fakeFfmpeg;
+
+const { convertUploads } = require('../src/services/uploadConverter');
+
+test.describe('convertUploads video keyframes', () => {
+  test.before(async () => {
+    process.env.FAKE_FFMPEG_FRAME = path.join(dir, 'frame.jpg');
+    await sharp({ create: { width: 64, height: 64, channels: 3, background: '#808080' } })
+      .jpeg()
+      .toFile(process.env.FAKE_FFMPEG_FRAME);
+  });
+
+  test.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  for (const [frames, expected] of [[1, 1], [3, 3], [4, 4], [24, 4]]) {
+    test(`keeps ${expected} keyframe(s) from a clip sampled into ${frames} frame(s)`, async () => {
+      process.env.FAKE_FFMPEG_FRAMES = String(frames);
+      const videoPath = path.join(dir, `clip-${frames}.mp4`);
+      fs.writeFileSync(videoPath, 'video');
+
+      const files = await convertUploads([{ path: videoPath, originalname: 'clip.mp4', mimetype: 'video/mp4' }]);
+
+      assert.equal(files.length, expected);
+      files.forEach(file => assert.ok(fs.existsSync(file.path)));
+      assert.equal(fs.existsSync(videoPath), false);
+    });
+  }
+});
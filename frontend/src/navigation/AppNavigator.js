@@ -1,4 +1,5 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { View, ActivityIndicator, StyleSheet } from 'react-native';
 import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
 
@@ -7,14 +8,39 @@ import CreateObjectScreen from '../screens/CreateObjectScreen';
 import ObjectLibraryScreen from '../screens/ObjectLibraryScreen';
 import ModelViewerScreen from '../screens/ModelViewerScreen';
 import ARViewScreen from '../screens/ARViewScreen';
+import PhotoComparisonScreen from '../screens/PhotoComparisonScreen';
+import LoginScreen from '../screens/LoginScreen';
+import RegisterScreen from '../screens/RegisterScreen';
+import apiService from '../services/api';
 
 const Stack = createStackNavigator();
 
 export default function AppNavigator() {
+  const [user, setUser] = useState(null);
+  const [restoring, setRestoring] = useState(true);
+
+  useEffect(() => {
+    // Signing in, out, or a refresh token being rejected swaps the stack
+    const unsubscribe = apiService.onSessionChange(setUser);
+
+    apiService.restoreSession()
+      .then(setUser)
+      .finally(() => setRestoring(false));
+
+    return unsubscribe;
+  }, []);
+
+  if (restoring) {
+    return (
+      <View style={styles.loading}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
   return (
     <NavigationContainer>
       <Stack.Navigator
-        initialRouteName="Home"
         screenOptions={{
           headerStyle: {
             backgroundColor: '#007AFF',
@@ -25,32 +51,63 @@ export default function AppNavigator() {
           },
         }}
       >
-        <Stack.Screen
-          name="Home"
-          component={HomeScreen}
-          options={{ title: 'RoomSnap AR' }}
-        />
-        <Stack.Screen
-          name="CreateObject"
-          component={CreateObjectScreen}
-          options={{ title: 'Create Object' }}
-        />
-        <Stack.Screen
-          name="ObjectLibrary"
-          component={ObjectLibraryScreen}
-          options={{ title: 'Object Library' }}
-        />
-        <Stack.Screen
-          name="ModelViewer"
-          component={ModelViewerScreen}
-          options={{ headerShown: false }}
-        />
-        <Stack.Screen
-          name="ARView"
-          component={ARViewScreen}
-          options={{ headerShown: false }}
-        />
+        {user ? (
+          <>
+            <Stack.Screen
+              name="Home"
+              component={HomeScreen}
+              options={{ title: 'RoomSnap AR' }}
+            />
+            <Stack.Screen
+              name="CreateObject"
+              component={CreateObjectScreen}
+              options={{ title: 'Create Object' }}
+            />
+            <Stack.Screen
+              name="ObjectLibrary"
+              component={ObjectLibraryScreen}
+              options={{ title: 'Object Library' }}
+            />
+            <Stack.Screen
+              name="ModelViewer"
+              component={ModelViewerScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="ARView"
+              component={ARViewScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="PhotoComparison"
+              component={PhotoComparisonScreen}
+              options={{ title: 'Photos' }}
+            />
+          </>
+        ) : (
+          <>
+            <Stack.Screen
+              name="Login"
+              component={LoginScreen}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="Register"
+              component={RegisterScreen}
+              options={{ title: 'Create Account' }}
+            />
+          </>
+        )}
       </Stack.Navigator>
     </NavigationContainer>
   );
 }
+
+const styles = StyleSheet.create({
+  loading: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+  },
+});
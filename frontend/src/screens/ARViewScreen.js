@@ -28,6 +28,10 @@ import apiService from '../services/api';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 
+// Level of detail loaded for AR (~10k triangles, 1024px textures); see
+// the backend's services/modelOptimizer
+const AR_MODEL_LOD = 1;
+
 // GLB binary parser (works without DOM APIs, no GLTFLoader needed)
 const GLB_MAGIC = 0x46546C67; // 'glTF' in little-endian
 const CHUNK_TYPE_JSON = 0x4E4F534A;
@@ -418,9 +422,12 @@ function buildMaterial(gltfJson, primitive) {
  * Normalize and center a model to fit within a target bounding sphere.
  * The model is centered on the XZ plane and placed so its bottom sits at y=0,
  * which makes AR surface placement work correctly (model rests ON the surface).
- * Returns the original dimensions before normalization.
+ * Models the server has oriented (services/modelOrienter) already sit this
+ * way; older ones are fixed up here. With realScale (the object's modelScale) the model is scaled by that
+ * instead, which puts it at its real-world size.
+ * Returns the original dimensions before normalization and the scale used.
  */
-function normalizeModel(group, targetSize = 1.5) {
+function normalizeModel(group, targetSize = 1.5, realScale = null) {
   const box = new THREE.Box3().setFromObject(group);
   const center = new THREE.Vector3();
   box.getCenter(center);
@@ -429,7 +436,7 @@ function normalizeModel(group, targetSize = 1.5) {
   box.getSize(size);
   const maxDim = Math.max(size.x, size.y, size.z);
 
-  if (maxDim === 0) return { width: 0, height: 0, depth: 0 };
+  if (maxDim === 0) return { width: 0, height: 0, depth: 0, scale: 1 };
 
   // STEP 1: Adjust child positions BEFORE scaling (using original bbox)
   const offsetX = -center.x;
@@ -445,16 +452,17 @@ function normalizeModel(group, targetSize = 1.5) {
   });
 
   // STEP 2: Now scale the group (after children are positioned)
-  const scale = targetSize / maxDim;
+  const scale = realScale || targetSize / maxDim;
   group.scale.multiplyScalar(scale);
 
-  console.log('AR: normalizeModel scale=' + scale.toFixed(4) +
+  console.log('AR: normalizeModel ' + (realScale ? 'real ' : '') + 'scale=' + scale.toFixed(4) +
     ' size=' + (size.x * scale).toFixed(2) + 'x' + (size.y * scale).toFixed(2) + 'x' + (size.z * scale).toFixed(2));
 
   return {
     width: size.x.toFixed(3),
     height: size.y.toFixed(3),
     depth: size.z.toFixed(3),
+    scale,
   };
 }
 
@@ -606,6 +614,10 @@ export default function ARViewScreen({ route, navigation }) {
     );
   }
 
+  // Objects with a real dimension are shown at their physical size, so
+  // pinch-to-scale is off for them
+  const isTrueSize = !!object.modelScale;
+
   const [cameraPermission, requestCameraPermission] = useCameraPermissions();
   const [mediaPermission, setMediaPermission] = useState(null);
 
@@ -648,6 +660,8 @@ export default function ARViewScreen({ route, navigation }) {
   const modelRotationRef = useRef({ x: 0, y: 0 });
   const modelScaleRef = useRef(1.0);
   const modelPositionRef = useRef({ x: 0, z: 0 });
+  // Contact shadow under the placed model, sized to its footprint at true size
+  const shadowRadiusRef = useRef(0.35);
 
   const pulseAnim = useRef(new Animated.Value(1)).current;
 
@@ -781,7 +795,7 @@ export default function ARViewScreen({ route, navigation }) {
           const dy = touches[0].pageY - touches[1].pageY;
           const dist = Math.sqrt(dx * dx + dy * dy);
 
-          if (lastPinchDistRef.current !== null) {
+          if (lastPinchDistRef.current !== null && !isTrueSize) {
             const scaleFactor = dist / lastPinchDistRef.current;
             modelScaleRef.current = Math.max(
               0.2,
@@ -857,7 +871,7 @@ export default function ARViewScreen({ route, navigation }) {
       placedModelRef.current = wrapper;
       modelPlacedRef.current = true;
 
-      const shadow = createShadowDisc(0.35);
+      const shadow = createShadowDisc(shadowRadiusRef.current);
       shadow.position.copy(placementPos);
       shadow.position.y = placementPos.y + 0.002;
       sceneRef.current.add(shadow);
@@ -1184,10 +1198,8 @@ export default function ARViewScreen({ route, navigation }) {
         throw new Error('No model URL available for this object');
       }
 
-      const modelUrl = apiService.getFullUrl(object.modelUrl);
-      if (!modelUrl) {
-        throw new Error('Failed to generate model URL');
-      }
+      const variantUrl = apiService.getModelVariantUrl(object, AR_MODEL_LOD);
+      const modelUrl = await apiService.getFileUrl(object.id, variantUrl);
 
       if (mountedRef.current) {
         setStatusMessage('Downloading model...');
@@ -1195,7 +1207,7 @@ export default function ARViewScreen({ route, navigation }) {
       console.log('AR: Downloading model from:', modelUrl);
 
       const modelPath =
-        FileSystem.cacheDirectory + `ar_model_${object.id || 'temp'}.glb`;
+        FileSystem.cacheDirectory + `ar_model_${object.id || 'temp'}_${variantUrl.split('?')[0].split('/').pop()}`;
 
       const downloadResult = await FileSystem.downloadAsync(modelUrl, modelPath);
       console.log('AR: Model downloaded to:', downloadResult.uri);
@@ -1247,16 +1259,22 @@ export default function ARViewScreen({ route, navigation }) {
       box.getSize(size);
       console.log('AR: Model original dimensions:', size.x.toFixed(3), 'x', size.y.toFixed(3), 'x', size.z.toFixed(3));
 
+      const { scale } = normalizeModel(group, 1.5, object.modelScale);
+
+      // Real-world size when calibrated, otherwise the model's own units
+      const shownScale = isTrueSize ? scale : 1;
+      if (isTrueSize) {
+        shadowRadiusRef.current = Math.max(0.03, (Math.max(size.x, size.z) * scale) / 4);
+      }
+
       if (mountedRef.current) {
         setModelDimensions({
-          width: size.x.toFixed(3),
-          height: size.y.toFixed(3),
-          depth: size.z.toFixed(3),
+          width: (size.x * shownScale).toFixed(3),
+          height: (size.y * shownScale).toFixed(3),
+          depth: (size.z * shownScale).toFixed(3),
         });
       }
 
-      normalizeModel(group, 1.5);
-
       // Disable frustum culling to prevent incorrect culling when first placed
       group.traverse((child) => {
         if (child.isMesh) {
@@ -1555,7 +1573,9 @@ export default function ARViewScreen({ route, navigation }) {
               </View>
 
               <Text style={styles.hintText}>
-                Drag to rotate • Pinch to scale • Arrows to move
+                {isTrueSize
+                  ? 'Drag to rotate • Arrows to move • Shown at real size'
+                  : 'Drag to rotate • Pinch to scale • Arrows to move'}
               </Text>
             </View>
           )}
@@ -10,9 +10,47 @@ import {
   Alert,
   ActivityIndicator,
   Animated,
+  Switch,
 } from 'react-native';
 import * as ImagePicker from 'expo-image-picker';
-import apiService from '../services/api';
+import * as DocumentPicker from 'expo-document-picker';
+import apiService, { REAL_DIMENSIONS } from '../services/api';
+
+// Photos are sent for multi-view reconstruction in this order
+const VIEW_ROLES = ['Front', 'Left', 'Back', 'Right'];
+// Longest walk-around video the server accepts (MAX_VIDEO_SECONDS)
+const MAX_VIDEO_SECONDS = 60;
+
+// Model files the import endpoint accepts (POST /objects/import)
+const IMPORT_EXTENSIONS = ['glb', 'gltf', 'bin', 'obj', 'mtl', 'zip', 'png', 'jpg', 'jpeg', 'webp', 'ktx2'];
+const MAX_IMPORT_FILES = 20;
+
+// Range the server accepts for a real dimension (services/modelScale), in cm
+const MIN_REAL_SIZE_CM = 1;
+const MAX_REAL_SIZE_CM = 2000;
+
+// Generation option presets (validated by the backend, see
+// services/generationOptions)
+const QUALITY_PRESETS = [
+  {
+    key: 'ar',
+    label: 'AR',
+    description: 'Light 10k-triangle model that loads fast on phones',
+    options: { polycount: 10000, texture: true, pbr: false },
+  },
+  {
+    key: 'standard',
+    label: 'Standard',
+    description: '30k triangles with PBR materials',
+    options: { polycount: 30000, texture: true, pbr: true },
+  },
+  {
+    key: 'detailed',
+    label: 'Product shot',
+    description: 'High-detail 100k-triangle model for close-ups and renders',
+    options: { polycount: 100000, texture: true, pbr: true },
+  },
+];
 
 const GENERATION_MESSAGES = [
   'Uploading images...',
@@ -25,17 +63,37 @@ const GENERATION_MESSAGES = [
 ];
 
 export default function CreateObjectScreen({ navigation }) {
+  const [inputMode, setInputMode] = useState('photos'); // 'photos' | 'prompt' | 'import'
   const [name, setName] = useState('');
   const [images, setImages] = useState([]);
+  // Import mode: the model file(s) and an optional cover photo
+  const [modelFiles, setModelFiles] = useState([]);
+  const [thumbnail, setThumbnail] = useState(null);
+  const [prompt, setPrompt] = useState('');
+  const [negativePrompt, setNegativePrompt] = useState('');
+  const [presetKey, setPresetKey] = useState('standard');
+  // Optional known measurement of the real object, in cm
+  const [sizeDimension, setSizeDimension] = useState('height');
+  const [sizeCm, setSizeCm] = useState('');
+  // Quality report per photo from the server, in the same order as images
+  const [photoQuality, setPhotoQuality] = useState([]);
+  const [strictQuality, setStrictQuality] = useState(false);
   const [loading, setLoading] = useState(false);
   const [generationStatus, setGenerationStatus] = useState('');
   const [generationProgress, setGenerationProgress] = useState(0);
   const [generationMethod, setGenerationMethod] = useState('');
+  const [cancelling, setCancelling] = useState(false);
+  const objectIdRef = useRef(null);
   const progressAnim = useRef(new Animated.Value(0)).current;
 
+  // A video is uploaded on its own; the server picks its keyframes
+  const hasVideo = images.some(image => image.type === 'video');
+
   const pickImage = async () => {
-    if (images.length >= 4) {
-      Alert.alert('Limit Reached', 'You can only upload up to 4 images');
+    if (images.length >= 4 || hasVideo) {
+      Alert.alert('Limit Reached', hasVideo
+        ? 'Remove the video to add photos'
+        : 'You can only upload up to 4 images');
       return;
     }
 
@@ -46,19 +104,28 @@ export default function CreateObjectScreen({ navigation }) {
     }
 
     const result = await ImagePicker.launchImageLibraryAsync({
-      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      mediaTypes: ImagePicker.MediaTypeOptions.All,
       allowsEditing: true,
       quality: 0.8,
+      videoMaxDuration: MAX_VIDEO_SECONDS,
     });
 
     if (!result.canceled) {
-      setImages([...images, result.assets[0]]);
+      const asset = result.assets[0];
+      if (asset.type === 'video' && images.length > 0) {
+        Alert.alert('Video', 'A walk-around video replaces the photos. Remove the photos first, or pick a photo instead.');
+        return;
+      }
+      setImages([...images, asset]);
+      setPhotoQuality([]);
     }
   };
 
   const takePhoto = async () => {
-    if (images.length >= 4) {
-      Alert.alert('Limit Reached', 'You can only upload up to 4 images');
+    if (images.length >= 4 || hasVideo) {
+      Alert.alert('Limit Reached', hasVideo
+        ? 'Remove the video to add photos'
+        : 'You can only upload up to 4 images');
       return;
     }
 
@@ -75,11 +142,74 @@ export default function CreateObjectScreen({ navigation }) {
 
     if (!result.canceled) {
       setImages([...images, result.assets[0]]);
+      setPhotoQuality([]);
     }
   };
 
+  const pickModelFiles = async () => {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: '*/*',
+      multiple: true,
+      copyToCacheDirectory: true,
+    });
+
+    if (result.canceled) return;
+
+    const isSupported = file => IMPORT_EXTENSIONS.includes((file.name.split('.').pop() || '').toLowerCase());
+    const rejected = result.assets.filter(file => !isSupported(file));
+    if (rejected.length > 0) {
+      Alert.alert('Unsupported File', `${rejected.map(file => file.name).join(', ')} can't be imported. Pick .glb, .gltf, .obj or .zip files with their textures.`);
+    }
+
+    // Picking a file again replaces the earlier copy
+    const picked = result.assets.filter(isSupported);
+    const files = [
+      ...modelFiles.filter(file => !picked.some(other => other.name === file.name)),
+      ...picked,
+    ];
+    if (files.length > MAX_IMPORT_FILES) {
+      Alert.alert('Limit Reached', `You can import up to ${MAX_IMPORT_FILES} files at once`);
+      return;
+    }
+    setModelFiles(files);
+  };
+
+  const pickThumbnail = async () => {
+    const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (status !== 'granted') {
+      Alert.alert('Permission Denied', 'Camera roll permission is required');
+      return;
+    }
+
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      allowsEditing: true,
+      aspect: [1, 1],
+      quality: 0.8,
+    });
+
+    if (!result.canceled) {
+      setThumbnail(result.assets[0]);
+    }
+  };
+
+  const formatFileSize = (bytes) => {
+    if (!bytes) return '';
+    return bytes >= 1024 * 1024
+      ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+      : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  };
+
   const removeImage = (index) => {
     setImages(images.filter((_, i) => i !== index));
+    setPhotoQuality(photoQuality.filter((_, i) => i !== index));
+  };
+
+  // Worst issue severity of a photo, for its badge
+  const getPhotoSeverity = (index) => {
+    const issues = photoQuality[index]?.issues || [];
+    if (issues.some(issue => issue.severity === 'error')) return 'error';
+    return issues.length > 0 ? 'warning' : null;
   };
 
   const updateProgress = (progress, status) => {
@@ -103,31 +233,69 @@ export default function CreateObjectScreen({ navigation }) {
     return GENERATION_MESSAGES[6];
   };
 
+  const isPromptMode = inputMode === 'prompt';
+  const isImportMode = inputMode === 'import';
+  const isPhotoMode = inputMode === 'photos';
+  const preset = QUALITY_PRESETS.find(p => p.key === presetKey);
+
   const handleSubmit = async () => {
     // Validation
-    if (!name.trim()) {
+    if (isPhotoMode && !name.trim()) {
       Alert.alert('Error', 'Please enter an object name');
       return;
     }
 
-    if (images.length === 0) {
+    if (isPhotoMode && images.length === 0) {
       Alert.alert('Error', 'Please upload at least one image');
       return;
     }
 
+    if (isImportMode && modelFiles.length === 0) {
+      Alert.alert('Error', 'Please choose a 3D file to import');
+      return;
+    }
+
+    if (isPromptMode && !prompt.trim()) {
+      Alert.alert('Error', 'Please describe the object');
+      return;
+    }
+
+    const realSizeCm = parseFloat(sizeCm.replace(',', '.'));
+    if (sizeCm.trim() && !(realSizeCm >= MIN_REAL_SIZE_CM && realSizeCm <= MAX_REAL_SIZE_CM)) {
+      Alert.alert('Error', `Enter a real size between ${MIN_REAL_SIZE_CM} and ${MAX_REAL_SIZE_CM} cm, or leave it empty`);
+      return;
+    }
+    const realDimension = sizeCm.trim()
+      ? { dimension: sizeDimension, meters: realSizeCm / 100 }
+      : undefined;
+
+    if (isImportMode) {
+      await handleImport(realDimension);
+      return;
+    }
+
     try {
       setLoading(true);
       setGenerationStatus('uploading');
       setGenerationProgress(0);
       progressAnim.setValue(0);
 
-      const objectData = {
-        name: name.trim(),
-      };
-
       // Step 1: Create object and start async generation
-      const response = await apiService.createObject(objectData, images);
+      const response = isPromptMode
+        ? await apiService.createObjectFromPrompt({
+            name: name.trim(),
+            prompt: prompt.trim(),
+            negativePrompt: negativePrompt.trim(),
+            options: preset.options,
+            realDimension,
+          })
+        : await apiService.createObject(
+            { name: name.trim(), options: preset.options, strictQuality, realDimension },
+            images
+          );
+      setPhotoQuality(response.photoQuality || []);
       const objectId = response.object.id;
+      objectIdRef.current = objectId;
 
       setGenerationStatus('processing');
       setGenerationMethod(response.object.generationMethod || '');
@@ -139,17 +307,19 @@ export default function CreateObjectScreen({ navigation }) {
         return;
       }
 
-      // Step 3: Poll for completion with progress updates
+      // Step 3: Follow the live progress stream until completion
       updateProgress(5, 'processing');
 
       const finalStatus = await apiService.waitForGeneration(
         objectId,
-        (progress, status) => {
+        (progress, status, details) => {
           // Ensure progress only goes forward
           const effectiveProgress = Math.max(progress, generationProgress);
           updateProgress(effectiveProgress, status);
+          // The provider changes if a task fails over to the next one
+          setGenerationMethod(details.generationMethod || '');
         },
-        3000,  // poll every 3 seconds
+        15000, // fallback status check every 15 seconds
         300000 // 5 minute timeout
       );
 
@@ -159,6 +329,27 @@ export default function CreateObjectScreen({ navigation }) {
       showSuccessAlert(finalStatus.generationMethod);
 
     } catch (error) {
+      if (error.cancelled) {
+        Alert.alert('Generation Cancelled', 'You can retry it later from the Object Library.');
+        return;
+      }
+
+      // Strict photo check rejected the upload; the warnings show per photo
+      if (error.response?.status === 422 && error.response.data?.photoQuality) {
+        setPhotoQuality(error.response.data.photoQuality);
+        Alert.alert(
+          'Photos Need Attention',
+          'Some photos are unlikely to give a good model. Retake the flagged photos and try again.'
+        );
+        return;
+      }
+
+      // A generation budget cap has been reached
+      if (error.response?.status === 402) {
+        Alert.alert('Budget Reached', error.response.data?.error);
+        return;
+      }
+
       console.error('Error creating object:', error);
 
       const message = error.message || 'Failed to create object';
@@ -174,6 +365,8 @@ export default function CreateObjectScreen({ navigation }) {
         );
       }
     } finally {
+      objectIdRef.current = null;
+      setCancelling(false);
       setLoading(false);
       setGenerationStatus('');
       setGenerationProgress(0);
@@ -181,9 +374,60 @@ export default function CreateObjectScreen({ navigation }) {
     }
   };
 
+  // Imports are converted while the request is open; there is no
+  // generation to follow
+  const handleImport = async (realDimension) => {
+    try {
+      setLoading(true);
+      setGenerationStatus('uploading');
+
+      const response = await apiService.importObject(
+        { name: name.trim(), realDimension },
+        modelFiles,
+        thumbnail
+      );
+
+      const stats = response.object.modelStats;
+      Alert.alert(
+        '3D Model Imported!',
+        `${response.object.name} is ready${stats ? ` (${stats.triangles.toLocaleString()} triangles)` : ''}.`,
+        [
+          {
+            text: 'View in Library',
+            onPress: () => navigation.navigate('ObjectLibrary'),
+          },
+        ]
+      );
+      setModelFiles([]);
+      setThumbnail(null);
+    } catch (error) {
+      console.error('Error importing object:', error);
+      // 400s carry the reason the file couldn't be used
+      const message = error.response?.data?.error || error.message || 'Failed to import the file';
+      Alert.alert('Import Failed', message);
+    } finally {
+      setLoading(false);
+      setGenerationStatus('');
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!objectIdRef.current || cancelling) return;
+
+    try {
+      setCancelling(true);
+      // waitForGeneration picks up the 'cancelled' status from the event stream
+      await apiService.cancelGeneration(objectIdRef.current);
+    } catch (error) {
+      setCancelling(false);
+      Alert.alert('Error', 'Failed to cancel generation');
+    }
+  };
+
   const showSuccessAlert = (method) => {
     const methodName = method === 'meshy' ? 'Meshy.ai AI' :
                        method === 'tripo' ? 'Tripo AI' :
+                       method === 'local' ? 'offline photo cut-out' :
                        'AI';
 
     Alert.alert(
@@ -206,52 +450,272 @@ export default function CreateObjectScreen({ navigation }) {
   return (
     <ScrollView style={styles.container}>
       <View style={styles.content}>
+        <View style={styles.modeToggle}>
+          <TouchableOpacity
+            style={[styles.modeOption, !isPromptMode && styles.modeOptionActive]}
+            onPress={() => setInputMode('photos')}
+            disabled={loading}
+          >
+            <Text style={[styles.modeOptionText, !isPromptMode && styles.modeOptionTextActive]}>
+              Photos
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.modeOption, isPromptMode && styles.modeOptionActive]}
+            onPress={() => setInputMode('prompt')}
+            disabled={loading}
+          >
+            <Text style={[styles.modeOptionText, isPromptMode && styles.modeOptionTextActive]}>
+              Describe it
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.modeOption, isImportMode && styles.modeOptionActive]}
+            onPress={() => setInputMode('import')}
+            disabled={loading}
+          >
+            <Text style={[styles.modeOptionText, isImportMode && styles.modeOptionTextActive]}>
+              Import 3D file
+            </Text>
+          </TouchableOpacity>
+        </View>
+
         <Text style={styles.sectionTitle}>Object Information</Text>
 
         <TextInput
           style={styles.input}
-          placeholder="Object Name"
+          placeholder={isPhotoMode ? 'Object Name' : 'Object Name (optional)'}
           value={name}
           onChangeText={setName}
           editable={!loading}
         />
 
-        <Text style={styles.sectionTitle}>Photos ({images.length}/4)</Text>
-        <Text style={styles.hint}>
-          Take clear photos from different angles for best 3D reconstruction
-        </Text>
+        {isImportMode && (
+          <>
+            <Text style={styles.sectionTitle}>3D File</Text>
+            <Text style={styles.hint}>
+              A .glb, a .gltf with its .bin and textures, an .obj with its .mtl and
+              textures, or a .zip of them (up to 100 MB per file). No AI generation
+              is used.
+            </Text>
+
+            {modelFiles.map(file => (
+              <View key={file.name} style={styles.fileRow}>
+                <Text style={styles.fileName} numberOfLines={1}>{file.name}</Text>
+                <Text style={styles.fileSize}>{formatFileSize(file.size)}</Text>
+                {!loading && (
+                  <TouchableOpacity
+                    onPress={() => setModelFiles(modelFiles.filter(other => other.name !== file.name))}
+                  >
+                    <Text style={styles.fileRemove}>X</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            ))}
+
+            {!loading && (
+              <TouchableOpacity style={styles.chooseFileButton} onPress={pickModelFiles}>
+                <Text style={styles.chooseFileText}>
+                  {modelFiles.length > 0 ? 'Add Files' : 'Choose Files'}
+                </Text>
+              </TouchableOpacity>
+            )}
+
+            <Text style={styles.sectionTitle}>Cover Photo (optional)</Text>
+            <View style={styles.imagesContainer}>
+              {thumbnail ? (
+                <View style={styles.imageWrapper}>
+                  <Image source={{ uri: thumbnail.uri }} style={styles.image} />
+                  {!loading && (
+                    <TouchableOpacity
+                      style={styles.removeButton}
+                      onPress={() => setThumbnail(null)}
+                    >
+                      <Text style={styles.removeButtonText}>X</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              ) : (
+                !loading && (
+                  <TouchableOpacity style={styles.addImageButton} onPress={pickThumbnail}>
+                    <Text style={styles.addImageIcon}>+</Text>
+                    <Text style={styles.addImageLabel}>Gallery</Text>
+                  </TouchableOpacity>
+                )
+              )}
+            </View>
+          </>
+        )}
+
+        {isPromptMode && (
+          <>
+            <Text style={styles.sectionTitle}>Description</Text>
+            <Text style={styles.hint}>
+              Describe the object's shape, material and style, e.g. "mid-century walnut side table"
+            </Text>
+            <TextInput
+              style={[styles.input, styles.multilineInput]}
+              placeholder="What should the model look like?"
+              value={prompt}
+              onChangeText={setPrompt}
+              editable={!loading}
+              multiline
+              maxLength={600}
+            />
+            <TextInput
+              style={[styles.input, styles.negativePromptInput]}
+              placeholder="Avoid (optional), e.g. low quality, blurry"
+              value={negativePrompt}
+              onChangeText={setNegativePrompt}
+              editable={!loading}
+              maxLength={600}
+            />
+          </>
+        )}
+
+        {isPhotoMode && (
+          <>
+            <Text style={styles.sectionTitle}>Photos ({images.length}/4)</Text>
+            <Text style={styles.hint}>
+              Take clear photos from different angles for best 3D reconstruction.
+              Add them in order: front, left, back, right. Or pick one short video
+              circling the object (up to {MAX_VIDEO_SECONDS}s).
+            </Text>
+
+            <View style={styles.imagesContainer}>
+              {images.map((image, index) => (
+                <View key={index} style={styles.imageWrapper}>
+                  {image.type === 'video' ? (
+                    <View style={[styles.image, styles.videoPlaceholder]}>
+                      <Text style={styles.videoPlaceholderText}>Video</Text>
+                    </View>
+                  ) : (
+                    <Image source={{ uri: image.uri }} style={styles.image} />
+                  )}
+                  {getPhotoSeverity(index) && (
+                    <View
+                      style={[
+                        styles.qualityBadge,
+                        getPhotoSeverity(index) === 'error' ? styles.qualityBadgeError : styles.qualityBadgeWarning,
+                      ]}
+                    >
+                      <Text style={styles.qualityBadgeText}>!</Text>
+                    </View>
+                  )}
+                  <Text style={styles.viewRoleLabel}>
+                    {image.type === 'video' ? 'Walk-around' : VIEW_ROLES[index]}
+                  </Text>
+                  {!loading && (
+                    <TouchableOpacity
+                      style={styles.removeButton}
+                      onPress={() => removeImage(index)}
+                    >
+                      <Text style={styles.removeButtonText}>X</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              ))}
+
+              {images.length < 4 && !hasVideo && !loading && (
+                <View style={styles.addButtonsContainer}>
+                  <TouchableOpacity style={styles.addImageButton} onPress={pickImage}>
+                    <Text style={styles.addImageIcon}>+</Text>
+                    <Text style={styles.addImageLabel}>Gallery</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity style={styles.addImageButton} onPress={takePhoto}>
+                    <Text style={styles.addImageIcon}>C</Text>
+                    <Text style={styles.addImageLabel}>Camera</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+            </View>
+
+            {/* Per-photo quality warnings from the server */}
+            {photoQuality.map((report, index) =>
+              (report.issues || []).map(issue => (
+                <Text
+                  key={`${index}-${issue.code}`}
+                  style={[
+                    styles.qualityIssue,
+                    issue.severity === 'error' && styles.qualityIssueError,
+                  ]}
+                >
+                  {VIEW_ROLES[index]}: {issue.message}
+                </Text>
+              ))
+            )}
 
-        <View style={styles.imagesContainer}>
-          {images.map((image, index) => (
-            <View key={index} style={styles.imageWrapper}>
-              <Image source={{ uri: image.uri }} style={styles.image} />
-              {!loading && (
+            <View style={styles.strictRow}>
+              <Text style={styles.strictLabel}>Reject poor photos before generating</Text>
+              <Switch
+                value={strictQuality}
+                onValueChange={setStrictQuality}
+                disabled={loading}
+              />
+            </View>
+          </>
+        )}
+
+        {!isImportMode && (
+          <>
+            <Text style={styles.sectionTitle}>Quality</Text>
+            <View style={styles.modeToggle}>
+              {QUALITY_PRESETS.map(option => (
                 <TouchableOpacity
-                  style={styles.removeButton}
-                  onPress={() => removeImage(index)}
+                  key={option.key}
+                  style={[styles.modeOption, presetKey === option.key && styles.modeOptionActive]}
+                  onPress={() => setPresetKey(option.key)}
+                  disabled={loading}
                 >
-                  <Text style={styles.removeButtonText}>X</Text>
+                  <Text style={[styles.modeOptionText, presetKey === option.key && styles.modeOptionTextActive]}>
+                    {option.label}
+                  </Text>
                 </TouchableOpacity>
-              )}
+              ))}
             </View>
-          ))}
+            <Text style={styles.presetDescription}>{preset.description}</Text>
+          </>
+        )}
 
-          {images.length < 4 && !loading && (
-            <View style={styles.addButtonsContainer}>
-              <TouchableOpacity style={styles.addImageButton} onPress={pickImage}>
-                <Text style={styles.addImageIcon}>+</Text>
-                <Text style={styles.addImageLabel}>Gallery</Text>
-              </TouchableOpacity>
-              <TouchableOpacity style={styles.addImageButton} onPress={takePhoto}>
-                <Text style={styles.addImageIcon}>C</Text>
-                <Text style={styles.addImageLabel}>Camera</Text>
-              </TouchableOpacity>
-            </View>
-          )}
+        <Text style={styles.sectionTitle}>Real Size (optional)</Text>
+        <Text style={styles.hint}>
+          Measure one side of the object so it shows up at its true size in AR.
+        </Text>
+        <View style={styles.modeToggle}>
+          {REAL_DIMENSIONS.map(option => (
+            <TouchableOpacity
+              key={option.key}
+              style={[styles.modeOption, sizeDimension === option.key && styles.modeOptionActive]}
+              onPress={() => setSizeDimension(option.key)}
+              disabled={loading}
+            >
+              <Text style={[styles.modeOptionText, sizeDimension === option.key && styles.modeOptionTextActive]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
         </View>
+        <TextInput
+          style={[styles.input, styles.realSizeInput]}
+          placeholder={`${REAL_DIMENSIONS.find(d => d.key === sizeDimension).label} in cm, e.g. 45`}
+          value={sizeCm}
+          onChangeText={setSizeCm}
+          keyboardType="decimal-pad"
+          editable={!loading}
+        />
+
+        {loading && isImportMode && (
+          <View style={styles.progressContainer}>
+            <ActivityIndicator size="large" color="#007AFF" />
+            <Text style={styles.progressTitle}>Importing 3D File</Text>
+            <Text style={styles.progressMessage}>
+              Uploading, converting and checking the model...
+            </Text>
+          </View>
+        )}
 
         {/* Generation progress overlay */}
-        {loading && (
+        {loading && !isImportMode && (
           <View style={styles.progressContainer}>
             <ActivityIndicator size="large" color="#007AFF" />
             <Text style={styles.progressTitle}>
@@ -275,6 +739,7 @@ export default function CreateObjectScreen({ navigation }) {
               <Text style={styles.methodBadge}>
                 {generationMethod === 'meshy' ? 'Meshy.ai' :
                  generationMethod === 'tripo' ? 'Tripo AI' :
+                 generationMethod === 'local' ? 'Offline' :
                  'AI'} Reconstruction
               </Text>
             ) : null}
@@ -283,6 +748,18 @@ export default function CreateObjectScreen({ navigation }) {
               AI 3D reconstruction may take 1-3 minutes.{'\n'}
               Please keep this screen open.
             </Text>
+
+            {generationStatus === 'processing' && (
+              <TouchableOpacity
+                style={[styles.cancelButton, cancelling && styles.submitButtonDisabled]}
+                onPress={handleCancel}
+                disabled={cancelling}
+              >
+                <Text style={styles.cancelButtonText}>
+                  {cancelling ? 'Cancelling...' : 'Cancel'}
+                </Text>
+              </TouchableOpacity>
+            )}
           </View>
         )}
 
@@ -292,9 +769,13 @@ export default function CreateObjectScreen({ navigation }) {
           disabled={loading}
         >
           {loading ? (
-            <Text style={styles.submitButtonText}>Generating 3D Model...</Text>
+            <Text style={styles.submitButtonText}>
+              {isImportMode ? 'Importing...' : 'Generating 3D Model...'}
+            </Text>
           ) : (
-            <Text style={styles.submitButtonText}>Create 3D Model</Text>
+            <Text style={styles.submitButtonText}>
+              {isImportMode ? 'Import 3D Model' : 'Create 3D Model'}
+            </Text>
           )}
         </TouchableOpacity>
       </View>
@@ -331,6 +812,44 @@ const styles = StyleSheet.create({
     fontSize: 16,
     backgroundColor: '#fff',
   },
+  multilineInput: {
+    minHeight: 90,
+    textAlignVertical: 'top',
+  },
+  negativePromptInput: {
+    marginTop: 10,
+  },
+  modeToggle: {
+    flexDirection: 'row',
+    backgroundColor: '#F0F0F5',
+    borderRadius: 10,
+    padding: 3,
+  },
+  modeOption: {
+    flex: 1,
+    paddingVertical: 10,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  modeOptionActive: {
+    backgroundColor: '#007AFF',
+  },
+  modeOptionText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#666',
+  },
+  modeOptionTextActive: {
+    color: '#fff',
+  },
+  presetDescription: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 8,
+  },
+  realSizeInput: {
+    marginTop: 10,
+  },
   imagesContainer: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -344,6 +863,22 @@ const styles = StyleSheet.create({
     height: 80,
     borderRadius: 8,
   },
+  videoPlaceholder: {
+    backgroundColor: '#333',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  videoPlaceholderText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  viewRoleLabel: {
+    fontSize: 10,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 2,
+  },
   removeButton: {
     position: 'absolute',
     top: -8,
@@ -360,6 +895,85 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: 'bold',
   },
+  qualityBadge: {
+    position: 'absolute',
+    bottom: 18,
+    left: 4,
+    borderRadius: 9,
+    width: 18,
+    height: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  qualityBadgeWarning: {
+    backgroundColor: '#FF9500',
+  },
+  qualityBadgeError: {
+    backgroundColor: '#FF3B30',
+  },
+  qualityBadgeText: {
+    color: '#fff',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  qualityIssue: {
+    fontSize: 13,
+    color: '#C77700',
+    marginTop: 6,
+  },
+  qualityIssueError: {
+    color: '#FF3B30',
+  },
+  strictRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  strictLabel: {
+    fontSize: 14,
+    color: '#333',
+    flex: 1,
+    marginRight: 10,
+  },
+  fileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginBottom: 6,
+    borderRadius: 8,
+    backgroundColor: '#F0F0F5',
+  },
+  fileName: {
+    flex: 1,
+    fontSize: 15,
+    color: '#333',
+  },
+  fileSize: {
+    fontSize: 13,
+    color: '#888',
+    marginHorizontal: 10,
+  },
+  fileRemove: {
+    fontSize: 15,
+    fontWeight: 'bold',
+    color: '#FF3B30',
+  },
+  chooseFileButton: {
+    borderWidth: 2,
+    borderColor: '#007AFF',
+    borderStyle: 'dashed',
+    borderRadius: 8,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  chooseFileText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#007AFF',
+  },
   addButtonsContainer: {
     flexDirection: 'row',
     gap: 10,
@@ -443,6 +1057,20 @@ const styles = StyleSheet.create({
     lineHeight: 18,
   },
 
+  cancelButton: {
+    marginTop: 16,
+    paddingHorizontal: 28,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#FF3B30',
+  },
+  cancelButtonText: {
+    color: '#FF3B30',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+
   submitButton: {
     backgroundColor: '#007AFF',
     padding: 18,
@@ -6,8 +6,11 @@ import {
   TouchableOpacity,
   SafeAreaView
 } from 'react-native';
+import apiService from '../services/api';
 
 export default function HomeScreen({ navigation }) {
+  const user = apiService.getCurrentUser();
+
   return (
     <SafeAreaView style={styles.container}>
       <View style={styles.content}>
@@ -39,6 +42,15 @@ export default function HomeScreen({ navigation }) {
             • Snapshot capture
           </Text>
         </View>
+
+        <View style={styles.account}>
+          <Text style={styles.accountText} numberOfLines={1}>
+            Signed in as {user?.email}
+          </Text>
+          <TouchableOpacity onPress={() => apiService.logout()}>
+            <Text style={styles.logoutText}>Log Out</Text>
+          </TouchableOpacity>
+        </View>
       </View>
     </SafeAreaView>
   );
@@ -95,4 +107,18 @@ const styles = StyleSheet.create({
     color: '#666',
     lineHeight: 22,
   },
+  account: {
+    marginTop: 30,
+    alignItems: 'center',
+    gap: 8,
+  },
+  accountText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  logoutText: {
+    fontSize: 16,
+    color: '#FF3B30',
+    fontWeight: '600',
+  },
 });
@@ -12,12 +12,15 @@ import {
   Alert,
   PanResponder,
   Dimensions,
+  ScrollView,
+  Modal,
+  TextInput,
 } from 'react-native';
 import { GLView } from 'expo-gl';
 import * as THREE from 'three';
 import { Renderer } from 'expo-three';
 import * as FileSystem from 'expo-file-system/legacy';
-import apiService from '../services/api';
+import apiService, { REAL_DIMENSIONS } from '../services/api';
 
 // GLB binary parser (works without DOM APIs, no GLTFLoader needed)
 const GLB_MAGIC = 0x46546C67; // 'glTF' in little-endian
@@ -472,6 +475,13 @@ function normalizeModel(group, targetSize = 2.0) {
   group.position.sub(scaledCenter);
 }
 
+/**
+ * A length in meters for display, in cm below a meter.
+ */
+function formatLength(meters) {
+  return meters < 1 ? `${(meters * 100).toFixed(1)} cm` : `${meters.toFixed(2)} m`;
+}
+
 function createGrid(size = 4, divisions = 10) {
   const gridHelper = new THREE.GridHelper(size, divisions, 0xcccccc, 0xe0e0e0);
   gridHelper.position.y = -1.1;
@@ -485,7 +495,20 @@ export default function ModelViewerScreen({ route, navigation }) {
   const [errorMsg, setErrorMsg] = useState('');
   const [loadProgress, setLoadProgress] = useState('Initializing...');
   const [modelDimensions, setModelDimensions] = useState(null);
-
+  const [versions, setVersions] = useState([]);
+  const [activeVersionId, setActiveVersionId] = useState(object.activeVersion || null);
+  const [selectedVersionId, setSelectedVersionId] = useState(object.activeVersion || null);
+  // Real-size calibration; the scale of the active version until the
+  // version list (with each version's scale) has loaded
+  const [realDimension, setRealDimension] = useState(object.realDimension || null);
+  const [activeScale, setActiveScale] = useState(object.modelScale || null);
+  const [sizeEditorVisible, setSizeEditorVisible] = useState(false);
+  const [draftDimension, setDraftDimension] = useState('height');
+  const [draftCm, setDraftCm] = useState('');
+  const [savingSize, setSavingSize] = useState(false);
+
+  // URL of the model being shown; starts at the active version
+  const modelUrlRef = useRef(object.modelUrl);
   const modelRef = useRef(null);
   const sceneRef = useRef(null);
   const cameraRef = useRef(null);
@@ -501,6 +524,28 @@ export default function ModelViewerScreen({ route, navigation }) {
   const lastTouchRef = useRef(null);
   const lastPinchDistRef = useRef(null);
 
+  // Completed model versions for the version picker, numbered in creation order
+  const loadVersions = () => {
+    apiService.getModelVersions(object.id)
+      .then((data) => {
+        if (!mountedRef.current) return;
+        setVersions(
+          data.versions
+            .map((version, index) => ({ ...version, number: index + 1 }))
+            .filter(version => version.status === 'completed')
+        );
+        setActiveVersionId(data.activeVersion);
+        setSelectedVersionId(current => current || data.activeVersion);
+      })
+      .catch(() => {
+        // Picker stays hidden; the active model still loads
+      });
+  };
+
+  useEffect(() => {
+    loadVersions();
+  }, [object]);
+
   useEffect(() => {
     mountedRef.current = true;
     return () => {
@@ -654,18 +699,20 @@ export default function ModelViewerScreen({ route, navigation }) {
 
   const loadModel = async (scene) => {
     try {
-      const modelUrl = apiService.getFullUrl(object.modelUrl);
-      if (!modelUrl) {
+      if (!modelUrlRef.current) {
         throw new Error('No model URL available for this object');
       }
+      const modelUrl = await apiService.getFileUrl(object.id, modelUrlRef.current);
 
       if (mountedRef.current) {
         setLoadProgress('Downloading model...');
       }
       console.log('Downloading model from:', modelUrl);
 
+      // One cache file per version (file names are the version IDs)
+      const fileName = modelUrlRef.current.split('?')[0].split('/').pop();
       const modelPath =
-        FileSystem.cacheDirectory + `model_${object.id || 'temp'}.glb`;
+        FileSystem.cacheDirectory + `model_${object.id || 'temp'}_${fileName}`;
 
       const downloadResult = await FileSystem.downloadAsync(
         modelUrl,
@@ -702,9 +749,9 @@ export default function ModelViewerScreen({ route, navigation }) {
 
       if (mountedRef.current) {
         setModelDimensions({
-          width: size.x.toFixed(2),
-          height: size.y.toFixed(2),
-          depth: size.z.toFixed(2),
+          width: size.x,
+          height: size.y,
+          depth: size.z,
         });
       }
 
@@ -727,10 +774,10 @@ export default function ModelViewerScreen({ route, navigation }) {
     }
   };
 
-  const handleRetry = useCallback(() => {
+  const reloadModel = (message) => {
     setStatus('loading');
     setErrorMsg('');
-    setLoadProgress('Retrying...');
+    setLoadProgress(message);
 
     if (sceneRef.current && modelRef.current) {
       sceneRef.current.remove(modelRef.current);
@@ -740,8 +787,105 @@ export default function ModelViewerScreen({ route, navigation }) {
     if (sceneRef.current) {
       loadModel(sceneRef.current);
     }
+  };
+
+  const handleRetry = useCallback(() => {
+    reloadModel('Retrying...');
   }, [object]);
 
+  const handleSelectVersion = (version) => {
+    if (version.id === selectedVersionId || status === 'loading') return;
+
+    modelUrlRef.current = version.modelUrl;
+    setSelectedVersionId(version.id);
+    reloadModel(`Loading version ${version.number}...`);
+  };
+
+  const handleActivateVersion = async () => {
+    try {
+      await apiService.activateModelVersion(object.id, selectedVersionId);
+      setActiveVersionId(selectedVersionId);
+      Alert.alert('Version Activated', 'This version is now used in the library and AR view.');
+    } catch (error) {
+      Alert.alert('Error', 'Failed to activate this version');
+    }
+  };
+
+  const handleDeleteVersion = () => {
+    const version = versions.find(v => v.id === selectedVersionId);
+    const active = versions.find(v => v.id === activeVersionId);
+    if (!version || !active) return;
+
+    Alert.alert(
+      'Delete Version',
+      `Delete version ${version.number}? This cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await apiService.deleteModelVersion(object.id, version.id);
+              setVersions(current => current.filter(v => v.id !== version.id));
+              handleSelectVersion(active);
+            } catch (error) {
+              Alert.alert('Error', 'Failed to delete this version');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const openSizeEditor = () => {
+    setDraftDimension(realDimension?.dimension || 'height');
+    setDraftCm(realDimension ? String(Math.round(realDimension.meters * 1000) / 10) : '');
+    setSizeEditorVisible(true);
+  };
+
+  // Save (or with null, clear) the object's real dimension
+  const saveRealDimension = async (dimension) => {
+    try {
+      setSavingSize(true);
+      const updated = await apiService.updateObject(object.id, { realDimension: dimension });
+      setRealDimension(updated.realDimension);
+      setActiveScale(updated.modelScale);
+      setSizeEditorVisible(false);
+      // Each version's scale depends on its own bounding box
+      loadVersions();
+    } catch (error) {
+      Alert.alert('Error', error.response?.data?.error || 'Failed to save the real size');
+    } finally {
+      setSavingSize(false);
+    }
+  };
+
+  const handleSaveSize = () => {
+    const centimeters = parseFloat(draftCm.replace(',', '.'));
+    if (!(centimeters > 0)) {
+      Alert.alert('Real Size', 'Enter the measurement in centimeters');
+      return;
+    }
+    saveRealDimension({ dimension: draftDimension, meters: centimeters / 100 });
+  };
+
+  const getMethodLabel = (method) => {
+    switch (method) {
+      case 'meshy': return 'Meshy';
+      case 'tripo': return 'Tripo';
+      case 'local': return 'Offline';
+      case 'imported': return 'Imported';
+      default: return 'AI';
+    }
+  };
+
+  // Scale that brings the model being shown to real size, if calibrated
+  const selectedVersion = versions.find(v => v.id === selectedVersionId);
+  const shownScale = selectedVersion && realDimension
+    ? selectedVersion.modelScale
+    : (selectedVersionId === activeVersionId ? activeScale : null);
+
   const handleResetView = useCallback(() => {
     rotationRef.current = { x: 0.3, y: 0 };
     zoomRef.current = 3.0;
@@ -771,6 +915,45 @@ export default function ModelViewerScreen({ route, navigation }) {
         </TouchableOpacity>
       </View>
 
+      {/* Version picker */}
+      {versions.length > 1 && (
+        <View style={styles.versionBar}>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            {versions.map(version => (
+              <TouchableOpacity
+                key={version.id}
+                style={[
+                  styles.versionChip,
+                  version.id === selectedVersionId && styles.versionChipSelected,
+                ]}
+                onPress={() => handleSelectVersion(version)}
+              >
+                <Text
+                  style={[
+                    styles.versionChipText,
+                    version.id === selectedVersionId && styles.versionChipTextSelected,
+                  ]}
+                >
+                  v{version.number} · {getMethodLabel(version.method)}
+                  {version.id === activeVersionId ? ' (active)' : ''}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+
+          {selectedVersionId && selectedVersionId !== activeVersionId && (
+            <View style={styles.versionActions}>
+              <TouchableOpacity style={styles.versionActionButton} onPress={handleActivateVersion}>
+                <Text style={styles.versionActionText}>Use this version</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.versionActionButton} onPress={handleDeleteVersion}>
+                <Text style={[styles.versionActionText, styles.versionDeleteText]}>Delete</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      )}
+
       {/* 3D Viewer */}
       <View style={styles.viewerContainer} {...panResponder.panHandlers}>
         <GLView
@@ -808,8 +991,13 @@ export default function ModelViewerScreen({ route, navigation }) {
         {status === 'loaded' && modelDimensions && (
           <>
             <Text style={styles.dimensionsText}>
-              Actual Size: {modelDimensions.width}m × {modelDimensions.height}m × {modelDimensions.depth}m (W×H×D)
+              {shownScale
+                ? `Real Size: ${formatLength(modelDimensions.width * shownScale)} × ${formatLength(modelDimensions.height * shownScale)} × ${formatLength(modelDimensions.depth * shownScale)} (W×H×D)`
+                : `Model Size: ${modelDimensions.width.toFixed(2)} × ${modelDimensions.height.toFixed(2)} × ${modelDimensions.depth.toFixed(2)} units (W×H×D)`}
             </Text>
+            <TouchableOpacity onPress={openSizeEditor} hitSlop={{ top: 6, bottom: 6, left: 10, right: 10 }}>
+              <Text style={styles.setSizeText}>{realDimension ? 'Change real size' : 'Set real size'}</Text>
+            </TouchableOpacity>
             <Text style={styles.hint}>
               Drag to rotate | Pinch to zoom | Auto-rotates after 3s
             </Text>
@@ -829,6 +1017,66 @@ export default function ModelViewerScreen({ route, navigation }) {
           </Text>
         )}
       </View>
+
+      {/* Real size editor: one known measurement scales every version */}
+      <Modal
+        visible={sizeEditorVisible}
+        transparent
+        animationType="slide"
+        onRequestClose={() => !savingSize && setSizeEditorVisible(false)}
+      >
+        <View style={styles.sheetBackdrop}>
+          <View style={styles.sheet}>
+            <Text style={styles.sheetTitle}>Real Size</Text>
+            <Text style={styles.sheetHint}>
+              Measure one side of the real object. The model is scaled to match, in AR too.
+            </Text>
+
+            <View style={styles.dimensionToggle}>
+              {REAL_DIMENSIONS.map(option => (
+                <TouchableOpacity
+                  key={option.key}
+                  style={[styles.dimensionOption, draftDimension === option.key && styles.dimensionOptionActive]}
+                  onPress={() => setDraftDimension(option.key)}
+                >
+                  <Text style={[styles.dimensionOptionText, draftDimension === option.key && styles.dimensionOptionTextActive]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <TextInput
+              style={styles.sizeInput}
+              placeholder="Centimeters, e.g. 45"
+              value={draftCm}
+              onChangeText={setDraftCm}
+              keyboardType="decimal-pad"
+              editable={!savingSize}
+            />
+
+            <View style={styles.sheetActions}>
+              {realDimension && (
+                <TouchableOpacity onPress={() => saveRealDimension(null)} disabled={savingSize}>
+                  <Text style={[styles.versionActionText, styles.versionDeleteText]}>Clear</Text>
+                </TouchableOpacity>
+              )}
+              <View style={styles.sheetActionsRight}>
+                <TouchableOpacity onPress={() => setSizeEditorVisible(false)} disabled={savingSize}>
+                  <Text style={styles.sheetCancelText}>Cancel</Text>
+                </TouchableOpacity>
+                {savingSize ? (
+                  <ActivityIndicator size="small" color="#007AFF" />
+                ) : (
+                  <TouchableOpacity onPress={handleSaveSize}>
+                    <Text style={styles.versionActionText}>Save</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </View>
   );
 }
@@ -878,6 +1126,48 @@ const styles = StyleSheet.create({
     fontSize: 15,
     fontWeight: '500',
   },
+  versionBar: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    backgroundColor: '#fff',
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#d0d0d0',
+  },
+  versionChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    backgroundColor: '#F0F0F5',
+    marginRight: 8,
+  },
+  versionChipSelected: {
+    backgroundColor: '#007AFF',
+  },
+  versionChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#555',
+  },
+  versionChipTextSelected: {
+    color: '#fff',
+  },
+  versionActions: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 8,
+  },
+  versionActionButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+  },
+  versionActionText: {
+    color: '#007AFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  versionDeleteText: {
+    color: '#FF3B30',
+  },
   viewerContainer: {
     flex: 1,
     position: 'relative',
@@ -963,4 +1253,80 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginBottom: 4,
   },
+  setSizeText: {
+    fontSize: 13,
+    color: '#007AFF',
+    textDecorationLine: 'underline',
+    marginBottom: 4,
+  },
+  sheetBackdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    paddingBottom: 34,
+  },
+  sheetTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#1a1a1a',
+    marginBottom: 6,
+  },
+  sheetHint: {
+    fontSize: 13,
+    color: '#888',
+    marginBottom: 14,
+  },
+  dimensionToggle: {
+    flexDirection: 'row',
+    backgroundColor: '#F0F0F5',
+    borderRadius: 10,
+    padding: 3,
+  },
+  dimensionOption: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  dimensionOptionActive: {
+    backgroundColor: '#007AFF',
+  },
+  dimensionOptionText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#666',
+  },
+  dimensionOptionTextActive: {
+    color: '#fff',
+  },
+  sizeInput: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginTop: 12,
+  },
+  sheetActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 18,
+  },
+  sheetActionsRight: {
+    flex: 1,
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    gap: 24,
+  },
+  sheetCancelText: {
+    fontSize: 15,
+    color: '#666',
+  },
 });
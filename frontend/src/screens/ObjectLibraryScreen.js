@@ -9,28 +9,47 @@ import {
   Alert,
   ActivityIndicator,
   RefreshControl,
+  Modal,
 } from 'react-native';
-import apiService from '../services/api';
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import apiService, { EXPORT_FORMATS } from '../services/api';
 
 export default function ObjectLibraryScreen({ navigation }) {
   const [objects, setObjects] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
-  const pollIntervalRef = useRef(null);
+  // Object whose export formats are on screen, and the format downloading
+  const [exportObject, setExportObject] = useState(null);
+  const [exportingFormat, setExportingFormat] = useState(null);
+  // Latest list, for the event handler registered once on mount
+  const objectsRef = useRef([]);
+  objectsRef.current = objects;
 
   useEffect(() => {
     loadObjects();
 
-    // Start polling for any objects that are still processing
-    pollIntervalRef.current = setInterval(() => {
-      refreshProcessingObjects();
-    }, 5000);
+    // Apply generation updates pushed by the server as they happen
+    const unsubscribe = apiService.subscribeToLibrary((event, data) => {
+      if (event === 'deleted') {
+        setObjects(current => current.filter(obj => obj.id !== data.id));
+        return;
+      }
+
+      if (event !== 'status') return;
 
-    return () => {
-      if (pollIntervalRef.current) {
-        clearInterval(pollIntervalRef.current);
+      if (!objectsRef.current.some(obj => obj.id === data.id)) {
+        // Created since the list was loaded (e.g. on another device)
+        refreshObjects();
+        return;
       }
-    };
+
+      setObjects(current =>
+        current.map(obj => (obj.id === data.id ? { ...obj, ...data } : obj))
+      );
+    });
+
+    return unsubscribe;
   }, []);
 
   // Also refresh when navigating back to this screen
@@ -55,19 +74,12 @@ export default function ObjectLibraryScreen({ navigation }) {
     }
   };
 
-  const refreshProcessingObjects = async () => {
-    // Check if any objects are still processing
-    const processingObjects = objects.filter(
-      obj => obj.generationStatus === 'processing' || obj.generationStatus === 'pending'
-    );
-
-    if (processingObjects.length === 0) return;
-
+  const refreshObjects = async () => {
     try {
       const data = await apiService.getObjects();
       setObjects(data);
     } catch (error) {
-      // Silently fail - will retry on next interval
+      // Silently fail - the next update or a pull-to-refresh retries
     }
   };
 
@@ -105,29 +117,104 @@ export default function ObjectLibraryScreen({ navigation }) {
       Alert.alert('Regeneration Started', '3D model is being regenerated. Pull down to refresh.');
       loadObjects();
     } catch (error) {
-      Alert.alert('Error', 'Failed to start regeneration');
+      Alert.alert(
+        'Error',
+        [402, 409].includes(error.response?.status)
+          ? error.response.data?.error
+          : 'Failed to start regeneration'
+      );
+    }
+  };
+
+  const handleCancel = async (objectId) => {
+    try {
+      await apiService.cancelGeneration(objectId);
+      loadObjects();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to cancel generation');
     }
   };
 
   const handleViewDetails = (object) => {
     const methodName = object.generationMethod === 'meshy' ? 'Meshy.ai AI' :
                        object.generationMethod === 'tripo' ? 'Tripo AI' :
+                       object.generationMethod === 'local' ? 'Offline photo cut-out' :
                        'AI';
 
     const genTime = object.generationTime
       ? `${(object.generationTime / 1000).toFixed(1)}s`
       : 'N/A';
 
+    // Only worth showing when a task was handed on to another provider
+    const attempts = object.generationAttempts || [];
+    const attemptLine = attempts.length > 1
+      ? `\nAttempts: ${attempts.map(a => `${a.method} (${a.status.replace('_', ' ')})`).join(' → ')}`
+      : '';
+
+    const realSize = object.realDimension;
+    const realSizeLine = realSize
+      ? `\nReal Size: ${Math.round(realSize.meters * 1000) / 10} cm ${realSize.dimension}`
+      : '';
+
+    const options = object.generationOptions;
+    const optionsLine = options && object.generationMethod !== 'local'
+      ? `\nQuality: ${Math.round(options.polycount / 1000)}k ${options.topology === 'quad' ? 'quads' : 'triangles'}${options.texture ? (options.pbr ? ', PBR textures' : ', textured') : ', untextured'}`
+      : '';
+
     const details = `
 Name: ${object.name}
 Images: ${object.imageUrls.length} uploaded
 Status: ${object.generationStatus || 'completed'}
-Method: ${methodName}
-Generation Time: ${genTime}
+Method: ${methodName}${object.generationMode === 'multiview' ? ' (multi-view)' : ''}
+Generation Time: ${genTime}${optionsLine}${attemptLine}${realSizeLine}${object.versionCount > 1 ? `\nModel Versions: ${object.versionCount}` : ''}
 Created: ${new Date(object.createdAt).toLocaleString()}
     `.trim();
 
-    Alert.alert('Object Details', details);
+    // Originals next to the preprocessed photos the provider was sent
+    const hasProcessedPhotos = (object.processedImageUrls || []).some(Boolean);
+    const buttons = [
+      hasProcessedPhotos && { text: 'Compare Photos', onPress: () => navigation.navigate('PhotoComparison', { object }) },
+      object.modelUrl && { text: 'Export', onPress: () => setExportObject(object) },
+    ].filter(Boolean);
+    if (buttons.length > 0) {
+      buttons.push({ text: 'OK' });
+    }
+
+    Alert.alert('Object Details', details, buttons.length > 0 ? buttons : undefined);
+  };
+
+  // Download the model in another format (converted by the server) and
+  // hand it to the system share sheet
+  const handleExport = async (format) => {
+    const object = exportObject;
+    const { extension, mimeType, uti } = EXPORT_FORMATS[format];
+
+    try {
+      setExportingFormat(format);
+
+      if (!(await Sharing.isAvailableAsync())) {
+        Alert.alert('Export', 'Sharing is not available on this device');
+        return;
+      }
+
+      const fileName = `${object.name.replace(/[^\w-]+/g, '_') || 'model'}${extension}`;
+      const result = await FileSystem.downloadAsync(
+        apiService.getExportUrl(object.id, format),
+        FileSystem.cacheDirectory + fileName,
+        { headers: await apiService.getAuthHeaders() }
+      );
+      if (result.status !== 200) {
+        throw new Error(`Export failed with status ${result.status}`);
+      }
+
+      setExportObject(null);
+      await Sharing.shareAsync(result.uri, { mimeType, UTI: uti, dialogTitle: `Export ${object.name}` });
+    } catch (error) {
+      console.error('Error exporting model:', error);
+      Alert.alert('Error', 'Failed to export the model');
+    } finally {
+      setExportingFormat(null);
+    }
   };
 
   const handleView3D = (object) => {
@@ -166,6 +253,12 @@ Created: ${new Date(object.createdAt).toLocaleString()}
           color: '#FF3B30',
           icon: '[!]'
         };
+      case 'cancelled':
+        return {
+          text: 'Generation cancelled',
+          color: '#8E8E93',
+          icon: '[x]'
+        };
       default:
         return {
           text: 'Unknown status',
@@ -179,19 +272,21 @@ Created: ${new Date(object.createdAt).toLocaleString()}
     switch (method) {
       case 'meshy': return 'AI Reconstructed';
       case 'tripo': return 'AI Reconstructed';
+      case 'local': return 'Offline Cut-out';
+      case 'imported': return 'Imported File';
       default: return 'AI Model';
     }
   };
 
   const renderItem = ({ item }) => {
-    const thumbnailUrl = item.imageUrls && item.imageUrls.length > 0
-      ? apiService.getFullUrl(item.imageUrls[0])
-      : null;
+    const coverUrl = item.thumbnailUrl || (item.imageUrls && item.imageUrls[0]);
+    const thumbnailUrl = coverUrl ? apiService.getFullUrl(coverUrl) : null;
 
     const statusInfo = getStatusInfo(item);
     const isProcessing = item.generationStatus === 'processing' || item.generationStatus === 'pending';
-    const isFailed = item.generationStatus === 'failed';
-    const isCompleted = item.generationStatus === 'completed';
+    const isFailed = item.generationStatus === 'failed' || item.generationStatus === 'cancelled';
+    // The active model version stays viewable while a new one generates or after it fails
+    const hasModel = !!item.modelUrl;
 
     return (
       <View style={styles.card}>
@@ -235,7 +330,7 @@ Created: ${new Date(object.createdAt).toLocaleString()}
         </View>
 
         <View style={styles.actions}>
-          {isCompleted && (
+          {hasModel && (
             <TouchableOpacity
               style={[styles.button, styles.view3DButton]}
               onPress={() => handleView3D(item)}
@@ -244,7 +339,7 @@ Created: ${new Date(object.createdAt).toLocaleString()}
             </TouchableOpacity>
           )}
 
-          {isCompleted && (
+          {hasModel && (
             <TouchableOpacity
               style={[styles.button, styles.viewARButton]}
               onPress={() => handleViewAR(item)}
@@ -260,6 +355,15 @@ Created: ${new Date(object.createdAt).toLocaleString()}
             <Text style={styles.buttonText}>Details</Text>
           </TouchableOpacity>
 
+          {isProcessing && (
+            <TouchableOpacity
+              style={[styles.button, styles.cancelButton]}
+              onPress={() => handleCancel(item.id)}
+            >
+              <Text style={styles.buttonText}>Cancel</Text>
+            </TouchableOpacity>
+          )}
+
           {isFailed && (
             <TouchableOpacity
               style={[styles.button, styles.retryButton]}
@@ -305,15 +409,51 @@ Created: ${new Date(object.createdAt).toLocaleString()}
   }
 
   return (
-    <FlatList
-      data={objects}
-      renderItem={renderItem}
-      keyExtractor={(item) => item.id}
-      contentContainerStyle={styles.list}
-      refreshControl={
-        <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
-      }
-    />
+    <>
+      <FlatList
+        data={objects}
+        renderItem={renderItem}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={styles.list}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
+        }
+      />
+
+      {/* Export format picker (Android alerts hold only three buttons) */}
+      <Modal
+        visible={!!exportObject}
+        transparent
+        animationType="slide"
+        onRequestClose={() => !exportingFormat && setExportObject(null)}
+      >
+        <View style={styles.sheetBackdrop}>
+          <View style={styles.sheet}>
+            <Text style={styles.sheetTitle}>Export {exportObject?.name}</Text>
+
+            {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+              <TouchableOpacity
+                key={format}
+                style={styles.sheetOption}
+                disabled={!!exportingFormat}
+                onPress={() => handleExport(format)}
+              >
+                <Text style={styles.sheetOptionText}>{label}</Text>
+                {exportingFormat === format && <ActivityIndicator size="small" color="#007AFF" />}
+              </TouchableOpacity>
+            ))}
+
+            <TouchableOpacity
+              style={styles.sheetCancel}
+              disabled={!!exportingFormat}
+              onPress={() => setExportObject(null)}
+            >
+              <Text style={styles.sheetCancelText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    </>
   );
 }
 
@@ -433,6 +573,9 @@ const styles = StyleSheet.create({
   retryButton: {
     backgroundColor: '#FF9500',
   },
+  cancelButton: {
+    backgroundColor: '#8E8E93',
+  },
   deleteButton: {
     backgroundColor: '#FF3B30',
   },
@@ -464,4 +607,44 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '600',
   },
+  sheetBackdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    paddingBottom: 34,
+  },
+  sheetTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 10,
+  },
+  sheetOption: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  sheetOptionText: {
+    fontSize: 16,
+    color: '#007AFF',
+  },
+  sheetCancel: {
+    marginTop: 10,
+    paddingVertical: 15,
+    alignItems: 'center',
+  },
+  sheetCancelText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FF3B30',
+  },
 });
@@ -0,0 +1,105 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  Image,
+} from 'react-native';
+import apiService from '../services/api';
+
+/**
+ * Each uploaded photo next to the preprocessed version the server sent to
+ * the generation provider (oriented, cropped to the subject, background
+ * whitened, padded square).
+ */
+export default function PhotoComparisonScreen({ route }) {
+  const { object } = route.params;
+  const processedUrls = object.processedImageUrls || [];
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      {object.imageUrls.map((url, index) => (
+        <View key={url} style={styles.card}>
+          <Text style={styles.photoTitle}>Photo {index + 1}</Text>
+
+          <View style={styles.pair}>
+            <View style={styles.column}>
+              <Image
+                source={{ uri: apiService.getFullUrl(url) }}
+                style={styles.image}
+                resizeMode="contain"
+              />
+              <Text style={styles.label}>Original</Text>
+            </View>
+
+            <View style={styles.column}>
+              {processedUrls[index] ? (
+                <Image
+                  source={{ uri: apiService.getFullUrl(processedUrls[index]) }}
+                  style={styles.image}
+                  resizeMode="contain"
+                />
+              ) : (
+                <View style={[styles.image, styles.placeholder]}>
+                  <Text style={styles.placeholderText}>Not processed</Text>
+                </View>
+              )}
+              <Text style={styles.label}>Sent for 3D generation</Text>
+            </View>
+          </View>
+        </View>
+      ))}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 15,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 15,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  photoTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 10,
+  },
+  pair: {
+    flexDirection: 'row',
+  },
+  column: {
+    flex: 1,
+    alignItems: 'center',
+    marginHorizontal: 5,
+  },
+  image: {
+    width: '100%',
+    aspectRatio: 1,
+    borderRadius: 8,
+    backgroundColor: '#f0f0f0',
+  },
+  placeholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  placeholderText: {
+    color: '#999',
+    fontSize: 12,
+  },
+  label: {
+    marginTop: 6,
+    fontSize: 12,
+    color: '#666',
+  },
+});
@@ -1,14 +1,245 @@
 import axios from 'axios';
+import * as SecureStore from 'expo-secure-store';
 
 // Backend API base URL - update this to your backend server address
 const API_BASE_URL = 'http://localhost:3000/api';
 
+// Upload content types the backend accepts, by file extension
+const UPLOAD_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  heic: 'image/heic',
+  heif: 'image/heif',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  mov: 'video/quicktime',
+};
+
+// Formats GET /objects/:id/export can convert a model to
+export const EXPORT_FORMATS = {
+  usdz: { label: 'USDZ (iOS Quick Look)', extension: '.usdz', mimeType: 'model/vnd.usdz+zip', uti: 'com.pixar.universal-scene-description-mobile' },
+  obj: { label: 'OBJ + MTL (zip)', extension: '.obj.zip', mimeType: 'application/zip', uti: 'public.zip-archive' },
+  stl: { label: 'STL (3D printing)', extension: '.stl', mimeType: 'model/stl', uti: 'public.standard-tesselated-geometry-format' },
+  gltf: { label: 'glTF', extension: '.gltf', mimeType: 'model/gltf+json', uti: 'public.data' },
+};
+
+// Measurements an object's real size can be given by (realDimension)
+export const REAL_DIMENSIONS = [
+  { key: 'height', label: 'Height' },
+  { key: 'width', label: 'Width' },
+  { key: 'depth', label: 'Depth' },
+];
+
+// SecureStore key of the signed-in session (tokens and user)
+const SESSION_KEY = 'roomsnap.session';
+// Access tokens this close to expiry are refreshed before a request
+const TOKEN_REFRESH_MARGIN_MS = 30000;
+
+function getUploadType(filename) {
+  const match = /\.(\w+)$/.exec(filename);
+  return (match && UPLOAD_TYPES[match[1].toLowerCase()]) || 'image/jpeg';
+}
+
 class ApiService {
 
+  constructor() {
+    // { accessToken, refreshToken, expiresAt, user }, or null when signed out
+    this.session = null;
+    this.sessionListeners = new Set();
+    this.refreshPromise = null;
+
+    // Every API request carries the access token; one rejected as expired
+    // is retried once with refreshed tokens
+    axios.interceptors.request.use(async (config) => {
+      if (this.session && config.url.startsWith(API_BASE_URL) && !config.url.startsWith(`${API_BASE_URL}/auth/`)) {
+        Object.assign(config.headers, await this.getAuthHeaders());
+      }
+      return config;
+    });
+
+    axios.interceptors.response.use(null, async (error) => {
+      const { config, response } = error;
+      const retryable = response?.status === 401 && config && !config.retried &&
+        config.url.startsWith(API_BASE_URL) && !config.url.startsWith(`${API_BASE_URL}/auth/`);
+
+      if (!retryable || !this.session) {
+        throw error;
+      }
+
+      try {
+        await this.refreshSession();
+      } catch (refreshError) {
+        throw error;
+      }
+      return axios({ ...config, retried: true });
+    });
+  }
+
+  /**
+   * Load the session saved by an earlier login, if any. Call once at
+   * startup before making requests.
+   *
+   * @returns {object|null} the signed-in user
+   */
+  async restoreSession() {
+    try {
+      const saved = await SecureStore.getItemAsync(SESSION_KEY);
+      this.session = saved ? JSON.parse(saved) : null;
+    } catch (error) {
+      console.error('Error restoring session:', error);
+      this.session = null;
+    }
+    return this.getCurrentUser();
+  }
+
+  getCurrentUser() {
+    return this.session ? this.session.user : null;
+  }
+
+  /**
+   * Listen for sign-in and sign-out (including a session that could not be
+   * refreshed).
+   *
+   * @param {function} listener - callback(user or null)
+   * @returns {function} call to unsubscribe
+   */
+  onSessionChange(listener) {
+    this.sessionListeners.add(listener);
+    return () => this.sessionListeners.delete(listener);
+  }
+
+  /**
+   * Create an account and sign in to it.
+   *
+   * @param {{ email: string, password: string, name?: string }} account
+   */
+  async register(account) {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/auth/register`, account, {
+        timeout: 30000
+      });
+      await this.setSession(response.data);
+      return response.data.user;
+    } catch (error) {
+      console.error('Error registering:', error);
+      throw error;
+    }
+  }
+
+  async login(email, password) {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/auth/login`, { email, password }, {
+        timeout: 30000
+      });
+      await this.setSession(response.data);
+      return response.data.user;
+    } catch (error) {
+      console.error('Error logging in:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign out: the server revokes the refresh token, and the saved session
+   * is removed even if that request fails.
+   */
+  async logout() {
+    const refreshToken = this.session?.refreshToken;
+    await this.setSession(null);
+
+    if (refreshToken) {
+      try {
+        await axios.post(`${API_BASE_URL}/auth/logout`, { refreshToken }, { timeout: 15000 });
+      } catch (error) {
+        console.error('Error logging out:', error);
+      }
+    }
+  }
+
+  /**
+   * Trade the refresh token for new tokens. Concurrent callers share one
+   * request. A rejected refresh token signs the user out.
+   */
+  refreshSession() {
+    if (!this.refreshPromise) {
+      const refreshToken = this.session?.refreshToken;
+
+      this.refreshPromise = axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken }, { timeout: 15000 })
+        .then(response => this.setSession(response.data))
+        .catch(async (error) => {
+          if (error.response?.status === 401) {
+            await this.setSession(null);
+          }
+          throw error;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Authorization header for requests made outside axios (event streams,
+   * FileSystem downloads). Refreshes the access token first when it is
+   * about to expire.
+   *
+   * @returns {Promise<object>} {} when signed out
+   */
+  async getAuthHeaders() {
+    if (!this.session) return {};
+
+    if (this.session.expiresAt - Date.now() < TOKEN_REFRESH_MARGIN_MS) {
+      await this.refreshSession();
+    }
+    return this.session ? { Authorization: `Bearer ${this.session.accessToken}` } : {};
+  }
+
+  /**
+   * Save (or with null, clear) the session from a login, register or
+   * refresh response and tell the listeners.
+   */
+  async setSession(data) {
+    const previousUser = this.getCurrentUser();
+    this.session = data ? {
+      accessToken: data.accessToken,
+      refreshToken: data.refreshToken,
+      expiresAt: Date.now() + data.expiresIn * 1000,
+      user: data.user,
+    } : null;
+
+    try {
+      if (this.session) {
+        await SecureStore.setItemAsync(SESSION_KEY, JSON.stringify(this.session));
+      } else {
+        await SecureStore.deleteItemAsync(SESSION_KEY);
+      }
+    } catch (error) {
+      console.error('Error saving session:', error);
+    }
+
+    // Refreshing keeps the same user; only sign-in and sign-out notify
+    if (!previousUser !== !this.session || (previousUser && this.session && previousUser.id !== this.session.user.id)) {
+      this.sessionListeners.forEach(listener => listener(this.getCurrentUser()));
+    }
+  }
+
   /**
-   * Create a new object with images.
+   * Create a new object with images, or with a single walk-around video
+   * (MP4/MOV) that the server turns into 4 keyframes.
    * Uses async=true so the server starts 3D generation in the background.
    * Returns immediately with the object data and a generation status.
+   *
+   * The response's `photoQuality` has one quality report per photo. With
+   * strictQuality, photos that fail the check reject the request with a
+   * 422 whose body carries the same reports.
+   *
+   * @param {{ name: string, options?: object, strictQuality?: boolean, realDimension?: object }} objectData -
+   *   options are the generation options (polycount, topology, texture,
+   *   pbr, modelVersion); realDimension ({ dimension, meters }) is one
+   *   measurement of the real object, used to show it at true size
    */
   async createObject(objectData, images) {
     try {
@@ -16,17 +247,24 @@ class ApiService {
 
       formData.append('name', objectData.name);
       formData.append('async', 'true');
+      if (objectData.options) {
+        formData.append('options', JSON.stringify(objectData.options));
+      }
+      if (objectData.strictQuality !== undefined) {
+        formData.append('strictQuality', objectData.strictQuality ? 'true' : 'false');
+      }
+      if (objectData.realDimension) {
+        formData.append('realDimension', JSON.stringify(objectData.realDimension));
+      }
 
       // Append images
       images.forEach((image, index) => {
         const filename = image.uri.split('/').pop();
-        const match = /\.(\w+)$/.exec(filename);
-        const type = match ? `image/${match[1]}` : 'image/jpeg';
 
         formData.append('images', {
           uri: image.uri,
           name: filename,
-          type
+          type: getUploadType(filename)
         });
       });
 
@@ -55,16 +293,20 @@ class ApiService {
 
       formData.append('name', objectData.name);
       // async defaults to false
+      if (objectData.options) {
+        formData.append('options', JSON.stringify(objectData.options));
+      }
+      if (objectData.realDimension) {
+        formData.append('realDimension', JSON.stringify(objectData.realDimension));
+      }
 
       images.forEach((image, index) => {
         const filename = image.uri.split('/').pop();
-        const match = /\.(\w+)$/.exec(filename);
-        const type = match ? `image/${match[1]}` : 'image/jpeg';
 
         formData.append('images', {
           uri: image.uri,
           name: filename,
-          type
+          type: getUploadType(filename)
         });
       });
 
@@ -82,6 +324,79 @@ class ApiService {
     }
   }
 
+  /**
+   * Create a new object from a text description (Text-to-3D).
+   * Generation always runs in the background; follow it with waitForGeneration.
+   *
+   * @param {{ name?: string, prompt: string, negativePrompt?: string, options?: object, realDimension?: object }} promptData
+   */
+  async createObjectFromPrompt(promptData) {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/objects/from-prompt`, promptData, {
+        timeout: 30000
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Error creating object from prompt:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an object from an existing 3D file, without AI generation. The
+   * server converts it to GLB and returns the object already completed
+   * (generationMethod 'imported').
+   *
+   * @param {{ name?: string, realDimension?: object }} objectData - name
+   *   defaults to the model's file name
+   * @param {Array<{ uri: string, name: string, mimeType?: string }>} files -
+   *   a .glb; a .gltf with its .bin and textures; an .obj with its .mtl
+   *   and textures; or a .zip of any of these (document picker assets)
+   * @param {{ uri: string }} [thumbnail] - optional cover photo
+   */
+  async importObject(objectData, files, thumbnail) {
+    try {
+      const formData = new FormData();
+
+      if (objectData.name) {
+        formData.append('name', objectData.name);
+      }
+      if (objectData.realDimension) {
+        formData.append('realDimension', JSON.stringify(objectData.realDimension));
+      }
+
+      files.forEach(file => {
+        formData.append('model', {
+          uri: file.uri,
+          name: file.name,
+          type: file.mimeType || 'application/octet-stream'
+        });
+      });
+
+      if (thumbnail) {
+        const filename = thumbnail.uri.split('/').pop();
+        formData.append('thumbnail', {
+          uri: thumbnail.uri,
+          name: filename,
+          type: getUploadType(filename)
+        });
+      }
+
+      const response = await axios.post(`${API_BASE_URL}/objects/import`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        timeout: 300000 // 5 minutes: large files, converted before the response
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Error importing object:', error);
+      throw error;
+    }
+  }
+
   /**
    * Poll the generation status of an object's 3D model.
    *
@@ -101,46 +416,186 @@ class ApiService {
   }
 
   /**
-   * Wait for 3D generation to complete by polling.
+   * Wait for 3D generation to complete. Updates arrive over the object's
+   * event stream; the status endpoint is also polled now and then in case
+   * the stream misses an update.
    * Returns the final status when complete or failed.
    *
    * @param {string} objectId
-   * @param {function} onProgress - callback(progress: 0-100, status: string)
-   * @param {number} pollInterval - ms between checks (default 3000)
+   * @param {function} onProgress - callback(progress: 0-100, status: string, details: object)
+   * @param {number} pollInterval - ms between fallback checks (default 15000)
    * @param {number} maxDuration - ms before timeout (default 300000 = 5 min)
    */
-  async waitForGeneration(objectId, onProgress, pollInterval = 3000, maxDuration = 300000) {
-    const startTime = Date.now();
+  waitForGeneration(objectId, onProgress, pollInterval = 15000, maxDuration = 300000) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
 
-    while (Date.now() - startTime < maxDuration) {
-      try {
-        const status = await this.getGenerationStatus(objectId);
+      const finish = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        unsubscribe();
+        clearInterval(pollTimer);
+        clearTimeout(timeoutTimer);
+        callback(value);
+      };
+
+      const handleStatus = (status) => {
+        if (settled) return;
 
         if (onProgress) {
-          onProgress(status.generationProgress || 0, status.generationStatus);
+          onProgress(status.generationProgress || 0, status.generationStatus, status);
         }
 
         if (status.generationStatus === 'completed') {
-          return status;
+          finish(resolve, status);
+        } else if (status.generationStatus === 'failed') {
+          finish(reject, new Error(status.generationError || 'Model generation failed'));
+        } else if (status.generationStatus === 'cancelled') {
+          const error = new Error('Model generation cancelled');
+          error.cancelled = true;
+          finish(reject, error);
         }
+      };
 
-        if (status.generationStatus === 'failed') {
-          throw new Error(status.generationError || 'Model generation failed');
-        }
+      const unsubscribe = this.subscribeToGeneration(objectId, handleStatus);
+
+      const pollTimer = setInterval(() => {
+        this.getGenerationStatus(objectId)
+          .then(handleStatus)
+          .catch(() => {
+            // Network errors: the stream reconnects and the next check retries
+          });
+      }, pollInterval);
+
+      const timeoutTimer = setTimeout(() => {
+        finish(reject, new Error('Model generation timed out'));
+      }, maxDuration);
+    });
+  }
+
+  /**
+   * Subscribe to one object's generation updates (status, progress,
+   * method, error). The current state is delivered first.
+   *
+   * @param {string} objectId
+   * @param {function} onStatus - callback(status), same shape as getGenerationStatus
+   * @returns {function} call to unsubscribe
+   */
+  subscribeToGeneration(objectId, onStatus) {
+    return this.openEventStream(`/objects/${objectId}/events`, (event, data) => {
+      if (event === 'status') {
+        onStatus(data);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to generation updates for every object in the library.
+   *
+   * @param {function} onEvent - callback(event: 'status' | 'deleted', data)
+   * @returns {function} call to unsubscribe
+   */
+  subscribeToLibrary(onEvent) {
+    return this.openEventStream('/objects/events', onEvent);
+  }
 
-        // Wait before next poll
-        await new Promise(resolve => setTimeout(resolve, pollInterval));
+  /**
+   * Read a Server-Sent Events stream. React Native has no EventSource, so
+   * this parses the response of a streaming XMLHttpRequest and reconnects
+   * (with backoff) whenever the connection drops or the server closes it.
+   * Each connection sends the current access token.
+   *
+   * @param {string} path - API path, e.g. '/objects/events'
+   * @param {function} onEvent - callback(event: string, data: object)
+   * @returns {function} call to close the stream
+   */
+  openEventStream(path, onEvent) {
+    let xhr = null;
+    let closed = false;
+    let retryTimer = null;
+    let retryDelay = 1000;
+
+    const connect = async () => {
+      let seen = 0;
+      let buffer = '';
+      let headers;
+
+      try {
+        headers = await this.getAuthHeaders();
       } catch (error) {
-        // If it's a generation error (not a network error), rethrow
-        if (error.message && !error.message.includes('Network')) {
-          throw error;
-        }
-        // For network errors, wait and retry
-        await new Promise(resolve => setTimeout(resolve, pollInterval));
+        reconnect();
+        return;
       }
-    }
+      if (closed) return;
+
+      xhr = new XMLHttpRequest();
+      xhr.open('GET', `${API_BASE_URL}${path}`);
+      xhr.setRequestHeader('Accept', 'text/event-stream');
+      Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+      xhr.onprogress = () => {
+        buffer += xhr.responseText.slice(seen);
+        seen = xhr.responseText.length;
+        retryDelay = 1000;
+
+        // Events are separated by a blank line; keep any partial one
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+
+        blocks.forEach((block) => {
+          let event = 'message';
+          let data = '';
+
+          block.split('\n').forEach((line) => {
+            if (line.startsWith('event:')) {
+              event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+              data += line.slice(5).trim();
+            }
+          });
+
+          if (!data) return;
+          try {
+            onEvent(event, JSON.parse(data));
+          } catch (error) {
+            console.error('Error handling server event:', error);
+          }
+        });
+      };
+
+      xhr.onerror = reconnect;
+      xhr.onload = () => {
+        // Rejected access token: refresh it and reconnect. Once signed
+        // out the next attempt ends up below and stops.
+        if (xhr.status === 401 && this.session) {
+          this.refreshSession().then(reconnect, reconnect);
+          return;
+        }
+        // Other 4xx (e.g. the object was deleted) won't get better by retrying
+        if (xhr.status >= 400 && xhr.status < 500) {
+          console.error(`Event stream ${path} closed: HTTP ${xhr.status}`);
+          return;
+        }
+        reconnect();
+      };
+      xhr.send();
+    };
 
-    throw new Error('Model generation timed out');
+    const reconnect = () => {
+      if (closed) return;
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, 30000);
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (xhr) {
+        xhr.abort();
+      }
+    };
   }
 
   /**
@@ -169,6 +624,22 @@ class ApiService {
     }
   }
 
+  /**
+   * Edit an object's name or real dimension ({ dimension, meters }, or
+   * null to clear it). Returns the updated object, with its new modelScale.
+   *
+   * @param {{ name?: string, realDimension?: object|null }} changes
+   */
+  async updateObject(objectId, changes) {
+    try {
+      const response = await axios.patch(`${API_BASE_URL}/objects/${objectId}`, changes);
+      return response.data.object;
+    } catch (error) {
+      console.error('Error updating object:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete an object by ID
    */
@@ -183,11 +654,12 @@ class ApiService {
   }
 
   /**
-   * Regenerate the 3D model for an existing object
+   * Regenerate the 3D model for an existing object. Options left out keep
+   * the values the object was last generated with.
    */
-  async regenerateModel(objectId) {
+  async regenerateModel(objectId, options) {
     try {
-      const response = await axios.post(`${API_BASE_URL}/objects/${objectId}/regenerate`, {}, {
+      const response = await axios.post(`${API_BASE_URL}/objects/${objectId}/regenerate`, { options }, {
         timeout: 30000
       });
       return response.data;
@@ -197,6 +669,108 @@ class ApiService {
     }
   }
 
+  /**
+   * List an object's model versions (oldest first) and the active one.
+   *
+   * @returns {{ activeVersion: string, versions: object[] }}
+   */
+  async getModelVersions(objectId) {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/objects/${objectId}/versions`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching model versions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make a completed model version the one the object uses
+   */
+  async activateModelVersion(objectId, versionId) {
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/objects/${objectId}/versions/${versionId}/activate`
+      );
+      return response.data.object;
+    } catch (error) {
+      console.error('Error activating model version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a model version (not the active one)
+   */
+  async deleteModelVersion(objectId, versionId) {
+    try {
+      const response = await axios.delete(`${API_BASE_URL}/objects/${objectId}/versions/${versionId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting model version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an in-flight 3D generation
+   */
+  async cancelGeneration(objectId) {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/objects/${objectId}/cancel`, {}, {
+        timeout: 30000
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error cancelling generation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Model URL for a level of detail (0 = most detailed). Uses the
+   * server's uncompressed LOD variants; the app's GLB parser can't decode
+   * Draco or meshopt. Falls back to the closest more detailed level, then
+   * to the original model.
+   */
+  getModelVariantUrl(object, lod) {
+    const variants = (object.modelVariants || [])
+      .filter(variant => !variant.compression)
+      .sort((a, b) => a.lod - b.lod);
+    const variant = variants.filter(candidate => candidate.lod <= lod).pop() || variants[0];
+    return variant ? variant.modelUrl : object.modelUrl;
+  }
+
+  /**
+   * Full URL of the object's model converted to another format. The
+   * server converts on first request and caches the file.
+   *
+   * @param {string} format - one of EXPORT_FORMATS' keys
+   */
+  getExportUrl(objectId, format) {
+    return `${API_BASE_URL}/objects/${objectId}/export?format=${format}`;
+  }
+
+  /**
+   * Fresh signed URL for one of an object's files, to download it. File
+   * URLs in object responses are signed too, but expire after a while
+   * (the server's FILE_URL_TTL_SECONDS).
+   *
+   * @param {string} fileUrl - a modelUrl, variant or image URL from the object
+   * @returns {Promise<string>} full URL, usable without auth headers
+   */
+  async getFileUrl(objectId, fileUrl) {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/objects/${objectId}/file-url`, {
+        params: { path: fileUrl },
+      });
+      return this.getFullUrl(response.data.url);
+    } catch (error) {
+      console.error('Error fetching file URL:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get full URL for a model or image
    */